@@ -6,21 +6,31 @@
 
 const path = require('path');
 
+const CommandRouter = require('./lib/commands/command-router');
 const DriverCommandHandler = require('./lib/commands/driver-command-handler');
+const PlaylistCommandHandler = require('./lib/commands/playlist-command-handler');
 const ResetCommandHandler = require('./lib/commands/reset-command-handler');
 const SceneCommandHandler = require('./lib/commands/scene-command-handler');
+const SettingsCommandHandler = require('./lib/commands/settings-command-handler');
 const StateCommandHandler = require('./lib/commands/state-command-handler');
+const ToolsCommandHandler = require('./lib/commands/tools-command-handler');
+const { loadDriverPlugins } = require('./lib/core/driver-plugins');
 const DeploymentTracker = require('./lib/deployment-tracker');
 const {
+  addFrameListener,
+  clearMirrors,
+  clearSceneState,
   getContext,
+  getSceneStateValues,
   setDriverForDevice,
   getDevice,
   getDriverForDevice,
   devices,
   deviceDrivers,
   registerDevicesFromConfig,
+  setMirrors,
 } = require('./lib/device-adapter');
-const { setStateStore } = require('./lib/device-adapter');
+const { setMqttService, setStateStore } = require('./lib/device-adapter');
 const { DeviceConfigStore } = require('./lib/device-config-store');
 const DIContainer = require('./lib/di-container');
 const logger = require('./lib/logger');
@@ -31,8 +41,14 @@ const { SceneRegistration } = require('./lib/scene-loader');
 const SceneManager = require('./lib/scene-manager');
 const DeviceService = require('./lib/services/device-service');
 const DiagnosticsService = require('./lib/services/diagnostics-service');
+const DiscoveryService = require('./lib/services/discovery-service');
+const GroupService = require('./lib/services/group-service');
 const MqttConfigService = require('./lib/services/mqtt-config-service');
+const PlaylistService = require('./lib/services/playlist-service');
+const PreviewService = require('./lib/services/preview-service');
 const ReleaseChecker = require('./lib/services/release-checker');
+const SceneIsolationService = require('./lib/services/scene-isolation-service');
+const SceneReloadService = require('./lib/services/scene-reload-service');
 const SceneService = require('./lib/services/scene-service');
 const SchedulerService = require('./lib/services/scheduler-service');
 const SystemService = require('./lib/services/system-service');
@@ -134,7 +150,7 @@ async function bootstrap() {
       new SceneService({
         logger,
         sceneManager,
-        deviceAdapter: { getContext, getDevice, deviceDrivers },
+        deviceAdapter: { getContext, getDevice, deviceDrivers, clearMirrors },
         mqttService,
         versionInfo,
         publishOk, // Pass global publishOk callback for WebSocket broadcasts
@@ -202,6 +218,70 @@ async function bootstrap() {
       )
   );
 
+  container.register(
+    'previewService',
+    ({ logger }) =>
+      new PreviewService({
+        logger,
+        deviceAdapter: { devices, addFrameListener },
+      })
+  );
+
+  container.register(
+    'sceneReloadService',
+    ({ logger, sceneManager, stateStore }) =>
+      new SceneReloadService({
+        logger,
+        sceneManager,
+        deviceAdapter: { devices, getContext, clearSceneState },
+        stateStore,
+        publishOk,
+      })
+  );
+
+  container.register(
+    'sceneIsolationService',
+    ({ logger, sceneManager, stateStore }) =>
+      new SceneIsolationService({
+        logger,
+        sceneManager,
+        deviceAdapter: { getContext, getSceneStateValues },
+        stateStore,
+        publishOk,
+        ...SceneIsolationService.getIsolationOptions(),
+      })
+  );
+
+  container.register(
+    'discoveryService',
+    ({ logger, deviceConfigStore }) =>
+      new DiscoveryService({ logger, deviceConfigStore })
+  );
+
+  container.register(
+    'groupService',
+    ({ logger, deviceConfigStore, sceneService, deviceService }) =>
+      new GroupService({
+        logger,
+        deviceConfigStore,
+        sceneService,
+        deviceService,
+        deviceAdapter: { setMirrors, clearMirrors },
+      })
+  );
+
+  container.register(
+    'playlistService',
+    ({ logger, deviceConfigStore, sceneService, groupService, stateStore }) =>
+      new PlaylistService({
+        logger,
+        deviceConfigStore,
+        sceneService,
+        groupService,
+        stateStore,
+      })
+  );
+
   container.register(
     'testResultsParser',
     ({ logger }) => new TestResultsParser({ logger })
@@ -268,10 +348,11 @@ async function bootstrap() {
 
   container.register(
     'stateCommandHandler',
-    ({ logger, mqttService, sceneManager }) =>
+    ({ logger, mqttService, sceneManager, deviceConfigStore }) =>
       new StateCommandHandler({
         logger,
         mqttService,
+        deviceConfigStore,
         deviceDefaults,
         lastState,
         sceneManager,
@@ -283,6 +364,54 @@ async function bootstrap() {
       })
   );
 
+  container.register(
+    'settingsCommandHandler',
+    ({ logger, mqttService, deviceService }) =>
+      new SettingsCommandHandler({
+        logger,
+        mqttService,
+        deviceService,
+      })
+  );
+
+  container.register(
+    'toolsCommandHandler',
+    ({ logger, mqttService, deviceService }) =>
+      new ToolsCommandHandler({
+        logger,
+        mqttService,
+        deviceService,
+      })
+  );
+
+  container.register(
+    'playlistCommandHandler',
+    ({ logger, mqttService, playlistService }) =>
+      new PlaylistCommandHandler({
+        logger,
+        mqttService,
+        playlistService,
+      })
+  );
+
+  container.register(
+    'commandRouter',
+    ({
+      logger,
+      settingsCommandHandler,
+      toolsCommandHandler,
+      playlistCommandHandler,
+    }) =>
+      new CommandRouter({
+        logger,
+        handlers: {
+          settings: settingsCommandHandler,
+          tools: toolsCommandHandler,
+          playlist: playlistCommandHandler,
+        },
+      })
+  );
+
   logger.ok('✅ DI Container initialized with services:', {
     services: container.getServiceNames(),
   });
@@ -293,6 +422,34 @@ async function bootstrap() {
   // Inject StateStore into device-adapter for per-device logging preferences
   setStateStore(stateStore);
 
+  // Drivers with an MQTT transport (AWTRIX) publish through the shared broker
+  setMqttService(mqttService);
+
+  // pixoo/<device>/... accepts the stable device id as well as the IP
+  mqttService.setDeviceResolver((ref) => deviceConfigStore.resolveIp(ref));
+
+  // pixoo/group/<name>/state/upd plays a scene on all group members
+  const groupService = container.resolve('groupService');
+  mqttService.registerGroupHandler('state', (name, action, payload) =>
+    groupService.handleStateUpdate(name, action, payload)
+  );
+
+  // pixoo/group/<name>/playlist/<action> controls the group's playlist
+  const playlistService = container.resolve('playlistService');
+  mqttService.registerGroupHandler('playlist', (name, action, payload) =>
+    playlistService.handleGroupCommand(name, action, payload)
+  );
+
+  // pixoo/<device>/settings/set changes Pixoo hardware settings,
+  // pixoo/<device>/tools/<tool> runs a native tool (timer, buzzer, ...),
+  // pixoo/<device>/playlist/<action> controls the device's playlist
+  const commandRouter = container.resolve('commandRouter');
+  for (const section of commandRouter.getHandlerSections()) {
+    mqttService.registerHandler(section, (deviceIp, action, payload) =>
+      commandRouter.dispatch(section, deviceIp, action, payload)
+    );
+  }
+
   // Restore persisted runtime state from previous session
   try {
     await stateStore.restore();
@@ -331,6 +488,24 @@ async function bootstrap() {
 
   logger.ok(`Loaded ${sceneLoadResults.scenes.size} scene(s) successfully`);
 
+  // Dev mode: reload scenes when their files change (PIDICON_SCENE_HOT_RELOAD)
+  const sceneHotReload = SceneReloadService.isHotReloadEnabled();
+  const sceneReloadService = container.resolve('sceneReloadService');
+  if (sceneHotReload) {
+    sceneReloadService.watch(path.join(__dirname, 'scenes'), 'core');
+  }
+
+  // Optional: each device's scene in its own worker (PIDICON_SCENE_ISOLATION)
+  const sceneIsolationService = container.resolve('sceneIsolationService');
+  if (sceneIsolationService.enabled) {
+    sceneManager.setSceneIsolation(sceneIsolationService);
+    logger.info('🧵 Scenes run in isolated worker threads', {
+      frameBudgetMs: sceneIsolationService.frameBudgetMs,
+      memoryLimitMb: sceneIsolationService.memoryLimitMb,
+      fallbackScene: sceneIsolationService.fallbackScene,
+    });
+  }
+
   const startTs = new Date().toLocaleString('de-AT');
   logger.ok('**************************************************');
   logger.ok(`🚀 Starting Pixoo Daemon at [${startTs}] ...`);
@@ -363,6 +538,8 @@ async function bootstrap() {
       logger.info('Loading device configuration...');
       try {
         await deviceConfigStore.load();
+        // Persist runtime state by device id; re-keys state restored above
+        stateStore.useDeviceIdentity(deviceConfigStore);
         const configSettings = deviceConfigStore.getSettings();
         if (!persistedMqttConfig?.brokerUrl && configSettings.mqttBrokerUrl) {
           mqttConfig.brokerUrl = configSettings.mqttBrokerUrl;
@@ -374,6 +551,18 @@ async function bootstrap() {
           deviceConfigStore.getAllDevices().values()
         );
 
+        // Plugin device types must exist before their devices are created
+        if (configSettings.driversPath) {
+          const pluginResults = loadDriverPlugins(configSettings.driversPath, {
+            logger,
+          });
+          if (pluginResults.errors.length > 0) {
+            logger.warn(
+              `Failed to load ${pluginResults.errors.length} driver plugin(s)`
+            );
+          }
+        }
+
         registerDevicesFromConfig(configuredDevices);
 
         const rehydratedDevices = new Set();
@@ -392,6 +581,9 @@ async function bootstrap() {
               `Failed to load ${userSceneResults.errors.length} user scene(s)`
             );
           }
+          if (sceneHotReload) {
+            sceneReloadService.watch(settings.scenesPath, 'user');
+          }
         }
 
         if (configuredDevices.length > 0) {
@@ -411,6 +603,10 @@ async function bootstrap() {
                 logger.debug(`Set driver for ${ip}: ${driver}`);
               }
 
+              // Persisted hardware settings (rotation, clock format, ...) win
+              // over whatever was changed on the device in the meantime
+              await deviceService.applyConfiguredHardwareSettings(ip);
+
               const persistedDeviceState = persistedSnapshot.devices?.[ip];
 
               if (persistedDeviceState) {
@@ -499,6 +695,9 @@ async function bootstrap() {
   const schedulerService = container.resolve('schedulerService');
   schedulerService.start();
 
+  // Continue playlists at the entry they were on before the restart
+  await playlistService.resume();
+
   // Run automated tests in background to populate test results
   // This runs asynchronously and doesn't block daemon startup
   const runTestsOnStartup = stateStore.getGlobal('settings.runTestsOnStartup');
@@ -541,6 +740,11 @@ async function bootstrap() {
       'pixoo/+/scene/set',
       'pixoo/+/driver/set',
       'pixoo/+/reset/set',
+      'pixoo/+/settings/set',
+      'pixoo/+/tools/+',
+      'pixoo/+/playlist/+',
+      'pixoo/group/+/state/upd',
+      'pixoo/group/+/playlist/+',
     ]);
   });
 
@@ -590,6 +794,9 @@ async function shutdown(signal) {
     await stateStore.flush();
     logger.ok('State persisted successfully');
 
+    container.resolve('sceneReloadService').stop();
+    await container.resolve('sceneIsolationService').stop();
+
     const mqttService = container.resolve('mqttService');
     logger.info('Disconnecting from MQTT...');
     await mqttService.disconnect();
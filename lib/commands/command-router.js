@@ -2,7 +2,7 @@
  * @fileoverview CommandRouter - Routes MQTT messages to appropriate handlers
  * @description Implements command routing pattern to dispatch MQTT messages
  * to the correct command handler based on the topic section (scene, driver,
- * reset, state). Provides consistent error handling and validation.
+ * reset, state, settings). Provides consistent error handling and validation.
  * @author Markus Barta (mba) with assistance from Cursor AI
  * @license GPL-3.0-or-later
  */
@@ -25,6 +25,7 @@ class CommandRouter {
    * @param {Object} dependencies.handlers.driver - DriverCommandHandler
    * @param {Object} dependencies.handlers.reset - ResetCommandHandler
    * @param {Object} dependencies.handlers.state - StateCommandHandler
+   * @param {Object} dependencies.handlers.settings - SettingsCommandHandler
    */
   constructor({ logger, handlers }) {
     if (!logger) {
@@ -77,20 +78,7 @@ class CommandRouter {
       }
 
       const { deviceIp, section, action } = parsed;
-
-      // Get handler for this section
-      const handler = this.handlers.get(section);
-
-      if (!handler) {
-        this.logger.warn(`No handler registered for section: ${section}`, {
-          topic,
-        });
-        return;
-      }
-
-      // Route to handler
-      this.logger.debug(`Routing ${section}/${action} command for ${deviceIp}`);
-      await handler.handle(deviceIp, action, payload);
+      await this.dispatch(section, deviceIp, action, payload);
     } catch (error) {
       this.logger.error('Command routing failed:', {
         topic,
@@ -99,6 +87,30 @@ class CommandRouter {
     }
   }
 
+  /**
+   * Dispatch an already parsed command to its handler. Matches the
+   * signature of MqttService section handlers, so the router can be
+   * registered for each of its sections.
+   * @param {string} section - Topic section (e.g., 'settings')
+   * @param {string} deviceIp - Device IP address
+   * @param {string|null} action - Action (e.g., 'set')
+   * @param {Object} payload - Command payload
+   * @returns {Promise<void>}
+   */
+  async dispatch(section, deviceIp, action, payload) {
+    const handler = this.handlers.get(section);
+
+    if (!handler) {
+      this.logger.warn(`No handler registered for section: ${section}`, {
+        deviceIp,
+      });
+      return;
+    }
+
+    this.logger.debug(`Routing ${section}/${action} command for ${deviceIp}`);
+    await handler.handle(deviceIp, action, payload);
+  }
+
   /**
    * Parse MQTT topic into components
    * @param {string} topic - MQTT topic
@@ -0,0 +1,67 @@
+/**
+ * @fileoverview PlaylistCommandHandler - Handles playlist commands
+ * @description Processes MQTT commands that start, skip and stop the scene
+ * playlists of a device. The command is the topic action:
+ * pixoo/<device>/playlist/set|next|prev|stop.
+ * @author Markus Barta (mba) with assistance from Cursor AI
+ * @license GPL-3.0-or-later
+ */
+
+'use strict';
+
+const CommandHandler = require('./command-handler');
+const { ValidationError } = require('../errors');
+
+/**
+ * Handles playlist-related MQTT commands
+ * @extends CommandHandler
+ */
+class PlaylistCommandHandler extends CommandHandler {
+  /**
+   * Create a PlaylistCommandHandler
+   * @param {Object} dependencies - Injected dependencies
+   * @param {Object} dependencies.logger - Logger instance
+   * @param {Object} dependencies.mqttService - MQTT service
+   * @param {Object} dependencies.playlistService - PlaylistService instance
+   */
+  constructor({ logger, mqttService, playlistService }) {
+    super({ logger, mqttService });
+
+    if (!playlistService) {
+      throw new ValidationError('playlistService is required');
+    }
+
+    this.playlistService = playlistService;
+  }
+
+  /**
+   * Handle playlist command
+   * @param {string} deviceIp - Device IP address
+   * @param {string} action - Command from the topic ('set', 'next', 'prev', 'stop')
+   * @param {Object} payload - For 'set': { "playlist": "morning", "position": 0 }
+   * @returns {Promise<void>}
+   */
+  async handle(deviceIp, action, payload) {
+    try {
+      const status = await this.playlistService.handleCommand(
+        { device: deviceIp },
+        action,
+        payload
+      );
+
+      this._publishResponse(deviceIp, 'playlist', { ok: true, action, status });
+    } catch (error) {
+      this.logger.error(`Playlist command failed for ${deviceIp}:`, {
+        action,
+        error: error.message,
+      });
+
+      this._publishError(deviceIp, error.message, {
+        context: 'playlist command',
+        action,
+      });
+    }
+  }
+}
+
+module.exports = PlaylistCommandHandler;
@@ -0,0 +1,84 @@
+/**
+ * @fileoverview SettingsCommandHandler - Handles Pixoo hardware settings commands
+ * @description Processes MQTT commands that change hardware settings (screen
+ * rotation, mirror mode, clock format, temperature unit, white balance,
+ * timezone). Settings are validated, sent to the device and persisted in the
+ * device config by DeviceService.
+ * @author Markus Barta (mba) with assistance from Cursor AI
+ * @license GPL-3.0-or-later
+ */
+
+'use strict';
+
+const CommandHandler = require('./command-handler');
+const { ValidationError } = require('../errors');
+
+/**
+ * Handles settings-related MQTT commands
+ * @extends CommandHandler
+ */
+class SettingsCommandHandler extends CommandHandler {
+  /**
+   * Create a SettingsCommandHandler
+   * @param {Object} dependencies - Injected dependencies
+   * @param {Object} dependencies.logger - Logger instance
+   * @param {Object} dependencies.mqttService - MQTT service
+   * @param {Object} dependencies.deviceService - DeviceService instance
+   */
+  constructor({ logger, mqttService, deviceService }) {
+    super({ logger, mqttService });
+
+    if (!deviceService) {
+      throw new ValidationError('deviceService is required');
+    }
+
+    this.deviceService = deviceService;
+  }
+
+  /**
+   * Handle settings command
+   * @param {string} deviceIp - Device IP address
+   * @param {string} action - Action ('set')
+   * @param {Object} payload - Settings to change, e.g. { "rotation": 180 }
+   * @returns {Promise<void>}
+   */
+  async handle(deviceIp, action, payload) {
+    if (action === 'set') {
+      await this._handleSet(deviceIp, payload);
+    } else {
+      this.logger.warn(`Unknown settings action: ${action}`);
+    }
+  }
+
+  /**
+   * Handle settings/set command
+   * @param {string} deviceIp - Device IP address
+   * @param {Object} payload - Settings to change
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _handleSet(deviceIp, payload) {
+    try {
+      const result = await this.deviceService.setHardwareSettings(
+        deviceIp,
+        payload
+      );
+
+      // Publish the full (merged) settings, like driver/scene responses
+      this._publishResponse(deviceIp, 'settings', {
+        ok: true,
+        settings: result.settings,
+      });
+    } catch (error) {
+      this.logger.error(`Settings command failed for ${deviceIp}:`, {
+        error: error.message,
+      });
+
+      this._publishError(deviceIp, error.message, {
+        context: 'settings command',
+      });
+    }
+  }
+}
+
+module.exports = SettingsCommandHandler;
@@ -11,6 +11,10 @@
 'use strict';
 
 const CommandHandler = require('./command-handler');
+const {
+  omitTransition,
+  resolveSwitchTransition,
+} = require('../core/scene-transitions');
 const { ValidationError } = require('../errors');
 
 /**
@@ -31,6 +35,8 @@ class StateCommandHandler extends CommandHandler {
    * @param {Function} dependencies.getDevice - Function to get device instance
    * @param {Function} dependencies.getDriverForDevice - Function to get driver name
    * @param {Object} dependencies.versionInfo - Version/build information
+   * @param {Object} [dependencies.deviceConfigStore] - Device configurations
+   *   (device transition and scene overrides)
    */
   constructor({
     logger,
@@ -43,6 +49,7 @@ class StateCommandHandler extends CommandHandler {
     getDevice,
     getDriverForDevice,
     versionInfo,
+    deviceConfigStore = null,
   }) {
     super({ logger, mqttService });
 
@@ -79,6 +86,7 @@ class StateCommandHandler extends CommandHandler {
     this.getDevice = getDevice;
     this.getDriverForDevice = getDriverForDevice;
     this.versionInfo = versionInfo;
+    this.deviceConfigStore = deviceConfigStore;
   }
 
   /**
@@ -96,6 +104,32 @@ class StateCommandHandler extends CommandHandler {
     }
   }
 
+  /**
+   * Transition into the scene, with the same priority as
+   * SceneService.switchToScene: device transition < device scene overrides <
+   * MQTT payload
+   * @param {string} deviceIp - Device IP address
+   * @param {string} sceneName - Incoming scene
+   * @param {Object} payload - State payload
+   * @returns {{type: string, duration: number}|null} Transition or null
+   * @private
+   */
+  _resolveTransition(deviceIp, sceneName, payload) {
+    let deviceConfig = null;
+    try {
+      deviceConfig = this.deviceConfigStore?.getDevice(deviceIp) || null;
+    } catch (error) {
+      this.logger.warn(`Failed to load device config for ${deviceIp}:`, {
+        error: error.message,
+      });
+    }
+    return resolveSwitchTransition(
+      deviceConfig?.transition || null,
+      deviceConfig?.getSceneDefaults(sceneName),
+      payload,
+    );
+  }
+
   /**
    * Handle state/upd command - FULL IMPLEMENTATION
    * @param {string} deviceIp - Device IP address
@@ -175,8 +209,11 @@ class StateCommandHandler extends CommandHandler {
       this.mqttService.publish(`pixoo/${ip}/ok`, msg);
     };
 
-    const ctx = this.getContext(deviceIp, sceneName, payload, publishOk);
-    ctx.payload = payload;
+    // The transition belongs to the switch, not to the scene's config or state
+    const sceneConfig = omitTransition(payload);
+    const ctx = this.getContext(deviceIp, sceneName, sceneConfig, publishOk);
+    ctx.payload = sceneConfig;
+    ctx.transition = this._resolveTransition(deviceIp, sceneName, payload);
 
     // Detect scene changes and parameter changes
     const lastScene = this.lastState[deviceIp]?.sceneName;
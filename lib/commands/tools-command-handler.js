@@ -0,0 +1,65 @@
+/**
+ * @fileoverview ToolsCommandHandler - Handles native device tool commands
+ * @description Processes MQTT commands for the tools built into the device
+ * firmware (countdown timer, stopwatch, scoreboard, noise meter, buzzer).
+ * The tool is the topic action: pixoo/<device>/tools/<tool>.
+ * @author Markus Barta (mba) with assistance from Cursor AI
+ * @license GPL-3.0-or-later
+ */
+
+'use strict';
+
+const CommandHandler = require('./command-handler');
+const { ValidationError } = require('../errors');
+
+/**
+ * Handles tools-related MQTT commands
+ * @extends CommandHandler
+ */
+class ToolsCommandHandler extends CommandHandler {
+  /**
+   * Create a ToolsCommandHandler
+   * @param {Object} dependencies - Injected dependencies
+   * @param {Object} dependencies.logger - Logger instance
+   * @param {Object} dependencies.mqttService - MQTT service
+   * @param {Object} dependencies.deviceService - DeviceService instance
+   */
+  constructor({ logger, mqttService, deviceService }) {
+    super({ logger, mqttService });
+
+    if (!deviceService) {
+      throw new ValidationError('deviceService is required');
+    }
+
+    this.deviceService = deviceService;
+  }
+
+  /**
+   * Handle tool command
+   * @param {string} deviceIp - Device IP address
+   * @param {string} tool - Tool name from the topic (e.g., 'timer')
+   * @param {Object} payload - Tool parameters, e.g. { "action": "start", "minutes": 5 }
+   * @returns {Promise<void>}
+   */
+  async handle(deviceIp, tool, payload) {
+    try {
+      // A null payload (e.g. a plain buzzer beep) means default parameters
+      const params = payload && typeof payload === 'object' ? payload : {};
+      await this.deviceService.runNativeTool(deviceIp, tool, params);
+
+      this._publishResponse(deviceIp, 'tools', { ok: true, tool });
+    } catch (error) {
+      this.logger.error(`Tool command failed for ${deviceIp}:`, {
+        tool,
+        error: error.message,
+      });
+
+      this._publishError(deviceIp, error.message, {
+        context: 'tools command',
+        tool,
+      });
+    }
+  }
+}
+
+module.exports = ToolsCommandHandler;
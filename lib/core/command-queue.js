@@ -0,0 +1,267 @@
+/**
+ * @fileoverview Per-Device Command Queue
+ * @description Serializes the HTTP calls a driver makes to one host. Frame
+ * pushes are limited to the device's maxFps, a pending frame is replaced by a
+ * newer one (coalescing), and control commands (power, brightness, settings)
+ * jump ahead of queued frames. Calls made while a queued command runs (e.g.
+ * the HTTP requests of one frame push) pass straight through.
+ * @author Markus Barta (mba) with assistance from Cursor AI
+ * @license GPL-3.0-or-later
+ */
+
+const { AsyncLocalStorage } = require('node:async_hooks');
+
+/**
+ * Command priorities, lower runs first
+ */
+const PRIORITIES = Object.freeze({
+  control: 0, // Power, brightness, settings, tools
+  request: 1, // Health checks, initialization, everything else
+  frame: 2, // Frame and animation pushes (rate limited)
+});
+
+/**
+ * Result of a coalesced command that a newer one replaced before it ran
+ */
+const SUPERSEDED = Symbol('superseded');
+
+// The queue whose command is currently running in this async context
+const activeQueue = new AsyncLocalStorage();
+
+/**
+ * Command queue for a single host
+ *
+ * @example
+ * const queue = getCommandQueue('192.168.1.100', { maxFps: 5 });
+ * await queue.run(() => sendFrame(frame), { priority: 'frame', coalesce: true });
+ * await queue.run(() => setBrightness(50), { priority: 'control' });
+ */
+class CommandQueue {
+  /**
+   * @param {string} host - Device host
+   * @param {Object} [options]
+   * @param {number} [options.maxFps=0] - Frame rate limit (0 = unlimited)
+   */
+  constructor(host, { maxFps = 0 } = {}) {
+    this.host = host;
+    this.setMaxFps(maxFps);
+
+    this.pending = [];
+    this.running = false;
+    this.lastFrameAt = 0;
+    this.wakeUp = null;
+
+    this.stats = {
+      processed: 0,
+      dropped: 0,
+      maxDepth: 0,
+      totalWaitMs: 0,
+      maxWaitMs: 0,
+      lastWaitMs: 0,
+    };
+  }
+
+  /**
+   * Change the frame rate limit
+   * @param {number} maxFps - Frames per second (0 = unlimited)
+   */
+  setMaxFps(maxFps) {
+    this.maxFps = maxFps > 0 ? maxFps : 0;
+    this.minFrameIntervalMs = this.maxFps > 0 ? 1000 / this.maxFps : 0;
+  }
+
+  /**
+   * Run a command once all earlier commands of the host are done
+   * @param {Function} task - Async function doing the actual HTTP call(s)
+   * @param {Object} [options]
+   * @param {string} [options.priority='request'] - 'control', 'request' or 'frame'
+   * @param {boolean} [options.coalesce=false] - Replace the newest pending
+   *   command of the same priority if it was also queued with coalesce
+   *   (superseded frames)
+   * @returns {Promise<*>} Result of the task, or SUPERSEDED if a newer
+   *   command replaced it before it ran
+   */
+  run(task, { priority = 'request', coalesce = false } = {}) {
+    if (!(priority in PRIORITIES)) {
+      throw new Error(`Unknown command priority: ${priority}`);
+    }
+
+    // Nested call from the running command: it already owns the device
+    if (activeQueue.getStore() === this) {
+      return task();
+    }
+
+    return new Promise((resolve, reject) => {
+      const entry = {
+        task,
+        priority: PRIORITIES[priority],
+        coalesce,
+        enqueuedAt: Date.now(),
+        resolve,
+        reject,
+      };
+
+      // Only the newest pending command of the same priority can be replaced,
+      // so nothing queued after it (e.g. an animation) changes order
+      const index = this.pending.findLastIndex(
+        (other) => other.priority === entry.priority
+      );
+
+      if (coalesce && index >= 0 && this.pending[index].coalesce) {
+        // Keep the queue position, send the newer content
+        const superseded = this.pending[index];
+        this.pending[index] = entry;
+        this.stats.dropped++;
+        superseded.resolve(SUPERSEDED);
+      } else {
+        this.pending.push(entry);
+        this.stats.maxDepth = Math.max(
+          this.stats.maxDepth,
+          this.pending.length
+        );
+      }
+
+      this._wake();
+      this._drain();
+    });
+  }
+
+  /**
+   * Queue statistics for the metrics API
+   * @returns {Object} {depth, maxDepth, processed, dropped, avgWaitMs, maxWaitMs, lastWaitMs, maxFps}
+   */
+  getMetrics() {
+    const { processed, dropped, maxDepth, totalWaitMs, maxWaitMs, lastWaitMs } =
+      this.stats;
+    return {
+      depth: this.pending.length,
+      maxDepth,
+      processed,
+      dropped,
+      avgWaitMs: processed > 0 ? Math.round(totalWaitMs / processed) : 0,
+      maxWaitMs,
+      lastWaitMs,
+      maxFps: this.maxFps,
+    };
+  }
+
+  /**
+   * Run pending commands one at a time until the queue is empty
+   * @private
+   */
+  async _drain() {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      while (this.pending.length > 0) {
+        const entry = this._next();
+
+        if (entry.priority === PRIORITIES.frame) {
+          const delay = this.lastFrameAt + this.minFrameIntervalMs - Date.now();
+          if (delay > 0) {
+            // Commands arriving meanwhile wake us up and may go first
+            await this._sleep(delay);
+            continue;
+          }
+          this.lastFrameAt = Date.now();
+        }
+
+        this.pending.splice(this.pending.indexOf(entry), 1);
+        this._recordWait(Date.now() - entry.enqueuedAt);
+
+        try {
+          entry.resolve(await activeQueue.run(this, entry.task));
+        } catch (error) {
+          entry.reject(error);
+        }
+      }
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Oldest pending command with the highest priority
+   * @private
+   */
+  _next() {
+    return this.pending.reduce((best, entry) =>
+      entry.priority < best.priority ? entry : best
+    );
+  }
+
+  /**
+   * @private
+   */
+  _sleep(ms) {
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        this.wakeUp = null;
+        resolve();
+      }, ms);
+      this.wakeUp = () => {
+        clearTimeout(timer);
+        this.wakeUp = null;
+        resolve();
+      };
+    });
+  }
+
+  /**
+   * @private
+   */
+  _wake() {
+    if (this.wakeUp) this.wakeUp();
+  }
+
+  /**
+   * @private
+   */
+  _recordWait(waitMs) {
+    this.stats.processed++;
+    this.stats.totalWaitMs += waitMs;
+    this.stats.maxWaitMs = Math.max(this.stats.maxWaitMs, waitMs);
+    this.stats.lastWaitMs = waitMs;
+  }
+}
+
+// One queue per host, shared by everything that talks to the device
+const queues = new Map();
+
+/**
+ * Get (or create) the command queue of a host
+ * @param {string} host - Device host
+ * @param {Object} [options]
+ * @param {number} [options.maxFps] - Update the frame rate limit
+ * @returns {CommandQueue}
+ */
+function getCommandQueue(host, { maxFps } = {}) {
+  let queue = queues.get(host);
+  if (!queue) {
+    queue = new CommandQueue(host);
+    queues.set(host, queue);
+  }
+  if (maxFps !== undefined) {
+    queue.setMaxFps(maxFps);
+  }
+  return queue;
+}
+
+/**
+ * Queue statistics of a host
+ * @param {string} host - Device host
+ * @returns {Object|null} See CommandQueue#getMetrics, null if nothing was sent yet
+ */
+function getCommandQueueMetrics(host) {
+  const queue = queues.get(host);
+  return queue ? queue.getMetrics() : null;
+}
+
+module.exports = {
+  CommandQueue,
+  PRIORITIES,
+  SUPERSEDED,
+  getCommandQueue,
+  getCommandQueueMetrics,
+};
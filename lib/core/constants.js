@@ -36,11 +36,27 @@ const CORE_CONSTANTS = {
  * Device type identifiers
  */
 const DEVICE_TYPES = {
+  PIXOO16: 'pixoo16',
+  PIXOO32: 'pixoo32',
   PIXOO64: 'pixoo64',
+  PIXOO128: 'pixoo128',
   AWTRIX: 'awtrix',
+  WLED: 'wled',
+  UDP: 'udp', // Raw pixel stream (DDP, E1.31, Art-Net)
+  WALL: 'wall', // Virtual canvas spanning several devices
   CUSTOM: 'custom',
 };
 
+/**
+ * Device types served by the Pixoo HTTP driver (all square panels)
+ */
+const PIXOO_DEVICE_TYPES = [
+  DEVICE_TYPES.PIXOO16,
+  DEVICE_TYPES.PIXOO32,
+  DEVICE_TYPES.PIXOO64,
+  DEVICE_TYPES.PIXOO128,
+];
+
 /**
  * Driver types
  */
@@ -56,6 +72,7 @@ const PROTOCOL_TYPES = {
   HTTP: 'http',
   MQTT: 'mqtt',
   WEBSOCKET: 'websocket',
+  UDP: 'udp',
   CUSTOM: 'custom',
 };
 
@@ -63,5 +80,6 @@ module.exports = {
   CORE_CONSTANTS,
   DEVICE_TYPES,
   DRIVER_TYPES,
+  PIXOO_DEVICE_TYPES,
   PROTOCOL_TYPES,
 };
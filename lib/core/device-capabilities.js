@@ -18,6 +18,7 @@ class DisplayCapabilities {
     colorDepth = 24,
     supportsBrightness = true,
     supportsIcons = false,
+    supportsNativeTools = false, // On-device timer, scoreboard, buzzer, ...
     protocolType = 'http', // 'http', 'mqtt', 'custom'
   }) {
     this.width = width;
@@ -28,6 +29,7 @@ class DisplayCapabilities {
     this.colorDepth = colorDepth;
     this.supportsBrightness = supportsBrightness;
     this.supportsIcons = supportsIcons;
+    this.supportsNativeTools = supportsNativeTools;
     this.protocolType = protocolType;
   }
 
@@ -53,20 +55,33 @@ class DisplayCapabilities {
 }
 
 /**
- * Predefined device profiles
+ * Build the capabilities of a square Pixoo panel
+ * @param {number} size - Edge length in pixels
+ * @returns {DisplayCapabilities}
  */
-const DEVICE_PROFILES = {
-  PIXOO64: new DisplayCapabilities({
-    width: 64,
-    height: 64,
+function pixooProfile(size) {
+  return new DisplayCapabilities({
+    width: size,
+    height: size,
     supportsAnimations: true,
     supportsAudio: false,
     maxFps: 5,
     colorDepth: 24,
     supportsBrightness: true,
     supportsIcons: false,
+    supportsNativeTools: true,
     protocolType: 'http',
-  }),
+  });
+}
+
+/**
+ * Predefined device profiles
+ */
+const DEVICE_PROFILES = {
+  PIXOO16: pixooProfile(16),
+  PIXOO32: pixooProfile(32),
+  PIXOO64: pixooProfile(64),
+  PIXOO128: pixooProfile(128),
 
   AWTRIX: new DisplayCapabilities({
     width: 32,
@@ -77,11 +92,120 @@ const DEVICE_PROFILES = {
     colorDepth: 24,
     supportsBrightness: true,
     supportsIcons: true,
+    supportsNativeTools: false,
     protocolType: 'mqtt',
   }),
+
+  // Default WLED matrix; drivers replace width/height with the real layout
+  WLED: new DisplayCapabilities({
+    width: 16,
+    height: 16,
+    supportsAnimations: false,
+    supportsAudio: false,
+    maxFps: 15,
+    colorDepth: 24,
+    supportsBrightness: true,
+    supportsIcons: false,
+    supportsNativeTools: false,
+    protocolType: 'http',
+  }),
+
+  // Generic UDP pixel output; drivers replace width/height with the configured layout
+  UDP: new DisplayCapabilities({
+    width: 64,
+    height: 64,
+    supportsAnimations: false,
+    supportsAudio: false,
+    maxFps: 30,
+    colorDepth: 24,
+    supportsBrightness: true,
+    supportsIcons: false,
+    supportsNativeTools: false,
+    protocolType: 'udp',
+  }),
+
+  // Video wall of tiled devices; drivers derive width/height from the layout
+  WALL: new DisplayCapabilities({
+    width: 128,
+    height: 64,
+    supportsAnimations: false,
+    supportsAudio: false,
+    maxFps: 5,
+    colorDepth: 24,
+    supportsBrightness: true,
+    supportsIcons: false,
+    supportsNativeTools: false,
+    protocolType: 'custom',
+  }),
+};
+
+// Profiles of device types added by driver plugins (see core/driver-plugins)
+const PLUGIN_PROFILES = new Map(); // DEVICE TYPE -> DisplayCapabilities
+
+/**
+ * Look up the profile for a device type identifier
+ * @param {string} deviceType - Device type (e.g., 'pixoo32', 'awtrix')
+ * @returns {DisplayCapabilities|null} Profile, or null for unknown types
+ */
+function getDeviceProfile(deviceType) {
+  const key = String(deviceType || '').toUpperCase();
+  return DEVICE_PROFILES[key] || PLUGIN_PROFILES.get(key) || null;
+}
+
+/**
+ * Add (or remove) the profile of a plugin device type
+ * @param {string} deviceType - Device type identifier
+ * @param {DisplayCapabilities|null} profile - Profile, null to remove it
+ */
+function registerDeviceProfile(deviceType, profile) {
+  const key = String(deviceType).toUpperCase();
+  if (profile) {
+    PLUGIN_PROFILES.set(key, profile);
+  } else {
+    PLUGIN_PROFILES.delete(key);
+  }
+}
+
+// Scene device types a device type can play besides its own: generic pixel
+// outputs run the scenes written for a Pixoo 64
+const COMPATIBLE_SCENE_DEVICE_TYPES = {
+  udp: ['pixoo64'],
+  wall: ['pixoo64'],
 };
 
+/**
+ * Scene device types (`scene.deviceTypes`) a device can play
+ * @param {string} deviceType - Device type (e.g., 'udp')
+ * @returns {string[]} The device type itself plus its compatible types
+ */
+function getSceneDeviceTypes(deviceType) {
+  const type = String(deviceType || '').toLowerCase();
+  return [type, ...(COMPATIBLE_SCENE_DEVICE_TYPES[type] || [])];
+}
+
+/**
+ * Check a scene's device types against a device type. Scenes without
+ * device types run everywhere.
+ * @param {string[]|undefined} sceneDeviceTypes - The scene's `deviceTypes`
+ * @param {string} deviceType - Device type of the target device
+ * @returns {boolean}
+ */
+function isSceneDeviceTypeCompatible(sceneDeviceTypes, deviceType) {
+  if (!Array.isArray(sceneDeviceTypes) || sceneDeviceTypes.length === 0) {
+    return true;
+  }
+  const accepted = getSceneDeviceTypes(deviceType);
+  return sceneDeviceTypes.some((type) =>
+    accepted.includes(String(type).toLowerCase())
+  );
+}
+
 module.exports = {
   DisplayCapabilities,
   DEVICE_PROFILES,
+  COMPATIBLE_SCENE_DEVICE_TYPES,
+  getDeviceProfile,
+  getSceneDeviceTypes,
+  isSceneDeviceTypeCompatible,
+  registerDeviceProfile,
 };
@@ -5,11 +5,38 @@
  * @license GPL-3.0-or-later
  */
 
+/**
+ * Methods every driver must override (driver plugins are checked against this)
+ */
+const REQUIRED_METHODS = Object.freeze([
+  'initialize',
+  'clear',
+  'push',
+  'drawPixel',
+  'drawText',
+  'drawLine',
+  'fillRect',
+]);
+
+/**
+ * RGBA drawing methods the device proxy forwards scene calls to; the base class
+ * has no defaults for these, so every driver must provide them as well
+ */
+const CANVAS_METHODS = Object.freeze([
+  'drawPixelRgba',
+  'drawLineRgba',
+  'drawRectangleRgba',
+  'drawTextRgbaAligned',
+]);
+
 /**
  * Base class for all device drivers
  * All device-specific drivers must extend this class and implement its methods
  */
 class DeviceDriver {
+  static REQUIRED_METHODS = REQUIRED_METHODS;
+  static CANVAS_METHODS = CANVAS_METHODS;
+
   constructor(host, capabilities) {
     if (new.target === DeviceDriver) {
       throw new Error(
@@ -51,9 +78,10 @@ class DeviceDriver {
 
   /**
    * Push the current buffer to the device
-   * @returns {Promise<void>}
+   * @param {string} [_sceneName] - Scene that rendered the frame (video walls pass it on to their tiles)
+   * @returns {Promise<boolean|void>} - false if the frame was skipped as unchanged
    */
-  async push() {
+  async push(_sceneName) {
     throw new Error('DeviceDriver.push() must be implemented by subclass');
   }
 
@@ -115,6 +143,16 @@ class DeviceDriver {
     return false; // Not supported by default
   }
 
+  /**
+   * Run a tool built into the device firmware (capability supportsNativeTools)
+   * @param {string} _tool - Tool name (e.g., 'timer', 'scoreboard')
+   * @param {Object} _params - Tool parameters
+   * @returns {Promise<boolean>} - true if supported and accepted, false otherwise
+   */
+  async runNativeTool(_tool, _params) {
+    return false; // Not supported by default
+  }
+
   /**
    * Set a predefined icon (for devices with icon support like AWTRIX)
    * @param {string} _iconId - Icon identifier
@@ -124,6 +162,45 @@ class DeviceDriver {
     return false; // Not supported by default
   }
 
+  /**
+   * Snapshot the current framebuffer (for devices with native animations)
+   * @returns {Uint8Array|null} Copy of the buffer, or null if not supported
+   */
+  captureFrame() {
+    return null; // Not supported by default
+  }
+
+  /**
+   * Current framebuffer contents (live reference, for previews)
+   * @returns {{width: number, height: number, buf: Uint8Array}|null} RGB
+   *   frame, or null if the driver keeps no framebuffer
+   */
+  getFrame() {
+    const { buffer } = this;
+    if (!buffer || !buffer.buf || !buffer.width || !buffer.height) {
+      return null;
+    }
+    return { width: buffer.width, height: buffer.height, buf: buffer.buf };
+  }
+
+  /**
+   * Forget the last pushed frame so the next push is sent unconditionally
+   * (only meaningful for drivers that skip unchanged frames)
+   */
+  invalidateFrame() {
+    // No-op by default
+  }
+
+  /**
+   * Upload a multi-frame animation that the device plays on its own
+   * @param {Array<Uint8Array>} _frames - Frames from captureFrame()
+   * @param {number} _speed - Display time per frame in milliseconds
+   * @returns {Promise<number|boolean>} - Frames uploaded, or false if not supported
+   */
+  async pushAnimation(_frames, _speed) {
+    return false; // Not supported by default
+  }
+
   /**
    * Set display brightness
    * @param {number} _level - Brightness level 0-100
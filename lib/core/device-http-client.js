@@ -0,0 +1,246 @@
+/**
+ * @fileoverview Device HTTP Client
+ * @description Shared HTTP client for device I/O. Each host gets a keep-alive
+ * agent (no new TCP connection per frame), timeouts that follow the measured
+ * latency, retries with jitter for idempotent commands, and a latency
+ * histogram for the metrics API and diagnostics.
+ * @author Markus Barta (mba) with assistance from Cursor AI
+ * @license GPL-3.0-or-later
+ */
+
+const http = require('node:http');
+
+const { LatencyHistogram } = require('../util/latency-histogram');
+
+const DEFAULT_OPTIONS = Object.freeze({
+  port: 80,
+  label: 'Device', // Prefix for error messages, e.g. 'Pixoo'
+  timeoutMs: 5000, // Until enough latency samples exist
+  minTimeoutMs: 1000,
+  maxTimeoutMs: 10000,
+  timeoutFactor: 4, // Adaptive timeout = p99 latency * factor
+  minSamples: 20,
+  retries: 2, // Extra attempts for idempotent requests
+  retryDelayMs: 100, // Base backoff, doubled per attempt, with jitter
+});
+
+/**
+ * HTTP client for one device
+ *
+ * @example
+ * const client = getDeviceHttpClient('192.168.1.100', { label: 'Pixoo' });
+ * const { data } = await client.request({
+ *   method: 'POST',
+ *   path: '/post',
+ *   body: JSON.stringify({ Command: 'Channel/GetAllConf' }),
+ *   idempotent: true,
+ * });
+ */
+class DeviceHttpClient {
+  /**
+   * @param {string} host - Device host ('ip' or 'ip:port')
+   * @param {Object} [options] - See DEFAULT_OPTIONS
+   */
+  constructor(host, options = {}) {
+    const [hostname, port] = String(host).split(':');
+    this.host = host;
+    this.hostname = hostname;
+    this.options = {
+      ...DEFAULT_OPTIONS,
+      ...options,
+      port: Number(port) || options.port || DEFAULT_OPTIONS.port,
+    };
+
+    // One socket is enough: the command queue sends one request at a time
+    this.agent = new http.Agent({ keepAlive: true, maxSockets: 1 });
+    this.latency = new LatencyHistogram();
+    this.stats = { requests: 0, failures: 0, timeouts: 0, retries: 0 };
+  }
+
+  /**
+   * Timeout for the next request: a multiple of the p99 latency once enough
+   * samples exist, within minTimeoutMs..maxTimeoutMs. Timed-out attempts count
+   * as samples of their timeout, so it widens again when latency rises.
+   * @returns {number} Timeout in ms
+   */
+  getTimeoutMs() {
+    const { timeoutMs, minTimeoutMs, maxTimeoutMs, timeoutFactor, minSamples } =
+      this.options;
+    if (this.latency.sampleCount < minSamples) {
+      return timeoutMs;
+    }
+    const adaptive = Math.ceil(this.latency.percentile(99) * timeoutFactor);
+    return Math.min(maxTimeoutMs, Math.max(minTimeoutMs, adaptive));
+  }
+
+  /**
+   * Send a request; idempotent requests are retried after network errors,
+   * timeouts and 5xx responses
+   * @param {Object} request
+   * @param {string} [request.method='GET'] - HTTP method
+   * @param {string} [request.path='/'] - Path including query string
+   * @param {string} [request.body] - JSON request body
+   * @param {boolean} [request.idempotent=false] - Safe to send twice
+   * @param {number} [request.timeoutMs] - Fixed timeout instead of the adaptive one
+   * @returns {Promise<{status: number, statusText: string, data: *}>}
+   *   data is the parsed JSON body, or null if the body isn't JSON
+   * @throws {Error} On network errors, timeouts and non-2xx responses
+   */
+  async request({
+    method = 'GET',
+    path = '/',
+    body,
+    idempotent = false,
+    timeoutMs,
+  } = {}) {
+    const attempts = idempotent ? this.options.retries + 1 : 1;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await this._send(method, path, body, timeoutMs);
+      } catch (error) {
+        const retryable = !error.status || error.status >= 500;
+        if (attempt >= attempts || !retryable) {
+          this.stats.failures++;
+          throw error;
+        }
+        this.stats.retries++;
+        const backoff = this.options.retryDelayMs * 2 ** (attempt - 1);
+        await new Promise((resolve) =>
+          setTimeout(resolve, backoff * (0.5 + Math.random()))
+        );
+      }
+    }
+  }
+
+  /**
+   * Latency and error statistics for the metrics API
+   * @returns {Object} {requests, failures, timeouts, retries, timeoutMs, latency}
+   */
+  getMetrics() {
+    return {
+      ...this.stats,
+      timeoutMs: this.getTimeoutMs(),
+      latency: this.latency.toJSON(),
+    };
+  }
+
+  /**
+   * Close the kept-alive connection
+   */
+  close() {
+    this.agent.destroy();
+  }
+
+  /**
+   * One attempt
+   * @private
+   */
+  _send(method, path, body, timeoutMs = this.getTimeoutMs()) {
+    this.stats.requests++;
+    const start = Date.now();
+
+    return new Promise((resolve, reject) => {
+      const req = http.request(
+        {
+          hostname: this.hostname,
+          port: this.options.port,
+          path,
+          method,
+          agent: this.agent,
+          headers:
+            body !== undefined
+              ? {
+                  'Content-Type': 'application/json',
+                  'Content-Length': Buffer.byteLength(body),
+                }
+              : {},
+        },
+        (res) => {
+          const chunks = [];
+          res.on('data', (chunk) => chunks.push(chunk));
+          res.on('error', reject);
+          res.on('end', () => {
+            clearTimeout(timer);
+            this.latency.record(Date.now() - start);
+
+            if (res.statusCode < 200 || res.statusCode >= 300) {
+              const error = new Error(
+                `HTTP ${res.statusCode} ${res.statusMessage}`
+              );
+              error.status = res.statusCode;
+              reject(error);
+              return;
+            }
+
+            let data = null;
+            try {
+              data = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+            } catch {
+              // Not every endpoint answers with JSON
+            }
+            resolve({
+              status: res.statusCode,
+              statusText: res.statusMessage,
+              data,
+            });
+          });
+        }
+      );
+
+      const timer = setTimeout(() => {
+        this.stats.timeouts++;
+        // Count the attempt as (at least) that slow: without a sample the
+        // adaptive timeout would never grow once every request times out
+        this.latency.record(timeoutMs);
+        req.destroy(
+          new Error(`${this.options.label} HTTP timeout after ${timeoutMs}ms`)
+        );
+      }, timeoutMs);
+
+      req.on('error', (error) => {
+        clearTimeout(timer);
+        reject(error);
+      });
+      req.end(body);
+    });
+  }
+}
+
+// One client per host, shared by everything that talks to the device
+const clients = new Map();
+
+/**
+ * Get (or create) the HTTP client of a host
+ * @param {string} host - Device host ('ip' or 'ip:port')
+ * @param {Object} [options] - Client options (used when the client is created)
+ * @returns {DeviceHttpClient}
+ */
+function getDeviceHttpClient(host, options = {}) {
+  const port = options.port || DEFAULT_OPTIONS.port;
+  const key = String(host).includes(':') ? host : `${host}:${port}`;
+  let client = clients.get(key);
+  if (!client) {
+    client = new DeviceHttpClient(host, options);
+    clients.set(key, client);
+  }
+  return client;
+}
+
+/**
+ * HTTP statistics of a host
+ * @param {string} host - Device host, as passed to getDeviceHttpClient()
+ * @returns {Object|null} See DeviceHttpClient#getMetrics, null if nothing was sent yet
+ */
+function getDeviceHttpMetrics(host) {
+  for (const client of clients.values()) {
+    if (client.host === host) return client.getMetrics();
+  }
+  return null;
+}
+
+module.exports = {
+  DeviceHttpClient,
+  getDeviceHttpClient,
+  getDeviceHttpMetrics,
+};
@@ -0,0 +1,333 @@
+/**
+ * @fileoverview Driver Plugins
+ * @description Loads third-party device drivers from a plugin directory
+ * (settings.driversPath). A plugin contributes a device type with its
+ * DeviceDriver subclass, display capabilities and an options schema; it is
+ * validated against the driver interface before it is registered.
+ *
+ * Plugin modules export the definition, or a function that receives the
+ * driver API and returns it (for plugins installed outside this repository):
+ *
+ *   module.exports = ({ DeviceDriver, FrameBuffer }) => ({
+ *     deviceType: 'ticker',
+ *     name: 'LED Ticker',
+ *     Driver: class TickerDriver extends DeviceDriver { ... },
+ *     capabilities: { width: 96, height: 8, maxFps: 10 },
+ *     configSchema: {
+ *       properties: { port: { type: 'integer', minimum: 1, maximum: 65535 } },
+ *       required: ['port'],
+ *     },
+ *   });
+ *
+ * @author Markus Barta (mba) with assistance from Cursor AI
+ * @license GPL-3.0-or-later
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { getCommandQueue } = require('./command-queue');
+const { DEVICE_TYPES } = require('./constants');
+const {
+  DisplayCapabilities,
+  registerDeviceProfile,
+} = require('./device-capabilities');
+const DeviceDriver = require('./device-driver');
+const { getDeviceHttpClient } = require('./device-http-client');
+const FrameBuffer = require('./frame-buffer');
+const { ValidationError } = require('../errors');
+
+const DEVICE_TYPE_PATTERN = /^[a-z][a-z0-9-]*$/;
+const SCHEMA_TYPES = ['string', 'number', 'integer', 'boolean'];
+
+// What plugin factories receive, so they don't need to resolve this repo
+const PLUGIN_API = Object.freeze({
+  DeviceDriver,
+  DisplayCapabilities,
+  FrameBuffer,
+  getCommandQueue,
+  getDeviceHttpClient,
+});
+
+const plugins = new Map(); // deviceType -> plugin
+let loadErrors = []; // [{file, error}] from the last loadDriverPlugins()
+
+/**
+ * Check an options schema
+ * @private
+ */
+function validateSchema(schema) {
+  if (schema === undefined) return [];
+  if (!schema || typeof schema !== 'object') {
+    return ['configSchema must be an object'];
+  }
+
+  const errors = [];
+  const { properties = {}, required = [] } = schema;
+  for (const [name, rule] of Object.entries(properties)) {
+    if (!SCHEMA_TYPES.includes(rule?.type)) {
+      errors.push(
+        `configSchema.properties.${name}.type must be one of: ${SCHEMA_TYPES.join(', ')}`
+      );
+    }
+  }
+  if (!Array.isArray(required)) {
+    errors.push('configSchema.required must be an array');
+  } else {
+    const unknown = required.filter((name) => !(name in properties));
+    if (unknown.length > 0) {
+      errors.push(`configSchema.required lists unknown options: ${unknown}`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Check a plugin definition against the driver interface
+ * @param {Object} definition - Plugin definition
+ * @returns {Array<string>} Errors, empty if the plugin can be registered
+ */
+function validateDriverPlugin(definition) {
+  if (!definition || typeof definition !== 'object') {
+    return ['Plugin must export a definition object or a factory function'];
+  }
+
+  const errors = [];
+  const { deviceType, Driver, capabilities, configSchema } = definition;
+
+  if (!DEVICE_TYPE_PATTERN.test(deviceType || '')) {
+    errors.push(
+      'deviceType must be lowercase letters, digits and dashes (e.g. "my-matrix")'
+    );
+  } else if (Object.values(DEVICE_TYPES).includes(deviceType)) {
+    errors.push(`deviceType '${deviceType}' is a built-in device type`);
+  }
+
+  if (
+    typeof Driver !== 'function' ||
+    !(Driver.prototype instanceof DeviceDriver)
+  ) {
+    errors.push('Driver must be a class extending DeviceDriver');
+  } else {
+    const missing = [
+      ...DeviceDriver.REQUIRED_METHODS.filter(
+        (method) => Driver.prototype[method] === DeviceDriver.prototype[method]
+      ),
+      ...DeviceDriver.CANVAS_METHODS.filter(
+        (method) => typeof Driver.prototype[method] !== 'function'
+      ),
+    ];
+    if (missing.length > 0) {
+      errors.push(`Driver does not implement: ${missing.join(', ')}`);
+    }
+  }
+
+  const { width, height } = capabilities || {};
+  if (![width, height].every((value) => Number.isInteger(value) && value > 0)) {
+    errors.push(
+      'capabilities.width and capabilities.height must be positive integers'
+    );
+  }
+
+  errors.push(...validateSchema(configSchema));
+  return errors;
+}
+
+/**
+ * Register a driver plugin
+ * @param {Object} definition - {deviceType, name, description, Driver, capabilities, configSchema}
+ * @param {string} [source] - File the plugin was loaded from
+ * @returns {Object} Registered plugin
+ * @throws {ValidationError} If the definition is invalid or the type is taken
+ */
+function registerDriverPlugin(definition, source = null) {
+  const errors = validateDriverPlugin(definition);
+  if (errors.length > 0) {
+    throw new ValidationError(
+      `Invalid driver plugin${definition?.deviceType ? ` '${definition.deviceType}'` : ''}: ${errors.join('; ')}`,
+      'plugin',
+      { errors, source }
+    );
+  }
+
+  const { deviceType } = definition;
+  const existing = plugins.get(deviceType);
+  if (existing && existing.source !== source) {
+    throw new ValidationError(
+      `Device type '${deviceType}' is already registered by ${existing.source || 'another plugin'}`,
+      'deviceType',
+      { source }
+    );
+  }
+
+  const capabilities =
+    definition.capabilities instanceof DisplayCapabilities
+      ? definition.capabilities
+      : new DisplayCapabilities({
+          protocolType: 'custom',
+          ...definition.capabilities,
+        });
+
+  const plugin = {
+    deviceType,
+    name: definition.name || deviceType,
+    description: definition.description || '',
+    Driver: definition.Driver,
+    capabilities,
+    configSchema: definition.configSchema || { properties: {}, required: [] },
+    source,
+  };
+  plugins.set(deviceType, plugin);
+  registerDeviceProfile(deviceType, capabilities);
+  return plugin;
+}
+
+/**
+ * Remove a driver plugin (tests, reloading)
+ * @param {string} deviceType - Plugin device type
+ * @returns {boolean} true if a plugin was removed
+ */
+function unregisterDriverPlugin(deviceType) {
+  registerDeviceProfile(deviceType, null);
+  return plugins.delete(deviceType);
+}
+
+/**
+ * Load all plugins from a directory: `*.js` files and folders with an
+ * index.js or package.json. A missing directory is not an error.
+ * @param {string} dir - Plugin directory
+ * @param {Object} [options]
+ * @param {Object} [options.logger] - Logger instance
+ * @returns {{loaded: Array<string>, errors: Array<{file: string, error: string}>}}
+ *   Registered device types and plugins that failed to load
+ */
+function loadDriverPlugins(dir, { logger = require('../logger') } = {}) {
+  const loaded = [];
+  const errors = [];
+
+  if (!dir || !fs.existsSync(dir)) {
+    logger.debug(`[PLUGINS] No driver plugin directory at ${dir}`);
+    loadErrors = errors;
+    return { loaded, errors };
+  }
+
+  const entries = fs
+    .readdirSync(dir, { withFileTypes: true })
+    .filter((entry) => !entry.name.startsWith('.'))
+    .filter((entry) =>
+      entry.isDirectory()
+        ? ['index.js', 'package.json'].some((name) =>
+            fs.existsSync(path.join(dir, entry.name, name))
+          )
+        : entry.name.endsWith('.js')
+    )
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  for (const entry of entries) {
+    const file = path.resolve(dir, entry.name);
+    try {
+      const exported = require(file);
+      const definition =
+        typeof exported === 'function' &&
+        !(exported.prototype instanceof DeviceDriver)
+          ? exported(PLUGIN_API)
+          : exported;
+      const plugin = registerDriverPlugin(definition, file);
+      loaded.push(plugin.deviceType);
+      logger.info(
+        `🔌 [PLUGINS] Registered device type '${plugin.deviceType}' (${plugin.name}) from ${entry.name}`
+      );
+    } catch (error) {
+      errors.push({ file, error: error.message });
+      logger.warn(
+        `⚠️  [PLUGINS] Failed to load driver plugin ${entry.name}: ${error.message}`
+      );
+    }
+  }
+
+  loadErrors = errors;
+  return { loaded, errors };
+}
+
+/**
+ * @param {string} deviceType - Device type
+ * @returns {Object|null} Registered plugin, null for other types
+ */
+function getDriverPlugin(deviceType) {
+  return plugins.get(deviceType) || null;
+}
+
+/**
+ * Registered plugins, without the driver class (for the API/UI)
+ * @returns {Array<Object>} [{deviceType, name, description, capabilities, configSchema, source}]
+ */
+function listDriverPlugins() {
+  return [...plugins.values()].map(({ Driver: _Driver, ...plugin }) => plugin);
+}
+
+/**
+ * Plugins that failed during the last load
+ * @returns {Array<{file: string, error: string}>}
+ */
+function getDriverPluginErrors() {
+  return [...loadErrors];
+}
+
+/**
+ * Validate device options against a plugin's config schema
+ * @param {string} deviceType - Plugin device type
+ * @param {Object} [options] - Device options
+ * @returns {Array<string>} Errors (empty for valid options or non-plugin types)
+ */
+function validatePluginOptions(deviceType, options = {}) {
+  const plugin = plugins.get(deviceType);
+  if (!plugin) return [];
+
+  const errors = [];
+  const { properties = {}, required = [] } = plugin.configSchema;
+  for (const name of required) {
+    if (options[name] === undefined || options[name] === '') {
+      errors.push(`Option ${name} is required`);
+    }
+  }
+
+  for (const [name, rule] of Object.entries(properties)) {
+    const value = options[name];
+    if (value === undefined || value === '') continue;
+
+    const typeOk = {
+      string: typeof value === 'string',
+      number: Number.isFinite(value),
+      integer: Number.isInteger(value),
+      boolean: typeof value === 'boolean',
+    }[rule.type];
+    if (!typeOk) {
+      errors.push(
+        `Option ${name} must be ${rule.type === 'integer' ? 'an' : 'a'} ${rule.type}`
+      );
+      continue;
+    }
+    if (Array.isArray(rule.enum) && !rule.enum.includes(value)) {
+      errors.push(`Option ${name} must be one of: ${rule.enum.join(', ')}`);
+    }
+    if (rule.minimum !== undefined && value < rule.minimum) {
+      errors.push(`Option ${name} must be at least ${rule.minimum}`);
+    }
+    if (rule.maximum !== undefined && value > rule.maximum) {
+      errors.push(`Option ${name} must be at most ${rule.maximum}`);
+    }
+  }
+  return errors;
+}
+
+module.exports = {
+  PLUGIN_API,
+  getDriverPlugin,
+  getDriverPluginErrors,
+  listDriverPlugins,
+  loadDriverPlugins,
+  registerDriverPlugin,
+  unregisterDriverPlugin,
+  validateDriverPlugin,
+  validatePluginOptions,
+};
@@ -0,0 +1,255 @@
+/**
+ * @fileoverview RGB Frame Buffer
+ * @description Device-agnostic RGB raster with the Pixoo-style drawing
+ * primitives (`*Rgba` methods) that scenes use through the canvas. Drivers for
+ * plain pixel matrices (WLED, UDP outputs, ...) keep one of these and only
+ * need to implement how the finished frame leaves the process.
+ * @author Markus Barta (mba) with assistance from Cursor AI
+ * @license GPL-3.0-or-later
+ */
+
+const fs = require('fs');
+const { PNG } = require('pngjs');
+
+const { BITMAP_FONT, FONT_SPECS, measureText } = require('../font');
+
+function clamp(v, lo, hi) {
+  return Math.max(lo, Math.min(hi, v));
+}
+
+/**
+ * Rectangular RGB frame buffer (3 bytes per pixel, row-major)
+ *
+ * @example
+ * const frame = new FrameBuffer(32, 16);
+ * await frame.drawTextRgbaAligned('HI', [1, 1], [255, 0, 0, 255]);
+ * const [r, g, b] = frame.getPixel(1, 1);
+ */
+class FrameBuffer {
+  /**
+   * @param {number} width - Width in pixels
+   * @param {number} height - Height in pixels
+   */
+  constructor(width, height) {
+    if (!Number.isInteger(width) || !Number.isInteger(height)) {
+      throw new Error(`Frame size must be integers, got ${width}x${height}`);
+    }
+    if (width <= 0 || height <= 0) {
+      throw new Error(`Frame size must be positive, got ${width}x${height}`);
+    }
+    this.width = width;
+    this.height = height;
+    this.buf = new Uint8Array(width * height * 3);
+  }
+
+  /**
+   * Total number of pixels
+   */
+  get pixelCount() {
+    return this.width * this.height;
+  }
+
+  // ============================================================================
+  // PIXEL ACCESS
+  // ============================================================================
+
+  _idx(x, y) {
+    return (y * this.width + x) * 3; // RGB
+  }
+
+  _inBounds(x, y) {
+    return x >= 0 && x < this.width && y >= 0 && y < this.height;
+  }
+
+  setPixel(x, y, r, g, b) {
+    if (!this._inBounds(x, y)) return;
+    const i = this._idx(x, y);
+    this.buf[i] = r;
+    this.buf[i + 1] = g;
+    this.buf[i + 2] = b;
+  }
+
+  blendPixel(x, y, r, g, b, a = 255) {
+    if (!this._inBounds(x, y)) return;
+    const i = this._idx(x, y);
+    const alpha = clamp(a, 0, 255) / 255;
+    const dr = this.buf[i];
+    const dg = this.buf[i + 1];
+    const db = this.buf[i + 2];
+    this.buf[i] = Math.round(r * alpha + dr * (1 - alpha));
+    this.buf[i + 1] = Math.round(g * alpha + dg * (1 - alpha));
+    this.buf[i + 2] = Math.round(b * alpha + db * (1 - alpha));
+  }
+
+  /**
+   * Read a pixel
+   * @param {number} x
+   * @param {number} y
+   * @returns {number[]|null} [r, g, b], or null when out of bounds
+   */
+  getPixel(x, y) {
+    if (!this._inBounds(x, y)) return null;
+    const i = this._idx(x, y);
+    return [this.buf[i], this.buf[i + 1], this.buf[i + 2]];
+  }
+
+  /**
+   * Copy of the raw RGB bytes
+   * @returns {Uint8Array}
+   */
+  snapshot() {
+    return Uint8Array.from(this.buf);
+  }
+
+  // ============================================================================
+  // DRAWING PRIMITIVES (same contract as RealPixoo)
+  // ============================================================================
+
+  async clear() {
+    this.buf.fill(0);
+  }
+
+  async drawPixelRgba(pos, color) {
+    const [x, y] = pos;
+    const [r, g, b, a = 255] = color;
+    this.blendPixel(x | 0, y | 0, r, g, b, a);
+  }
+
+  async drawLineRgba(start, end, color) {
+    const [x0, y0] = start;
+    const [x1, y1] = end;
+    const [r, g, b, a = 255] = color;
+
+    let x = x0 | 0;
+    let y = y0 | 0;
+    const dx = Math.abs(x1 - x0);
+    const dy = Math.abs(y1 - y0);
+    const sx = x0 < x1 ? 1 : -1;
+    const sy = y0 < y1 ? 1 : -1;
+    let err = dx - dy;
+
+    while (true) {
+      this.blendPixel(x, y, r, g, b, a);
+      if (x === (x1 | 0) && y === (y1 | 0)) break;
+      const e2 = err * 2;
+      if (e2 > -dy) {
+        err -= dy;
+        x += sx;
+      }
+      if (e2 < dx) {
+        err += dx;
+        y += sy;
+      }
+    }
+  }
+
+  async drawRectangleRgba(pos, size, color) {
+    const [x0, y0] = pos;
+    const [w, h] = size;
+    const [r, g, b, a = 255] = color;
+    for (let y = 0; y < h; y++) {
+      for (let x = 0; x < w; x++) {
+        this.blendPixel((x0 + x) | 0, (y0 + y) | 0, r, g, b, a);
+      }
+    }
+  }
+
+  // Alias for consistency with other device implementations
+  async fillRectangleRgba(pos, size, color) {
+    return this.drawRectangleRgba(pos, size, color);
+  }
+
+  async drawTextRgbaAligned(text, pos, color, align = 'left') {
+    const [r, g, b, a = 255] = color;
+    let [x, y] = pos;
+    const str = String(text ?? '');
+
+    const totalW = measureText(str).width;
+    if (align === 'right') x -= totalW;
+    else if (align === 'center') {
+      const chars = Array.from(str);
+      // For odd-length strings, align the true center of the middle glyph
+      if (chars.length % 2 === 1) {
+        const midIndex = Math.floor(chars.length / 2);
+        const leftStr = chars.slice(0, midIndex).join('');
+        const leftWidth =
+          measureText(leftStr).width +
+          (leftStr.length ? FONT_SPECS.SPACING : 0);
+        const midWidth = measureText(chars[midIndex]).width;
+        x = x - Math.floor(midWidth / 2) - leftWidth;
+      } else {
+        x -= Math.round(totalW / 2);
+      }
+    }
+
+    for (const ch of str) {
+      const glyph = BITMAP_FONT[ch] || BITMAP_FONT[' '];
+      const gw =
+        Math.floor(glyph.length / FONT_SPECS.HEIGHT) || FONT_SPECS.WIDTH;
+      for (let i = 0; i < glyph.length; i++) {
+        if (glyph[i]) {
+          this.blendPixel(x + (i % gw), y + Math.floor(i / gw), r, g, b, a);
+        }
+      }
+      x += gw + FONT_SPECS.SPACING;
+    }
+    return totalW;
+  }
+
+  async drawCustomFloatText(value, pos, color, align = 'right') {
+    const v = Number(value);
+    if (!Number.isFinite(v)) return 0;
+
+    const abs = Math.abs(v);
+    let display;
+    if (abs < 0.005) display = 0.0;
+    else if (abs < 10) display = Math.round(v * 10) / 10;
+    else display = Math.round(v);
+
+    let str = String(display);
+    if (abs < 10 && abs >= 0.005 && !str.includes('.')) str = `${str}.0`;
+
+    return this.drawTextRgbaAligned(str, pos, color, align);
+  }
+
+  /**
+   * Draw a PNG with alpha blending (placeholder rectangle if it can't be read)
+   * @param {string} path - Path to the image file
+   * @param {Array<number>} pos - [x, y] position
+   * @param {Array<number>} size - [width, height] of the image
+   * @param {number} alpha - Global alpha (0-255)
+   */
+  async drawImageWithAlpha(path, pos, size, alpha = 255) {
+    const [x, y] = pos;
+    const [targetWidth, targetHeight] = size;
+
+    let png;
+    try {
+      png = PNG.sync.read(fs.readFileSync(path));
+    } catch {
+      await this.drawRectangleRgba(pos, size, [100, 100, 100, alpha]);
+      return;
+    }
+
+    const scaleX = targetWidth / png.width;
+    const scaleY = targetHeight / png.height;
+    for (let srcY = 0; srcY < png.height; srcY++) {
+      for (let srcX = 0; srcX < png.width; srcX++) {
+        const i = (png.width * srcY + srcX) << 2;
+        const finalAlpha = Math.floor((png.data[i + 3] * alpha) / 255);
+        if (finalAlpha > 0) {
+          this.blendPixel(
+            Math.floor(x + srcX * scaleX),
+            Math.floor(y + srcY * scaleY),
+            png.data[i],
+            png.data[i + 1],
+            png.data[i + 2],
+            finalAlpha
+          );
+        }
+      }
+    }
+  }
+}
+
+module.exports = FrameBuffer;
@@ -0,0 +1,231 @@
+/**
+ * @fileoverview Scene Transitions
+ * @description Blends the last frame of the outgoing scene with the first
+ * frame of the incoming one. The device adapter plays a transition when the
+ * incoming scene pushes for the first time; the functions here only compute
+ * the in-between frames (RGB, 3 bytes per pixel, row-major).
+ * @author Markus Barta (mba) with assistance from Cursor AI
+ * @license GPL-3.0-or-later
+ */
+
+const TRANSITION_TYPES = [
+  'none',
+  'crossfade',
+  'slide',
+  'wipe',
+  'dissolve',
+  'pixel-sort',
+];
+
+const TRANSITION_DURATION = {
+  DEFAULT: 800,
+  MIN: 200,
+  MAX: 5000,
+};
+
+// Time between transition frames (Pixoo HTTP manages ~5 fps)
+const TRANSITION_FRAME_INTERVAL = 150;
+
+/**
+ * Validate a transition setting ({ type, duration })
+ * @param {Object} transition
+ * @returns {Array<string>} Error messages (empty if valid)
+ */
+function validateTransition(transition) {
+  if (!transition || typeof transition !== 'object') {
+    return ['Transition must be an object with type and duration'];
+  }
+  const errors = [];
+  const { type, duration } = transition;
+  if (!TRANSITION_TYPES.includes(type)) {
+    errors.push(
+      `Transition type must be one of: ${TRANSITION_TYPES.join(', ')}`
+    );
+  }
+  if (
+    duration !== undefined &&
+    !(
+      typeof duration === 'number' &&
+      duration >= TRANSITION_DURATION.MIN &&
+      duration <= TRANSITION_DURATION.MAX
+    )
+  ) {
+    errors.push(
+      `Transition duration must be between ${TRANSITION_DURATION.MIN} and ${TRANSITION_DURATION.MAX} ms`
+    );
+  }
+  return errors;
+}
+
+/**
+ * Transition for a scene switch from the universal scene config
+ * (`transition`, `transitionDuration`). A request may also pass
+ * `transition: { type, duration }`.
+ * @param {Object} [sceneConfig] - Merged scene config of the incoming scene
+ * @returns {{type: string, duration: number}|null} Null for no transition
+ */
+function resolveTransition(sceneConfig = {}) {
+  let type = sceneConfig?.transition;
+  let duration = sceneConfig?.transitionDuration;
+  if (type && typeof type === 'object') {
+    duration = type.duration ?? duration;
+    type = type.type;
+  }
+  if (!type || type === 'none' || !TRANSITION_TYPES.includes(type)) {
+    return null;
+  }
+
+  const ms = Number(duration);
+  return {
+    type,
+    duration: Number.isFinite(ms)
+      ? Math.min(TRANSITION_DURATION.MAX, Math.max(TRANSITION_DURATION.MIN, ms))
+      : TRANSITION_DURATION.DEFAULT,
+  };
+}
+
+/**
+ * Transition for a scene switch. Later configs win: device transition <
+ * device scene overrides < request payload.
+ * @param {{type: string, duration: number}|null} deviceTransition - Device setting
+ * @param {...Object} configs - Configs with `transition` / `transitionDuration`
+ * @returns {{type: string, duration: number}|null} See resolveTransition()
+ */
+function resolveSwitchTransition(deviceTransition, ...configs) {
+  let transition = deviceTransition?.type;
+  let transitionDuration = deviceTransition?.duration;
+  for (const config of configs) {
+    transition = config?.transition ?? transition;
+    transitionDuration = config?.transitionDuration ?? transitionDuration;
+  }
+  return resolveTransition({ transition, transitionDuration });
+}
+
+/**
+ * Copy of a scene config without the transition settings. They belong to the
+ * switch, so scenes never see them in their config or state.
+ * @param {Object} [config]
+ * @returns {Object}
+ */
+function omitTransition(config) {
+  const {
+    transition: _transition,
+    transitionDuration: _transitionDuration,
+    ...sceneConfig
+  } = config || {};
+  return sceneConfig;
+}
+
+/**
+ * Render one transition frame into `out`
+ * @param {string} type - One of TRANSITION_TYPES
+ * @param {Uint8Array} from - Outgoing frame
+ * @param {Uint8Array} to - Incoming frame
+ * @param {number} progress - 0 (all `from`) to 1 (all `to`)
+ * @param {Uint8Array} out - Target buffer (same size, may not alias from/to)
+ * @param {number} width
+ * @param {number} height
+ */
+function renderTransition(type, from, to, progress, out, width, height) {
+  const p = Math.min(1, Math.max(0, progress));
+
+  switch (type) {
+    case 'crossfade':
+      for (let i = 0; i < out.length; i++) {
+        out[i] = Math.round(from[i] + (to[i] - from[i]) * p);
+      }
+      break;
+
+    case 'slide': {
+      // Incoming frame pushes the outgoing one out to the left
+      const offset = Math.round(width * p);
+      for (let y = 0; y < height; y++) {
+        const row = y * width;
+        for (let x = 0; x < width; x++) {
+          const sx = x + offset;
+          if (sx < width) {
+            copyPixel(from, (row + sx) * 3, out, (row + x) * 3);
+          } else {
+            copyPixel(to, (row + sx - width) * 3, out, (row + x) * 3);
+          }
+        }
+      }
+      break;
+    }
+
+    case 'wipe': {
+      const edge = Math.round(width * p);
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          const i = (y * width + x) * 3;
+          copyPixel(x < edge ? to : from, i, out, i);
+        }
+      }
+      break;
+    }
+
+    case 'dissolve':
+      for (let n = 0; n < width * height; n++) {
+        copyPixel(pixelThreshold(n) < p ? to : from, n * 3, out, n * 3);
+      }
+      break;
+
+    case 'pixel-sort':
+      renderPixelSort(from, to, p, out, width, height);
+      break;
+
+    default:
+      out.set(p < 1 ? from : to);
+  }
+}
+
+/**
+ * Pixel sort: rows of the outgoing frame are sorted by brightness from the
+ * left edge until the whole row is sorted, then the incoming frame unsorts
+ * in reverse.
+ * @private
+ */
+function renderPixelSort(from, to, p, out, width, height) {
+  const src = p < 0.5 ? from : to;
+  const span = Math.round(width * (1 - Math.abs(2 * p - 1)));
+  out.set(src);
+  if (span < 2) return;
+
+  const order = new Array(span);
+  for (let y = 0; y < height; y++) {
+    const row = y * width * 3;
+    for (let x = 0; x < span; x++) order[x] = row + x * 3;
+    order.sort((a, b) => luma(src, a) - luma(src, b));
+    for (let x = 0; x < span; x++) copyPixel(src, order[x], out, row + x * 3);
+  }
+}
+
+function copyPixel(src, si, dst, di) {
+  dst[di] = src[si];
+  dst[di + 1] = src[si + 1];
+  dst[di + 2] = src[si + 2];
+}
+
+function luma(buf, i) {
+  return buf[i] * 299 + buf[i + 1] * 587 + buf[i + 2] * 114;
+}
+
+/**
+ * Fixed pseudo-random threshold (0..1) per pixel, so a dissolve only ever
+ * adds pixels of the incoming frame
+ * @private
+ */
+function pixelThreshold(n) {
+  return (Math.imul(n + 1, 2654435761) >>> 0) / 4294967296;
+}
+
+module.exports = {
+  TRANSITION_TYPES,
+  TRANSITION_DURATION,
+  TRANSITION_FRAME_INTERVAL,
+  validateTransition,
+  resolveTransition,
+  resolveSwitchTransition,
+  omitTransition,
+  renderTransition,
+};
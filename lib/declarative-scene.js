@@ -0,0 +1,673 @@
+/**
+ * @fileoverview Declarative Scenes - JSON/YAML scene definitions
+ * @description Turns a `.scene.json` / `.scene.yaml` file into a regular
+ * scene module. A definition lists widgets (text, clock, number, bar,
+ * sparkline, image, icon, rect); widget properties may bind to payload
+ * fields with `{{ ... }}` expressions (see scene-expression.js). The config
+ * schema is generated from `params` plus any bound field, so the scenes show
+ * up in the Scene Manager like JavaScript scenes.
+ *
+ *   name: outdoor
+ *   refresh: 5000
+ *   params:
+ *     temperature: { type: number, default: 0 }
+ *   widgets:
+ *     - { type: icon, icon: sun, x: 2, y: 2, color: '#ffcc00' }
+ *     - { type: number, value: '{{ temperature }}', unit: 'C', x: 32, y: 30 }
+ *
+ * @author Markus Barta (mba) with assistance from Cursor AI
+ * @license GPL-3.0-or-later
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+
+const { ValidationError } = require('./errors');
+const { drawLine, drawText } = require('./rendering-utils');
+const { collectBindings, compileTemplate } = require('./scene-expression');
+
+const DECLARATIVE_SCENE_EXTENSIONS = [
+  '.scene.json',
+  '.scene.yaml',
+  '.scene.yml',
+];
+
+const WIDGET_TYPES = [
+  'text',
+  'clock',
+  'number',
+  'bar',
+  'sparkline',
+  'image',
+  'icon',
+  'rect',
+];
+
+// Scenes with a clock redraw every second unless `refresh` says otherwise
+const CLOCK_REFRESH_MS = 1000;
+
+const WHITE = [255, 255, 255, 255];
+
+/**
+ * Built-in 8x8 icons ('#' = pixel set)
+ */
+const ICONS = {
+  sun: [
+    '#..#..#.',
+    '.#.#.#..',
+    '..###...',
+    '########',
+    '..###...',
+    '.#.#.#..',
+    '#..#..#.',
+    '...#....',
+  ],
+  moon: [
+    '..####..',
+    '.###....',
+    '###.....',
+    '###.....',
+    '###.....',
+    '###.....',
+    '.###....',
+    '..####..',
+  ],
+  cloud: [
+    '........',
+    '...##...',
+    '..####..',
+    '.######.',
+    '########',
+    '########',
+    '.######.',
+    '........',
+  ],
+  rain: [
+    '...##...',
+    '.######.',
+    '########',
+    '.######.',
+    '........',
+    '.#..#..#',
+    '#..#..#.',
+    '........',
+  ],
+  bolt: [
+    '....##..',
+    '...##...',
+    '..##....',
+    '.######.',
+    '....##..',
+    '...##...',
+    '..##....',
+    '.#......',
+  ],
+  heart: [
+    '.##..##.',
+    '########',
+    '########',
+    '########',
+    '.######.',
+    '..####..',
+    '...##...',
+    '........',
+  ],
+  'arrow-up': [
+    '...##...',
+    '..####..',
+    '.######.',
+    '########',
+    '...##...',
+    '...##...',
+    '...##...',
+    '...##...',
+  ],
+  'arrow-down': [
+    '...##...',
+    '...##...',
+    '...##...',
+    '...##...',
+    '########',
+    '.######.',
+    '..####..',
+    '...##...',
+  ],
+  check: [
+    '........',
+    '.......#',
+    '......##',
+    '#....##.',
+    '##..##..',
+    '.####...',
+    '..##....',
+    '........',
+  ],
+  cross: [
+    '##....##',
+    '.##..##.',
+    '..####..',
+    '...##...',
+    '..####..',
+    '.##..##.',
+    '##....##',
+    '........',
+  ],
+  home: [
+    '...##...',
+    '..####..',
+    '.######.',
+    '########',
+    '.##..##.',
+    '.##..##.',
+    '.##..##.',
+    '........',
+  ],
+  wifi: [
+    '.######.',
+    '#......#',
+    '..####..',
+    '.#....#.',
+    '...##...',
+    '..#..#..',
+    '...##...',
+    '...##...',
+  ],
+};
+
+/**
+ * Parse a color: [r, g, b, a?], '#rgb', '#rrggbb' or '#rrggbbaa'
+ * @param {*} value - Color from the scene file (already resolved)
+ * @param {Array<number>|null} [fallback] - Used when the value is not a color
+ * @returns {Array<number>|null} RGBA array
+ */
+function parseColor(value, fallback = WHITE) {
+  if (Array.isArray(value) && value.length >= 3) {
+    const [r, g, b, a = 255] = value.map(Number);
+    return [r, g, b, a];
+  }
+  if (typeof value === 'string') {
+    const hex = value.trim().replace(/^#/, '');
+    if (/^[0-9a-f]{3}$/i.test(hex)) {
+      return [...hex].map((c) => parseInt(c + c, 16)).concat(255);
+    }
+    if (/^([0-9a-f]{6}|[0-9a-f]{8})$/i.test(hex)) {
+      const channels = hex.match(/../g).map((c) => parseInt(c, 16));
+      return channels.length === 4 ? channels : channels.concat(255);
+    }
+  }
+  return fallback;
+}
+
+/**
+ * Format a date with HH, mm, ss, dd, MM and yyyy tokens
+ * @param {Date} date
+ * @param {string} [format='HH:mm']
+ * @returns {string}
+ */
+function formatClock(date, format = 'HH:mm') {
+  const pad = (n) => String(n).padStart(2, '0');
+  const tokens = {
+    yyyy: String(date.getFullYear()),
+    MM: pad(date.getMonth() + 1),
+    dd: pad(date.getDate()),
+    HH: pad(date.getHours()),
+    mm: pad(date.getMinutes()),
+    ss: pad(date.getSeconds()),
+  };
+  return format.replace(/yyyy|MM|dd|HH|mm|ss/g, (token) => tokens[token]);
+}
+
+/**
+ * Width and height of a PNG from its header
+ * @private
+ */
+function readPngSize(file) {
+  const header = Buffer.alloc(24);
+  const fd = fs.openSync(file, 'r');
+  try {
+    fs.readSync(fd, header, 0, 24, 0);
+  } finally {
+    fs.closeSync(fd);
+  }
+  return [header.readUInt32BE(16), header.readUInt32BE(20)];
+}
+
+const toInt = (value, fallback = 0) => {
+  const number = Number(value);
+  return Number.isFinite(number) ? Math.round(number) : fallback;
+};
+
+const toNumber = (value, fallback = 0) => {
+  const number = Number(value);
+  return Number.isFinite(number) ? number : fallback;
+};
+
+/**
+ * Widget renderers: (device, props, ctx) where props are resolved values
+ */
+const WIDGET_RENDERERS = {
+  async text(device, p) {
+    await drawText(
+      device,
+      p.text ?? '',
+      [toInt(p.x), toInt(p.y)],
+      parseColor(p.color),
+      p.align || 'left',
+      p.backdrop ? parseColor(p.backdrop, null) : null
+    );
+  },
+
+  async clock(device, p, ctx) {
+    await drawText(
+      device,
+      formatClock(ctx.now(), p.format || 'HH:mm'),
+      [toInt(p.x), toInt(p.y)],
+      parseColor(p.color),
+      p.align || 'left',
+      p.backdrop ? parseColor(p.backdrop, null) : null
+    );
+  },
+
+  async number(device, p) {
+    const value = p.value === null || p.value === '' ? NaN : Number(p.value);
+    const text = Number.isFinite(value)
+      ? value.toFixed(toInt(p.decimals, 0))
+      : (p.placeholder ?? '--');
+    await drawText(
+      device,
+      `${text}${p.unit ?? ''}`,
+      [toInt(p.x), toInt(p.y)],
+      parseColor(p.color),
+      p.align || 'left',
+      p.backdrop ? parseColor(p.backdrop, null) : null
+    );
+  },
+
+  async bar(device, p) {
+    const x = toInt(p.x);
+    const y = toInt(p.y);
+    const width = toInt(p.width, 32);
+    const height = toInt(p.height, 4);
+    const min = toNumber(p.min, 0);
+    const max = toNumber(p.max, 100);
+    const ratio =
+      max > min
+        ? Math.min(1, Math.max(0, (toNumber(p.value, min) - min) / (max - min)))
+        : 0;
+
+    if (p.background) {
+      await device.fillRectangleRgba(
+        [x, y],
+        [width, height],
+        parseColor(p.background)
+      );
+    }
+    const color = parseColor(p.color);
+    if (p.direction === 'vertical') {
+      const filled = Math.round(height * ratio);
+      if (filled > 0) {
+        await device.fillRectangleRgba(
+          [x, y + height - filled],
+          [width, filled],
+          color
+        );
+      }
+    } else {
+      const filled = Math.round(width * ratio);
+      if (filled > 0) {
+        await device.fillRectangleRgba([x, y], [filled, height], color);
+      }
+    }
+  },
+
+  async sparkline(device, p) {
+    const width = toInt(p.width, 32);
+    const height = toInt(p.height, 8);
+    const values = (Array.isArray(p.values) ? p.values : [])
+      .map(Number)
+      .filter(Number.isFinite)
+      .slice(-width);
+    if (values.length === 0) return;
+
+    const x = toInt(p.x);
+    const y = toInt(p.y);
+    const min = p.min !== undefined ? toNumber(p.min) : Math.min(...values);
+    const max = p.max !== undefined ? toNumber(p.max) : Math.max(...values);
+    const range = max - min || 1;
+    const step = values.length > 1 ? (width - 1) / (values.length - 1) : 0;
+    const color = parseColor(p.color);
+    const points = values.map((value, i) => [
+      x + Math.round(i * step),
+      y +
+        height -
+        1 -
+        Math.round(
+          ((Math.min(max, Math.max(min, value)) - min) / range) * (height - 1)
+        ),
+    ]);
+
+    if (points.length === 1) {
+      await device.drawPixelRgba(points[0], color);
+      return;
+    }
+    for (let i = 1; i < points.length; i++) {
+      drawLine(device, ...points[i - 1], ...points[i], color);
+    }
+  },
+
+  async image(device, p, ctx) {
+    if (!p.src) return;
+    const file = path.resolve(ctx.baseDir, String(p.src));
+    // src may come from the payload: only read files below the scene directory
+    const relative = path.relative(ctx.baseDir, file);
+    if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+      ctx.log(`Image outside the scene directory: ${p.src}`, 'warning');
+      return;
+    }
+    if (!fs.existsSync(file)) {
+      ctx.log(`Image not found: ${file}`, 'warning');
+      return;
+    }
+    const size =
+      p.width && p.height
+        ? [toInt(p.width), toInt(p.height)]
+        : readPngSize(file);
+    await device.drawImageWithAlpha(
+      file,
+      [toInt(p.x), toInt(p.y)],
+      size,
+      toInt(p.alpha, 255)
+    );
+  },
+
+  async icon(device, p, ctx) {
+    const bitmap = ICONS[p.icon];
+    if (!bitmap) {
+      ctx.log(`Unknown icon: ${p.icon}`, 'warning');
+      return;
+    }
+    const x = toInt(p.x);
+    const y = toInt(p.y);
+    const scale = Math.max(1, toInt(p.scale, 1));
+    const color = parseColor(p.color);
+    for (let row = 0; row < bitmap.length; row++) {
+      for (let col = 0; col < bitmap[row].length; col++) {
+        if (bitmap[row][col] !== '#') continue;
+        await device.fillRectangleRgba(
+          [x + col * scale, y + row * scale],
+          [scale, scale],
+          color
+        );
+      }
+    }
+  },
+
+  async rect(device, p) {
+    const x = toInt(p.x);
+    const y = toInt(p.y);
+    const width = toInt(p.width, 1);
+    const height = toInt(p.height, 1);
+    const color = parseColor(p.color);
+    if (p.filled === false) {
+      const right = x + width - 1;
+      const bottom = y + height - 1;
+      await device.drawLineRgba([x, y], [right, y], color);
+      await device.drawLineRgba([x, bottom], [right, bottom], color);
+      await device.drawLineRgba([x, y], [x, bottom], color);
+      await device.drawLineRgba([right, y], [right, bottom], color);
+    } else {
+      await device.fillRectangleRgba([x, y], [width, height], color);
+    }
+  },
+};
+
+/**
+ * Validate a parsed scene definition
+ * @param {Object} definition
+ * @returns {Array<string>} Error messages (empty if valid)
+ */
+function validateSceneDefinition(definition) {
+  if (!definition || typeof definition !== 'object') {
+    return ['Scene definition must be an object'];
+  }
+
+  const errors = [];
+  if (definition.name !== undefined && typeof definition.name !== 'string') {
+    errors.push('name must be a string');
+  }
+  if (
+    definition.refresh !== undefined &&
+    definition.refresh !== null &&
+    !(typeof definition.refresh === 'number' && definition.refresh >= 50)
+  ) {
+    errors.push('refresh must be a number of milliseconds (>= 50)');
+  }
+  if (
+    definition.params !== undefined &&
+    (typeof definition.params !== 'object' || Array.isArray(definition.params))
+  ) {
+    errors.push('params must be an object of field definitions');
+  }
+  if (!Array.isArray(definition.widgets) || definition.widgets.length === 0) {
+    errors.push('widgets must be a non-empty array');
+    return errors;
+  }
+
+  definition.widgets.forEach((widget, index) => {
+    if (!widget || !WIDGET_TYPES.includes(widget.type)) {
+      errors.push(
+        `widgets[${index}].type must be one of: ${WIDGET_TYPES.join(', ')}`
+      );
+    }
+  });
+  return errors;
+}
+
+/**
+ * Compile every property of a widget into a resolver
+ * @private
+ */
+function compileWidget(widget, index) {
+  const resolvers = {};
+  for (const [key, value] of Object.entries(widget)) {
+    try {
+      resolvers[key] = compileTemplate(value);
+    } catch (error) {
+      throw new ValidationError(
+        `widgets[${index}].${key}: ${error.message}`,
+        `widgets[${index}].${key}`
+      );
+    }
+  }
+  return (scope) =>
+    Object.fromEntries(
+      Object.entries(resolvers).map(([key, resolve]) => [key, resolve(scope)])
+    );
+}
+
+/**
+ * Config schema: declared params plus any field bound in a widget
+ * @private
+ */
+function buildConfigSchema(definition) {
+  const schema = {};
+  for (const [field, spec] of Object.entries(definition.params || {})) {
+    schema[field] =
+      spec && typeof spec === 'object'
+        ? { type: 'string', default: null, ...spec }
+        : { type: typeof spec, default: spec };
+  }
+
+  for (const widget of definition.widgets) {
+    for (const value of Object.values(widget)) {
+      for (const field of collectBindings(value)) {
+        if (!schema[field]) {
+          schema[field] = {
+            type: widget.type === 'sparkline' ? 'array' : 'string',
+            default: null,
+            description: `Bound by ${widget.type} widget`,
+          };
+        }
+      }
+    }
+  }
+  return schema;
+}
+
+/**
+ * Build a scene module from a definition
+ * @param {Object} definition - Parsed scene definition
+ * @param {Object} [options]
+ * @param {string} [options.baseDir] - Directory for relative image paths
+ * @param {string} [options.name] - Name used when the definition has none
+ * @param {Function} [options.now] - Clock source (for tests)
+ * @returns {Object} Scene module
+ * @throws {ValidationError} If the definition is invalid
+ */
+function createDeclarativeScene(definition, options = {}) {
+  const errors = validateSceneDefinition(definition);
+  if (errors.length > 0) {
+    throw new ValidationError(
+      `Invalid scene definition: ${errors.join('; ')}`,
+      'scene',
+      { errors }
+    );
+  }
+
+  const name = definition.name || options.name;
+  if (!name) {
+    throw new ValidationError('Scene definition needs a name', 'name');
+  }
+
+  const baseDir = options.baseDir || process.cwd();
+  const now = options.now || (() => new Date());
+  const widgets = definition.widgets.map((widget, index) => ({
+    type: widget.type,
+    resolve: compileWidget(widget, index),
+  }));
+  const configSchema = buildConfigSchema(definition);
+  const defaults = Object.fromEntries(
+    Object.entries(configSchema)
+      .filter(([, spec]) => spec.default !== null && spec.default !== undefined)
+      .map(([field, spec]) => [field, spec.default])
+  );
+  const refresh =
+    definition.refresh ??
+    (definition.widgets.some((widget) => widget.type === 'clock')
+      ? CLOCK_REFRESH_MS
+      : null);
+
+  async function render(context) {
+    const { device, env, publishOk } = context;
+    const log = context.log || (() => {});
+    const scope = {
+      ...defaults,
+      ...(context.state instanceof Map
+        ? Object.fromEntries(context.state)
+        : {}),
+      ...(context.payload || {}),
+    };
+
+    try {
+      if (definition.background !== undefined) {
+        await device.fillRectangleRgba(
+          [0, 0],
+          [env?.width || 64, env?.height || 64],
+          parseColor(
+            compileTemplate(definition.background)(scope),
+            [0, 0, 0, 255]
+          )
+        );
+      } else {
+        await device.clear();
+      }
+
+      for (const widget of widgets) {
+        const props = widget.resolve(scope);
+        if (props.visible === false || props.visible === 'false') continue;
+        await WIDGET_RENDERERS[widget.type](device, props, {
+          baseDir,
+          log,
+          now,
+        });
+      }
+    } catch (error) {
+      log(`Render error: ${error.message}`, 'error');
+      return null;
+    }
+
+    await device.push(name, publishOk);
+    return refresh;
+  }
+
+  return {
+    name,
+    init() {},
+    render,
+    cleanup() {},
+    wantsLoop: refresh !== null,
+    description: definition.description || `Declarative scene ${name}`,
+    category: definition.category || 'Custom',
+    deviceTypes: definition.deviceTypes,
+    requirements: definition.requirements,
+    tags: ['declarative', ...(definition.tags || [])],
+    configSchema,
+    sceneType: 'user',
+    author: definition.author || null,
+    version: definition.version || '1.0.0',
+    definition,
+  };
+}
+
+/**
+ * Whether a file name is a declarative scene
+ * @param {string} file
+ * @returns {boolean}
+ */
+function isDeclarativeSceneFile(file) {
+  return DECLARATIVE_SCENE_EXTENSIONS.some((ext) => file.endsWith(ext));
+}
+
+/**
+ * Load a `.scene.json` / `.scene.yaml` file into a scene module
+ * @param {string} filePath - Absolute path
+ * @param {Object} [options] - Passed to createDeclarativeScene
+ * @returns {Object} Scene module
+ * @throws {ValidationError} If the file cannot be parsed or is invalid
+ */
+function loadDeclarativeScene(filePath, options = {}) {
+  const source = fs.readFileSync(filePath, 'utf8');
+  let definition;
+  try {
+    definition = filePath.endsWith('.json')
+      ? JSON.parse(source)
+      : YAML.parse(source);
+  } catch (error) {
+    throw new ValidationError(
+      `Cannot parse ${path.basename(filePath)}: ${error.message}`,
+      'scene'
+    );
+  }
+
+  const ext = DECLARATIVE_SCENE_EXTENSIONS.find((e) => filePath.endsWith(e));
+  return createDeclarativeScene(definition, {
+    name: path.basename(filePath, ext),
+    baseDir: path.dirname(filePath),
+    ...options,
+  });
+}
+
+module.exports = {
+  DECLARATIVE_SCENE_EXTENSIONS,
+  WIDGET_TYPES,
+  ICONS,
+  parseColor,
+  formatClock,
+  validateSceneDefinition,
+  createDeclarativeScene,
+  isDeclarativeSceneFile,
+  loadDeclarativeScene,
+};
@@ -7,10 +7,22 @@
  * @license GPL-3.0-or-later
  */
 
-const { DEVICE_TYPES } = require('./core/constants');
+const { SUPERSEDED } = require('./core/command-queue');
+const { DEVICE_TYPES, PIXOO_DEVICE_TYPES } = require('./core/constants');
+const { getDeviceProfile } = require('./core/device-capabilities');
+const { getDriverPlugin } = require('./core/driver-plugins');
+const {
+  TRANSITION_FRAME_INTERVAL,
+  renderTransition,
+} = require('./core/scene-transitions');
 const AwtrixCanvas = require('./drivers/awtrix/awtrix-canvas');
 const AwtrixDriver = require('./drivers/awtrix/awtrix-driver');
 const PixooDriver = require('./drivers/pixoo/pixoo-driver');
+const RasterDriver = require('./drivers/raster/raster-driver');
+const UdpPixelDriver = require('./drivers/udp/udp-driver');
+const WallDriver = require('./drivers/wall/wall-driver');
+const WledDriver = require('./drivers/wled/wled-driver');
+const GraphicsEngine = require('./graphics-engine');
 const logger = require('./logger');
 const PixooCanvas = require('./pixoo-canvas');
 const DeviceHealth = require('./services/device-health');
@@ -19,24 +31,45 @@ const devices = new Map(); // host -> DeviceProxy
 const deviceHealthStore = new DeviceHealth();
 const sceneStates = new Map(); // host::scene -> local state object
 let stateStore = null; // Global state store for device logging preferences
+let mqttService = null; // Shared broker connection for MQTT-based drivers
+const frameListeners = new Set(); // (host, frame) callbacks for live previews
+const mirrors = new Map(); // leader host -> Set of follower hosts (device groups)
 
 // ============================================================================
 // DRIVER REGISTRY - Maps device types to driver classes
 // ============================================================================
 const _DRIVER_REGISTRY = {
-  [DEVICE_TYPES.PIXOO64]: PixooDriver,
+  ...Object.fromEntries(PIXOO_DEVICE_TYPES.map((type) => [type, PixooDriver])),
   [DEVICE_TYPES.AWTRIX]: AwtrixDriver,
+  [DEVICE_TYPES.WLED]: WledDriver,
+  [DEVICE_TYPES.UDP]: UdpPixelDriver,
+  [DEVICE_TYPES.WALL]: WallDriver,
 };
 
 // Canvas registry - Maps device types to canvas adapters
 const _CANVAS_REGISTRY = {
-  [DEVICE_TYPES.PIXOO64]: PixooCanvas,
+  ...Object.fromEntries(PIXOO_DEVICE_TYPES.map((type) => [type, PixooCanvas])),
   [DEVICE_TYPES.AWTRIX]: AwtrixCanvas,
+  [DEVICE_TYPES.WLED]: PixooCanvas, // Plain pixel matrix, same drawing API
+  [DEVICE_TYPES.UDP]: PixooCanvas,
+  [DEVICE_TYPES.WALL]: PixooCanvas,
 };
 
 // Device type resolution per host (for future multi-device support)
 const _deviceTypes = new Map(); // host -> deviceType ('pixoo64', 'awtrix', etc.)
 
+// Driver-specific options per host (e.g. WLED/UDP matrix size), from device config
+const _deviceOptions = new Map(); // host -> options object
+
+// Stable device ids from config, so video wall tiles can name devices by id
+const _deviceIds = new Map(); // id -> host
+
+// Drivers supplied by the caller instead of the registry (terminal preview)
+const _driverFactories = new Map(); // host -> (host, options) => driver
+
+// Pushed frames kept per device for screenshots (GET /api/devices/:ip/frames)
+const FRAME_HISTORY_SIZE = 30;
+
 // Default driver mode for devices (can be overridden per device in config)
 const DRIVER_DEFAULT = 'mock';
 
@@ -128,111 +161,27 @@ function key(host, scene) {
   return `${host}::${scene}`;
 }
 
-// --- Mock driver (kept for dev) ---
-class MockDevice {
-  constructor(host, size = 64) {
-    this.host = host;
-    this.size = size;
-    this.ops = [];
-    this._displayOn = true;
-    this._brightness = 100;
-  }
-  async clear() {
-    this.ops.push({ type: 'clear' });
-  }
-  async drawPixelRgba(pos, color) {
-    this.ops.push({ type: 'pixel', pos, color });
-  }
-  async drawLineRgba(start, end, color) {
-    this.ops.push({ type: 'line', start, end, color });
-  }
-  async drawRectangleRgba(pos, size, color) {
-    this.ops.push({ type: 'rect', pos, size, color });
-  }
-
-  // Alias for fillRectangleRgba - same as drawRectangleRgba (already fills)
-  async fillRectangleRgba(pos, size, color) {
-    this.ops.push({ type: 'fillRect', pos, size, color });
-  }
-  async drawTextRgbaAligned(text, pos, color, align = 'left') {
-    this.ops.push({ type: 'text', text, pos, color, align });
-  }
-  async drawCustomFloatText(
-    value,
-    pos,
-    color,
-    align = 'right',
-    maxTotalDigits = 2
-  ) {
-    const text =
-      typeof value === 'number' ? value.toString() : String(value ?? '');
-    const width = Math.max(1, Math.min(text.length * 4, 64));
-    this.ops.push({
-      type: 'floatText',
-      value,
-      pos,
-      color,
-      align,
-      maxTotalDigits,
-      width,
-    });
-    return width;
-  }
-  async drawImageWithAlpha(path, pos, size, alpha = 255) {
-    this.ops.push({ type: 'image', path, pos, size, alpha });
-  }
-  async drawImageFile(path, x = 0, y = 0) {
-    this.ops.push({ type: 'imageFile', path, x, y });
-  }
-  async push() {
-    const counts = this.ops.reduce((acc, op) => {
-      acc[op.type] = (acc[op.type] || 0) + 1;
-      return acc;
-    }, {});
-    logger.debug(
-      `🟩 [MOCK PUSH] ${this.host} → ops: ${this.ops.length} ` +
-        JSON.stringify(counts)
-    );
-    this.ops = [];
-  }
-
-  getMetrics() {
-    return { pushes: 0, skipped: 0, errors: 0, lastFrametime: 0 }; // Mock metrics
-  }
-
-  async setDisplayPower(on) {
-    this._displayOn = Boolean(on);
-    return true;
-  }
-
-  async setBrightness(level) {
-    this._brightness = Math.max(0, Math.min(100, Number(level) || 0));
-    return true;
-  }
-
-  getHardwareState() {
-    return {
-      displayOn: this._displayOn,
-      brightness: this._brightness,
-    };
-  }
-}
-
 // --- DeviceProxy that can switch driver ---
 class DeviceProxy {
   constructor(host, size = 64, driver = 'mock') {
     this.host = host;
-    this.size = size;
     this.currentDriver = null;
     this.impl = null;
     this.deviceType = resolveDeviceType(host); // Resolve device type (pixoo64, awtrix, etc.)
+    this.size = getDeviceProfile(this.deviceType)?.width ?? size;
     this.metrics = {
       pushes: 0,
       skipped: 0,
       errors: 0,
       lastFrametime: 0,
       lastSeenTs: null, // Timestamp when real hardware last responded
+      animationUploads: 0,
     };
+    this.animationActive = false; // Device is looping an uploaded animation
+    this.frameHistory = []; // [{id, timestamp, sceneName, width, height, buf}]
+    this.frameSequence = 0;
+    this.pendingTransition = null; // Played by the next push (scene switch)
+    this.activeTransition = null;
 
     // Initialize canvas based on device type
     const CanvasClass = _CANVAS_REGISTRY[this.deviceType] || PixooCanvas;
@@ -251,7 +200,18 @@ class DeviceProxy {
 
     // Get device type and driver class
     const deviceType = this.deviceType;
-    const DriverClass = _DRIVER_REGISTRY[deviceType];
+    const plugin = getDriverPlugin(deviceType);
+    const DriverClass = _DRIVER_REGISTRY[deviceType] || plugin?.Driver;
+
+    const factory = _driverFactories.get(this.host);
+    if (factory) {
+      return factory(this.host, {
+        ...(_deviceOptions.get(this.host) || {}),
+        deviceType,
+        driverType: drv,
+        logger,
+      });
+    }
 
     if (!DriverClass) {
       logger.warn(
@@ -262,20 +222,61 @@ class DeviceProxy {
         const { RealPixoo } = require('./pixoo-http');
         return new RealPixoo(this.host, this.size);
       }
-      return new MockDevice(this.host, this.size);
+    }
+
+    // Mock Pixoo panels and plugin devices render real pixels headlessly
+    // (frame history + PNG)
+    if (
+      drv === 'mock' &&
+      (!DriverClass || plugin || PIXOO_DEVICE_TYPES.includes(deviceType))
+    ) {
+      const profile = plugin?.capabilities;
+      return new RasterDriver(this.host, {
+        deviceType,
+        width: profile?.width ?? this.size,
+        height: profile?.height ?? this.size,
+        logger,
+      });
     }
 
     // Create new driver instance based on device type
     if (deviceType === DEVICE_TYPES.AWTRIX) {
-      // Awtrix driver
+      // Awtrix driver (HTTP, or MQTT via the shared broker per device options)
       return new DriverClass(this.host, {
+        port: 80,
+        ...(_deviceOptions.get(this.host) || {}),
+        logger,
+        driverType: drv,
+        mqttService,
+      });
+    } else if (
+      deviceType === DEVICE_TYPES.WLED ||
+      deviceType === DEVICE_TYPES.UDP
+    ) {
+      // WLED / UDP drivers (matrix size, wiring, etc. from device options)
+      return new DriverClass(this.host, {
+        ...(_deviceOptions.get(this.host) || {}),
+        logger,
+        driverType: drv,
+      });
+    } else if (deviceType === DEVICE_TYPES.WALL) {
+      // Video wall: renders onto its tiles, which are configured devices
+      return new DriverClass(this.host, {
+        ...(_deviceOptions.get(this.host) || {}),
+        logger,
+        driverType: drv,
+        getTileDevice: (ref) => getTileDevice(this.host, ref),
+      });
+    } else if (plugin) {
+      // Third-party driver from the plugin directory (options per its schema)
+      return new DriverClass(this.host, {
+        ...(_deviceOptions.get(this.host) || {}),
         logger,
         driverType: drv,
-        port: 80,
       });
     } else {
-      // Pixoo driver (or other future drivers)
-      return new DriverClass(this.host, drv);
+      // Pixoo driver (all panel sizes; size follows the device type profile)
+      return new DriverClass(this.host, drv, deviceType);
     }
   }
 
@@ -288,7 +289,17 @@ class DeviceProxy {
       return;
     }
     this.currentDriver = drv;
+
+    // Release sockets/subscriptions held by the previous driver
+    if (this.impl && typeof this.impl.close === 'function') {
+      this.impl.close().catch((error) => {
+        logger.debug(
+          `Closing old driver for ${this.host} failed: ${error.message}`
+        );
+      });
+    }
     this.impl = this.createImpl(drv);
+    this.animationActive = false;
 
     // Initialize driver asynchronously (don't block constructor)
     if (this.impl && typeof this.impl.initialize === 'function') {
@@ -304,6 +315,22 @@ class DeviceProxy {
     );
   }
 
+  /**
+   * Display capabilities of this device (size, fps, features)
+   * @returns {Object|null} Driver capabilities, or the profile for the device type
+   */
+  getCapabilities() {
+    return this.impl?.capabilities || getDeviceProfile(this.deviceType);
+  }
+
+  /**
+   * Hosts of the devices a video wall renders to
+   * @returns {Array<string>} Empty for all other device types
+   */
+  getTileHosts() {
+    return this.impl?.getTileHosts?.() || [];
+  }
+
   // Device readiness check
   async isReady() {
     if (this.impl && typeof this.impl.isReady === 'function') {
@@ -388,16 +415,53 @@ class DeviceProxy {
     return false;
   }
 
+  // Audio and native tools (AWTRIX RTTTL, Pixoo buzzer and firmware tools)
+  async playTone(frequency, duration) {
+    if (typeof this.impl.playTone === 'function') {
+      return this.impl.playTone(frequency, duration);
+    }
+    return false;
+  }
+  async runNativeTool(tool, params = {}) {
+    if (typeof this.impl.runNativeTool === 'function') {
+      return this.impl.runNativeTool(tool, params);
+    }
+    return false;
+  }
+
   async push(sceneName = 'unknown', publishOk) {
+    if (this.pendingTransition) {
+      const transition = this.pendingTransition;
+      this.pendingTransition = null;
+      await this._playTransition(transition, sceneName, publishOk);
+    }
+
     const start = Date.now();
     try {
       logger.debug(
         `[PUSH] ${this.host} using ${this.currentDriver} driver (${this.impl.constructor.name}) for scene ${sceneName}`
       );
-      await this.impl.push();
-      this.metrics.pushes++;
+      const sent = await this.impl.push(sceneName);
       const frametime = Date.now() - start;
+
+      // A newer frame replaced this one in the command queue: counted in the
+      // queue's drops, the newer frame reports its own metrics
+      if (sent === SUPERSEDED) return 0;
+
+      // Driver skipped the HTTP call because the frame was unchanged
+      if (sent === false) {
+        this.metrics.skipped++;
+        if (publishOk)
+          publishOk(this.host, sceneName, frametime, 0, this.metrics);
+        return 0;
+      }
+
+      this.animationActive = false;
+      this.metrics.pushes++;
       this.metrics.lastFrametime = frametime; // Store for scene access
+      this._recordFrame(sceneName);
+      this._notifyFrameListeners();
+      await this._pushToMirrors(sceneName, publishOk);
 
       const diffPixels = (this.impl.buf ? this.impl.buf.length / 3 : 0) | 0;
 
@@ -414,6 +478,305 @@ class DeviceProxy {
     }
   }
 
+  /**
+   * Blend the first frame the incoming scene pushes with the frame on screen.
+   * Replaces (and stops) any earlier transition.
+   * @param {{type: string, duration: number}|null} transition - See resolveTransition()
+   * @returns {boolean} True if armed (false without transition or pushed frame)
+   */
+  setTransition(transition) {
+    this.cancelTransition();
+    const from = this.getPushedFrame();
+    if (!transition || !from) return false;
+    this.pendingTransition = { ...transition, from };
+    return true;
+  }
+
+  /**
+   * Drop an armed transition and stop one that is playing
+   */
+  cancelTransition() {
+    this.pendingTransition = null;
+    if (this.activeTransition) {
+      this.activeTransition.cancelled = true;
+    }
+  }
+
+  /**
+   * Push in-between frames until the transition has run its duration. The
+   * incoming frame is kept aside and restored for the regular push.
+   * @private
+   */
+  async _playTransition(transition, sceneName, publishOk) {
+    const frame = this.getFrame();
+    const { from } = transition;
+    if (!frame || from.width !== frame.width || from.height !== frame.height) {
+      return;
+    }
+
+    const target = Uint8Array.from(frame.buf);
+    const engine = new GraphicsEngine(this, {
+      width: frame.width,
+      height: frame.height,
+    });
+    engine.startFadeTransition(transition.duration);
+    this.activeTransition = transition;
+    logger.debug(
+      `[TRANSITION] ${this.host} ${transition.type} (${transition.duration}ms) into ${sceneName}`
+    );
+
+    try {
+      while (!transition.cancelled) {
+        const progress = engine.updateFadeTransition();
+        if (!engine.isFadeActive()) break;
+
+        const stepStart = Date.now();
+        renderTransition(
+          transition.type,
+          from.buf,
+          target,
+          progress,
+          frame.buf,
+          frame.width,
+          frame.height
+        );
+        await this.push(sceneName, publishOk);
+        const wait = TRANSITION_FRAME_INTERVAL - (Date.now() - stepStart);
+        if (wait > 0) await new Promise((resolve) => setTimeout(resolve, wait));
+      }
+    } catch (error) {
+      logger.warn(`Transition on ${this.host} failed: ${error.message}`);
+    } finally {
+      this.activeTransition = null;
+      // A newer switch owns the framebuffer now
+      if (!transition.cancelled) frame.buf.set(target);
+    }
+  }
+
+  /**
+   * Current framebuffer of the active driver (live reference, don't modify)
+   * @returns {{width: number, height: number, buf: Uint8Array}|null}
+   */
+  getFrame() {
+    if (this.impl && typeof this.impl.getFrame === 'function') {
+      return this.impl.getFrame();
+    }
+    return null;
+  }
+
+  /**
+   * Recently pushed frames, oldest first
+   * @returns {Array<{id: number, timestamp: number, sceneName: string, width: number, height: number, buf: Uint8Array}>}
+   */
+  getFrameHistory() {
+    return this.frameHistory.slice();
+  }
+
+  /**
+   * A pushed frame from the history
+   * @param {number} [id] - Frame id (default: the most recent frame)
+   * @returns {Object|null} History entry, or null if not (or no longer) kept
+   */
+  getPushedFrame(id) {
+    if (id === undefined) return this.frameHistory.at(-1) || null;
+    return this.frameHistory.find((entry) => entry.id === id) || null;
+  }
+
+  /**
+   * Copy the pushed frame into the history
+   * @private
+   */
+  _recordFrame(sceneName) {
+    const frame = this.getFrame();
+    if (!frame) return;
+    this.frameHistory.push({
+      id: ++this.frameSequence,
+      timestamp: Date.now(),
+      sceneName,
+      width: frame.width,
+      height: frame.height,
+      buf: Uint8Array.from(frame.buf),
+    });
+    if (this.frameHistory.length > FRAME_HISTORY_SIZE) {
+      this.frameHistory.shift();
+    }
+  }
+
+  /**
+   * Hand the pushed frame to preview listeners (no-op when nobody listens)
+   * @private
+   */
+  _notifyFrameListeners() {
+    if (frameListeners.size === 0) return;
+    const frame = this.getFrame();
+    if (!frame) return;
+    for (const listener of frameListeners) {
+      try {
+        listener(this.host, frame);
+      } catch (error) {
+        logger.debug(
+          `Frame listener failed for ${this.host}: ${error.message}`
+        );
+      }
+    }
+  }
+
+  /**
+   * Push the frame just sent by this device to its group followers
+   * (one failing member must not stop the others)
+   * @private
+   */
+  async _pushToMirrors(sceneName, publishOk) {
+    const followers = mirrors.get(this.host);
+    if (!followers || followers.size === 0) return;
+    const frame = this.getFrame();
+    if (!frame) return;
+
+    await Promise.all(
+      [...followers].map(async (host) => {
+        try {
+          await getDevice(host).showFrame(frame, sceneName, publishOk);
+        } catch (error) {
+          logger.warn(
+            `Mirroring ${this.host} → ${host} failed: ${error.message}`
+          );
+        }
+      })
+    );
+  }
+
+  /**
+   * Copy a frame into this device's framebuffer and push it. Frames of a
+   * different size are scaled (nearest neighbour).
+   * @param {{width: number, height: number, buf: Uint8Array}} frame - RGB frame
+   * @param {string} [sceneName='unknown'] - Scene name for metrics
+   * @param {Function} [publishOk] - Success metrics callback
+   * @returns {Promise<number>} Result of push(), or 0 without a framebuffer
+   */
+  async showFrame(frame, sceneName = 'unknown', publishOk) {
+    const target = this.getFrame();
+    if (!target) return 0;
+
+    if (target.width === frame.width && target.height === frame.height) {
+      target.buf.set(frame.buf);
+    } else {
+      for (let y = 0; y < target.height; y++) {
+        const sy = Math.floor((y * frame.height) / target.height);
+        for (let x = 0; x < target.width; x++) {
+          const sx = Math.floor((x * frame.width) / target.width);
+          const src = (sy * frame.width + sx) * 3;
+          const dst = (y * target.width + x) * 3;
+          target.buf[dst] = frame.buf[src];
+          target.buf[dst + 1] = frame.buf[src + 1];
+          target.buf[dst + 2] = frame.buf[src + 2];
+        }
+      }
+    }
+    return this.push(sceneName, publishOk);
+  }
+
+  /**
+   * Force the next push to be sent even if the frame is unchanged
+   * (use after the device display was changed outside the push path)
+   */
+  invalidateFrame() {
+    if (typeof this.impl.invalidateFrame === 'function') {
+      this.impl.invalidateFrame();
+    }
+  }
+
+  /**
+   * Snapshot the current framebuffer for building an animation
+   * @returns {Uint8Array|null} Frame copy, or null if the driver has no native animations
+   */
+  captureFrame() {
+    if (typeof this.impl.captureFrame === 'function') {
+      return this.impl.captureFrame();
+    }
+    return null;
+  }
+
+  /**
+   * Upload a multi-frame animation that the device loops on its own
+   * @param {Array<Uint8Array>} frames - Frames collected via captureFrame()
+   * @param {Object} [options]
+   * @param {number} [options.speed] - Display time per frame in ms
+   * @param {string} [options.sceneName='unknown'] - Scene name for metrics
+   * @param {Function} [options.publishOk] - Success metrics callback
+   * @returns {Promise<boolean>} True if uploaded, false if unsupported
+   */
+  async pushAnimation(
+    frames,
+    { speed, sceneName = 'unknown', publishOk } = {}
+  ) {
+    if (typeof this.impl.pushAnimation !== 'function') {
+      // No-op for drivers without native animation support
+      return false;
+    }
+    this.pendingTransition = null;
+
+    const start = Date.now();
+    try {
+      const uploaded = await this.impl.pushAnimation(frames, speed);
+      if (uploaded === false) return false;
+
+      this.animationActive = true;
+      this.metrics.pushes++;
+      this.metrics.animationUploads++;
+      const frametime = Date.now() - start;
+      this.metrics.lastFrametime = frametime;
+
+      logger.debug(
+        `[ANIM] ${this.host} uploaded ${frames.length} frame(s) for scene ${sceneName}`
+      );
+
+      if (publishOk)
+        publishOk(this.host, sceneName, frametime, 0, this.metrics);
+      await this._uploadToMirrors(frames, { speed, sceneName, publishOk });
+      return true;
+    } catch (err) {
+      this.metrics.errors++;
+      throw err;
+    }
+  }
+
+  /**
+   * Upload an animation to group followers of the same panel size
+   * @private
+   */
+  async _uploadToMirrors(frames, options) {
+    const followers = mirrors.get(this.host);
+    if (!followers || followers.size === 0) return;
+    const frame = this.getFrame();
+
+    await Promise.all(
+      [...followers].map(async (host) => {
+        const follower = getDevice(host);
+        const target = follower.getFrame();
+        if (!target || target.buf.length !== frame?.buf.length) {
+          logger.debug(`[ANIM] ${host} has a different size, not mirrored`);
+          return;
+        }
+        try {
+          await follower.pushAnimation(frames, options);
+        } catch (error) {
+          logger.warn(
+            `Mirroring animation ${this.host} → ${host} failed: ${error.message}`
+          );
+        }
+      })
+    );
+  }
+
+  /**
+   * Whether the device is currently looping an uploaded animation
+   * (cleared by the next regular push)
+   * @returns {boolean}
+   */
+  hasActiveAnimation() {
+    return this.animationActive;
+  }
+
   getMetrics() {
     // Merge proxy metrics with driver metrics (drivers may update lastSeenTs via health checks)
     const driverMetrics =
@@ -512,6 +875,44 @@ function getDevice(host) {
   return devices.get(host);
 }
 
+/**
+ * Device proxy of a video wall tile
+ * @param {string} wallHost - Host of the wall
+ * @param {string} ref - Tile device by IP or config id
+ * @returns {DeviceProxy|null} Null for unconfigured devices and other walls
+ */
+function getTileDevice(wallHost, ref) {
+  const host = _deviceIds.get(ref) || ref;
+  if (
+    host === wallHost ||
+    !deviceDrivers.has(host) ||
+    resolveDeviceType(host) === DEVICE_TYPES.WALL
+  ) {
+    return null;
+  }
+  return getDevice(host);
+}
+
+/**
+ * Create the driver of a host with a custom factory instead of the driver
+ * registry, in both real and mock mode (e.g. the terminal preview driver)
+ * @param {string} host - Device host
+ * @param {Function|null} factory - `(host, {deviceType, driverType, logger,
+ *   ...deviceOptions}) => driver`, null to use the registry again
+ */
+function setDriverFactory(host, factory) {
+  if (factory) {
+    _driverFactories.set(host, factory);
+  } else {
+    _driverFactories.delete(host);
+  }
+  const dev = devices.get(host);
+  if (dev) {
+    dev.currentDriver = null; // Force a new driver instance
+    dev.switchDriver(resolveDriver(host));
+  }
+}
+
 function getDeviceDriverImpl(host) {
   return getDevice(host)?.impl;
 }
@@ -537,6 +938,100 @@ function setStateStore(store) {
   stateStore = store;
 }
 
+/**
+ * Set the MQTT service used by drivers with an MQTT transport (AWTRIX)
+ * @param {Object} service - MqttService instance
+ */
+function setMqttService(service) {
+  mqttService = service;
+}
+
+/**
+ * Get called with (host, frame) after every frame a device actually pushed.
+ * The frame is the driver's live buffer; copy it if you need to keep it.
+ * @param {Function} listener - (host, {width, height, buf}) => void
+ * @returns {Function} Unsubscribe function
+ */
+function addFrameListener(listener) {
+  frameListeners.add(listener);
+  return () => frameListeners.delete(listener);
+}
+
+/**
+ * Mirror every frame pushed by `leader` to `followers` (device groups: one
+ * scene loop renders, all members show the frame). A device follows at most
+ * one leader; the current frame is pushed to the followers right away.
+ * @param {string} leader - Host that runs the scene
+ * @param {Array<string>} followers - Hosts that show the leader's frames
+ * @returns {Promise<void>}
+ */
+async function setMirrors(leader, followers) {
+  const targets = new Set(followers.filter((host) => host !== leader));
+  for (const host of [leader, ...targets]) clearMirrors(host);
+  if (targets.size === 0) return;
+  mirrors.set(leader, targets);
+
+  // Last pushed frame: the live buffer may hold a half-drawn one
+  const device = getDevice(leader);
+  const frame = device.getPushedFrame() || device.getFrame();
+  if (!frame) return;
+  await Promise.all(
+    [...targets].map((host) =>
+      getDevice(host)
+        .showFrame(frame, frame.sceneName)
+        .catch((error) => {
+          logger.warn(`Mirroring ${leader} → ${host} failed: ${error.message}`);
+        })
+    )
+  );
+}
+
+/**
+ * Take a device out of mirroring, as leader and as follower
+ * @param {string} host - Device host
+ * @returns {boolean} True if the device was mirroring or mirrored
+ */
+function clearMirrors(host) {
+  let changed = mirrors.delete(host);
+  for (const [leader, followers] of mirrors) {
+    if (followers.delete(host)) changed = true;
+    if (followers.size === 0) mirrors.delete(leader);
+  }
+  return changed;
+}
+
+/**
+ * Leader whose frames a device currently shows
+ * @param {string} host - Device host
+ * @returns {string|null}
+ */
+function getMirrorLeader(host) {
+  for (const [leader, followers] of mirrors) {
+    if (followers.has(host)) return leader;
+  }
+  return null;
+}
+
+/**
+ * Forget the getState/setState values of a scene on a device
+ * @param {string} host - Device host
+ * @param {string} sceneName - Scene name
+ * @returns {boolean} True if there was state to forget
+ */
+function clearSceneState(host, sceneName) {
+  return sceneStates.delete(key(host, sceneName));
+}
+
+/**
+ * Copy of the getState/setState values of a scene on a device
+ * @param {string} host - Device host
+ * @param {string} sceneName - Scene name
+ * @returns {Object} Key/value pairs (empty if the scene has no state)
+ */
+function getSceneStateValues(host, sceneName) {
+  return { ...sceneStates.get(key(host, sceneName)) };
+}
+
 function getContext(host, sceneName, state, publishOk, sceneModule) {
   const device = getDevice(host);
   const scene = sceneModule || null;
@@ -565,10 +1060,16 @@ function getContext(host, sceneName, state, publishOk, sceneModule) {
 
   logger.debug('Final mergedState keys:', Array.from(mergedState.keys()));
 
+  const capabilities = device.getCapabilities();
+
   return {
     device,
     state: mergedState,
-    env: { width: 64, height: 64, host },
+    env: {
+      width: capabilities?.width ?? 64,
+      height: capabilities?.height ?? 64,
+      host,
+    },
     getState: (k, defVal) => (k in local ? local[k] : defVal),
     setState: (k, v) => {
       local[k] = v;
@@ -646,16 +1147,25 @@ function registerDevicesFromConfig(devicesConfig) {
   }
 
   deviceDrivers.clear(); // Clear any existing mappings
+  _deviceIds.clear();
 
   for (const device of devicesConfig) {
     if (device.ip && device.driver) {
       deviceDrivers.set(device.ip, device.driver);
+      if (device.id) _deviceIds.set(device.id, device.ip);
 
       // Also register device type if provided
       if (device.deviceType) {
         _deviceTypes.set(device.ip, device.deviceType);
       }
 
+      // Driver-specific options (only some device types use them)
+      if (device.options && Object.keys(device.options).length > 0) {
+        _deviceOptions.set(device.ip, device.options);
+      } else {
+        _deviceOptions.delete(device.ip);
+      }
+
       logger.debug(
         `Registered device: ${device.ip} → ${device.driver} (${device.deviceType || 'pixoo64'})`
       );
@@ -670,9 +1180,17 @@ module.exports = {
   getDevice,
   getDeviceDriverImpl,
   getContext,
+  clearSceneState,
+  getSceneStateValues,
   setDriverForDevice,
+  setDriverFactory,
   getDriverForDevice,
   setStateStore,
+  setMqttService,
+  addFrameListener,
+  setMirrors,
+  clearMirrors,
+  getMirrorLeader,
   resolveDriver,
   resolveDeviceType, // v3.0+: resolve device type for a given host
   deviceDrivers,
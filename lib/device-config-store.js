@@ -8,15 +8,96 @@
 const fs = require('fs').promises;
 const path = require('path');
 
-const { DEVICE_TYPES, DRIVER_TYPES } = require('./core/constants');
+const {
+  DEVICE_TYPES,
+  DRIVER_TYPES,
+  PIXOO_DEVICE_TYPES,
+} = require('./core/constants');
+const {
+  getDriverPlugin,
+  validatePluginOptions,
+} = require('./core/driver-plugins');
+const { validateTransition } = require('./core/scene-transitions');
+const AWTRIX_CONSTANTS = require('./drivers/awtrix/constants');
+const {
+  validateHardwareSettings,
+} = require('./drivers/pixoo/hardware-settings');
+const UDP_CONSTANTS = require('./drivers/udp/constants');
+const WALL_CONSTANTS = require('./drivers/wall/constants');
 const logger = require('./logger');
+const { normalizeMac } = require('./util/network-utils');
+
+let lastIdTimestamp = 0;
+
+/**
+ * Generate a stable device id ('pidicon-<ms>', unique within this process)
+ * @returns {string}
+ */
+function generateDeviceId() {
+  lastIdTimestamp = Math.max(Date.now(), lastIdTimestamp + 1);
+  return `pidicon-${lastIdTimestamp}`;
+}
+
+/**
+ * Validate a playlist and fill in option defaults
+ * @param {Object} playlist - Playlist as sent by the API
+ * @param {Array<Object>} playlist.entries - { scene, payload?, duration }, the
+ *   duration in seconds
+ * @param {boolean} [playlist.shuffle=false] - Random order, reshuffled per round
+ * @param {boolean} [playlist.repeat=true] - Start over after the last entry
+ * @param {boolean} [playlist.skipIncompatible=true] - Skip scenes made for
+ *   other device types
+ * @returns {Object} Normalized playlist
+ * @throws {Error} If the playlist is invalid
+ */
+function normalizePlaylist(playlist) {
+  if (!playlist || typeof playlist !== 'object') {
+    throw new Error('Playlist must be an object');
+  }
+  const {
+    entries,
+    shuffle = false,
+    repeat = true,
+    skipIncompatible = true,
+  } = playlist;
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error('Playlist needs at least one entry');
+  }
+  const options = { shuffle, repeat, skipIncompatible };
+  for (const [key, value] of Object.entries(options)) {
+    if (typeof value !== 'boolean') {
+      throw new Error(`Playlist option ${key} must be a boolean`);
+    }
+  }
+
+  return {
+    entries: entries.map((entry, i) => {
+      if (typeof entry?.scene !== 'string' || !entry.scene) {
+        throw new Error(`Entry ${i + 1}: scene is required`);
+      }
+      if (typeof entry.duration !== 'number' || !(entry.duration > 0)) {
+        throw new Error(
+          `Entry ${i + 1}: duration must be a positive number of seconds`
+        );
+      }
+      const payload = entry.payload ?? {};
+      if (typeof payload !== 'object' || Array.isArray(payload)) {
+        throw new Error(`Entry ${i + 1}: payload must be an object`);
+      }
+      return { scene: entry.scene, payload, duration: entry.duration };
+    }),
+    ...options,
+  };
+}
 
 /**
  * Device configuration class
  */
 class DeviceConfig {
   constructor({
+    id = null,
     ip,
+    mac = null,
     name = `Device ${ip}`,
     deviceType = DEVICE_TYPES.PIXOO64,
     driver = DRIVER_TYPES.MOCK,
@@ -25,8 +106,15 @@ class DeviceConfig {
     watchdog = {},
     sceneDefaults = {},
     sceneUsage = {},
+    options = {},
+    hardwareSettings = {},
+    playlists = {},
+    transition = null,
   }) {
+    // Stable identity: survives IP changes (DHCP), IP is a mutable attribute
+    this.id = id || generateDeviceId();
     this.ip = ip;
+    this.mac = normalizeMac(mac);
     this.name = name;
     this.deviceType = deviceType;
     this.driver = driver;
@@ -48,6 +136,19 @@ class DeviceConfig {
     // Scene usage tracking: per-scene usage stats
     // Format: { sceneName: { lastUsed: ISO8601, useCount: number, sortOrder: number } }
     this.sceneUsage = sceneUsage || {};
+    // Driver-specific options (e.g. WLED: { width, height, segment, port },
+    // UDP: { protocol, width, height, layout, universe, offset, ... },
+    // AWTRIX: { transport, mqttPrefix })
+    this.options = options || {};
+    // Pixoo hardware settings, reapplied on every start
+    // Format: { rotation, mirror, clockFormat, temperatureUnit, whiteBalance, timezone }
+    this.hardwareSettings = hardwareSettings || {};
+    // Scene playlists (see normalizePlaylist())
+    // Format: { playlistName: { entries, shuffle, repeat, skipIncompatible } }
+    this.playlists = playlists || {};
+    // Default transition into every scene (scene defaults and requests override)
+    // Format: { type: 'crossfade', duration: 800 } or null
+    this.transition = transition || null;
   }
 
   /**
@@ -146,7 +247,10 @@ class DeviceConfig {
     const errors = [];
 
     if (!this.ip) errors.push('IP address is required');
-    if (!Object.values(DEVICE_TYPES).includes(this.deviceType)) {
+    if (
+      !Object.values(DEVICE_TYPES).includes(this.deviceType) &&
+      !getDriverPlugin(this.deviceType)
+    ) {
       errors.push(`Invalid device type: ${this.deviceType}`);
     }
     if (!Object.values(DRIVER_TYPES).includes(this.driver)) {
@@ -155,16 +259,134 @@ class DeviceConfig {
     if (this.brightness < 0 || this.brightness > 100) {
       errors.push('Brightness must be between 0 and 100');
     }
+    for (const dim of ['width', 'height']) {
+      const value = this.options[dim];
+      if (value !== undefined && !(Number.isInteger(value) && value > 0)) {
+        errors.push(`Option ${dim} must be a positive integer`);
+      }
+    }
+    if (this.deviceType === DEVICE_TYPES.UDP) {
+      errors.push(...this._validateUdpOptions());
+    }
+    if (this.deviceType === DEVICE_TYPES.AWTRIX) {
+      errors.push(...this._validateAwtrixOptions());
+    }
+    if (this.deviceType === DEVICE_TYPES.WALL) {
+      errors.push(...this._validateWallOptions());
+    }
+    errors.push(...validatePluginOptions(this.deviceType, this.options));
+    if (Object.keys(this.hardwareSettings).length > 0) {
+      if (!PIXOO_DEVICE_TYPES.includes(this.deviceType)) {
+        errors.push('Hardware settings are only supported on Pixoo devices');
+      }
+      errors.push(...validateHardwareSettings(this.hardwareSettings));
+    }
+    if (this.transition) {
+      errors.push(...validateTransition(this.transition));
+    }
 
     return { valid: errors.length === 0, errors };
   }
 
+  /**
+   * Validate AWTRIX transport options (MQTT needs the device's topic prefix)
+   * @private
+   */
+  _validateAwtrixOptions() {
+    const errors = [];
+    const { transport, mqttPrefix } = this.options;
+    const transports = Object.values(AWTRIX_CONSTANTS.TRANSPORTS);
+    if (transport !== undefined && !transports.includes(transport)) {
+      errors.push(`Option transport must be one of: ${transports.join(', ')}`);
+    }
+    if (
+      transport === AWTRIX_CONSTANTS.TRANSPORTS.MQTT &&
+      !(typeof mqttPrefix === 'string' && mqttPrefix.trim())
+    ) {
+      errors.push('Option mqttPrefix is required for the MQTT transport');
+    }
+    return errors;
+  }
+
+  /**
+   * Validate video wall tiles (device, position on the canvas, rotation)
+   * @private
+   */
+  _validateWallOptions() {
+    const { tiles } = this.options;
+    if (!Array.isArray(tiles) || tiles.length === 0) {
+      return ['Option tiles must list at least one tile'];
+    }
+
+    const errors = [];
+    tiles.forEach((tile, i) => {
+      const { device, x = 0, y = 0, rotation = 0 } = tile || {};
+      if (!(typeof device === 'string' && device.trim())) {
+        errors.push(`Tile ${i + 1}: device is required`);
+      } else if (device === this.ip || device === this.id) {
+        errors.push(`Tile ${i + 1}: a wall cannot be its own tile`);
+      }
+      if (![x, y].every((value) => Number.isInteger(value) && value >= 0)) {
+        errors.push(`Tile ${i + 1}: x and y must be non-negative integers`);
+      }
+      if (!WALL_CONSTANTS.ROTATIONS.includes(rotation)) {
+        errors.push(
+          `Tile ${i + 1}: rotation must be one of: ${WALL_CONSTANTS.ROTATIONS.join(', ')}`
+        );
+      }
+    });
+    return errors;
+  }
+
+  /**
+   * Validate UDP pixel output options (protocol, wiring, universe mapping)
+   * @private
+   */
+  _validateUdpOptions() {
+    const errors = [];
+    const { protocol, layout, orientation, startCorner } = this.options;
+    const allowed = {
+      protocol: Object.values(UDP_CONSTANTS.PROTOCOLS),
+      layout: UDP_CONSTANTS.LAYOUTS,
+      orientation: UDP_CONSTANTS.ORIENTATIONS,
+      startCorner: UDP_CONSTANTS.START_CORNERS,
+    };
+    const values = { protocol, layout, orientation, startCorner };
+    for (const [key, list] of Object.entries(allowed)) {
+      if (values[key] !== undefined && !list.includes(values[key])) {
+        errors.push(`Option ${key} must be one of: ${list.join(', ')}`);
+      }
+    }
+    for (const key of ['universe', 'offset', 'port', 'keepaliveMs']) {
+      const value = this.options[key];
+      if (value !== undefined && !(Number.isInteger(value) && value >= 0)) {
+        errors.push(`Option ${key} must be a non-negative integer`);
+      }
+    }
+    const perUniverse = this.options.channelsPerUniverse;
+    if (
+      perUniverse !== undefined &&
+      !(
+        Number.isInteger(perUniverse) &&
+        perUniverse >= 3 &&
+        perUniverse <= UDP_CONSTANTS.DMX.UNIVERSE_SIZE
+      )
+    ) {
+      errors.push(
+        `Option channelsPerUniverse must be between 3 and ${UDP_CONSTANTS.DMX.UNIVERSE_SIZE}`
+      );
+    }
+    return errors;
+  }
+
   /**
    * Convert to JSON-serializable object
    */
   toJSON() {
     return {
+      id: this.id,
       ip: this.ip,
+      mac: this.mac,
       name: this.name,
       deviceType: this.deviceType,
       driver: this.driver,
@@ -173,6 +395,10 @@ class DeviceConfig {
       watchdog: this.watchdog,
       sceneDefaults: this.sceneDefaults,
       sceneUsage: this.sceneUsage,
+      options: this.options,
+      hardwareSettings: this.hardwareSettings,
+      playlists: this.playlists,
+      transition: this.transition,
     };
   }
 }
@@ -181,7 +407,13 @@ class DeviceConfig {
  * Device configuration store - manages persistent device configs
  */
 class DeviceConfigStore {
-  constructor(configPath = null) {
+  /**
+   * @param {string|null} [configPath] - Config file (default: env, /data, ./config)
+   * @param {Object} [options]
+   * @param {Object} [options.logger] - Logger (default: global logger)
+   */
+  constructor(configPath = null, { logger: injectedLogger } = {}) {
+    this.logger = injectedLogger || logger;
     // Priority: explicit path > env var > /data mount > fallback to ./config
     this.configPath = path.resolve(
       configPath ||
@@ -190,10 +422,12 @@ class DeviceConfigStore {
           ? '/data/devices.json'
           : './config/devices.json')
     );
-    this.devices = new Map(); // ip -> DeviceConfig
+    this.devices = new Map(); // ip -> DeviceConfig (see findDevice() for id/MAC)
+    this.groups = new Map(); // name -> { name, members: [deviceId, ...], playlists }
     this.settings = {
       mediaPath: process.env.PIDICON_MEDIA_PATH || '/data/media',
       scenesPath: process.env.PIDICON_SCENES_PATH || '/data/scenes',
+      driversPath: process.env.PIDICON_DRIVERS_PATH || '/data/drivers',
       mqttBrokerUrl:
         process.env.PIDICON_MQTT_BROKER_URL || 'mqtt://localhost:1883',
       mqttUsername: process.env.PIDICON_MQTT_USERNAME || '',
@@ -212,7 +446,7 @@ class DeviceConfigStore {
 
     this.settings.defaults = this._normalizeDefaults(this.settings.defaults);
 
-    logger.info(`📋 [CONFIG] Using config path: ${this.configPath}`);
+    this.logger.info(`📋 [CONFIG] Using config path: ${this.configPath}`);
   }
 
   /**
@@ -236,11 +470,11 @@ class DeviceConfigStore {
     try {
       await fs.mkdir(this.settings.mediaPath, { recursive: true });
       await fs.mkdir(this.settings.scenesPath, { recursive: true });
-      logger.info(
+      this.logger.info(
         `✅ [CONFIG] Ensured directories exist: ${this.settings.mediaPath}, ${this.settings.scenesPath}`
       );
     } catch (error) {
-      logger.warn(
+      this.logger.warn(
         `⚠️  [CONFIG] Failed to create directories: ${error.message}`
       );
     }
@@ -250,7 +484,7 @@ class DeviceConfigStore {
    * Load device configurations from JSON file
    */
   async load() {
-    logger.info(`📋 [CONFIG] Loading config from: ${this.configPath}`);
+    this.logger.info(`📋 [CONFIG] Loading config from: ${this.configPath}`);
     try {
       const data = await fs.readFile(this.configPath, 'utf8');
       const json = JSON.parse(data);
@@ -260,6 +494,7 @@ class DeviceConfigStore {
         this.settings = {
           mediaPath: json.settings.mediaPath || this.settings.mediaPath,
           scenesPath: json.settings.scenesPath || this.settings.scenesPath,
+          driversPath: json.settings.driversPath || this.settings.driversPath,
           mqttBrokerUrl:
             json.settings.mqttBrokerUrl || this.settings.mqttBrokerUrl,
           mqttUsername:
@@ -276,32 +511,54 @@ class DeviceConfigStore {
         ? json.devices
         : Object.values(json.devices || {});
 
+      let assignedIds = 0;
       for (const config of devices) {
         const normalized = this._applyDefaultsToDevice(config);
+        if (!config.id) assignedIds++;
         this.devices.set(config.ip, new DeviceConfig(normalized));
       }
 
+      this.groups.clear();
+      for (const group of json.groups || []) {
+        this.groups.set(group.name, {
+          name: group.name,
+          members: [...(group.members || [])],
+          playlists: group.playlists || {},
+        });
+      }
+
       // Ensure media and scenes directories exist
       await this._ensureDirectories();
 
       this.loaded = true;
-      logger.info(
+      this.logger.info(
         `📋 [CONFIG] Loaded ${this.devices.size} device configuration(s) from ${this.configPath}`
       );
-      logger.info(`📁 [CONFIG] Media path: ${this.settings.mediaPath}`);
-      logger.info(`📁 [CONFIG] Scenes path: ${this.settings.scenesPath}`);
-      logger.info(
+
+      this.logger.info(`📁 [CONFIG] Media path: ${this.settings.mediaPath}`);
+      this.logger.info(`📁 [CONFIG] Scenes path: ${this.settings.scenesPath}`);
+      this.logger.info(
+        `📁 [CONFIG] Drivers path: ${this.settings.driversPath}`
+      );
+      this.logger.info(
         `📡 [CONFIG] MQTT broker: ${this.settings.mqttBrokerUrl || 'n/a'}`
       );
+      // Migrate pre-id configs (keyed by IP only) so the ids stay stable
+      if (assignedIds > 0) {
+        this.logger.info(
+          `🔑 [CONFIG] Assigned stable ids to ${assignedIds} device(s)`
+        );
+        await this.save();
+      }
     } catch (error) {
       if (error.code === 'ENOENT') {
-        logger.info(
+        this.logger.info(
           `📋 [CONFIG] No device config file found at ${this.configPath}, starting fresh`
         );
         await this._ensureDirectories();
         this.loaded = true;
       } else {
-        logger.error(
+        this.logger.error(
           `❌ [CONFIG] Failed to load device config from ${this.configPath}: ${error.message}`
         );
         throw error;
@@ -319,6 +576,7 @@ class DeviceConfigStore {
         lastModified: new Date().toISOString(),
         settings: this.settings,
         devices: [],
+        groups: [...this.groups.values()],
       };
 
       for (const [_ip, config] of this.devices.entries()) {
@@ -328,18 +586,20 @@ class DeviceConfigStore {
       // Ensure config directory exists
       const configDir = path.dirname(this.configPath);
       await fs.mkdir(configDir, { recursive: true });
-      logger.debug(`📋 [CONFIG] Ensured config directory exists: ${configDir}`);
+      this.logger.debug(
+        `📋 [CONFIG] Ensured config directory exists: ${configDir}`
+      );
 
       await fs.writeFile(
         this.configPath,
         JSON.stringify(json, null, 2),
         'utf8'
       );
-      logger.info(
+      this.logger.info(
         `💾 [CONFIG] Saved ${this.devices.size} device configuration(s) to ${this.configPath}`
       );
     } catch (error) {
-      logger.error(
+      this.logger.error(
         `❌ [CONFIG] Failed to save device config to ${this.configPath}: ${error.message}`
       );
       throw error;
@@ -360,18 +620,22 @@ class DeviceConfigStore {
     if (this.devices.has(deviceConfig.ip)) {
       throw new Error(`Device ${deviceConfig.ip} already exists`);
     }
+    if (this._findById(deviceConfig.id)) {
+      throw new Error(`Device id ${deviceConfig.id} already exists`);
+    }
 
     this.devices.set(deviceConfig.ip, deviceConfig);
     await this.save();
 
-    logger.info(
+    this.logger.info(
       `➕ [CONFIG] Added device ${deviceConfig.ip} (${deviceConfig.name})`
     );
     return deviceConfig;
   }
 
   /**
-   * Update existing device configuration
+   * Update existing device configuration. `updates.ip` moves the device to
+   * a new address; id, scene defaults and usage stay with it.
    */
   async updateDevice(ip, updates) {
     const existing = this.devices.get(ip);
@@ -379,10 +643,16 @@ class DeviceConfigStore {
       throw new Error(`Device ${ip} not found`);
     }
 
+    const newIp = updates.ip || ip;
+    if (newIp !== ip && this.devices.has(newIp)) {
+      throw new Error(`Device ${newIp} already exists`);
+    }
+
     const mergedConfig = {
       ...existing.toJSON(),
       ...updates,
-      ip,
+      id: existing.id,
+      ip: newIp,
     };
 
     const updated = new DeviceConfig(this._applyDefaultsToDevice(mergedConfig));
@@ -392,13 +662,38 @@ class DeviceConfigStore {
       throw new Error(`Invalid device config: ${validation.errors.join(', ')}`);
     }
 
-    this.devices.set(ip, updated);
+    this.devices.delete(ip);
+    this.devices.set(newIp, updated);
     await this.save();
 
-    logger.info(`✏️  [CONFIG] Updated device ${ip} (${updated.name})`);
+    if (newIp !== ip) {
+      this.logger.info(
+        `🔀 [CONFIG] Device ${updated.id} moved ${ip} → ${newIp}`
+      );
+    }
+    this.logger.info(`✏️  [CONFIG] Updated device ${newIp} (${updated.name})`);
     return updated;
   }
 
+  /**
+   * Remember the MAC address of a device (learned from hardware/ARP)
+   * @param {string} ip - Device IP
+   * @param {string} mac - MAC address in any common notation
+   * @returns {Promise<boolean>} True if the stored MAC changed
+   */
+  async setDeviceMac(ip, mac) {
+    const config = this.devices.get(ip);
+    const normalized = normalizeMac(mac);
+    if (!config || !normalized || config.mac === normalized) {
+      return false;
+    }
+
+    config.mac = normalized;
+    await this.save();
+    this.logger.info(`🔑 [CONFIG] Learned MAC ${normalized} for ${ip}`);
+    return true;
+  }
+
   /**
    * Remove device configuration
    */
@@ -407,10 +702,14 @@ class DeviceConfigStore {
       throw new Error(`Device ${ip} not found`);
     }
 
+    const { id } = this.devices.get(ip);
     this.devices.delete(ip);
+    for (const group of this.groups.values()) {
+      group.members = group.members.filter((member) => member !== id);
+    }
     await this.save();
 
-    logger.info(`🗑️  [CONFIG] Removed device ${ip}`);
+    this.logger.info(`🗑️  [CONFIG] Removed device ${ip}`);
   }
 
   /**
@@ -420,6 +719,50 @@ class DeviceConfigStore {
     return this.devices.get(ip);
   }
 
+  /**
+   * Find a device by IP, stable id or MAC address
+   * @param {string} ref - IP, id (e.g. 'pidicon-1728888000000') or MAC
+   * @returns {DeviceConfig|undefined}
+   */
+  findDevice(ref) {
+    if (!ref) return undefined;
+    if (this.devices.has(ref)) return this.devices.get(ref);
+
+    const mac = normalizeMac(ref);
+    for (const config of this.devices.values()) {
+      if (config.id === ref || (mac && config.mac === mac)) return config;
+    }
+    return undefined;
+  }
+
+  /**
+   * Current IP of a device referenced by IP, id or MAC
+   * @param {string} ref
+   * @returns {string} The IP, or ref itself for unknown devices
+   */
+  resolveIp(ref) {
+    return this.findDevice(ref)?.ip ?? ref;
+  }
+
+  /**
+   * Stable id of the device at an IP
+   * @param {string} ip
+   * @returns {string|null}
+   */
+  getDeviceId(ip) {
+    return this.devices.get(ip)?.id ?? null;
+  }
+
+  /**
+   * @private
+   */
+  _findById(id) {
+    for (const config of this.devices.values()) {
+      if (config.id === id) return config;
+    }
+    return undefined;
+  }
+
   /**
    * Get all device configurations
    */
@@ -427,6 +770,180 @@ class DeviceConfigStore {
     return this.devices;
   }
 
+  // ==========================================================================
+  // DEVICE GROUPS
+  // ==========================================================================
+
+  /**
+   * Get all device groups
+   * @returns {Array<{name: string, members: Array<string>}>} Members are device ids
+   */
+  getGroups() {
+    return [...this.groups.values()].map((group) => ({
+      name: group.name,
+      members: [...group.members],
+    }));
+  }
+
+  /**
+   * Get a device group
+   * @param {string} name - Group name
+   * @returns {{name: string, members: Array<string>}|null}
+   */
+  getGroup(name) {
+    const group = this.groups.get(name);
+    return group ? { name: group.name, members: [...group.members] } : null;
+  }
+
+  /**
+   * Configured devices of a group, in member order (unknown ids are skipped)
+   * @param {string} name - Group name
+   * @returns {Array<DeviceConfig>}
+   */
+  getGroupDevices(name) {
+    const group = this.groups.get(name);
+    if (!group) return [];
+    return group.members.map((id) => this._findById(id)).filter(Boolean);
+  }
+
+  /**
+   * Create or replace a device group
+   * @param {string} name - Group name (letters, digits, '-' and '_'; used in MQTT topics)
+   * @param {Array<string>} members - Devices by IP, id or MAC
+   * @returns {Promise<{name: string, members: Array<string>}>}
+   */
+  async setGroup(name, members) {
+    if (typeof name !== 'string' || !/^[\w-]+$/.test(name)) {
+      throw new Error(
+        'Group name may only contain letters, digits, "-" and "_"'
+      );
+    }
+    if (!Array.isArray(members) || members.length === 0) {
+      throw new Error('Group needs at least one member');
+    }
+
+    const ids = [];
+    for (const ref of members) {
+      const config = this.findDevice(ref);
+      if (!config) {
+        throw new Error(`Device ${ref} not found`);
+      }
+      if (!ids.includes(config.id)) ids.push(config.id);
+    }
+
+    const existing = this.groups.get(name);
+    this.groups.set(name, {
+      name,
+      members: ids,
+      playlists: existing?.playlists || {},
+    });
+    await this.save();
+
+    this.logger.info(
+      `${existing ? '✏️ ' : '➕'} [CONFIG] Group ${name}: ${ids.length} member(s)`
+    );
+    return this.getGroup(name);
+  }
+
+  /**
+   * Remove a device group (the devices themselves stay configured)
+   * @param {string} name - Group name
+   */
+  async removeGroup(name) {
+    if (!this.groups.has(name)) {
+      throw new Error(`Group ${name} not found`);
+    }
+
+    this.groups.delete(name);
+    await this.save();
+
+    this.logger.info(`🗑️  [CONFIG] Removed group ${name}`);
+  }
+
+  // ==========================================================================
+  // PLAYLISTS
+  // ==========================================================================
+
+  /**
+   * Playlists of a device or group
+   * @param {{device: string}|{group: string}} owner - Device by IP, id or
+   *   MAC, or group by name
+   * @returns {Array<Object>} Playlists with their name, sorted by name
+   */
+  getPlaylists(owner) {
+    const { playlists } = this._getPlaylistOwner(owner);
+    return Object.keys(playlists)
+      .sort()
+      .map((name) => this.getPlaylist(owner, name));
+  }
+
+  /**
+   * Get a playlist of a device or group
+   * @param {{device: string}|{group: string}} owner
+   * @param {string} name - Playlist name
+   * @returns {Object|null} Copy of the playlist with its name
+   */
+  getPlaylist(owner, name) {
+    const playlist = this._getPlaylistOwner(owner).playlists[name];
+    return playlist ? { name, ...JSON.parse(JSON.stringify(playlist)) } : null;
+  }
+
+  /**
+   * Create or replace a playlist of a device or group
+   * @param {{device: string}|{group: string}} owner
+   * @param {string} name - Playlist name (letters, digits, '-' and '_')
+   * @param {Object} playlist - Entries and options (see normalizePlaylist())
+   * @returns {Promise<Object>} The saved playlist
+   */
+  async setPlaylist(owner, name, playlist) {
+    if (typeof name !== 'string' || !/^[\w-]+$/.test(name)) {
+      throw new Error(
+        'Playlist name may only contain letters, digits, "-" and "_"'
+      );
+    }
+    const target = this._getPlaylistOwner(owner);
+    target.playlists[name] = normalizePlaylist(playlist);
+    await this.save();
+
+    this.logger.info(
+      `🎞️  [CONFIG] Playlist ${name} of ${target.name}: ${target.playlists[name].entries.length} entries`
+    );
+    return this.getPlaylist(owner, name);
+  }
+
+  /**
+   * Remove a playlist of a device or group
+   * @param {{device: string}|{group: string}} owner
+   * @param {string} name - Playlist name
+   */
+  async removePlaylist(owner, name) {
+    const target = this._getPlaylistOwner(owner);
+    if (!target.playlists[name]) {
+      throw new Error(`Playlist ${name} not found`);
+    }
+
+    delete target.playlists[name];
+    await this.save();
+
+    this.logger.info(`🗑️  [CONFIG] Removed playlist ${name} of ${target.name}`);
+  }
+
+  /**
+   * DeviceConfig or group record holding the playlists
+   * @private
+   */
+  _getPlaylistOwner(owner) {
+    if (owner?.group !== undefined) {
+      const group = this.groups.get(owner.group);
+      if (!group) throw new Error(`Group ${owner.group} not found`);
+      return group;
+    }
+
+    const config = this.findDevice(owner?.device);
+    if (!config) throw new Error(`Device ${owner?.device} not found`);
+    return config;
+  }
+
   /**
    * Check if any devices are configured
    */
@@ -460,7 +977,7 @@ class DeviceConfigStore {
     }
     await this._ensureDirectories();
     await this.save();
-    logger.info(`⚙️  [CONFIG] Updated settings`);
+    this.logger.info(`⚙️  [CONFIG] Updated settings`);
   }
 
   getDefaults() {
@@ -479,7 +996,7 @@ class DeviceConfigStore {
 
     this.settings.defaults = mergedDefaults;
     await this.save();
-    logger.info('⚙️  [CONFIG] Updated global defaults');
+    this.logger.info('⚙️  [CONFIG] Updated global defaults');
     return this.getDefaults();
   }
 
@@ -179,7 +179,7 @@ class AwtrixCanvas {
     }
 
     // Push any buffered pixel data
-    if (this.driver.buffer.dirty) {
+    if (this.driver.dirty) {
       await this.driver.push();
     }
 
@@ -1,6 +1,7 @@
 /**
  * @fileoverview AWTRIX (Ulanzi TC001) Device Driver
- * @description Full driver implementation for AWTRIX 32x8 pixel displays via HTTP
+ * @description Full driver implementation for AWTRIX 32x8 pixel displays via
+ * HTTP or MQTT (commands published to <prefix>/... through the shared MqttService)
  * @author Markus Barta (mba) with assistance from Cursor AI
  * @license GPL-3.0-or-later
  * @see https://blueforcer.github.io/awtrix3/#/api
@@ -8,16 +9,30 @@
  */
 
 const AWTRIX_CONSTANTS = require('./constants');
+const { encodeFrame } = require('./draw-encoder');
+const { SUPERSEDED, getCommandQueue } = require('../../core/command-queue');
 const { DEVICE_PROFILES } = require('../../core/device-capabilities');
 const DeviceDriver = require('../../core/device-driver');
+const { getDeviceHttpClient } = require('../../core/device-http-client');
+const FrameBuffer = require('../../core/frame-buffer');
+
+const { TRANSPORTS } = AWTRIX_CONSTANTS;
 
 /**
- * AWTRIX driver implementation using HTTP protocol
+ * AWTRIX driver implementation using HTTP or MQTT
  *
  * @example
  * const driver = new AwtrixDriver('192.168.1.100', { logger });
  * await driver.initialize();
  * await driver.showNotification({ text: 'Hello', color: '#00FF00' });
+ *
+ * @example
+ * // Device only reachable through the broker
+ * const driver = new AwtrixDriver('192.168.1.100', {
+ *   transport: 'mqtt',
+ *   mqttPrefix: 'awtrix_b6d8a0',
+ *   mqttService,
+ * });
  */
 class AwtrixDriver extends DeviceDriver {
   /**
@@ -27,25 +42,61 @@ class AwtrixDriver extends DeviceDriver {
    * @param {Object} [options.logger] - Logger instance
    * @param {string} [options.driverType='real'] - 'real' or 'mock'
    * @param {number} [options.port=80] - HTTP port (default: 80)
+   * @param {string} [options.transport='http'] - 'http' or 'mqtt'
+   * @param {string} [options.mqttPrefix] - Device MQTT prefix (required for 'mqtt')
+   * @param {Object} [options.mqttService] - Shared MqttService (required for 'mqtt')
    */
-  constructor(host, { logger = null, driverType = 'real', port = 80 } = {}) {
+  constructor(
+    host,
+    {
+      logger = null,
+      driverType = 'real',
+      port = 80,
+      transport = TRANSPORTS.HTTP,
+      mqttPrefix = null,
+      mqttService = null,
+    } = {}
+  ) {
     super(host, DEVICE_PROFILES.AWTRIX);
 
+    if (!Object.values(TRANSPORTS).includes(transport)) {
+      throw new Error(`Unknown AWTRIX transport: ${transport}`);
+    }
+    if (transport === TRANSPORTS.MQTT && !mqttPrefix) {
+      throw new Error('AWTRIX MQTT transport requires an mqttPrefix');
+    }
+
     this.host = host;
     this.port = port;
     this.driverType = driverType;
     this.logger = logger || console;
+    this.transport = transport;
+    this.mqttPrefix = mqttPrefix;
+    this.mqttService = mqttService;
 
     // HTTP API base URL
     this.apiUrl = `http://${host}:${port}${AWTRIX_CONSTANTS.HTTP_API_BASE}`;
 
+    if (driverType === 'real') {
+      getCommandQueue(host, { maxFps: this.capabilities.maxFps });
+    }
+
+    // Last <prefix>/stats message (MQTT transport)
+    this.lastStats = null;
+    this._onStats = this._onStats.bind(this);
+
     // State tracking
     this.initialized = false;
     this.currentApp = 'pidicon_main';
-    this.buffer = {
-      pixels: new Array(AWTRIX_CONSTANTS.TOTAL_PIXELS).fill(0),
-      dirty: false,
-    };
+
+    // Framebuffer for pixel-level scenes, sent as a custom app on push().
+    // lastPushedDraw is set while the app shows our frame (framebuffer mode)
+    this.buffer = new FrameBuffer(
+      AWTRIX_CONSTANTS.WIDTH,
+      AWTRIX_CONSTANTS.HEIGHT
+    );
+    this.dirty = false;
+    this.lastPushedDraw = null;
 
     // Performance tracking
     this.stats = {
@@ -71,6 +122,10 @@ class AwtrixDriver extends DeviceDriver {
       return true;
     }
 
+    if (this.transport === TRANSPORTS.MQTT) {
+      return this._initializeMqtt();
+    }
+
     try {
       // Verify device is reachable by getting stats
       const stats = await this._httpRequest('GET', '/stats');
@@ -100,10 +155,23 @@ class AwtrixDriver extends DeviceDriver {
 
     // Clear display
     await this.clear();
+    await this.close();
+
+    this.logger.info(`[AWTRIX] Cleaned up device: ${this.deviceId}`);
+  }
 
+  /**
+   * Release the stats subscription without touching the display
+   */
+  async close() {
+    if (this.transport === TRANSPORTS.MQTT && this.mqttService) {
+      await this.mqttService.unsubscribeTopic(
+        this._statsTopic(),
+        this._onStats
+      );
+    }
     this.initialized = false;
     this.stats.connected = false;
-    this.logger.info(`[AWTRIX] Cleaned up device: ${this.deviceId}`);
   }
 
   async reboot() {
@@ -113,7 +181,10 @@ class AwtrixDriver extends DeviceDriver {
     }
 
     try {
-      const result = await this._httpRequest('POST', '/reboot', {});
+      const result =
+        this.transport === TRANSPORTS.MQTT
+          ? await this._publish(AWTRIX_CONSTANTS.TOPICS.REBOOT, '')
+          : await this._httpRequest('POST', '/reboot', {});
       if (!result) {
         throw new Error('Device returned empty response');
       }
@@ -136,6 +207,13 @@ class AwtrixDriver extends DeviceDriver {
       return { batteryLevel: 100 };
     }
 
+    if (this.transport === TRANSPORTS.MQTT) {
+      return {
+        batteryLevel: this.lastStats?.bat || null,
+        lux: this.lastStats?.lux || null,
+      };
+    }
+
     try {
       const stats = await this._httpRequest(
         'GET',
@@ -158,36 +236,92 @@ class AwtrixDriver extends DeviceDriver {
   // ============================================================================
 
   /**
-   * Clear the display (remove current custom app)
+   * Clear the display (remove current custom app). In framebuffer mode only
+   * the buffer is cleared; the empty frame goes out with the next push().
    * @returns {Promise<boolean>} Success status
    */
   async clear() {
+    await this.buffer.clear();
+
+    if (this.lastPushedDraw !== null) {
+      this.dirty = true;
+      return true;
+    }
+
+    this.dirty = false;
     if (this.driverType === 'mock') {
-      this.buffer.pixels.fill(0);
-      this.buffer.dirty = false;
       return true;
     }
 
     // Remove the current custom app by sending empty payload
-    return await this._httpRequest(
-      'POST',
-      `/custom?name=${encodeURIComponent(this.currentApp)}`,
-      {}
+    return await this._sendCommand(
+      `${AWTRIX_CONSTANTS.TOPICS.CUSTOM}${this.currentApp}`,
+      {},
+      `/custom?name=${encodeURIComponent(this.currentApp)}`
     );
   }
 
   /**
-   * Push current buffer to device (not applicable for AWTRIX)
-   * AWTRIX uses immediate rendering via MQTT messages
-   * @returns {Promise<boolean>} Success status
+   * Send the framebuffer to the current custom app as a compressed `draw`
+   * array. Without pixel drawing since the last push there is nothing to send
+   * (custom apps and notifications render immediately). The frame waits in
+   * the device's command queue; a newer push replaces it while it waits.
+   * @returns {Promise<boolean|symbol>} False if nothing was drawn or the
+   *   frame was unchanged and skipped, SUPERSEDED if a newer frame replaced it
    */
   async push() {
-    // AWTRIX renders immediately on MQTT messages
-    // This method exists for DeviceDriver interface compatibility
-    this.buffer.dirty = false;
+    if (!this.dirty) return false;
+    this.dirty = false;
+
+    const { draw, mode, bytes } = encodeFrame(this.buffer);
+    const drawKey = JSON.stringify(draw);
+    if (drawKey === this.lastPushedDraw) return false;
+
+    const firstFrame = this.lastPushedDraw === null;
+    const sendFrame = async () => ({
+      result: await this._sendCommand(
+        `${AWTRIX_CONSTANTS.TOPICS.CUSTOM}${this.currentApp}`,
+        { draw },
+        `/custom?name=${encodeURIComponent(this.currentApp)}`
+      ),
+    });
+    const sent =
+      this.driverType === 'real'
+        ? await getCommandQueue(this.host).run(sendFrame, {
+            priority: 'frame',
+            coalesce: true,
+          })
+        : await sendFrame();
+    if (sent === SUPERSEDED) return sent;
+
+    const { result } = sent;
+    if (!result) {
+      this.dirty = true; // Retry with the next push
+      throw new Error(`AWTRIX frame push to ${this.host} failed`);
+    }
+
+    this.lastPushedDraw = drawKey;
+    this.logger.debug(
+      `[AWTRIX] Pushed frame to ${this.host} as ${mode} (${bytes} bytes)`
+    );
+
+    // Bring the app to front once; later frames update it in place
+    if (firstFrame) {
+      await this.switchToApp(this.currentApp);
+    }
     return true;
   }
 
+  /**
+   * Force the next push to be sent even if the frame is unchanged
+   */
+  invalidateFrame() {
+    if (this.lastPushedDraw !== null) {
+      this.lastPushedDraw = '';
+      this.dirty = true;
+    }
+  }
+
   /**
    * Get device metrics including lastSeenTs for responsive indicator
    * @returns {Object} Device metrics
@@ -224,11 +358,7 @@ class AwtrixDriver extends DeviceDriver {
    */
   async showNotification(notification) {
     const payload = this._buildNotificationPayload(notification);
-    return await this._httpRequest(
-      'POST',
-      AWTRIX_CONSTANTS.HTTP_ENDPOINTS.NOTIFY,
-      payload
-    );
+    return await this._sendCommand(AWTRIX_CONSTANTS.TOPICS.NOTIFY, payload);
   }
 
   /**
@@ -274,11 +404,11 @@ class AwtrixDriver extends DeviceDriver {
    */
   async createCustomApp(appName, appData) {
     const payload = this._buildCustomAppPayload(appData);
-    const result = await this._httpRequest(
-      'POST',
-      `${AWTRIX_CONSTANTS.HTTP_ENDPOINTS.CUSTOM}${appName}`,
+    const result = await this._sendCommand(
+      `${AWTRIX_CONSTANTS.TOPICS.CUSTOM}${appName}`,
       payload
     );
+    this._leaveFramebufferMode(appName);
 
     // Switch to the app to make it visible
     if (result) {
@@ -294,7 +424,7 @@ class AwtrixDriver extends DeviceDriver {
    * @returns {Promise<boolean>} Success status
    */
   async switchToApp(appName) {
-    return await this._httpRequest('POST', '/switch', {
+    return await this._sendCommand(AWTRIX_CONSTANTS.TOPICS.SWITCH, {
       name: appName,
     });
   }
@@ -306,9 +436,9 @@ class AwtrixDriver extends DeviceDriver {
    */
   async removeCustomApp(appName) {
     // Empty payload removes the app
-    return await this._httpRequest(
-      'POST',
-      `${AWTRIX_CONSTANTS.HTTP_ENDPOINTS.CUSTOM}${appName}`,
+    this._leaveFramebufferMode(appName);
+    return await this._sendCommand(
+      `${AWTRIX_CONSTANTS.TOPICS.CUSTOM}${appName}`,
       {}
     );
   }
@@ -333,12 +463,14 @@ class AwtrixDriver extends DeviceDriver {
 
     // Update current app name for tracking
     this.currentApp = appName;
+    this._leaveFramebufferMode(appName);
 
     // Use /api/custom?name=<app> for persistent custom apps in rotation
-    const result = await this._httpRequest(
-      'POST',
-      `/custom?name=${encodeURIComponent(appName)}`,
-      payload
+    // (over MQTT: <prefix>/custom/<app>)
+    const result = await this._sendCommand(
+      `${AWTRIX_CONSTANTS.TOPICS.CUSTOM}${appName}`,
+      payload,
+      `/custom?name=${encodeURIComponent(appName)}`
     );
 
     // Switch to the app to make it immediately visible
@@ -392,9 +524,9 @@ class AwtrixDriver extends DeviceDriver {
   }
 
   /**
-   * Draw a single pixel (via custom app draw array)
+   * Draw a single pixel into the framebuffer (sent on push)
    * @param {Array<number>} pos - [x, y] position
-   * @param {Array<number>} color - [r, g, b] color
+   * @param {Array<number>} color - [r, g, b] or [r, g, b, a] color
    * @returns {Promise<boolean>} Success status
    */
   async drawPixel(pos, color) {
@@ -408,11 +540,8 @@ class AwtrixDriver extends DeviceDriver {
       return false; // Out of bounds
     }
 
-    // Update buffer
-    const index = y * AWTRIX_CONSTANTS.WIDTH + x;
-    const rgb565 = this._rgbToRgb565(color);
-    this.buffer.pixels[index] = rgb565;
-    this.buffer.dirty = true;
+    await this.buffer.drawPixelRgba(pos, color);
+    this.dirty = true;
 
     return true;
   }
@@ -513,9 +642,11 @@ class AwtrixDriver extends DeviceDriver {
     );
 
     // Awtrix expects just the setting key (BRI) without nested object
-    return await this._httpRequest('POST', '/settings', {
-      BRI: brightness,
-    });
+    return await this._runControl(() =>
+      this._sendCommand(AWTRIX_CONSTANTS.TOPICS.SETTINGS, {
+        BRI: brightness,
+      })
+    );
   }
 
   /**
@@ -524,8 +655,16 @@ class AwtrixDriver extends DeviceDriver {
    * @returns {Promise<boolean>} Success status
    */
   async setDisplayPower(on) {
+    if (this.transport === TRANSPORTS.MQTT) {
+      return await this._publish(AWTRIX_CONSTANTS.TOPICS.POWER, {
+        power: Boolean(on),
+      });
+    }
+
     // Awtrix uses the /power endpoint with true/false
-    return await this._httpRequest('POST', '/power', on);
+    return await this._runControl(() =>
+      this._httpRequest('POST', '/power', on)
+    );
   }
 
   /**
@@ -534,10 +673,8 @@ class AwtrixDriver extends DeviceDriver {
    * @returns {Promise<boolean>} Success status
    */
   async updateSettings(settings) {
-    return await this._httpRequest(
-      'POST',
-      AWTRIX_CONSTANTS.HTTP_ENDPOINTS.SETTINGS,
-      settings
+    return await this._runControl(() =>
+      this._sendCommand(AWTRIX_CONSTANTS.TOPICS.SETTINGS, settings)
     );
   }
 
@@ -547,11 +684,7 @@ class AwtrixDriver extends DeviceDriver {
    * @returns {Promise<boolean>} Success status
    */
   async setSleepMode(enabled) {
-    return await this._httpRequest(
-      'POST',
-      AWTRIX_CONSTANTS.HTTP_ENDPOINTS.SLEEP,
-      enabled
-    );
+    return await this._sendCommand(AWTRIX_CONSTANTS.TOPICS.SLEEP, enabled);
   }
 
   // ============================================================================
@@ -566,6 +699,11 @@ class AwtrixDriver extends DeviceDriver {
   async playRTTTL(rtttl) {
     if (this.driverType === 'mock') return true;
 
+    // The MQTT topic takes the plain RTTTL string
+    if (this.transport === TRANSPORTS.MQTT) {
+      return await this._publish(AWTRIX_CONSTANTS.TOPICS.RTTTL, rtttl);
+    }
+
     return await this._httpRequest(
       'POST',
       AWTRIX_CONSTANTS.HTTP_ENDPOINTS.RTTTL,
@@ -596,6 +734,115 @@ class AwtrixDriver extends DeviceDriver {
   // HELPER METHODS
   // ============================================================================
 
+  /**
+   * Content of the given app is now set directly, not from the framebuffer
+   * @private
+   */
+  _leaveFramebufferMode(appName) {
+    if (appName === this.currentApp) {
+      this.lastPushedDraw = null;
+    }
+  }
+
+  /**
+   * Run a control command (power, brightness, settings) ahead of frames
+   * waiting in the command queue
+   * @private
+   * @param {Function} command - Async function sending the command
+   * @returns {Promise<any>} Result of the command
+   */
+  _runControl(command) {
+    if (this.driverType === 'mock') return command();
+    return getCommandQueue(this.host).run(command, { priority: 'control' });
+  }
+
+  /**
+   * Send a command over the configured transport
+   * @private
+   * @param {string} topic - MQTT topic below the prefix (e.g., '/notify')
+   * @param {Object|string|boolean} payload - Command payload
+   * @param {string} [httpEndpoint=topic] - HTTP endpoint, where it differs from the topic
+   * @returns {Promise<any>} Response data or boolean for success
+   */
+  async _sendCommand(topic, payload, httpEndpoint = topic) {
+    if (this.transport === TRANSPORTS.MQTT) {
+      return await this._publish(topic, payload);
+    }
+    return await this._httpRequest('POST', httpEndpoint, payload);
+  }
+
+  /**
+   * Publish a command to <prefix><topic>
+   * @private
+   * @param {string} topic - Topic below the prefix (e.g., '/notify')
+   * @param {Object|string} payload - Message payload
+   * @returns {Promise<boolean>} True if the broker accepted the message
+   */
+  async _publish(topic, payload) {
+    const fullTopic = `${this.mqttPrefix}${topic}`;
+
+    if (this.driverType === 'mock') {
+      this.logger.debug(`[AWTRIX Mock] MQTT ${fullTopic}:`, payload);
+      this.stats.messagesSent++;
+      return true;
+    }
+
+    if (!this.mqttService) {
+      this.logger.debug(
+        `[AWTRIX] No MQTT service available, dropping ${fullTopic}`
+      );
+      return false;
+    }
+
+    const published = await this.mqttService.publish(fullTopic, payload);
+    if (published) {
+      this.stats.messagesSent++;
+    }
+    return published;
+  }
+
+  /**
+   * Subscribe to <prefix>/stats; the device counts as initialized right away
+   * and health follows the incoming stats messages
+   * @private
+   * @returns {Promise<boolean>} Success status
+   */
+  async _initializeMqtt() {
+    if (!this.mqttService) {
+      this.logger.error(
+        `[AWTRIX] MQTT transport for ${this.host} needs the MQTT service`
+      );
+      return false;
+    }
+
+    // Subscription is (re-)established by the service once connected
+    await this.mqttService.subscribeTopic(this._statsTopic(), this._onStats);
+    this.initialized = true;
+    this.logger.info(
+      `[AWTRIX] Initialized device at ${this.host} via MQTT (${this.mqttPrefix})`
+    );
+    return true;
+  }
+
+  /**
+   * @private
+   */
+  _statsTopic() {
+    return `${this.mqttPrefix}${AWTRIX_CONSTANTS.TOPICS.STATS}`;
+  }
+
+  /**
+   * Handle a <prefix>/stats message
+   * @private
+   * @param {Object} stats - Parsed stats payload (bat, lux, uptime, ...)
+   */
+  _onStats(stats) {
+    if (!stats || typeof stats !== 'object') return;
+    this.lastStats = stats;
+    this.stats.lastUpdate = Date.now();
+    this.stats.connected = true;
+  }
+
   /**
    * Make HTTP request to Awtrix device
    * @private
@@ -614,38 +861,43 @@ class AwtrixDriver extends DeviceDriver {
       return payload !== null ? true : { bat: 100, lux: 100 }; // Mock response
     }
 
-    try {
-      const url = `${this.apiUrl}${endpoint}`;
-      const options = {
-        method,
-        headers: { 'Content-Type': 'application/json' },
-      };
+    return getCommandQueue(this.host).run(() =>
+      this._fetch(method, endpoint, payload)
+    );
+  }
 
-      // Add body for POST requests
-      if (method === 'POST' && payload !== null) {
-        options.body =
-          typeof payload === 'string' ? payload : JSON.stringify(payload);
-      }
+  /**
+   * @private
+   */
+  async _fetch(method, endpoint, payload) {
+    const path = `${AWTRIX_CONSTANTS.HTTP_API_BASE}${endpoint}`;
+    const idempotent =
+      method === 'GET' ||
+      AWTRIX_CONSTANTS.IDEMPOTENT_ENDPOINTS.some((prefix) =>
+        endpoint.startsWith(prefix)
+      );
 
-      const response = await fetch(url, options);
+    // Add body for POST requests
+    let body;
+    if (method === 'POST' && payload !== null) {
+      body = typeof payload === 'string' ? payload : JSON.stringify(payload);
+    }
 
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
+    try {
+      const { data } = await this._httpClient().request({
+        method,
+        path,
+        body,
+        idempotent,
+      });
 
       this.stats.messagesSent++;
       this.stats.lastUpdate = Date.now();
 
-      this.logger.debug(`[AWTRIX] ${method} ${url} - OK`);
+      this.logger.debug(`[AWTRIX] ${method} ${this.apiUrl}${endpoint} - OK`);
 
-      // Try to parse JSON response
-      try {
-        const data = await response.json();
-        return data;
-      } catch {
-        // No JSON body (expected for some endpoints)
-        return true;
-      }
+      // No JSON body (expected for some endpoints)
+      return data ?? true;
     } catch (error) {
       // Log at DEBUG level - watchdog service handles connectivity issues with collated logging
       this.logger.debug(
@@ -655,6 +907,17 @@ class AwtrixDriver extends DeviceDriver {
     }
   }
 
+  /**
+   * Shared keep-alive HTTP client of this device
+   * @private
+   */
+  _httpClient() {
+    return getDeviceHttpClient(this.host, {
+      port: this.port,
+      label: 'AWTRIX',
+    });
+  }
+
   /**
    * Parse color string to AWTRIX format
    * @private
@@ -679,15 +942,6 @@ class AwtrixDriver extends DeviceDriver {
     return `#${((r << 16) | (g << 8) | b).toString(16).padStart(6, '0')}`;
   }
 
-  /**
-   * Convert RGB to RGB565 format
-   * @private
-   */
-  _rgbToRgb565(rgb) {
-    const [r, g, b] = rgb;
-    return ((r & 0xf8) << 8) | ((g & 0xfc) << 3) | (b >> 3);
-  }
-
   /**
    * Convert frequency to musical note
    * @private
@@ -723,6 +977,10 @@ class AwtrixDriver extends DeviceDriver {
       return { success: true, latencyMs: 5 };
     }
 
+    if (this.transport === TRANSPORTS.MQTT) {
+      return this._mqttHealth();
+    }
+
     const startTime = Date.now();
     try {
       const stats = await this._httpRequest(
@@ -746,6 +1004,31 @@ class AwtrixDriver extends DeviceDriver {
     }
   }
 
+  /**
+   * Health from the age of the last stats message (MQTT transport)
+   * @private
+   * @returns {Object} {success: bool, latencyMs: null, stats?: Object}
+   */
+  _mqttHealth() {
+    if (!this.lastStats) {
+      return {
+        success: false,
+        latencyMs: null,
+        error: 'No stats received via MQTT yet',
+      };
+    }
+
+    const ageMs = Date.now() - this.stats.lastUpdate;
+    if (ageMs > AWTRIX_CONSTANTS.MQTT_STATS_TIMEOUT_MS) {
+      return {
+        success: false,
+        latencyMs: null,
+        error: `No stats via MQTT for ${Math.round(ageMs / 1000)}s`,
+      };
+    }
+    return { success: true, latencyMs: null, stats: this.lastStats };
+  }
+
   /**
    * Get driver statistics
    * @returns {Object} Stats object
@@ -755,58 +1038,52 @@ class AwtrixDriver extends DeviceDriver {
       ...this.stats,
       host: this.host,
       port: this.port,
+      transport: this.transport,
       driverType: this.driverType,
       initialized: this.initialized,
     };
   }
   // ============================================================================
-  // PIXOO-STYLE DRAWING PRIMITIVES (STUBS FOR COMPATIBILITY)
+  // PIXOO-STYLE DRAWING PRIMITIVES (FRAMEBUFFER)
   // ============================================================================
-  // These methods exist to prevent crashes when Pixoo scenes are accidentally
-  // run on Awtrix devices. They log warnings and return gracefully.
+  // Device-agnostic scenes draw into the 32x8 framebuffer; push() sends it.
 
-  async drawRectangleRgba() {
-    this.logger.warn(
-      '[AWTRIX] drawRectangleRgba not supported - use device.drawCustom() instead'
-    );
-    return false;
+  async drawPixelRgba(pos, color) {
+    this.dirty = true;
+    return this.buffer.drawPixelRgba(pos, color);
   }
 
-  async fillRectangleRgba() {
-    this.logger.warn(
-      '[AWTRIX] fillRectangleRgba not supported - use device.drawCustom() instead'
-    );
-    return false;
+  async drawLineRgba(start, end, color) {
+    this.dirty = true;
+    return this.buffer.drawLineRgba(start, end, color);
   }
 
-  async drawPixelRgba() {
-    this.logger.warn(
-      '[AWTRIX] drawPixelRgba not supported - use device.drawCustom() instead'
-    );
-    return false;
+  async drawRectangleRgba(pos, size, color) {
+    this.dirty = true;
+    return this.buffer.drawRectangleRgba(pos, size, color);
   }
 
-  async drawLineRgba() {
-    this.logger.warn(
-      '[AWTRIX] drawLineRgba not supported - use device.drawCustom() instead'
-    );
-    return false;
+  async fillRectangleRgba(pos, size, color) {
+    this.dirty = true;
+    return this.buffer.fillRectangleRgba(pos, size, color);
   }
 
-  async drawTextRgbaAligned() {
-    this.logger.warn(
-      '[AWTRIX] drawTextRgbaAligned not supported - use device.drawCustom() instead'
-    );
-    return false;
+  async drawTextRgbaAligned(text, pos, color, align = 'left') {
+    this.dirty = true;
+    return this.buffer.drawTextRgbaAligned(text, pos, color, align);
   }
 
-  async drawCustomFloatText() {
-    this.logger.warn(
-      '[AWTRIX] drawCustomFloatText not supported - use device.drawCustom() instead'
-    );
-    return false;
+  async drawCustomFloatText(value, pos, color, align = 'right') {
+    this.dirty = true;
+    return this.buffer.drawCustomFloatText(value, pos, color, align);
+  }
+
+  async drawImageWithAlpha(path, pos, size, alpha = 255) {
+    this.dirty = true;
+    return this.buffer.drawImageWithAlpha(path, pos, size, alpha);
   }
 
+  // Raw image APIs are not available on AWTRIX (use drawImageWithAlpha)
   async drawImage() {
     this.logger.warn(
       '[AWTRIX] drawImage not supported - use device.drawCustom() instead'
@@ -820,13 +1097,6 @@ class AwtrixDriver extends DeviceDriver {
     );
     return false;
   }
-
-  async drawImageWithAlpha() {
-    this.logger.warn(
-      '[AWTRIX] drawImageWithAlpha not supported - use device.drawCustom() instead'
-    );
-    return false;
-  }
 }
 
 module.exports = AwtrixDriver;
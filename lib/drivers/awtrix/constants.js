@@ -19,9 +19,19 @@ const AWTRIX_CONSTANTS = {
   DEFAULT_HTTP_PORT: 80,
   DEFAULT_MQTT_PORT: 1883,
 
+  // Command transport (per device, options.transport)
+  TRANSPORTS: {
+    HTTP: 'http',
+    MQTT: 'mqtt', // Commands and stats via the shared broker (options.mqttPrefix)
+  },
+
   // MQTT Configuration
   MQTT_PREFIX: 'awtrix_',
 
+  // AWTRIX publishes <prefix>/stats every 10s by default; without a message
+  // for this long the device counts as unreachable
+  MQTT_STATS_TIMEOUT_MS: 30000,
+
   // HTTP API Base
   HTTP_API_BASE: '/api',
 
@@ -44,6 +54,7 @@ const AWTRIX_CONSTANTS = {
     RTTTL: '/rtttl',
 
     // System control
+    REBOOT: '/reboot',
     COMMAND: '/command',
     UPDATE: '/update',
     POWER: '/power',
@@ -74,6 +85,17 @@ const AWTRIX_CONSTANTS = {
     SCREEN: '/screen',
   },
 
+  // POST endpoints that only set state, so failed requests are retried
+  // (GET requests always are). Notifications, sounds and reboots are not
+  IDEMPOTENT_ENDPOINTS: [
+    '/custom',
+    '/settings',
+    '/power',
+    '/sleep',
+    '/indicator',
+    '/switch',
+  ],
+
   // Icon system
   ICON_SIZE: 8, // 8x8 pixel icons
   MAX_ICONS: 10000, // Large built-in icon library
@@ -0,0 +1,148 @@
+/**
+ * @fileoverview AWTRIX Draw Encoder
+ * @description Compresses an RGB frame buffer into the `draw` array of an
+ * AWTRIX custom app. Same-colored areas become `df` (filled rectangle), `dl`
+ * (line) and `dp` (pixel) commands; busy frames fall back to one `db` bitmap.
+ * Whichever encoding serializes smaller is sent.
+ * @author Markus Barta (mba) with assistance from Cursor AI
+ * @license GPL-3.0-or-later
+ * @see https://blueforcer.github.io/awtrix3/#/api?id=drawing-instructions
+ */
+
+function colorAt(buf, p) {
+  const i = p * 3;
+  return (buf[i] << 16) | (buf[i + 1] << 8) | buf[i + 2];
+}
+
+function toHex(color) {
+  return `#${color.toString(16).padStart(6, '0').toUpperCase()}`;
+}
+
+function toRgb565(color) {
+  const r = (color >> 16) & 0xff;
+  const g = (color >> 8) & 0xff;
+  const b = color & 0xff;
+  return ((r & 0xf8) << 8) | ((g & 0xfc) << 3) | (b >> 3);
+}
+
+/**
+ * Most frequent color (ties resolved towards black)
+ * @private
+ */
+function dominantColor(buf, pixelCount) {
+  const counts = new Map();
+  for (let p = 0; p < pixelCount; p++) {
+    const color = colorAt(buf, p);
+    counts.set(color, (counts.get(color) || 0) + 1);
+  }
+  let best = 0;
+  let bestCount = counts.get(0) || 0;
+  for (const [color, count] of counts) {
+    if (count > bestCount) {
+      best = color;
+      bestCount = count;
+    }
+  }
+  return best;
+}
+
+/**
+ * Encode a frame as shape commands. Starts with a full-screen `df` when the
+ * dominant color isn't black (the app background), then covers the remaining
+ * pixels with greedy same-color rectangles.
+ * @param {Object} frame - FrameBuffer-like {width, height, buf}
+ * @returns {Array<Object>} AWTRIX draw commands
+ */
+function encodeDrawCommands({ width, height, buf }) {
+  const pixelCount = width * height;
+  const background = dominantColor(buf, pixelCount);
+  const covered = new Uint8Array(pixelCount);
+  const commands = [];
+
+  if (background !== 0) {
+    commands.push({ df: [0, 0, width, height, toHex(background)] });
+  }
+
+  const matches = (x, y, color) => {
+    const p = y * width + x;
+    return !covered[p] && colorAt(buf, p) === color;
+  };
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const p = y * width + x;
+      if (covered[p]) continue;
+
+      const color = colorAt(buf, p);
+      if (color === background) continue;
+
+      // Grow right, then down while the whole row segment matches
+      let w = 1;
+      while (x + w < width && matches(x + w, y, color)) w++;
+      let h = 1;
+      while (y + h < height) {
+        let rowMatches = true;
+        for (let dx = 0; dx < w && rowMatches; dx++) {
+          rowMatches = matches(x + dx, y + h, color);
+        }
+        if (!rowMatches) break;
+        h++;
+      }
+
+      for (let dy = 0; dy < h; dy++) {
+        covered.fill(1, (y + dy) * width + x, (y + dy) * width + x + w);
+      }
+
+      const hex = toHex(color);
+      if (w === 1 && h === 1) {
+        commands.push({ dp: [x, y, hex] });
+      } else if (w === 1 || h === 1) {
+        commands.push({ dl: [x, y, x + w - 1, y + h - 1, hex] });
+      } else {
+        commands.push({ df: [x, y, w, h, hex] });
+      }
+    }
+  }
+
+  return commands;
+}
+
+/**
+ * Encode a frame as one full-screen bitmap command (RGB565 values)
+ * @param {Object} frame - FrameBuffer-like {width, height, buf}
+ * @returns {Array<Object>} AWTRIX draw commands
+ */
+function encodeBitmap({ width, height, buf }) {
+  const pixels = new Array(width * height);
+  for (let p = 0; p < pixels.length; p++) {
+    pixels[p] = toRgb565(colorAt(buf, p));
+  }
+  return [{ db: [0, 0, width, height, pixels] }];
+}
+
+/**
+ * Encode a frame with whichever representation is smaller on the wire
+ * @param {Object} frame - FrameBuffer-like {width, height, buf}
+ * @returns {{draw: Array<Object>, mode: string, bytes: number}}
+ */
+function encodeFrame(frame) {
+  const commands = encodeDrawCommands(frame);
+  const commandBytes = JSON.stringify(commands).length;
+
+  // An empty or near-empty frame can't lose against the bitmap
+  if (commands.length <= 1) {
+    return { draw: commands, mode: 'commands', bytes: commandBytes };
+  }
+
+  const bitmap = encodeBitmap(frame);
+  const bitmapBytes = JSON.stringify(bitmap).length;
+  return bitmapBytes < commandBytes
+    ? { draw: bitmap, mode: 'bitmap', bytes: bitmapBytes }
+    : { draw: commands, mode: 'commands', bytes: commandBytes };
+}
+
+module.exports = {
+  encodeDrawCommands,
+  encodeBitmap,
+  encodeFrame,
+};
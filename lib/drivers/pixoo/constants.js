@@ -16,6 +16,10 @@ const PIXOO_CONSTANTS = {
   MAX_RETRIES: 3,
   DEFAULT_PORT: 80,
 
+  // Animation (native multi-frame GIF upload)
+  MAX_ANIMATION_FRAMES: 59, // Firmware requires PicNum < 60
+  DEFAULT_ANIMATION_SPEED: 100, // ms per frame
+
   // Font (bitmap font)
   FONT_WIDTH: 4,
   FONT_HEIGHT: 5,
@@ -28,6 +32,56 @@ const PIXOO_CONSTANTS = {
     RESET_HTTP_GIF: 'Draw/ResetHttpGifId',
     SET_BRIGHTNESS: 'Channel/SetBrightness',
     GET_SETTINGS: 'Device/GetDeviceSettings',
+    GET_ALL_CONF: 'Channel/GetAllConf',
+    SET_ROTATION: 'Device/SetScreenRotationAngle',
+    SET_MIRROR: 'Device/SetMirrorMode',
+    SET_TIME_24H: 'Device/SetTime24Flag',
+    SET_TEMPERATURE_MODE: 'Device/SetDisTempMode',
+    SET_WHITE_BALANCE: 'Device/SetWhiteBalance',
+    SET_TIMEZONE: 'Sys/TimeZone',
+    SET_UTC: 'Device/SetUTC',
+    SET_TIMER: 'Tools/SetTimer',
+    SET_STOPWATCH: 'Tools/SetStopWatch',
+    SET_SCOREBOARD: 'Tools/SetScoreBoard',
+    SET_NOISE_STATUS: 'Tools/SetNoiseStatus',
+    PLAY_BUZZER: 'Device/PlayBuzzer',
+  },
+
+  // Commands that are safe to send twice, so failed attempts are retried.
+  // Not retried: frame uploads (PicID/PicOffset sequence), tools and buzzer
+  IDEMPOTENT_COMMANDS: [
+    'Draw/ResetHttpGifId',
+    'Channel/SetIndex',
+    'Channel/SetBrightness',
+    'Channel/OnOffScreen',
+    'Channel/GetHttpGifId',
+    'Channel/GetAllConf',
+    'Device/GetDeviceSettings',
+    'Device/SetScreenRotationAngle',
+    'Device/SetMirrorMode',
+    'Device/SetTime24Flag',
+    'Device/SetDisTempMode',
+    'Device/SetWhiteBalance',
+    'Sys/TimeZone',
+  ],
+
+  // Hardware settings (firmware encodes each choice as its list index)
+  HARDWARE_SETTINGS: {
+    ROTATIONS: [0, 90, 180, 270], // Clockwise, degrees
+    CLOCK_FORMATS: ['12h', '24h'],
+    TEMPERATURE_UNITS: ['celsius', 'fahrenheit'],
+    TIMEZONE_PATTERN: /^GMT[+-]\d{1,2}$/, // Firmware format, e.g. 'GMT+1'
+  },
+
+  // On-device tools (run by the firmware, independent of PIDICON)
+  NATIVE_TOOLS: {
+    TOOLS: ['timer', 'stopwatch', 'scoreboard', 'noise', 'buzzer'],
+    STOPWATCH_ACTIONS: ['reset', 'start', 'stop'], // Firmware status order
+    MAX_TIMER_MINUTES: 99,
+    MAX_SCORE: 999,
+    MAX_BUZZER_MS: 60000,
+    // Default buzzer pattern: beep 0.5 s, pause 0.5 s, for 3 s
+    DEFAULT_BUZZER: { activeMs: 500, offMs: 500, totalMs: 3000 },
   },
 };
 
@@ -0,0 +1,78 @@
+/**
+ * @fileoverview Pixoo Hardware Settings
+ * @description Validation for the persisted Pixoo hardware settings (screen
+ * rotation, mirror mode, clock format, temperature unit, white balance and
+ * timezone). Shared by the device config, the REST API and MQTT commands.
+ * @author Markus Barta (mba) with assistance from Cursor AI
+ * @license GPL-3.0-or-later
+ */
+
+const PIXOO_CONSTANTS = require('./constants');
+
+const { ROTATIONS, CLOCK_FORMATS, TEMPERATURE_UNITS, TIMEZONE_PATTERN } =
+  PIXOO_CONSTANTS.HARDWARE_SETTINGS;
+
+const SETTING_KEYS = [
+  'rotation',
+  'mirror',
+  'clockFormat',
+  'temperatureUnit',
+  'whiteBalance',
+  'timezone',
+];
+
+/**
+ * Check a (partial) hardware settings object
+ * @param {Object} settings - e.g. { rotation: 180, clockFormat: '24h' }
+ * @returns {Array<string>} Error messages (empty if valid)
+ *
+ * @example
+ * validateHardwareSettings({ rotation: 45 });
+ * // ['Setting rotation must be one of: 0, 90, 180, 270']
+ */
+function validateHardwareSettings(settings) {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    return ['Hardware settings must be an object'];
+  }
+
+  const errors = [];
+  for (const key of Object.keys(settings)) {
+    if (!SETTING_KEYS.includes(key)) {
+      errors.push(`Unknown hardware setting: ${key}`);
+    }
+  }
+
+  const { rotation, mirror, clockFormat, temperatureUnit } = settings;
+  const { whiteBalance, timezone } = settings;
+  const allowed = {
+    rotation: [rotation, ROTATIONS],
+    clockFormat: [clockFormat, CLOCK_FORMATS],
+    temperatureUnit: [temperatureUnit, TEMPERATURE_UNITS],
+  };
+  for (const [key, [value, list]] of Object.entries(allowed)) {
+    if (value !== undefined && !list.includes(value)) {
+      errors.push(`Setting ${key} must be one of: ${list.join(', ')}`);
+    }
+  }
+  if (mirror !== undefined && typeof mirror !== 'boolean') {
+    errors.push('Setting mirror must be a boolean');
+  }
+  if (whiteBalance !== undefined) {
+    const channels = ['r', 'g', 'b'].map((c) => whiteBalance?.[c]);
+    if (!channels.every((v) => Number.isInteger(v) && v >= 0 && v <= 100)) {
+      errors.push('Setting whiteBalance needs r, g and b between 0 and 100');
+    }
+  }
+  if (
+    timezone !== undefined &&
+    !(typeof timezone === 'string' && TIMEZONE_PATTERN.test(timezone))
+  ) {
+    errors.push('Setting timezone must look like GMT+1 or GMT-5');
+  }
+  return errors;
+}
+
+module.exports = {
+  SETTING_KEYS,
+  validateHardwareSettings,
+};
@@ -0,0 +1,94 @@
+/**
+ * @fileoverview Pixoo Native Tools
+ * @description Validation for commands to the tools built into the Pixoo
+ * firmware (countdown timer, stopwatch, scoreboard, noise meter, buzzer).
+ * The tools keep running on the device even if PIDICON is down.
+ * @author Markus Barta (mba) with assistance from Cursor AI
+ * @license GPL-3.0-or-later
+ */
+
+const PIXOO_CONSTANTS = require('./constants');
+
+const {
+  TOOLS,
+  STOPWATCH_ACTIONS,
+  MAX_TIMER_MINUTES,
+  MAX_SCORE,
+  MAX_BUZZER_MS,
+} = PIXOO_CONSTANTS.NATIVE_TOOLS;
+
+const START_STOP = ['start', 'stop'];
+
+const isIntInRange = (value, min, max) =>
+  Number.isInteger(value) && value >= min && value <= max;
+
+/**
+ * Check a tool command
+ * @param {string} tool - 'timer', 'stopwatch', 'scoreboard', 'noise' or 'buzzer'
+ * @param {Object} [params] - Tool parameters:
+ *   timer: { action: 'start'|'stop', minutes, seconds }
+ *   stopwatch: { action: 'start'|'stop'|'reset' }
+ *   scoreboard: { red, blue }
+ *   noise: { action: 'start'|'stop' }
+ *   buzzer: { activeMs, offMs, totalMs } (all optional)
+ * @returns {Array<string>} Error messages (empty if valid)
+ *
+ * @example
+ * validateNativeTool('scoreboard', { red: 3, blue: 1000 });
+ * // ['Scoreboard red and blue must be integers between 0 and 999']
+ */
+function validateNativeTool(tool, params = {}) {
+  if (!TOOLS.includes(tool)) {
+    return [`Unknown tool: ${tool}. Must be one of: ${TOOLS.join(', ')}`];
+  }
+  if (!params || typeof params !== 'object' || Array.isArray(params)) {
+    return ['Tool parameters must be an object'];
+  }
+
+  const errors = [];
+  const { action } = params;
+  const actions = tool === 'stopwatch' ? STOPWATCH_ACTIONS : START_STOP;
+  if (['timer', 'stopwatch', 'noise'].includes(tool)) {
+    if (!actions.includes(action)) {
+      errors.push(`Action must be one of: ${actions.join(', ')}`);
+    }
+  }
+
+  if (tool === 'timer' && action === 'start') {
+    const { minutes = 0, seconds = 0 } = params;
+    if (
+      !isIntInRange(minutes, 0, MAX_TIMER_MINUTES) ||
+      !isIntInRange(seconds, 0, 59)
+    ) {
+      errors.push(
+        `Timer needs minutes 0-${MAX_TIMER_MINUTES} and seconds 0-59`
+      );
+    } else if (minutes === 0 && seconds === 0) {
+      errors.push('Timer duration must be greater than zero');
+    }
+  }
+
+  if (tool === 'scoreboard') {
+    const { red, blue } = params;
+    if (![red, blue].every((score) => isIntInRange(score, 0, MAX_SCORE))) {
+      errors.push(
+        `Scoreboard red and blue must be integers between 0 and ${MAX_SCORE}`
+      );
+    }
+  }
+
+  if (tool === 'buzzer') {
+    for (const key of ['activeMs', 'offMs', 'totalMs']) {
+      const value = params[key];
+      if (value !== undefined && !isIntInRange(value, 0, MAX_BUZZER_MS)) {
+        errors.push(`Buzzer ${key} must be between 0 and ${MAX_BUZZER_MS}`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+module.exports = {
+  validateNativeTool,
+};
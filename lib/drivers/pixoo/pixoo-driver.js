@@ -1,15 +1,37 @@
 /**
- * @fileoverview Pixoo 64x64 Device Driver
- * @description Driver implementation for Pixoo 64x64 pixel displays
+ * @fileoverview Pixoo Device Driver
+ * @description Driver implementation for Pixoo pixel displays (16, 32, 64 and 128 px)
  * @author Markus Barta (mba) with assistance from Cursor AI
  * @license GPL-3.0-or-later
  */
 
 const PIXOO_CONSTANTS = require('./constants');
-const { DEVICE_PROFILES } = require('../../core/device-capabilities');
+const { SUPERSEDED, getCommandQueue } = require('../../core/command-queue');
+const { DEVICE_TYPES } = require('../../core/constants');
+const {
+  DEVICE_PROFILES,
+  getDeviceProfile,
+} = require('../../core/device-capabilities');
 const DeviceDriver = require('../../core/device-driver');
 const pixooHttp = require('../../pixoo-http');
 
+const { HARDWARE_SETTINGS, NATIVE_TOOLS } = PIXOO_CONSTANTS;
+
+/**
+ * Firmware mode number of a setting value (its index in the allowed list)
+ * @param {Array} values - Allowed values, in firmware order
+ * @param {*} value - Requested value
+ * @param {string} name - Setting name (for the error message)
+ * @returns {number}
+ */
+function settingIndex(values, value, name) {
+  const index = values.indexOf(value);
+  if (index < 0) {
+    throw new Error(`Unknown ${name}: ${value}`);
+  }
+  return index;
+}
+
 // Mock device class for testing
 class MockPixooDevice {
   constructor(host, size) {
@@ -24,6 +46,15 @@ class MockPixooDevice {
   async push() {
     // No-op for mock
   }
+  invalidateFrame() {
+    // No-op for mock
+  }
+  captureFrame() {
+    return Uint8Array.from(this.buf);
+  }
+  async pushAnimation(frames, _speed) {
+    return frames.length;
+  }
   async clear() {
     this.buf.fill(0);
   }
@@ -71,19 +102,26 @@ class MockPixooDevice {
 }
 
 /**
- * Pixoo 64x64 driver implementation
- * Wraps existing pixoo-http implementation with DeviceDriver interface
+ * Pixoo driver implementation
+ * Wraps existing pixoo-http implementation with DeviceDriver interface.
+ * The panel size comes from the device type's profile (defaults to 64x64).
  */
 class PixooDriver extends DeviceDriver {
-  constructor(host, driverType = 'real') {
-    super(host, DEVICE_PROFILES.PIXOO64);
+  constructor(host, driverType = 'real', deviceType = DEVICE_TYPES.PIXOO64) {
+    super(host, getDeviceProfile(deviceType) || DEVICE_PROFILES.PIXOO64);
     this.driverType = driverType;
+    this.deviceType = getDeviceProfile(deviceType)
+      ? deviceType
+      : DEVICE_TYPES.PIXOO64;
 
     // Create underlying Pixoo device instance
+    const size = this.capabilities.width;
     if (driverType === 'real') {
-      this.device = new pixooHttp.RealPixoo(host, PIXOO_CONSTANTS.WIDTH);
+      this.device = new pixooHttp.RealPixoo(host, size);
+      // Frames to this host are sent at most maxFps times per second
+      getCommandQueue(host, { maxFps: this.capabilities.maxFps });
     } else {
-      this.device = new MockPixooDevice(host, PIXOO_CONSTANTS.WIDTH);
+      this.device = new MockPixooDevice(host, size);
     }
 
     this.buffer = this.device; // For backward compatibility
@@ -109,12 +147,59 @@ class PixooDriver extends DeviceDriver {
 
   /**
    * Push the current buffer to the device
+   * @returns {Promise<boolean|symbol>} False if the frame was unchanged and
+   *   skipped, SUPERSEDED if a newer frame replaced it in the queue
    */
   async push() {
     try {
-      await this.device.push();
+      const sent = await this.device.push();
+      if (sent === false || sent === SUPERSEDED) return sent;
+      this.metrics.pushCount++;
+      this.metrics.lastPushTime = Date.now();
+      return true;
+    } catch (error) {
+      this.metrics.errorCount++;
+      this.metrics.lastErrorTime = Date.now();
+      throw error;
+    }
+  }
+
+  /**
+   * Force the next push to be sent even if the frame is unchanged
+   */
+  invalidateFrame() {
+    this.device.invalidateFrame();
+  }
+
+  /**
+   * Snapshot the current framebuffer for use as an animation frame
+   * @returns {Uint8Array} Copy of the RGB buffer
+   */
+  captureFrame() {
+    return this.device.captureFrame();
+  }
+
+  /**
+   * Current framebuffer contents (live reference, for previews)
+   * @returns {{width: number, height: number, buf: Uint8Array}}
+   */
+  getFrame() {
+    const size = this.capabilities.width;
+    return { width: size, height: size, buf: this.device.buf };
+  }
+
+  /**
+   * Upload a native multi-frame animation (device loops it on its own)
+   * @param {Array<Uint8Array>} frames - RGB buffers from captureFrame()
+   * @param {number} [speed] - Display time per frame in ms
+   * @returns {Promise<number>} Number of frames uploaded
+   */
+  async pushAnimation(frames, speed = PIXOO_CONSTANTS.DEFAULT_ANIMATION_SPEED) {
+    try {
+      const uploaded = await this.device.pushAnimation(frames, speed);
       this.metrics.pushCount++;
       this.metrics.lastPushTime = Date.now();
+      return uploaded;
     } catch (error) {
       this.metrics.errorCount++;
       this.metrics.lastErrorTime = Date.now();
@@ -255,8 +340,7 @@ class PixooDriver extends DeviceDriver {
     }
 
     try {
-      const { httpPost } = require('../../pixoo-http');
-      await httpPost(this.host, {
+      await this._postControl({
         Command: 'Channel/SetBrightness',
         Brightness: Math.max(0, Math.min(100, Math.round(level))),
       });
@@ -294,8 +378,7 @@ class PixooDriver extends DeviceDriver {
     }
 
     try {
-      const { httpPost } = require('../../pixoo-http');
-      await httpPost(this.host, {
+      await this._postControl({
         Command: 'Channel/OnOffScreen',
         OnOff: on ? 1 : 0,
       });
@@ -309,6 +392,330 @@ class PixooDriver extends DeviceDriver {
     }
   }
 
+  // ============================================================================
+  // HARDWARE SETTINGS
+  // ============================================================================
+
+  /**
+   * Rotate the screen (for panels mounted sideways or upside down)
+   * @param {number} degrees - Clockwise rotation: 0, 90, 180 or 270
+   * @returns {Promise<boolean>} Success status
+   */
+  async setScreenRotation(degrees) {
+    return this._sendCommand('set screen rotation', {
+      Command: PIXOO_CONSTANTS.COMMANDS.SET_ROTATION,
+      Mode: settingIndex(HARDWARE_SETTINGS.ROTATIONS, degrees, 'rotation'),
+    });
+  }
+
+  /**
+   * Mirror the screen horizontally
+   * @param {boolean} on - True to mirror
+   * @returns {Promise<boolean>} Success status
+   */
+  async setMirrorMode(on) {
+    return this._sendCommand('set mirror mode', {
+      Command: PIXOO_CONSTANTS.COMMANDS.SET_MIRROR,
+      Mode: on ? 1 : 0,
+    });
+  }
+
+  /**
+   * Set the clock format of the built-in clock faces
+   * @param {string} format - '12h' or '24h'
+   * @returns {Promise<boolean>} Success status
+   */
+  async setClockFormat(format) {
+    return this._sendCommand('set clock format', {
+      Command: PIXOO_CONSTANTS.COMMANDS.SET_TIME_24H,
+      Mode: settingIndex(
+        HARDWARE_SETTINGS.CLOCK_FORMATS,
+        format,
+        'clock format'
+      ),
+    });
+  }
+
+  /**
+   * Set the temperature unit of the built-in weather display
+   * @param {string} unit - 'celsius' or 'fahrenheit'
+   * @returns {Promise<boolean>} Success status
+   */
+  async setTemperatureUnit(unit) {
+    return this._sendCommand('set temperature unit', {
+      Command: PIXOO_CONSTANTS.COMMANDS.SET_TEMPERATURE_MODE,
+      Mode: settingIndex(
+        HARDWARE_SETTINGS.TEMPERATURE_UNITS,
+        unit,
+        'temperature unit'
+      ),
+    });
+  }
+
+  /**
+   * Set the white balance (per-channel gain)
+   * @param {{r: number, g: number, b: number}} balance - Channels 0-100
+   * @returns {Promise<boolean>} Success status
+   */
+  async setWhiteBalance({ r, g, b }) {
+    const clamp = (value) => Math.max(0, Math.min(100, Math.round(value)));
+    return this._sendCommand('set white balance', {
+      Command: PIXOO_CONSTANTS.COMMANDS.SET_WHITE_BALANCE,
+      RValue: clamp(r),
+      GValue: clamp(g),
+      BValue: clamp(b),
+    });
+  }
+
+  /**
+   * Set the timezone used by the device clock
+   * @param {string} timezone - Firmware format, e.g. 'GMT+1'
+   * @returns {Promise<boolean>} Success status
+   */
+  async setTimezone(timezone) {
+    return this._sendCommand('set timezone', {
+      Command: PIXOO_CONSTANTS.COMMANDS.SET_TIMEZONE,
+      TimeZoneValue: timezone,
+    });
+  }
+
+  /**
+   * Set the device clock to the current time (UTC)
+   * @returns {Promise<boolean>} Success status
+   */
+  async syncTime() {
+    return this._sendCommand('set time', {
+      Command: PIXOO_CONSTANTS.COMMANDS.SET_UTC,
+      Utc: Math.floor(Date.now() / 1000),
+    });
+  }
+
+  /**
+   * Read the settings the firmware reports back (white balance and timezone
+   * are write-only)
+   * @returns {Promise<Object|null>} Settings, or null in mock mode
+   */
+  async getHardwareSettings() {
+    if (this.driverType === 'mock') {
+      return null;
+    }
+
+    const { httpPost } = require('../../pixoo-http');
+    const conf = await httpPost(this.host, {
+      Command: PIXOO_CONSTANTS.COMMANDS.GET_ALL_CONF,
+    });
+    return {
+      rotation: HARDWARE_SETTINGS.ROTATIONS[conf.GyrateAngle] ?? 0,
+      mirror: conf.MirrorFlag === 1,
+      clockFormat: HARDWARE_SETTINGS.CLOCK_FORMATS[conf.Time24Flag] ?? '12h',
+      temperatureUnit:
+        HARDWARE_SETTINGS.TEMPERATURE_UNITS[conf.TemperatureMode] ?? 'celsius',
+    };
+  }
+
+  /**
+   * Apply a (partial) hardware settings object. Setting a timezone also
+   * syncs the clock.
+   * @param {Object} settings - See hardware-settings.js
+   * @returns {Promise<boolean>} True if the device accepted every setting
+   */
+  async applyHardwareSettings(settings = {}) {
+    const steps = [];
+    if (settings.rotation !== undefined) {
+      steps.push(() => this.setScreenRotation(settings.rotation));
+    }
+    if (settings.mirror !== undefined) {
+      steps.push(() => this.setMirrorMode(settings.mirror));
+    }
+    if (settings.clockFormat !== undefined) {
+      steps.push(() => this.setClockFormat(settings.clockFormat));
+    }
+    if (settings.temperatureUnit !== undefined) {
+      steps.push(() => this.setTemperatureUnit(settings.temperatureUnit));
+    }
+    if (settings.whiteBalance !== undefined) {
+      steps.push(() => this.setWhiteBalance(settings.whiteBalance));
+    }
+    if (settings.timezone !== undefined) {
+      steps.push(() => this.setTimezone(settings.timezone));
+      steps.push(() => this.syncTime());
+    }
+
+    // One after the other; the firmware drops commands sent in parallel
+    let ok = true;
+    for (const step of steps) {
+      ok = (await step()) && ok;
+    }
+    return ok;
+  }
+
+  // ============================================================================
+  // NATIVE TOOLS
+  // ============================================================================
+
+  /**
+   * Run one of the firmware's built-in tools. They keep running on the
+   * device even if PIDICON is down.
+   * @param {string} tool - 'timer', 'stopwatch', 'scoreboard', 'noise' or 'buzzer'
+   * @param {Object} [params] - See native-tools.js
+   * @returns {Promise<boolean>} Success status
+   */
+  async runNativeTool(tool, params = {}) {
+    switch (tool) {
+      case 'timer':
+        return params.action === 'start'
+          ? this.startCountdown(params.minutes ?? 0, params.seconds ?? 0)
+          : this.stopCountdown();
+      case 'stopwatch':
+        return this.setStopwatch(params.action);
+      case 'scoreboard':
+        return this.setScoreboard(params.red, params.blue);
+      case 'noise':
+        return this.setNoiseMeter(params.action === 'start');
+      case 'buzzer':
+        return this.playBuzzer(params);
+      default:
+        throw new Error(`Unknown tool: ${tool}`);
+    }
+  }
+
+  /**
+   * Start the countdown timer
+   * @param {number} minutes - Minutes (0-99)
+   * @param {number} seconds - Seconds (0-59)
+   * @returns {Promise<boolean>} Success status
+   */
+  async startCountdown(minutes, seconds) {
+    return this._sendCommand('start countdown', {
+      Command: PIXOO_CONSTANTS.COMMANDS.SET_TIMER,
+      Minute: minutes,
+      Second: seconds,
+      Status: 1,
+    });
+  }
+
+  /**
+   * Stop the countdown timer
+   * @returns {Promise<boolean>} Success status
+   */
+  async stopCountdown() {
+    return this._sendCommand('stop countdown', {
+      Command: PIXOO_CONSTANTS.COMMANDS.SET_TIMER,
+      Minute: 0,
+      Second: 0,
+      Status: 0,
+    });
+  }
+
+  /**
+   * Control the stopwatch
+   * @param {string} action - 'start', 'stop' or 'reset'
+   * @returns {Promise<boolean>} Success status
+   */
+  async setStopwatch(action) {
+    return this._sendCommand(`${action} stopwatch`, {
+      Command: PIXOO_CONSTANTS.COMMANDS.SET_STOPWATCH,
+      Status: settingIndex(NATIVE_TOOLS.STOPWATCH_ACTIONS, action, 'action'),
+    });
+  }
+
+  /**
+   * Show the scoreboard
+   * @param {number} red - Red team score (0-999)
+   * @param {number} blue - Blue team score (0-999)
+   * @returns {Promise<boolean>} Success status
+   */
+  async setScoreboard(red, blue) {
+    return this._sendCommand('set scoreboard', {
+      Command: PIXOO_CONSTANTS.COMMANDS.SET_SCOREBOARD,
+      RedScore: red,
+      BlueScore: blue,
+    });
+  }
+
+  /**
+   * Show or hide the noise meter (uses the device microphone)
+   * @param {boolean} on - True to start
+   * @returns {Promise<boolean>} Success status
+   */
+  async setNoiseMeter(on) {
+    return this._sendCommand(`${on ? 'start' : 'stop'} noise meter`, {
+      Command: PIXOO_CONSTANTS.COMMANDS.SET_NOISE_STATUS,
+      NoiseStatus: on ? 1 : 0,
+    });
+  }
+
+  /**
+   * Sound the buzzer in a beep/pause pattern
+   * @param {Object} [pattern] - Defaults to NATIVE_TOOLS.DEFAULT_BUZZER
+   * @param {number} [pattern.activeMs] - Beep length per cycle
+   * @param {number} [pattern.offMs] - Pause length per cycle
+   * @param {number} [pattern.totalMs] - Total play time
+   * @returns {Promise<boolean>} Success status
+   */
+  async playBuzzer({
+    activeMs = NATIVE_TOOLS.DEFAULT_BUZZER.activeMs,
+    offMs = NATIVE_TOOLS.DEFAULT_BUZZER.offMs,
+    totalMs = NATIVE_TOOLS.DEFAULT_BUZZER.totalMs,
+  } = {}) {
+    return this._sendCommand('play buzzer', {
+      Command: PIXOO_CONSTANTS.COMMANDS.PLAY_BUZZER,
+      ActiveTimeInCycle: activeMs,
+      OffTimeInCycle: offMs,
+      PlayTotalTime: totalMs,
+    });
+  }
+
+  /**
+   * Play a tone through the buzzer. The buzzer has a fixed pitch, so the
+   * frequency is ignored.
+   * @param {number} _frequency - Frequency in Hz (ignored)
+   * @param {number} duration - Duration in milliseconds
+   * @returns {Promise<boolean>} Success status
+   */
+  async playTone(_frequency, duration) {
+    const ms = Math.max(
+      0,
+      Math.min(NATIVE_TOOLS.MAX_BUZZER_MS, Math.round(duration))
+    );
+    return this.playBuzzer({ activeMs: ms, offMs: 0, totalMs: ms });
+  }
+
+  /**
+   * Send a command that only reports success or failure
+   * @private
+   * @param {string} action - What the command does (for log messages)
+   * @param {Object} body - Pixoo API request body
+   * @returns {Promise<boolean>} Success status
+   */
+  async _sendCommand(action, body) {
+    if (this.driverType === 'mock') {
+      return true; // Mock mode always succeeds
+    }
+
+    try {
+      await this._postControl(body);
+      return true;
+    } catch (error) {
+      const logger = require('../../logger');
+      logger.error(`Failed to ${action} for ${this.host}: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Post a control command; it runs ahead of frames waiting in the queue
+   * @private
+   * @param {Object} body - Pixoo API request body
+   * @returns {Promise<Object>} Device response
+   */
+  _postControl(body) {
+    return getCommandQueue(this.host).run(
+      () => pixooHttp.httpPost(this.host, body),
+      { priority: 'control' }
+    );
+  }
+
   /**
    * Get device metrics with Pixoo-specific info
    */
@@ -317,7 +724,7 @@ class PixooDriver extends DeviceDriver {
     return {
       ...baseMetrics,
       driverType: this.driverType,
-      deviceType: 'pixoo64',
+      deviceType: this.deviceType,
     };
   }
 
@@ -0,0 +1,289 @@
+/**
+ * @fileoverview Headless Raster Driver
+ * @description Mock driver that renders real pixels without hardware. Draw
+ * calls go into an RGB frame buffer with the same semantics as the Pixoo
+ * buffer (font.js text, lines, rects, alpha-blended images), and the last
+ * pushed frames are kept in memory so they can be inspected or dumped as PNG.
+ * @author Markus Barta (mba) with assistance from Cursor AI
+ * @license GPL-3.0-or-later
+ */
+
+const fs = require('fs');
+
+const { DEVICE_TYPES } = require('../../core/constants');
+const {
+  DEVICE_PROFILES,
+  DisplayCapabilities,
+  getDeviceProfile,
+} = require('../../core/device-capabilities');
+const DeviceDriver = require('../../core/device-driver');
+const FrameBuffer = require('../../core/frame-buffer');
+const { encodeRgbPng } = require('../../util/png-utils');
+
+// Pushed frames kept in memory per device
+const DEFAULT_HISTORY_SIZE = 10;
+
+/**
+ * Headless raster driver (default `mock` implementation)
+ *
+ * @example
+ * const driver = new RasterDriver('192.168.1.100', { deviceType: 'pixoo64' });
+ * await driver.drawTextRgbaAligned('HI', [1, 1], [255, 0, 0, 255]);
+ * await driver.push();
+ * fs.writeFileSync('frame.png', driver.toPng());
+ */
+class RasterDriver extends DeviceDriver {
+  /**
+   * Create raster driver instance
+   * @param {string} host - Device IP address (only used for logging)
+   * @param {Object} [options] - Configuration options
+   * @param {Object} [options.logger] - Logger instance
+   * @param {string} [options.deviceType='pixoo64'] - Profile to emulate
+   * @param {number} [options.width] - Width override (default: profile width)
+   * @param {number} [options.height] - Height override (default: profile height)
+   * @param {number} [options.historySize=10] - Number of pushed frames to keep
+   */
+  constructor(
+    host,
+    {
+      logger = null,
+      deviceType = DEVICE_TYPES.PIXOO64,
+      width = null,
+      height = null,
+      historySize = DEFAULT_HISTORY_SIZE,
+    } = {}
+  ) {
+    const profile = getDeviceProfile(deviceType) || DEVICE_PROFILES.PIXOO64;
+    super(
+      host,
+      new DisplayCapabilities({
+        ...profile,
+        width: width ?? profile.width,
+        height: height ?? profile.height,
+      })
+    );
+
+    this.driverType = 'mock';
+    this.deviceType = deviceType;
+    this.logger = logger || console;
+    this.historySize = Math.max(1, historySize);
+
+    this.frame = new FrameBuffer(
+      this.capabilities.width,
+      this.capabilities.height
+    );
+    this.buffer = this.frame;
+
+    this.frames = []; // [{buf, timestamp}], oldest first
+    this.frameCount = 0;
+    this._displayOn = true;
+    this._brightness = 100;
+  }
+
+  // ============================================================================
+  // LIFECYCLE METHODS
+  // ============================================================================
+
+  async initialize() {
+    this.metrics.lastPushTime = Date.now();
+  }
+
+  // ============================================================================
+  // CORE DISPLAY METHODS
+  // ============================================================================
+
+  async clear() {
+    await this.frame.clear();
+  }
+
+  /**
+   * Record the current frame in the history. Every push is kept (no frame
+   * skipping), so the history shows exactly what the scene pushed.
+   * @returns {Promise<boolean>} Always true
+   */
+  async push() {
+    this._record(this.frame.snapshot());
+    this.metrics.pushCount++;
+    this.metrics.lastPushTime = Date.now();
+
+    this.logger.debug(
+      `🟩 [MOCK PUSH] ${this.host} → frame #${this.frameCount} (${this.frame.width}x${this.frame.height})`
+    );
+    return true;
+  }
+
+  /**
+   * Snapshot the current framebuffer for use as an animation frame
+   * @returns {Uint8Array} Copy of the RGB buffer
+   */
+  captureFrame() {
+    return this.frame.snapshot();
+  }
+
+  /**
+   * "Upload" an animation: all frames go into the history
+   * @param {Array<Uint8Array>} frames - RGB buffers from captureFrame()
+   * @param {number} [_speed] - Display time per frame in ms (ignored)
+   * @returns {Promise<number>} Number of frames recorded
+   */
+  async pushAnimation(frames, _speed) {
+    for (const buf of frames) {
+      this._record(Uint8Array.from(buf));
+    }
+    this.metrics.pushCount++;
+    this.metrics.lastPushTime = Date.now();
+    return frames.length;
+  }
+
+  // ============================================================================
+  // FRAME HISTORY
+  // ============================================================================
+
+  /**
+   * Pushed frames still in memory, oldest first
+   * @returns {Array<{buf: Uint8Array, timestamp: number}>}
+   */
+  getFrames() {
+    return this.frames.slice();
+  }
+
+  /**
+   * Most recently pushed frame
+   * @returns {{buf: Uint8Array, timestamp: number}|null}
+   */
+  getLastFrame() {
+    return this.frames.at(-1) || null;
+  }
+
+  /**
+   * Encode a pushed frame as PNG
+   * @param {number} [index=-1] - History index (negative counts from the newest)
+   * @returns {Buffer|null} PNG file contents, or null if there is no such frame
+   */
+  toPng(index = -1) {
+    const entry = this.frames.at(index);
+    if (!entry) return null;
+    return encodeRgbPng(this.frame.width, this.frame.height, entry.buf);
+  }
+
+  /**
+   * Write a pushed frame to a PNG file
+   * @param {string} filePath - Target file
+   * @param {number} [index=-1] - History index (negative counts from the newest)
+   * @returns {boolean} False if there is no such frame
+   */
+  savePng(filePath, index = -1) {
+    const png = this.toPng(index);
+    if (!png) return false;
+    fs.writeFileSync(filePath, png);
+    return true;
+  }
+
+  // ============================================================================
+  // DRAWING PRIMITIVES
+  // ============================================================================
+
+  // Required DeviceDriver primitives (unified [x, y] / [r, g, b, a] form)
+  async drawPixel(pos, color) {
+    return this.frame.drawPixelRgba(pos, color);
+  }
+
+  async drawText(text, pos, color, align = 'left') {
+    return this.frame.drawTextRgbaAligned(text, pos, color, align);
+  }
+
+  async drawLine(start, end, color) {
+    return this.frame.drawLineRgba(start, end, color);
+  }
+
+  async fillRect(topLeft, bottomRight, color) {
+    const [x1, y1] = topLeft;
+    const [x2, y2] = bottomRight;
+    return this.frame.fillRectangleRgba(
+      [x1, y1],
+      [x2 - x1 + 1, y2 - y1 + 1],
+      color
+    );
+  }
+
+  // Pixoo-style primitives used by scenes through the canvas
+  async drawPixelRgba(pos, color) {
+    return this.frame.drawPixelRgba(pos, color);
+  }
+
+  async drawLineRgba(start, end, color) {
+    return this.frame.drawLineRgba(start, end, color);
+  }
+
+  async drawRectangleRgba(pos, size, color) {
+    return this.frame.drawRectangleRgba(pos, size, color);
+  }
+
+  async fillRectangleRgba(pos, size, color) {
+    return this.frame.fillRectangleRgba(pos, size, color);
+  }
+
+  async drawTextRgbaAligned(text, pos, color, align = 'left') {
+    return this.frame.drawTextRgbaAligned(text, pos, color, align);
+  }
+
+  async drawCustomFloatText(value, pos, color, align = 'right') {
+    return this.frame.drawCustomFloatText(value, pos, color, align);
+  }
+
+  async drawImageWithAlpha(path, pos, size, alpha = 255) {
+    return this.frame.drawImageWithAlpha(path, pos, size, alpha);
+  }
+
+  // ============================================================================
+  // SETTINGS & CONTROL
+  // ============================================================================
+
+  async setBrightness(level) {
+    this._brightness = Math.max(0, Math.min(100, Number(level) || 0));
+    return true;
+  }
+
+  async setDisplayPower(on) {
+    this._displayOn = Boolean(on);
+    return true;
+  }
+
+  getHardwareState() {
+    return {
+      displayOn: this._displayOn,
+      brightness: this._brightness,
+    };
+  }
+
+  getMetrics() {
+    return {
+      ...super.getMetrics(),
+      driverType: this.driverType,
+      deviceType: this.deviceType,
+      framesRecorded: this.frameCount,
+    };
+  }
+
+  async healthCheck() {
+    return { success: true, latencyMs: 5 };
+  }
+
+  // ============================================================================
+  // HELPER METHODS
+  // ============================================================================
+
+  /**
+   * Append a frame to the history, dropping the oldest beyond historySize
+   * @private
+   */
+  _record(buf) {
+    this.frames.push({ buf, timestamp: Date.now() });
+    if (this.frames.length > this.historySize) {
+      this.frames.splice(0, this.frames.length - this.historySize);
+    }
+    this.frameCount++;
+  }
+}
+
+module.exports = RasterDriver;
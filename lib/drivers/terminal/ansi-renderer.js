@@ -0,0 +1,70 @@
+/**
+ * @fileoverview ANSI Frame Renderer
+ * @description Turns an RGB frame into ANSI truecolor text. Each character
+ * cell shows two pixels stacked vertically: the upper half block (▀) takes
+ * the top pixel as foreground and the bottom pixel as background color.
+ * @author Markus Barta (mba) with assistance from Cursor AI
+ * @license GPL-3.0-or-later
+ */
+
+const UPPER_HALF_BLOCK = '▀';
+const ESC = '\x1b[';
+
+const ANSI = Object.freeze({
+  RESET: `${ESC}0m`,
+  HOME: `${ESC}H`, // Cursor to the top-left corner
+  CLEAR_SCREEN: `${ESC}2J`,
+  CLEAR_LINE: `${ESC}K`, // Rest of the line
+  HIDE_CURSOR: `${ESC}?25l`,
+  SHOW_CURSOR: `${ESC}?25h`,
+});
+
+/**
+ * Render an RGB frame as lines of half-block characters
+ * @param {Uint8Array} buf - RGB bytes, row-major
+ * @param {number} width - Frame width in pixels
+ * @param {number} height - Frame height in pixels (odd heights leave the
+ *   bottom half of the last line in the terminal's background color)
+ * @returns {Array<string>} One string per character row (height / 2, rounded
+ *   up), each ending with a color reset
+ *
+ * @example
+ * renderAnsiFrame(Uint8Array.from([255, 0, 0, 0, 0, 255]), 1, 2);
+ * // ['\x1b[38;2;255;0;0m\x1b[48;2;0;0;255m▀\x1b[0m']
+ */
+function renderAnsiFrame(buf, width, height) {
+  const lines = [];
+
+  for (let y = 0; y < height; y += 2) {
+    let line = '';
+    let lastFg = null;
+    let lastBg = null;
+
+    for (let x = 0; x < width; x++) {
+      const top = (y * width + x) * 3;
+      const fg = `${buf[top]};${buf[top + 1]};${buf[top + 2]}`;
+      if (fg !== lastFg) {
+        line += `${ESC}38;2;${fg}m`;
+        lastFg = fg;
+      }
+
+      let bg = 'none';
+      if (y + 1 < height) {
+        const bottom = top + width * 3;
+        bg = `${buf[bottom]};${buf[bottom + 1]};${buf[bottom + 2]}`;
+      }
+      if (bg !== lastBg) {
+        line += bg === 'none' ? `${ESC}49m` : `${ESC}48;2;${bg}m`;
+        lastBg = bg;
+      }
+
+      line += UPPER_HALF_BLOCK;
+    }
+
+    lines.push(line + ANSI.RESET);
+  }
+
+  return lines;
+}
+
+module.exports = { ANSI, renderAnsiFrame };
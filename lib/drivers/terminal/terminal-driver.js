@@ -0,0 +1,105 @@
+/**
+ * @fileoverview Terminal Preview Driver
+ * @description Headless raster driver that also draws every pushed frame into
+ * a terminal with ANSI truecolor half blocks (two pixels per character cell),
+ * redrawing in place. Used by the terminal preview CLI
+ * (scripts/terminal-preview.js), e.g. to watch a scene over SSH.
+ * @author Markus Barta (mba) with assistance from Cursor AI
+ * @license GPL-3.0-or-later
+ */
+
+const { ANSI, renderAnsiFrame } = require('./ansi-renderer');
+const RasterDriver = require('../raster/raster-driver');
+
+/**
+ * Terminal preview driver
+ *
+ * @example
+ * const driver = new TerminalDriver('preview', { deviceType: 'pixoo64' });
+ * await driver.drawTextRgbaAligned('HI', [1, 1], [255, 0, 0, 255]);
+ * await driver.push('demo'); // Draws the frame to stdout
+ * await driver.close(); // Restores the cursor
+ */
+class TerminalDriver extends RasterDriver {
+  /**
+   * Create terminal driver instance
+   * @param {string} host - Device host (only used for logging)
+   * @param {Object} [options] - RasterDriver options, plus:
+   * @param {Object} [options.output=process.stdout] - Writable stream
+   * @param {boolean} [options.statusLine=true] - Show scene, frame number
+   *   and frametime below the frame
+   */
+  constructor(
+    host,
+    { output = process.stdout, statusLine = true, ...options } = {}
+  ) {
+    super(host, { historySize: 1, ...options });
+
+    this.driverType = 'terminal';
+    this.output = output;
+    this.statusLine = statusLine;
+    this.started = false; // Screen cleared and cursor hidden
+    this.lastDrawAt = null;
+  }
+
+  /**
+   * Record the frame and draw it in the terminal
+   * @param {string} [sceneName] - Scene that rendered the frame
+   * @returns {Promise<boolean>} Always true
+   */
+  async push(sceneName) {
+    await super.push(sceneName);
+    this._draw(this.getLastFrame().buf, sceneName);
+    return true;
+  }
+
+  /**
+   * Animations are played back frame by frame in the terminal
+   * @param {Array<Uint8Array>} frames - RGB buffers from captureFrame()
+   * @param {number} speed - Display time per frame in ms
+   * @returns {Promise<number>} Number of frames shown
+   */
+  async pushAnimation(frames, speed) {
+    const count = await super.pushAnimation(frames, speed);
+    for (const buf of frames) {
+      this._draw(buf, 'animation');
+      await new Promise((resolve) => setTimeout(resolve, speed));
+    }
+    return count;
+  }
+
+  /**
+   * Reset colors and show the cursor again, below the last frame
+   */
+  async close() {
+    if (!this.started) return;
+    this.started = false;
+    this.output.write(`${ANSI.RESET}${ANSI.SHOW_CURSOR}\n`);
+  }
+
+  /**
+   * Draw one frame over the previous one
+   * @private
+   */
+  _draw(buf, sceneName = 'unknown') {
+    const { width, height } = this.frame;
+    let text = this.started
+      ? ANSI.HOME
+      : `${ANSI.HIDE_CURSOR}${ANSI.CLEAR_SCREEN}${ANSI.HOME}`;
+    this.started = true;
+
+    text += renderAnsiFrame(buf, width, height).join('\n');
+
+    if (this.statusLine) {
+      const now = Date.now();
+      const frametime =
+        this.lastDrawAt === null ? '' : ` · ${now - this.lastDrawAt}ms`;
+      this.lastDrawAt = now;
+      text += `\n${sceneName} · ${width}x${height} · frame ${this.frameCount}${frametime}${ANSI.CLEAR_LINE}`;
+    }
+
+    this.output.write(text);
+  }
+}
+
+module.exports = TerminalDriver;
@@ -0,0 +1,81 @@
+/**
+ * @fileoverview UDP Pixel Driver Constants
+ * @description Constants for raw pixel streaming over DDP, E1.31 (sACN) and
+ * Art-Net (HUB75 controllers, WS2812 bridges, WLED in realtime mode, ...)
+ * @author Markus Barta (mba) with assistance from Cursor AI
+ * @license GPL-3.0-or-later
+ * @see http://www.3waylabs.com/ddp/
+ * @see https://tsp.esta.org/tsp/documents/docs/ANSI_E1-31-2018.pdf
+ * @see https://art-net.org.uk/
+ */
+
+const PROTOCOLS = {
+  DDP: 'ddp',
+  E131: 'e131',
+  ARTNET: 'artnet',
+};
+
+const UDP_CONSTANTS = {
+  PROTOCOLS,
+
+  DEFAULT_PROTOCOL: PROTOCOLS.DDP,
+
+  // Default panel size (the most common HUB75 panel, same as a Pixoo 64)
+  DEFAULT_WIDTH: 64,
+  DEFAULT_HEIGHT: 64,
+
+  // Well-known ports per protocol
+  DEFAULT_PORTS: {
+    [PROTOCOLS.DDP]: 4048,
+    [PROTOCOLS.E131]: 5568,
+    [PROTOCOLS.ARTNET]: 6454,
+  },
+
+  // First universe used when none is configured (E1.31 reserves universe 0)
+  DEFAULT_UNIVERSES: {
+    [PROTOCOLS.DDP]: 0,
+    [PROTOCOLS.E131]: 1,
+    [PROTOCOLS.ARTNET]: 0,
+  },
+
+  // Receivers fall back to their own effects when no data arrives for about
+  // 2.5s (E1.31 network data loss timeout), so an idle frame is resent
+  KEEPALIVE_MS: 1000,
+
+  // Pixel wiring
+  LAYOUTS: ['progressive', 'serpentine'],
+  ORIENTATIONS: ['horizontal', 'vertical'],
+  START_CORNERS: ['top-left', 'top-right', 'bottom-left', 'bottom-right'],
+
+  DDP: {
+    HEADER_SIZE: 10,
+    // 480 RGB pixels, keeps packets below a standard 1500 byte MTU
+    MAX_DATA_LENGTH: 1440,
+    FLAG_VERSION_1: 0x40,
+    FLAG_PUSH: 0x01,
+    TYPE_RGB24: 0x0b,
+    ID_DISPLAY: 0x01,
+  },
+
+  DMX: {
+    UNIVERSE_SIZE: 512,
+    // 170 RGB pixels, so no pixel is split across two universes
+    DEFAULT_CHANNELS_PER_UNIVERSE: 510,
+  },
+
+  E131: {
+    HEADER_SIZE: 126,
+    ACN_PACKET_ID: 'ASC-E1.17\0\0\0',
+    SOURCE_NAME: 'PIDICON',
+    DEFAULT_PRIORITY: 100,
+  },
+
+  ARTNET: {
+    HEADER_SIZE: 18,
+    ID: 'Art-Net\0',
+    OPCODE_DMX: 0x5000,
+    PROTOCOL_VERSION: 14,
+  },
+};
+
+module.exports = UDP_CONSTANTS;
@@ -0,0 +1,88 @@
+/**
+ * @fileoverview Pixel Layout Mapping
+ * @description Maps the row-major frame buffer onto the physical wiring order
+ * of an LED matrix (progressive or serpentine/zigzag, row- or column-wise,
+ * starting in any corner).
+ * @author Markus Barta (mba) with assistance from Cursor AI
+ * @license GPL-3.0-or-later
+ */
+
+const UDP_CONSTANTS = require('./constants');
+
+/**
+ * Build the lookup table from strip position to frame buffer pixel
+ * @param {number} width - Matrix width in pixels
+ * @param {number} height - Matrix height in pixels
+ * @param {Object} [options]
+ * @param {string} [options.layout='progressive'] - 'progressive' or 'serpentine'
+ * @param {string} [options.orientation='horizontal'] - Wiring runs along rows ('horizontal') or columns ('vertical')
+ * @param {string} [options.startCorner='top-left'] - Corner of the first LED
+ * @returns {Uint32Array} `map[stripIndex]` = row-major pixel index
+ *
+ * @example
+ * // 3x2 zigzag starting top-left: strip order 0 1 2 / 5 4 3
+ * createLayoutMap(3, 2, { layout: 'serpentine' }); // [0, 1, 2, 5, 4, 3]
+ */
+function createLayoutMap(
+  width,
+  height,
+  {
+    layout = 'progressive',
+    orientation = 'horizontal',
+    startCorner = 'top-left',
+  } = {}
+) {
+  if (!UDP_CONSTANTS.LAYOUTS.includes(layout)) {
+    throw new Error(`Unknown pixel layout: ${layout}`);
+  }
+  if (!UDP_CONSTANTS.ORIENTATIONS.includes(orientation)) {
+    throw new Error(`Unknown pixel orientation: ${orientation}`);
+  }
+  if (!UDP_CONSTANTS.START_CORNERS.includes(startCorner)) {
+    throw new Error(`Unknown start corner: ${startCorner}`);
+  }
+
+  const serpentine = layout === 'serpentine';
+  const vertical = orientation === 'vertical';
+  const flipX = startCorner.endsWith('right');
+  const flipY = startCorner.startsWith('bottom');
+  const lineLength = vertical ? height : width;
+
+  const map = new Uint32Array(width * height);
+  for (let s = 0; s < map.length; s++) {
+    const line = Math.floor(s / lineLength);
+    let pos = s % lineLength;
+    if (serpentine && line % 2 === 1) pos = lineLength - 1 - pos;
+
+    let x = vertical ? line : pos;
+    let y = vertical ? pos : line;
+    if (flipX) x = width - 1 - x;
+    if (flipY) y = height - 1 - y;
+
+    map[s] = y * width + x;
+  }
+  return map;
+}
+
+/**
+ * Reorder an RGB frame into strip order
+ * @param {Uint8Array} buf - Row-major RGB bytes
+ * @param {Uint32Array} map - Lookup table from createLayoutMap()
+ * @param {Buffer} [out] - Reusable output buffer
+ * @returns {Buffer} RGB bytes in wiring order
+ */
+function remapFrame(buf, map, out = Buffer.alloc(map.length * 3)) {
+  for (let s = 0; s < map.length; s++) {
+    const src = map[s] * 3;
+    const dst = s * 3;
+    out[dst] = buf[src];
+    out[dst + 1] = buf[src + 1];
+    out[dst + 2] = buf[src + 2];
+  }
+  return out;
+}
+
+module.exports = {
+  createLayoutMap,
+  remapFrame,
+};
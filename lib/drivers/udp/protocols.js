@@ -0,0 +1,176 @@
+/**
+ * @fileoverview UDP Pixel Protocols
+ * @description Packet builders for DDP, E1.31 (sACN) and Art-Net (ArtDmx).
+ * All builders take strip-ordered RGB bytes and return ready-to-send Buffers.
+ * @author Markus Barta (mba) with assistance from Cursor AI
+ * @license GPL-3.0-or-later
+ */
+
+const UDP_CONSTANTS = require('./constants');
+
+const { DDP, DMX, E131, ARTNET } = UDP_CONSTANTS;
+
+// ============================================================================
+// DDP
+// ============================================================================
+
+/**
+ * Split a frame into DDP data packets; the last one carries the push flag
+ * @param {Buffer} data - RGB bytes in strip order
+ * @param {Object} [options]
+ * @param {number} [options.offset=0] - Byte offset of the first pixel in the receiver
+ * @param {number} [options.sequence=0] - Sequence number (1-15, 0 = unused)
+ * @returns {Buffer[]}
+ */
+function buildDdpPackets(data, { offset = 0, sequence = 0 } = {}) {
+  const packets = [];
+  for (let pos = 0; pos < data.length; pos += DDP.MAX_DATA_LENGTH) {
+    const chunk = data.subarray(pos, pos + DDP.MAX_DATA_LENGTH);
+    const isLast = pos + chunk.length >= data.length;
+    const packet = Buffer.alloc(DDP.HEADER_SIZE + chunk.length);
+
+    packet[0] = DDP.FLAG_VERSION_1 | (isLast ? DDP.FLAG_PUSH : 0);
+    packet[1] = sequence & 0x0f;
+    packet[2] = DDP.TYPE_RGB24;
+    packet[3] = DDP.ID_DISPLAY;
+    packet.writeUInt32BE(offset + pos, 4);
+    packet.writeUInt16BE(chunk.length, 8);
+    chunk.copy(packet, DDP.HEADER_SIZE);
+
+    packets.push(packet);
+  }
+  return packets;
+}
+
+// ============================================================================
+// DMX UNIVERSES (E1.31 / Art-Net)
+// ============================================================================
+
+/**
+ * Distribute a frame over consecutive DMX universes
+ * @param {Buffer} data - RGB bytes in strip order
+ * @param {Object} [options]
+ * @param {number} [options.universe=0] - First universe
+ * @param {number} [options.offset=0] - Channel offset inside the first universe (0-based)
+ * @param {number} [options.channelsPerUniverse=510] - Channels used per universe
+ * @returns {Array<{universe: number, data: Buffer}>} Channel data per universe
+ */
+function splitIntoUniverses(
+  data,
+  {
+    universe = 0,
+    offset = 0,
+    channelsPerUniverse = DMX.DEFAULT_CHANNELS_PER_UNIVERSE,
+  } = {}
+) {
+  if (offset < 0 || offset >= channelsPerUniverse) {
+    throw new Error(
+      `Channel offset ${offset} must be within 0-${channelsPerUniverse - 1}`
+    );
+  }
+
+  const universes = [];
+  let channel = offset;
+  let pos = 0;
+  let current = universe;
+
+  while (pos < data.length) {
+    const count = Math.min(channelsPerUniverse - channel, data.length - pos);
+    const channels = Buffer.alloc(channel + count);
+    data.copy(channels, channel, pos, pos + count);
+    universes.push({ universe: current, data: channels });
+
+    pos += count;
+    channel = 0;
+    current++;
+  }
+  return universes;
+}
+
+/**
+ * Build an E1.31 data packet for one universe
+ * @param {number} universe - Universe number (1-63999)
+ * @param {Buffer} channels - DMX channel values (max 512)
+ * @param {Object} options
+ * @param {Buffer} options.cid - 16 byte component identifier of this sender
+ * @param {number} [options.sequence=0] - Sequence number (0-255)
+ * @param {number} [options.priority=100] - Source priority (0-200)
+ * @param {string} [options.sourceName] - Name shown by receivers
+ * @returns {Buffer}
+ */
+function buildE131Packet(
+  universe,
+  channels,
+  {
+    cid,
+    sequence = 0,
+    priority = E131.DEFAULT_PRIORITY,
+    sourceName = E131.SOURCE_NAME,
+  }
+) {
+  const length = E131.HEADER_SIZE + channels.length;
+  const packet = Buffer.alloc(length);
+
+  // Root layer
+  packet.writeUInt16BE(0x0010, 0); // Preamble size
+  packet.writeUInt16BE(0x0000, 2); // Postamble size
+  packet.write(E131.ACN_PACKET_ID, 4, 'ascii');
+  packet.writeUInt16BE(0x7000 | (length - 16), 16);
+  packet.writeUInt32BE(0x00000004, 18); // VECTOR_ROOT_E131_DATA
+  cid.copy(packet, 22, 0, 16);
+
+  // Framing layer
+  packet.writeUInt16BE(0x7000 | (length - 38), 38);
+  packet.writeUInt32BE(0x00000002, 40); // VECTOR_E131_DATA_PACKET
+  packet.write(sourceName.slice(0, 63), 44, 'utf8');
+  packet[108] = priority;
+  packet.writeUInt16BE(0, 109); // Synchronization address
+  packet[111] = sequence & 0xff;
+  packet[112] = 0; // Options
+  packet.writeUInt16BE(universe, 113);
+
+  // DMP layer
+  packet.writeUInt16BE(0x7000 | (length - 115), 115);
+  packet[117] = 0x02; // VECTOR_DMP_SET_PROPERTY
+  packet[118] = 0xa1; // Address & data type
+  packet.writeUInt16BE(0x0000, 119); // First property address
+  packet.writeUInt16BE(0x0001, 121); // Address increment
+  packet.writeUInt16BE(channels.length + 1, 123); // Start code + channels
+  packet[125] = 0x00; // DMX start code
+  channels.copy(packet, E131.HEADER_SIZE);
+
+  return packet;
+}
+
+/**
+ * Build an Art-Net ArtDmx packet for one universe
+ * @param {number} universe - 15-bit port address (net, sub-net, universe)
+ * @param {Buffer} channels - DMX channel values (max 512)
+ * @param {Object} [options]
+ * @param {number} [options.sequence=0] - Sequence number (1-255, 0 = disabled)
+ * @returns {Buffer}
+ */
+function buildArtDmxPacket(universe, channels, { sequence = 0 } = {}) {
+  // Art-Net requires an even data length
+  const dataLength = Math.max(2, channels.length + (channels.length % 2));
+  const packet = Buffer.alloc(ARTNET.HEADER_SIZE + dataLength);
+
+  packet.write(ARTNET.ID, 0, 'ascii');
+  packet.writeUInt16LE(ARTNET.OPCODE_DMX, 8);
+  packet.writeUInt16BE(ARTNET.PROTOCOL_VERSION, 10);
+  packet[12] = sequence & 0xff;
+  packet[13] = 0; // Physical input port
+  packet[14] = universe & 0xff; // SubUni
+  packet[15] = (universe >> 8) & 0x7f; // Net
+  packet.writeUInt16BE(dataLength, 16);
+  channels.copy(packet, ARTNET.HEADER_SIZE);
+
+  return packet;
+}
+
+module.exports = {
+  buildDdpPackets,
+  splitIntoUniverses,
+  buildE131Packet,
+  buildArtDmxPacket,
+};
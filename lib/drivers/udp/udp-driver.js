@@ -0,0 +1,466 @@
+/**
+ * @fileoverview UDP Pixel Driver
+ * @description Streams the RGB frame buffer to LED matrices over DDP, E1.31
+ * (sACN) or Art-Net. Works with any receiver that speaks one of these
+ * protocols (HUB75 controllers, WS2812 bridges, WLED, ESPixelStick, FPP, ...).
+ * Wiring order and universe mapping come from the device options.
+ * @author Markus Barta (mba) with assistance from Cursor AI
+ * @license GPL-3.0-or-later
+ */
+
+const crypto = require('crypto');
+const dgram = require('dgram');
+const dns = require('dns');
+
+const UDP_CONSTANTS = require('./constants');
+const { createLayoutMap, remapFrame } = require('./pixel-layout');
+const {
+  buildArtDmxPacket,
+  buildDdpPackets,
+  buildE131Packet,
+  splitIntoUniverses,
+} = require('./protocols');
+const {
+  DEVICE_PROFILES,
+  DisplayCapabilities,
+} = require('../../core/device-capabilities');
+const DeviceDriver = require('../../core/device-driver');
+const FrameBuffer = require('../../core/frame-buffer');
+
+const { PROTOCOLS } = UDP_CONSTANTS;
+
+/**
+ * UDP pixel output driver (DDP, E1.31, Art-Net)
+ *
+ * @example
+ * const driver = new UdpPixelDriver('192.168.1.150', {
+ *   protocol: 'e131',
+ *   width: 32,
+ *   height: 16,
+ *   layout: 'serpentine',
+ *   universe: 1,
+ * });
+ * await driver.initialize();
+ * await driver.drawPixelRgba([0, 0], [255, 0, 0, 255]);
+ * await driver.push();
+ */
+class UdpPixelDriver extends DeviceDriver {
+  /**
+   * Create UDP pixel driver instance
+   * @param {string} host - Receiver IP address or hostname
+   * @param {Object} options - Configuration options
+   * @param {Object} [options.logger] - Logger instance
+   * @param {string} [options.driverType='real'] - 'real' or 'mock'
+   * @param {string} [options.protocol='ddp'] - 'ddp', 'e131' or 'artnet'
+   * @param {number} [options.port] - UDP port (default: protocol's well-known port)
+   * @param {number} [options.width=64] - Matrix width
+   * @param {number} [options.height=64] - Matrix height
+   * @param {string} [options.layout='progressive'] - 'progressive' or 'serpentine'
+   * @param {string} [options.orientation='horizontal'] - 'horizontal' or 'vertical' wiring
+   * @param {string} [options.startCorner='top-left'] - Corner of the first LED
+   * @param {number} [options.universe] - First universe (E1.31: 1, Art-Net: 0)
+   * @param {number} [options.offset=0] - Channel offset of the first pixel (bytes for DDP)
+   * @param {number} [options.channelsPerUniverse=510] - Channels used per universe
+   * @param {number} [options.priority=100] - E1.31 source priority
+   * @param {number} [options.keepaliveMs=1000] - Resend an unchanged frame this often (0 = never)
+   */
+  constructor(
+    host,
+    {
+      logger = null,
+      driverType = 'real',
+      protocol = UDP_CONSTANTS.DEFAULT_PROTOCOL,
+      port = null,
+      width = UDP_CONSTANTS.DEFAULT_WIDTH,
+      height = UDP_CONSTANTS.DEFAULT_HEIGHT,
+      layout = 'progressive',
+      orientation = 'horizontal',
+      startCorner = 'top-left',
+      universe = null,
+      offset = 0,
+      channelsPerUniverse = UDP_CONSTANTS.DMX.DEFAULT_CHANNELS_PER_UNIVERSE,
+      priority = UDP_CONSTANTS.E131.DEFAULT_PRIORITY,
+      keepaliveMs = UDP_CONSTANTS.KEEPALIVE_MS,
+    } = {}
+  ) {
+    if (!Object.values(PROTOCOLS).includes(protocol)) {
+      throw new Error(`Unknown UDP pixel protocol: ${protocol}`);
+    }
+
+    super(
+      host,
+      new DisplayCapabilities({ ...DEVICE_PROFILES.UDP, width, height })
+    );
+
+    this.driverType = driverType;
+    this.logger = logger || console;
+    this.protocol = protocol;
+    this.port = port || UDP_CONSTANTS.DEFAULT_PORTS[protocol];
+    this.universe = universe ?? UDP_CONSTANTS.DEFAULT_UNIVERSES[protocol];
+    this.offset = offset;
+    this.channelsPerUniverse = channelsPerUniverse;
+    this.priority = priority;
+    this.keepaliveMs = keepaliveMs;
+
+    this.frame = new FrameBuffer(width, height);
+    this.buffer = this.frame;
+    this.layoutMap = createLayoutMap(width, height, {
+      layout,
+      orientation,
+      startCorner,
+    });
+    this.stripData = Buffer.alloc(width * height * 3);
+
+    // E1.31 receivers track sources by CID, keep it stable per driver
+    this.cid = crypto.randomBytes(16);
+    this.sequence = 0;
+    this.socket = null;
+    this.keepaliveTimer = null;
+
+    this.initialized = false;
+    this.lastPushedFrame = null;
+    this.lastSentFrame = null; // Survives invalidateFrame() for the keepalive
+    this._displayOn = true;
+    this._brightness = 100;
+  }
+
+  // ============================================================================
+  // LIFECYCLE METHODS
+  // ============================================================================
+
+  /**
+   * Open the UDP socket (nothing is sent until the first push)
+   * @returns {Promise<boolean>} Success status
+   */
+  async initialize() {
+    if (this.driverType === 'real' && !this.socket) {
+      this.socket = dgram.createSocket('udp4');
+      this.socket.on('error', (error) => {
+        this.logger.warn(
+          `[UDP] Socket error for ${this.host}: ${error.message}`
+        );
+      });
+      // Don't keep the process alive just for this socket
+      this.socket.unref();
+    }
+
+    this.initialized = true;
+    this.logger.info(
+      `[UDP] Initialized ${this.host}:${this.port} (${this.protocol}, ${this.frame.width}x${this.frame.height})`
+    );
+    return true;
+  }
+
+  /**
+   * Close the UDP socket
+   */
+  async close() {
+    this._stopKeepalive();
+    if (this.socket) {
+      this.socket.close();
+      this.socket = null;
+    }
+    this.initialized = false;
+  }
+
+  // ============================================================================
+  // CORE DISPLAY METHODS
+  // ============================================================================
+
+  async clear() {
+    await this.frame.clear();
+  }
+
+  /**
+   * Send the frame buffer in wiring order. Unchanged frames are skipped; the
+   * keepalive resends the last frame while nothing changes.
+   * @returns {Promise<boolean>} False if the frame was unchanged and skipped
+   */
+  async push() {
+    if (
+      this.lastPushedFrame &&
+      Buffer.compare(this.frame.buf, this.lastPushedFrame) === 0
+    ) {
+      return false;
+    }
+
+    const frame = this.frame.snapshot();
+    if (this.driverType === 'real') {
+      if (!this.initialized) await this.initialize();
+      await this._sendFrame(frame);
+    } else {
+      this.buildPackets(frame);
+    }
+
+    this.lastPushedFrame = frame;
+    this.metrics.pushCount++;
+    this.metrics.lastPushTime = Date.now();
+    return true;
+  }
+
+  /**
+   * Force the next push to be sent even if the frame is unchanged
+   */
+  invalidateFrame() {
+    this.lastPushedFrame = null;
+  }
+
+  /**
+   * Build the packets for a frame (advances the sequence number)
+   * @param {Uint8Array} [frame] - RGB frame (default: the frame buffer)
+   * @returns {Buffer[]}
+   */
+  buildPackets(frame = this.frame.buf) {
+    const data = remapFrame(frame, this.layoutMap, this.stripData);
+    this._applyOutputLevel(data);
+
+    if (this.protocol === PROTOCOLS.DDP) {
+      // DDP sequence numbers are 1-15 (0 means "not used")
+      this.sequence = (this.sequence % 15) + 1;
+      return buildDdpPackets(data, {
+        offset: this.offset,
+        sequence: this.sequence,
+      });
+    }
+
+    // E1.31 wraps at 255; Art-Net reserves 0 for "sequencing disabled"
+    this.sequence = (this.sequence % 255) + 1;
+    const universes = splitIntoUniverses(data, {
+      universe: this.universe,
+      offset: this.offset,
+      channelsPerUniverse: this.channelsPerUniverse,
+    });
+
+    return universes.map(({ universe, data: channels }) =>
+      this.protocol === PROTOCOLS.E131
+        ? buildE131Packet(universe, channels, {
+            cid: this.cid,
+            sequence: this.sequence,
+            priority: this.priority,
+          })
+        : buildArtDmxPacket(universe, channels, { sequence: this.sequence })
+    );
+  }
+
+  // Required DeviceDriver primitives (unified [x, y] / [r, g, b, a] form)
+  async drawPixel(pos, color) {
+    return this.frame.drawPixelRgba(pos, color);
+  }
+
+  async drawText(text, pos, color, align = 'left') {
+    return this.frame.drawTextRgbaAligned(text, pos, color, align);
+  }
+
+  async drawLine(start, end, color) {
+    return this.frame.drawLineRgba(start, end, color);
+  }
+
+  async fillRect(topLeft, bottomRight, color) {
+    const [x1, y1] = topLeft;
+    const [x2, y2] = bottomRight;
+    return this.frame.fillRectangleRgba(
+      [x1, y1],
+      [x2 - x1 + 1, y2 - y1 + 1],
+      color
+    );
+  }
+
+  // Pixoo-style primitives used by scenes through the canvas
+  async drawPixelRgba(pos, color) {
+    return this.frame.drawPixelRgba(pos, color);
+  }
+
+  async drawLineRgba(start, end, color) {
+    return this.frame.drawLineRgba(start, end, color);
+  }
+
+  async drawRectangleRgba(pos, size, color) {
+    return this.frame.drawRectangleRgba(pos, size, color);
+  }
+
+  async fillRectangleRgba(pos, size, color) {
+    return this.frame.fillRectangleRgba(pos, size, color);
+  }
+
+  async drawTextRgbaAligned(text, pos, color, align = 'left') {
+    return this.frame.drawTextRgbaAligned(text, pos, color, align);
+  }
+
+  async drawCustomFloatText(value, pos, color, align = 'right') {
+    return this.frame.drawCustomFloatText(value, pos, color, align);
+  }
+
+  async drawImageWithAlpha(path, pos, size, alpha = 255) {
+    return this.frame.drawImageWithAlpha(path, pos, size, alpha);
+  }
+
+  // ============================================================================
+  // SETTINGS & CONTROL
+  // ============================================================================
+
+  /**
+   * Set brightness. The protocols have no brightness control, so pixel values
+   * are scaled before sending; the last frame is resent at the new level.
+   * @param {number} level - Brightness 0-100
+   * @returns {Promise<boolean>} Success status
+   */
+  async setBrightness(level) {
+    this._brightness = Math.max(0, Math.min(100, Number(level) || 0));
+    this.invalidateFrame();
+    await this._resendLastFrame();
+    return true;
+  }
+
+  /**
+   * Set display power. Off sends black frames until switched on again; the
+   * change is sent right away.
+   * @param {boolean} on - True to turn on, false to turn off
+   * @returns {Promise<boolean>} Success status
+   */
+  async setDisplayPower(on) {
+    this._displayOn = Boolean(on);
+    this.invalidateFrame();
+    await this._resendLastFrame();
+    return true;
+  }
+
+  getHardwareState() {
+    return {
+      displayOn: this._displayOn,
+      brightness: this._brightness,
+    };
+  }
+
+  getMetrics() {
+    return {
+      ...super.getMetrics(),
+      driverType: this.driverType,
+      deviceType: 'udp',
+      protocol: this.protocol,
+    };
+  }
+
+  /**
+   * Health check. UDP is connectionless, so this can only verify that the
+   * receiver address resolves.
+   * @returns {Promise<Object>} {success: bool, latencyMs: number}
+   */
+  async healthCheck() {
+    if (this.driverType === 'mock') {
+      return { success: true, latencyMs: 5 };
+    }
+
+    const startTime = Date.now();
+    try {
+      await dns.promises.lookup(this.host, { family: 4 });
+      return { success: true, latencyMs: Date.now() - startTime };
+    } catch (error) {
+      return {
+        success: false,
+        latencyMs: Date.now() - startTime,
+        error: error.message,
+      };
+    }
+  }
+
+  // ============================================================================
+  // HELPER METHODS
+  // ============================================================================
+
+  /**
+   * Apply power and brightness to strip data in place
+   * @private
+   */
+  _applyOutputLevel(data) {
+    if (!this._displayOn) {
+      data.fill(0);
+    } else if (this._brightness < 100) {
+      const scale = this._brightness / 100;
+      for (let i = 0; i < data.length; i++) {
+        data[i] = Math.round(data[i] * scale);
+      }
+    }
+  }
+
+  /**
+   * Send a frame and restart the keepalive timer
+   * @private
+   * @param {Uint8Array} frame - RGB frame
+   * @returns {Promise<void>}
+   */
+  async _sendFrame(frame) {
+    this._stopKeepalive();
+    const packets = this.buildPackets(frame);
+    this.lastSentFrame = frame;
+    for (const packet of packets) {
+      await this._send(packet);
+    }
+    this._scheduleKeepalive();
+  }
+
+  /**
+   * Resend the last frame with the current output level. A setting change
+   * must not wait for a push or keepalive that may never come (finished
+   * scene, keepaliveMs 0).
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _resendLastFrame() {
+    if (!this.socket || !this.lastSentFrame) return;
+    await this._sendFrame(this.lastSentFrame);
+  }
+
+  /**
+   * Resend the last frame after keepaliveMs without a push, so receivers
+   * don't time out while a scene shows a static frame. Each resend is built
+   * again to advance the sequence number (receivers drop repeated ones).
+   * @private
+   */
+  _scheduleKeepalive() {
+    this._stopKeepalive();
+    if (!this.keepaliveMs || !this.socket) return;
+
+    this.keepaliveTimer = setTimeout(() => {
+      this.keepaliveTimer = null;
+      this._sendFrame(this.lastSentFrame).catch((error) => {
+        this.logger.warn(
+          `[UDP] Keepalive for ${this.host} failed: ${error.message}`
+        );
+        this._scheduleKeepalive();
+      });
+    }, this.keepaliveMs);
+    this.keepaliveTimer.unref();
+  }
+
+  /**
+   * @private
+   */
+  _stopKeepalive() {
+    if (this.keepaliveTimer) {
+      clearTimeout(this.keepaliveTimer);
+      this.keepaliveTimer = null;
+    }
+  }
+
+  /**
+   * Send one datagram
+   * @private
+   * @param {Buffer} packet
+   * @returns {Promise<void>}
+   */
+  _send(packet) {
+    return new Promise((resolve, reject) => {
+      this.socket.send(packet, this.port, this.host, (error) => {
+        if (error) {
+          this.metrics.errorCount++;
+          this.metrics.lastErrorTime = Date.now();
+          reject(error);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+}
+
+module.exports = UdpPixelDriver;
@@ -0,0 +1,17 @@
+/**
+ * @fileoverview Video Wall Constants
+ * @description Constants for virtual canvases tiled across several devices
+ * @author Markus Barta (mba) with assistance from Cursor AI
+ * @license GPL-3.0-or-later
+ */
+
+const WALL_CONSTANTS = {
+  // Clockwise rotation of a mounted panel, in degrees
+  ROTATIONS: [0, 90, 180, 270],
+
+  // Panel size when a tile device reports no capabilities
+  DEFAULT_TILE_WIDTH: 64,
+  DEFAULT_TILE_HEIGHT: 64,
+};
+
+module.exports = WALL_CONSTANTS;
@@ -0,0 +1,353 @@
+/**
+ * @fileoverview Video Wall Driver
+ * @description Virtual device whose canvas spans several configured devices
+ * (tiles). Scenes draw on the whole canvas; every push cuts it into one frame
+ * per tile (honouring the panel's mounting rotation) and pushes all tiles in
+ * the same tick. Each tile keeps its own driver, so real and mock tiles can
+ * be mixed.
+ * @author Markus Barta (mba) with assistance from Cursor AI
+ * @license GPL-3.0-or-later
+ */
+
+const WALL_CONSTANTS = require('./constants');
+const { createWallLayout, sliceFrame } = require('./wall-layout');
+const {
+  DEVICE_PROFILES,
+  DisplayCapabilities,
+} = require('../../core/device-capabilities');
+const DeviceDriver = require('../../core/device-driver');
+const FrameBuffer = require('../../core/frame-buffer');
+
+/**
+ * Resolve the configured tiles to device proxies with their panel size.
+ * Tiles whose device is unknown are skipped.
+ * @param {string} host - Wall address (for log messages)
+ * @param {Array<Object>} tiles - Tile options from the device config
+ * @param {Function} getTileDevice - (ref) => DeviceProxy|null
+ * @param {Object} log - Logger
+ * @returns {Array<Object>}
+ */
+function resolveTiles(host, tiles, getTileDevice, log) {
+  const resolved = [];
+  for (const { device: ref, x = 0, y = 0, rotation = 0 } of tiles) {
+    const device = getTileDevice ? getTileDevice(ref) : null;
+    if (!device) {
+      log.warn(`[WALL] ${host}: tile device ${ref} is not configured`);
+      continue;
+    }
+    const capabilities = device.getCapabilities();
+    resolved.push({
+      device,
+      x,
+      y,
+      rotation,
+      width: capabilities?.width ?? WALL_CONSTANTS.DEFAULT_TILE_WIDTH,
+      height: capabilities?.height ?? WALL_CONSTANTS.DEFAULT_TILE_HEIGHT,
+      maxFps: capabilities?.maxFps ?? DEVICE_PROFILES.WALL.maxFps,
+    });
+  }
+  return resolved;
+}
+
+/**
+ * Video wall spanning several devices
+ *
+ * @example
+ * // Two Pixoo 64 side by side, the right one mounted upside down
+ * const driver = new WallDriver('wall-living', {
+ *   tiles: [
+ *     { device: 'pidicon-1', x: 0, y: 0 },
+ *     { device: 'pidicon-2', x: 64, y: 0, rotation: 180 },
+ *   ],
+ *   getTileDevice: (ref) => deviceAdapter.getDevice(ref),
+ * });
+ * await driver.drawLineRgba([0, 32], [127, 32], [255, 0, 0, 255]);
+ * await driver.push();
+ */
+class WallDriver extends DeviceDriver {
+  /**
+   * Create video wall driver instance
+   * @param {string} host - Wall address (a name, the wall has no network address)
+   * @param {Object} options - Configuration options
+   * @param {Object} [options.logger] - Logger instance
+   * @param {string} [options.driverType='real'] - 'real' or 'mock' (tiles use their own driver)
+   * @param {Array<Object>} [options.tiles=[]] - Tiles: {device, x, y, rotation}
+   * @param {Function} [options.getTileDevice] - (ref) => DeviceProxy of a tile, or null
+   */
+  constructor(
+    host,
+    {
+      logger = null,
+      driverType = 'real',
+      tiles = [],
+      getTileDevice = null,
+    } = {}
+  ) {
+    const log = logger || console;
+    const resolved = resolveTiles(host, tiles, getTileDevice, log);
+    const layout =
+      resolved.length > 0
+        ? createWallLayout(resolved)
+        : { ...DEVICE_PROFILES.WALL, tiles: [] };
+
+    super(
+      host,
+      new DisplayCapabilities({
+        ...DEVICE_PROFILES.WALL,
+        width: layout.width,
+        height: layout.height,
+        // The wall is only as fast as its slowest tile
+        maxFps: Math.min(
+          DEVICE_PROFILES.WALL.maxFps,
+          ...resolved.map((tile) => tile.maxFps)
+        ),
+      })
+    );
+
+    this.driverType = driverType;
+    this.logger = log;
+    this.frame = new FrameBuffer(layout.width, layout.height);
+    this.buffer = this.frame;
+    this.tiles = layout.tiles.map((tile) => ({
+      ...tile,
+      frame: {
+        width: tile.width,
+        height: tile.height,
+        buf: new Uint8Array(tile.width * tile.height * 3),
+      },
+      lastPushed: null,
+    }));
+
+    this.initialized = false;
+    this._displayOn = true;
+    this._brightness = 100;
+  }
+
+  // ============================================================================
+  // LIFECYCLE METHODS
+  // ============================================================================
+
+  /**
+   * Nothing to connect; the tiles initialize through their own drivers
+   * @returns {Promise<boolean>} Success status
+   */
+  async initialize() {
+    this.initialized = true;
+    this.logger.info(
+      `[WALL] Initialized ${this.host} (${this.frame.width}x${this.frame.height}, ${this.tiles.length} tile(s))`
+    );
+    return true;
+  }
+
+  /**
+   * Hosts of the tile devices, in layout order
+   * @returns {Array<string>}
+   */
+  getTileHosts() {
+    return this.tiles.map((tile) => tile.device.host);
+  }
+
+  // ============================================================================
+  // CORE DISPLAY METHODS
+  // ============================================================================
+
+  async clear() {
+    await this.frame.clear();
+  }
+
+  /**
+   * Cut the canvas into tile frames and push the changed ones at once. A
+   * failing tile doesn't stop the others; the push only fails if all failed.
+   * @param {string} [sceneName='unknown'] - Scene name for the tiles' frame history
+   * @returns {Promise<boolean>} False if no tile's frame changed
+   */
+  async push(sceneName = 'unknown') {
+    const changed = this.tiles.filter((tile) => {
+      sliceFrame(this.frame.buf, tile.map, tile.frame.buf);
+      return !(
+        tile.lastPushed && Buffer.compare(tile.frame.buf, tile.lastPushed) === 0
+      );
+    });
+    if (changed.length === 0) return false;
+
+    const results = await Promise.allSettled(
+      changed.map(async (tile) => {
+        await tile.device.showFrame(tile.frame, sceneName);
+        tile.lastPushed = Uint8Array.from(tile.frame.buf);
+      })
+    );
+
+    const failures = [];
+    results.forEach((result, i) => {
+      if (result.status !== 'rejected') return;
+      failures.push(result.reason);
+      this.logger.warn(
+        `[WALL] ${this.host}: push to tile ${changed[i].device.host} failed: ${result.reason.message}`
+      );
+    });
+    if (failures.length === results.length) {
+      this.metrics.errorCount++;
+      this.metrics.lastErrorTime = Date.now();
+      throw failures[0];
+    }
+
+    this.metrics.pushCount++;
+    this.metrics.lastPushTime = Date.now();
+    return true;
+  }
+
+  /**
+   * Force the next push to be sent to every tile even if unchanged
+   */
+  invalidateFrame() {
+    for (const tile of this.tiles) {
+      tile.lastPushed = null;
+      tile.device.invalidateFrame();
+    }
+  }
+
+  // Required DeviceDriver primitives (unified [x, y] / [r, g, b, a] form)
+  async drawPixel(pos, color) {
+    return this.frame.drawPixelRgba(pos, color);
+  }
+
+  async drawText(text, pos, color, align = 'left') {
+    return this.frame.drawTextRgbaAligned(text, pos, color, align);
+  }
+
+  async drawLine(start, end, color) {
+    return this.frame.drawLineRgba(start, end, color);
+  }
+
+  async fillRect(topLeft, bottomRight, color) {
+    const [x1, y1] = topLeft;
+    const [x2, y2] = bottomRight;
+    return this.frame.fillRectangleRgba(
+      [x1, y1],
+      [x2 - x1 + 1, y2 - y1 + 1],
+      color
+    );
+  }
+
+  // Pixoo-style primitives used by scenes through the canvas
+  async drawPixelRgba(pos, color) {
+    return this.frame.drawPixelRgba(pos, color);
+  }
+
+  async drawLineRgba(start, end, color) {
+    return this.frame.drawLineRgba(start, end, color);
+  }
+
+  async drawRectangleRgba(pos, size, color) {
+    return this.frame.drawRectangleRgba(pos, size, color);
+  }
+
+  async fillRectangleRgba(pos, size, color) {
+    return this.frame.fillRectangleRgba(pos, size, color);
+  }
+
+  async drawTextRgbaAligned(text, pos, color, align = 'left') {
+    return this.frame.drawTextRgbaAligned(text, pos, color, align);
+  }
+
+  async drawCustomFloatText(value, pos, color, align = 'right') {
+    return this.frame.drawCustomFloatText(value, pos, color, align);
+  }
+
+  async drawImageWithAlpha(path, pos, size, alpha = 255) {
+    return this.frame.drawImageWithAlpha(path, pos, size, alpha);
+  }
+
+  // ============================================================================
+  // SETTINGS & CONTROL
+  // ============================================================================
+
+  /**
+   * Set brightness on every tile
+   * @param {number} level - Brightness 0-100
+   * @returns {Promise<boolean>} True if all tiles accepted it
+   */
+  async setBrightness(level) {
+    const ok = await this._forEachTile((impl) => impl.setBrightness(level));
+    if (ok) this._brightness = level;
+    return ok;
+  }
+
+  /**
+   * Turn every tile's display on or off
+   * @param {boolean} on - True to turn on, false to turn off
+   * @returns {Promise<boolean>} True if all tiles accepted it
+   */
+  async setDisplayPower(on) {
+    const ok = await this._forEachTile((impl) => impl.setDisplayPower(on));
+    if (ok) this._displayOn = Boolean(on);
+    return ok;
+  }
+
+  getHardwareState() {
+    return {
+      displayOn: this._displayOn,
+      brightness: this._brightness,
+    };
+  }
+
+  getMetrics() {
+    return {
+      ...super.getMetrics(),
+      driverType: this.driverType,
+      deviceType: 'wall',
+      tiles: this.getTileHosts(),
+    };
+  }
+
+  /**
+   * Health check - the wall is healthy if all its tiles are
+   * @returns {Promise<Object>} {success: bool, latencyMs: number}
+   */
+  async healthCheck() {
+    const startTime = Date.now();
+    const results = await Promise.all(
+      this.tiles.map(async (tile) => {
+        const { impl } = tile.device;
+        if (typeof impl?.healthCheck !== 'function') return { success: true };
+        try {
+          return await impl.healthCheck();
+        } catch (error) {
+          return { success: false, error: error.message };
+        }
+      })
+    );
+
+    const failed = results
+      .map((result, i) => (result.success ? null : this.tiles[i].device.host))
+      .filter(Boolean);
+    return failed.length === 0
+      ? { success: true, latencyMs: Date.now() - startTime }
+      : {
+          success: false,
+          latencyMs: Date.now() - startTime,
+          error: `Tile(s) not responding: ${failed.join(', ')}`,
+        };
+  }
+
+  // ============================================================================
+  // HELPER METHODS
+  // ============================================================================
+
+  /**
+   * Run a driver call on every tile
+   * @private
+   * @param {Function} operation - (driverImpl) => Promise<boolean>
+   * @returns {Promise<boolean>} True if every tile returned a truthy result
+   */
+  async _forEachTile(operation) {
+    const results = await Promise.allSettled(
+      this.tiles.map((tile) => operation(tile.device.impl))
+    );
+    return results.every(
+      (result) => result.status === 'fulfilled' && result.value
+    );
+  }
+}
+
+module.exports = WallDriver;
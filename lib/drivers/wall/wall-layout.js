@@ -0,0 +1,108 @@
+/**
+ * @fileoverview Video Wall Layout
+ * @description Places rotated panels on a virtual canvas and cuts the canvas
+ * into the frames each panel has to show.
+ * @author Markus Barta (mba) with assistance from Cursor AI
+ * @license GPL-3.0-or-later
+ */
+
+const WALL_CONSTANTS = require('./constants');
+
+/**
+ * Size a panel takes up on the canvas (90/270 degree mounts swap the axes)
+ * @param {{width: number, height: number, rotation?: number}} tile
+ * @returns {{width: number, height: number}}
+ */
+function getFootprint({ width, height, rotation = 0 }) {
+  return rotation === 90 || rotation === 270
+    ? { width: height, height: width }
+    : { width, height };
+}
+
+/**
+ * Build the lookup table from panel pixel to canvas pixel
+ * @param {number} canvasWidth - Width of the wall canvas
+ * @param {Object} tile - Panel placement
+ * @param {number} tile.x - Left edge on the canvas
+ * @param {number} tile.y - Top edge on the canvas
+ * @param {number} tile.width - Panel width (as the device sees it)
+ * @param {number} tile.height - Panel height (as the device sees it)
+ * @param {number} [tile.rotation=0] - Clockwise rotation of the mounted panel
+ * @returns {Uint32Array} `map[panelIndex]` = row-major canvas pixel index
+ *
+ * @example
+ * // 2x1 panel mounted upside down at the left edge of a 4-wide canvas
+ * createTileMap(4, { x: 0, y: 0, width: 2, height: 1, rotation: 180 }); // [1, 0]
+ */
+function createTileMap(canvasWidth, { x, y, width, height, rotation = 0 }) {
+  if (!WALL_CONSTANTS.ROTATIONS.includes(rotation)) {
+    throw new Error(`Unknown tile rotation: ${rotation}`);
+  }
+
+  const map = new Uint32Array(width * height);
+  for (let ty = 0; ty < height; ty++) {
+    for (let tx = 0; tx < width; tx++) {
+      let fx = tx;
+      let fy = ty;
+      if (rotation === 90) {
+        fx = height - 1 - ty;
+        fy = tx;
+      } else if (rotation === 180) {
+        fx = width - 1 - tx;
+        fy = height - 1 - ty;
+      } else if (rotation === 270) {
+        fx = ty;
+        fy = width - 1 - tx;
+      }
+      map[ty * width + tx] = (y + fy) * canvasWidth + (x + fx);
+    }
+  }
+  return map;
+}
+
+/**
+ * Place panels on the canvas. The canvas is the bounding box of all panels.
+ * @param {Array<Object>} tiles - Panels with x, y, width, height, rotation
+ * @returns {{width: number, height: number, tiles: Array<Object>}} Canvas
+ *   size and the tiles, each with its lookup table in `map`
+ */
+function createWallLayout(tiles) {
+  let width = 0;
+  let height = 0;
+  for (const tile of tiles) {
+    const footprint = getFootprint(tile);
+    width = Math.max(width, tile.x + footprint.width);
+    height = Math.max(height, tile.y + footprint.height);
+  }
+
+  return {
+    width,
+    height,
+    tiles: tiles.map((tile) => ({ ...tile, map: createTileMap(width, tile) })),
+  };
+}
+
+/**
+ * Copy a panel's part of the canvas into its frame buffer
+ * @param {Uint8Array} buf - Row-major RGB canvas bytes
+ * @param {Uint32Array} map - Lookup table from createTileMap()
+ * @param {Uint8Array} [out] - Reusable output buffer
+ * @returns {Uint8Array} Row-major RGB panel bytes
+ */
+function sliceFrame(buf, map, out = new Uint8Array(map.length * 3)) {
+  for (let i = 0; i < map.length; i++) {
+    const src = map[i] * 3;
+    const dst = i * 3;
+    out[dst] = buf[src];
+    out[dst + 1] = buf[src + 1];
+    out[dst + 2] = buf[src + 2];
+  }
+  return out;
+}
+
+module.exports = {
+  createTileMap,
+  createWallLayout,
+  getFootprint,
+  sliceFrame,
+};
@@ -0,0 +1,38 @@
+/**
+ * @fileoverview WLED Driver Constants
+ * @description Constants for WLED-based LED matrices driven over the JSON API
+ * @author Markus Barta (mba) with assistance from Cursor AI
+ * @license GPL-3.0-or-later
+ * @see https://kno.wled.ge/interfaces/json-api/
+ */
+
+const WLED_CONSTANTS = {
+  // Default matrix size (overridden by device options or the 2D setup reported by /json/info)
+  DEFAULT_WIDTH: 16,
+  DEFAULT_HEIGHT: 16,
+
+  // Communication
+  DEFAULT_PORT: 80,
+  HTTP_TIMEOUT: 3000,
+
+  // Segment that receives the framebuffer
+  DEFAULT_SEGMENT: 0,
+
+  // WLED parses the JSON body into a fixed-size buffer (smaller on ESP8266),
+  // so large frames are split into several requests
+  MAX_COLORS_PER_REQUEST: 256,
+
+  // Runs of identical pixels at least this long are sent as [start, stop, color]
+  MIN_RANGE_LENGTH: 3,
+
+  // Brightness scale used by WLED ("bri")
+  MAX_BRIGHTNESS: 255,
+
+  // JSON API endpoints
+  ENDPOINTS: {
+    STATE: '/json/state',
+    INFO: '/json/info',
+  },
+};
+
+module.exports = WLED_CONSTANTS;
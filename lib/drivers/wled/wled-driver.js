@@ -0,0 +1,468 @@
+/**
+ * @fileoverview WLED Device Driver
+ * @description Driver for WLED-based LED matrices. Scenes draw into a local RGB
+ * frame buffer; push() sends it as per-pixel segment data via the JSON API.
+ * @author Markus Barta (mba) with assistance from Cursor AI
+ * @license GPL-3.0-or-later
+ * @see https://kno.wled.ge/interfaces/json-api/#per-segment-individual-led-control
+ */
+
+const WLED_CONSTANTS = require('./constants');
+const { SUPERSEDED, getCommandQueue } = require('../../core/command-queue');
+const {
+  DEVICE_PROFILES,
+  DisplayCapabilities,
+} = require('../../core/device-capabilities');
+const DeviceDriver = require('../../core/device-driver');
+const { getDeviceHttpClient } = require('../../core/device-http-client');
+const FrameBuffer = require('../../core/frame-buffer');
+
+function toHex(buf, i) {
+  return ((buf[i] << 16) | (buf[i + 1] << 8) | buf[i + 2])
+    .toString(16)
+    .padStart(6, '0')
+    .toUpperCase();
+}
+
+/**
+ * Encode an RGB buffer as WLED `seg.i` requests.
+ * Runs of identical colors become `[start, stop, color]` ranges (stop is
+ * exclusive), everything else `[start, color, color, ...]`. Every request starts
+ * with an explicit index, so the chunks can be applied independently.
+ * @param {Uint8Array} buf - RGB bytes, row-major
+ * @param {number} [maxColors] - Maximum colors per request
+ * @returns {Array<Array<number|string>>} One `i` array per request
+ */
+function encodeSegmentPixels(
+  buf,
+  maxColors = WLED_CONSTANTS.MAX_COLORS_PER_REQUEST
+) {
+  const pixelCount = Math.floor(buf.length / 3);
+  const chunks = [];
+  let current = [];
+  let colorsInChunk = 0;
+  let literalOpen = false;
+
+  const flush = () => {
+    if (current.length > 0) chunks.push(current);
+    current = [];
+    colorsInChunk = 0;
+    literalOpen = false;
+  };
+
+  let p = 0;
+  while (p < pixelCount) {
+    const color = toHex(buf, p * 3);
+    let end = p + 1;
+    while (end < pixelCount && toHex(buf, end * 3) === color) end++;
+
+    if (end - p >= WLED_CONSTANTS.MIN_RANGE_LENGTH) {
+      if (colorsInChunk + 1 > maxColors) flush();
+      current.push(p, end, color);
+      colorsInChunk++;
+      literalOpen = false;
+      p = end;
+      continue;
+    }
+
+    for (; p < end; p++) {
+      if (colorsInChunk + 1 > maxColors) flush();
+      if (!literalOpen) {
+        current.push(p);
+        literalOpen = true;
+      }
+      current.push(color);
+      colorsInChunk++;
+    }
+  }
+  flush();
+  return chunks;
+}
+
+/**
+ * WLED driver implementation using the JSON API over HTTP
+ *
+ * @example
+ * const driver = new WledDriver('192.168.1.120', { width: 32, height: 8 });
+ * await driver.initialize();
+ * await driver.drawPixelRgba([0, 0], [255, 0, 0, 255]);
+ * await driver.push();
+ */
+class WledDriver extends DeviceDriver {
+  /**
+   * Create WLED driver instance
+   * @param {string} host - Device IP address
+   * @param {Object} options - Configuration options
+   * @param {Object} [options.logger] - Logger instance
+   * @param {string} [options.driverType='real'] - 'real' or 'mock'
+   * @param {number} [options.port=80] - HTTP port
+   * @param {number} [options.width] - Matrix width (default: from WLED 2D setup)
+   * @param {number} [options.height] - Matrix height (default: from WLED 2D setup)
+   * @param {number} [options.segment=0] - Segment that receives the frame
+   */
+  constructor(
+    host,
+    {
+      logger = null,
+      driverType = 'real',
+      port = WLED_CONSTANTS.DEFAULT_PORT,
+      width = null,
+      height = null,
+      segment = WLED_CONSTANTS.DEFAULT_SEGMENT,
+    } = {}
+  ) {
+    super(host, DEVICE_PROFILES.WLED);
+
+    this.driverType = driverType;
+    this.port = port;
+    this.segment = segment;
+    this.logger = logger || console;
+    this.apiUrl = `http://${host}:${port}`;
+
+    // Explicit size wins over what the device reports during initialize()
+    this.fixedSize = Boolean(width && height);
+    this._resize(
+      width || WLED_CONSTANTS.DEFAULT_WIDTH,
+      height || WLED_CONSTANTS.DEFAULT_HEIGHT
+    );
+
+    this.initialized = false;
+    this.lastPushedFrame = null;
+    this._displayOn = true;
+    this._brightness = 100;
+
+    if (driverType === 'real') {
+      getCommandQueue(host, { maxFps: this.capabilities.maxFps });
+    }
+  }
+
+  /**
+   * Replace buffer and capabilities for a new matrix size
+   * @private
+   */
+  _resize(width, height) {
+    this.capabilities = new DisplayCapabilities({
+      ...DEVICE_PROFILES.WLED,
+      width,
+      height,
+    });
+    this.frame = new FrameBuffer(width, height);
+    this.buffer = this.frame;
+    this.lastPushedFrame = null;
+  }
+
+  // ============================================================================
+  // LIFECYCLE METHODS
+  // ============================================================================
+
+  /**
+   * Read the matrix setup from the device and take over the target segment
+   * @returns {Promise<boolean>} Success status
+   */
+  async initialize() {
+    if (this.driverType === 'mock') {
+      this.initialized = true;
+      return true;
+    }
+
+    const info = await this._request('GET', WLED_CONSTANTS.ENDPOINTS.INFO);
+    const matrix = info?.leds?.matrix;
+    if (!this.fixedSize && matrix?.w > 0 && matrix?.h > 0) {
+      if (matrix.w !== this.frame.width || matrix.h !== this.frame.height) {
+        this._resize(matrix.w, matrix.h);
+      }
+    }
+
+    // Solid effect, otherwise the running effect overwrites our pixels
+    await this._request('POST', WLED_CONSTANTS.ENDPOINTS.STATE, {
+      seg: { id: this.segment, fx: 0 },
+    });
+
+    this.initialized = true;
+    this.logger.info(
+      `[WLED] Initialized ${this.host} (${this.frame.width}x${this.frame.height}, segment ${this.segment})`
+    );
+    return true;
+  }
+
+  // ============================================================================
+  // CORE DISPLAY METHODS
+  // ============================================================================
+
+  async clear() {
+    await this.frame.clear();
+  }
+
+  /**
+   * Send the frame buffer as per-pixel segment data. The frame waits in the
+   * device's command queue; a newer push replaces it while it waits.
+   * @returns {Promise<boolean|symbol>} False if the frame was unchanged and
+   *   skipped, SUPERSEDED if a newer frame replaced it in the queue
+   */
+  async push() {
+    if (
+      this.lastPushedFrame &&
+      Buffer.compare(this.frame.buf, this.lastPushedFrame) === 0
+    ) {
+      return false;
+    }
+
+    const frame = this.frame.snapshot();
+    if (this.driverType === 'real') {
+      const sent = await getCommandQueue(this.host).run(
+        () => this._sendFrame(frame),
+        { priority: 'frame', coalesce: true }
+      );
+      if (sent === SUPERSEDED) return sent;
+    }
+
+    this.lastPushedFrame = frame;
+    this.metrics.pushCount++;
+    this.metrics.lastPushTime = Date.now();
+    return true;
+  }
+
+  /**
+   * Send one frame (runs inside the command queue)
+   * @private
+   * @param {Uint8Array} frame - RGB snapshot taken by push()
+   * @returns {Promise<boolean>} Always true
+   */
+  async _sendFrame(frame) {
+    if (!this.initialized) await this.initialize();
+
+    for (const pixels of encodeSegmentPixels(frame)) {
+      await this._request('POST', WLED_CONSTANTS.ENDPOINTS.STATE, {
+        tt: 0, // No transition between frames
+        seg: { id: this.segment, i: pixels },
+      });
+    }
+    return true;
+  }
+
+  /**
+   * Force the next push to be sent even if the frame is unchanged
+   */
+  invalidateFrame() {
+    this.lastPushedFrame = null;
+  }
+
+  // Required DeviceDriver primitives (unified [x, y] / [r, g, b, a] form)
+  async drawPixel(pos, color) {
+    return this.frame.drawPixelRgba(pos, color);
+  }
+
+  async drawText(text, pos, color, align = 'left') {
+    return this.frame.drawTextRgbaAligned(text, pos, color, align);
+  }
+
+  async drawLine(start, end, color) {
+    return this.frame.drawLineRgba(start, end, color);
+  }
+
+  async fillRect(topLeft, bottomRight, color) {
+    const [x1, y1] = topLeft;
+    const [x2, y2] = bottomRight;
+    return this.frame.fillRectangleRgba(
+      [x1, y1],
+      [x2 - x1 + 1, y2 - y1 + 1],
+      color
+    );
+  }
+
+  // Pixoo-style primitives used by scenes through the canvas
+  async drawPixelRgba(pos, color) {
+    return this.frame.drawPixelRgba(pos, color);
+  }
+
+  async drawLineRgba(start, end, color) {
+    return this.frame.drawLineRgba(start, end, color);
+  }
+
+  async drawRectangleRgba(pos, size, color) {
+    return this.frame.drawRectangleRgba(pos, size, color);
+  }
+
+  async fillRectangleRgba(pos, size, color) {
+    return this.frame.fillRectangleRgba(pos, size, color);
+  }
+
+  async drawTextRgbaAligned(text, pos, color, align = 'left') {
+    return this.frame.drawTextRgbaAligned(text, pos, color, align);
+  }
+
+  async drawCustomFloatText(value, pos, color, align = 'right') {
+    return this.frame.drawCustomFloatText(value, pos, color, align);
+  }
+
+  async drawImageWithAlpha(path, pos, size, alpha = 255) {
+    return this.frame.drawImageWithAlpha(path, pos, size, alpha);
+  }
+
+  // ============================================================================
+  // SETTINGS & CONTROL
+  // ============================================================================
+
+  /**
+   * Set brightness
+   * @param {number} level - Brightness 0-100 (converted to WLED's 0-255)
+   * @returns {Promise<boolean>} Success status
+   */
+  async setBrightness(level) {
+    const percent = Math.max(0, Math.min(100, Number(level) || 0));
+    const bri = Math.round((percent / 100) * WLED_CONSTANTS.MAX_BRIGHTNESS);
+
+    if (this.driverType === 'real') {
+      try {
+        await this._request(
+          'POST',
+          WLED_CONSTANTS.ENDPOINTS.STATE,
+          { bri },
+          'control'
+        );
+      } catch (error) {
+        this.logger.warn(
+          `[WLED] Failed to set brightness for ${this.host}: ${error.message}`
+        );
+        return false;
+      }
+    }
+
+    this._brightness = percent;
+    return true;
+  }
+
+  /**
+   * Set display power (WLED master on/off)
+   * @param {boolean} on - True to turn on, false to turn off
+   * @returns {Promise<boolean>} Success status
+   */
+  async setDisplayPower(on) {
+    if (this.driverType === 'real') {
+      try {
+        await this._request(
+          'POST',
+          WLED_CONSTANTS.ENDPOINTS.STATE,
+          { on: Boolean(on) },
+          'control'
+        );
+      } catch (error) {
+        this.logger.warn(
+          `[WLED] Failed to set power for ${this.host}: ${error.message}`
+        );
+        return false;
+      }
+    }
+
+    this._displayOn = Boolean(on);
+    return true;
+  }
+
+  getHardwareState() {
+    return {
+      displayOn: this._displayOn,
+      brightness: this._brightness,
+    };
+  }
+
+  /**
+   * Get hardware information from /json/info
+   * @returns {Promise<Object>} { mac, firmware } (empty for mock/offline)
+   */
+  async getHardwareInfo() {
+    if (this.driverType === 'mock') {
+      return {};
+    }
+
+    try {
+      const info = await this._request('GET', WLED_CONSTANTS.ENDPOINTS.INFO);
+      return {
+        mac: info?.mac || null,
+        firmware: info?.ver || null,
+      };
+    } catch (error) {
+      this.logger.debug(`[WLED] Failed to get hardware info: ${error.message}`);
+      return {};
+    }
+  }
+
+  getMetrics() {
+    return {
+      ...super.getMetrics(),
+      driverType: this.driverType,
+      deviceType: 'wled',
+    };
+  }
+
+  /**
+   * Health check - GET /json/info to verify device is alive
+   * @returns {Promise<Object>} {success: bool, latencyMs: number}
+   */
+  async healthCheck() {
+    if (this.driverType === 'mock') {
+      return { success: true, latencyMs: 5 };
+    }
+
+    const startTime = Date.now();
+    try {
+      await this._request('GET', WLED_CONSTANTS.ENDPOINTS.INFO);
+      return { success: true, latencyMs: Date.now() - startTime };
+    } catch (error) {
+      return {
+        success: false,
+        latencyMs: Date.now() - startTime,
+        error: error.message,
+      };
+    }
+  }
+
+  // ============================================================================
+  // HELPER METHODS
+  // ============================================================================
+
+  /**
+   * Make a JSON API request
+   * @private
+   * @param {string} method - HTTP method (GET, POST)
+   * @param {string} endpoint - API endpoint (e.g., '/json/state')
+   * @param {Object} [payload] - JSON body for POST requests
+   * @param {string} [priority='request'] - Command queue priority ('control'
+   *   for power and brightness)
+   * @returns {Promise<Object>} Parsed response body
+   */
+  async _request(method, endpoint, payload = null, priority = 'request') {
+    return getCommandQueue(this.host).run(
+      () => this._fetchJson(method, endpoint, payload),
+      { priority }
+    );
+  }
+
+  /**
+   * @private
+   */
+  async _fetchJson(method, endpoint, payload) {
+    const client = getDeviceHttpClient(this.host, {
+      port: this.port,
+      label: 'WLED',
+      timeoutMs: WLED_CONSTANTS.HTTP_TIMEOUT,
+    });
+
+    try {
+      // JSON API requests only set state, so they are safe to retry
+      const { data } = await client.request({
+        method,
+        path: endpoint,
+        body: payload !== null ? JSON.stringify(payload) : undefined,
+        idempotent: true,
+      });
+      return data || {};
+    } catch (error) {
+      this.metrics.errorCount++;
+      this.metrics.lastErrorTime = Date.now();
+      throw error;
+    }
+  }
+}
+
+module.exports = WledDriver;
+module.exports.encodeSegmentPixels = encodeSegmentPixels;
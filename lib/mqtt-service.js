@@ -51,6 +51,9 @@ class MqttService extends EventEmitter {
     this.client = null;
     this.connected = false;
     this.messageHandlers = new Map(); // section -> handler function
+    this.groupHandlers = new Map(); // section -> handler for pixoo/group/<name>/...
+    this.topicHandlers = new Map(); // exact topic -> Set of handler functions
+    this.deviceResolver = null; // <device> topic segment -> IP
     this.retryCount = 0;
     this.reconnectTimer = null;
     this.lastError = null;
@@ -170,6 +173,7 @@ class MqttService extends EventEmitter {
             });
           }
           this.emit('connect');
+          this._resubscribeTopics();
           cleanup();
         });
 
@@ -443,6 +447,30 @@ class MqttService extends EventEmitter {
     this.logger.debug(`Registered MQTT handler for section: ${section}`);
   }
 
+  /**
+   * Register a handler for device group topics: pixoo/group/<name>/<section>/<action>
+   * @param {string} section - Topic section (e.g., 'state')
+   * @param {Function} handler - Handler function (groupName, action, payload) => void
+   */
+  registerGroupHandler(section, handler) {
+    if (typeof handler !== 'function') {
+      throw new Error(
+        `Group handler for section '${section}' must be a function, got ${typeof handler}`
+      );
+    }
+    this.groupHandlers.set(section, handler);
+    this.logger.debug(`Registered MQTT group handler for section: ${section}`);
+  }
+
+  /**
+   * Resolve the <device> topic segment before calling section handlers, so
+   * devices can be addressed by stable id as well as by IP
+   * @param {Function|null} resolver - (idOrIp) => IP
+   */
+  setDeviceResolver(resolver) {
+    this.deviceResolver = resolver;
+  }
+
   /**
    * Unregister a message handler
    * @param {string} section - Topic section
@@ -452,6 +480,89 @@ class MqttService extends EventEmitter {
     this.logger.debug(`Unregistered MQTT handler for section: ${section}`);
   }
 
+  /**
+   * Subscribe a handler to an exact topic outside the pixoo/<device>/<section>
+   * scheme (e.g. status topics of other devices). The subscription is restored
+   * after every reconnect.
+   * @param {string} topic - Exact topic (no wildcards)
+   * @param {Function} handler - Handler function (payload, topic) => void
+   * @returns {Promise<boolean>} True if subscribed now (false while offline)
+   */
+  async subscribeTopic(topic, handler) {
+    if (typeof handler !== 'function') {
+      throw new Error(
+        `Handler for topic '${topic}' must be a function, got ${typeof handler}`
+      );
+    }
+
+    let handlers = this.topicHandlers.get(topic);
+    const isNewTopic = !handlers;
+    if (isNewTopic) {
+      handlers = new Set();
+      this.topicHandlers.set(topic, handlers);
+    }
+    handlers.add(handler);
+
+    if (!this.client || !this.connected) return false;
+    return isNewTopic ? this.subscribe(topic) : true;
+  }
+
+  /**
+   * Remove a handler added with subscribeTopic()
+   * @param {string} topic - Exact topic
+   * @param {Function} handler - Handler to remove
+   * @returns {Promise<boolean>} True if the handler was registered
+   */
+  async unsubscribeTopic(topic, handler) {
+    const handlers = this.topicHandlers.get(topic);
+    if (!handlers || !handlers.delete(handler)) return false;
+
+    if (handlers.size === 0) {
+      this.topicHandlers.delete(topic);
+      if (this.client && this.connected) {
+        await this.unsubscribe(topic);
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Re-subscribe topics from subscribeTopic() (clean sessions lose them)
+   * @private
+   */
+  _resubscribeTopics() {
+    if (this.topicHandlers.size === 0) return;
+    this.subscribe([...this.topicHandlers.keys()]);
+  }
+
+  /**
+   * Deliver a message to its subscribeTopic() handlers
+   * @private
+   * @param {string} topic - MQTT topic
+   * @param {Buffer} message - MQTT message
+   * @param {Set<Function>} handlers - Handlers for this topic
+   */
+  async _dispatchTopic(topic, message, handlers) {
+    const text = message.toString();
+    let payload = text;
+    try {
+      payload = JSON.parse(text);
+    } catch {
+      // Plain-text payload, pass through as string
+    }
+
+    for (const handler of handlers) {
+      try {
+        await handler(payload, topic);
+      } catch (err) {
+        this.logger.error('Error in MQTT topic handler', {
+          error: err.message,
+          topic,
+        });
+      }
+    }
+  }
+
   /**
    * Internal message handler - routes to registered handlers
    * @private
@@ -459,11 +570,23 @@ class MqttService extends EventEmitter {
    * @param {Buffer} message - MQTT message
    */
   async _handleMessage(topic, message) {
+    const topicHandlers = this.topicHandlers.get(topic);
+    if (topicHandlers) {
+      await this._dispatchTopic(topic, message, topicHandlers);
+      return;
+    }
+
     let payload;
     try {
       payload = JSON.parse(message.toString());
       const parts = topic.split('/'); // pixoo/<device>/<section>/<action?>
-      const deviceIp = parts[1];
+      if (parts[1] === 'group') {
+        await this._handleGroupMessage(topic, parts, payload);
+        return;
+      }
+      const deviceIp = this.deviceResolver
+        ? this.deviceResolver(parts[1])
+        : parts[1];
       const section = parts[2];
       const action = parts[3] || null;
 
@@ -487,6 +610,24 @@ class MqttService extends EventEmitter {
     }
   }
 
+  /**
+   * Route pixoo/group/<name>/<section>/<action?> to its group handler
+   * @private
+   */
+  async _handleGroupMessage(topic, parts, payload) {
+    const [, , groupName, section, action = null] = parts;
+    const handler = this.groupHandlers.get(section);
+    if (handler) {
+      await handler(groupName, action, payload);
+    } else {
+      this.logger.warn(`No group handler for topic section: ${section}`, {
+        topic,
+      });
+    }
+
+    this.emit('message', { topic, groupName, section, action, payload });
+  }
+
   /**
    * Check if connected to MQTT broker
    * @returns {boolean} True if connected
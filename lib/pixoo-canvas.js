@@ -292,13 +292,29 @@ class PixooCanvas {
         `Position coordinates must be valid numbers, got [${x}, ${y}]`,
       );
     }
-    if (x < 0 || x > 63 || y < 0 || y > 63) {
+    const { width, height } = this._getBounds();
+    if (x < 0 || x >= width || y < 0 || y >= height) {
       logger.warn(
-        `Position [${x}, ${y}] is outside device bounds [0,0]-[63,63]`,
+        `Position [${x}, ${y}] is outside device bounds [0,0]-[${width - 1},${height - 1}]`,
       );
     }
   }
 
+  /**
+   * Display size from the device profile (falls back to 64x64)
+   * @private
+   */
+  _getBounds() {
+    const capabilities =
+      typeof this.device?.getCapabilities === 'function'
+        ? this.device.getCapabilities()
+        : this.device?.capabilities;
+    return {
+      width: capabilities?.width || 64,
+      height: capabilities?.height || 64,
+    };
+  }
+
   _validateSize(size) {
     if (!Array.isArray(size) || size.length !== 2) {
       throw new Error(`Size must be [width, height] array, got ${size}`);
@@ -10,59 +10,56 @@
 const fs = require('fs');
 const { PNG } = require('pngjs');
 
+const { getCommandQueue } = require('./core/command-queue');
+const { getDeviceHttpClient } = require('./core/device-http-client');
+const PIXOO_CONSTANTS = require('./drivers/pixoo/constants');
 const { BITMAP_FONT, FONT_SPECS, measureText } = require('./font');
 const logger = require('./logger');
 
 // lib/pixoo-http.js
-// Minimal Pixoo 64 HTTP adapter: full-frame push via Draw/SendHttpGif.
-// No images, no animations. Focused on power_price scene primitives.
+// Minimal Pixoo HTTP adapter: full-frame push via Draw/SendHttpGif.
+// Works for every square panel size (16, 32, 64, 128); the buffer follows `size`.
+// Multi-frame animations are uploaded as one GIF sequence (PicNum/PicOffset).
 // @author Markus Barta (mba) with assistance from Cursor AI (Gemini 2.5 Pro)
 
-const WIDTH = 64;
-const HEIGHT = 64;
-
 function clamp(v, lo, hi) {
   return Math.max(lo, Math.min(hi, v));
 }
 
-function idx(x, y) {
-  return (y * WIDTH + x) * 3; // RGB
-}
-
 // Legacy font constant for backward compatibility (now uses shared font)
 const FONT = BITMAP_FONT;
 const FONT_W = FONT_SPECS.WIDTH;
 const FONT_H = FONT_SPECS.HEIGHT;
 const CHAR_SP = FONT_SPECS.SPACING;
 
-async function httpPost(host, body, timeoutMs = 5000) {
-  const url = `http://${host}/post`;
-  const controller = new AbortController();
-  const id = setTimeout(() => controller.abort(), timeoutMs);
+/**
+ * Send a command to the device's /post endpoint
+ * @param {string} host - Device host ('ip' or 'ip:port')
+ * @param {Object} body - Command, e.g. { Command: 'Channel/SetBrightness', Brightness: 50 }
+ * @param {number} [timeoutMs] - Fixed timeout (default: adapts to the measured latency)
+ * @returns {Promise<Object>} Parsed response
+ */
+async function httpPost(host, body, timeoutMs) {
+  // Serialized with everything else sent to this device
+  return getCommandQueue(host).run(() => postJson(host, body, timeoutMs));
+}
 
-  try {
-    const res = await fetch(url, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(body),
-      signal: controller.signal,
-    });
-    if (!res.ok) {
-      throw new Error(`HTTP ${res.status} ${res.statusText}`);
-    }
-    const data = await res.json().catch(() => ({}));
-    if (typeof data.error_code === 'number' && data.error_code !== 0) {
-      throw new Error(`Pixoo err ${data.error_code}`);
-    }
-    return data;
-  } catch (err) {
-    if (err.name === 'AbortError') {
-      throw new Error(`Pixoo HTTP timeout after ${timeoutMs}ms`);
-    }
-    throw err;
-  } finally {
-    clearTimeout(id);
+async function postJson(host, body, timeoutMs) {
+  const client = getDeviceHttpClient(host, {
+    label: 'Pixoo',
+    timeoutMs: PIXOO_CONSTANTS.HTTP_TIMEOUT,
+  });
+  const { data } = await client.request({
+    method: 'POST',
+    path: '/post',
+    body: JSON.stringify(body),
+    idempotent: PIXOO_CONSTANTS.IDEMPOTENT_COMMANDS.includes(body.Command),
+    timeoutMs,
+  });
+  if (data && typeof data.error_code === 'number' && data.error_code !== 0) {
+    throw new Error(`Pixoo err ${data.error_code}`);
   }
+  return data || {};
 }
 
 async function tryInit(host, retryCount = 0, maxRetries = 3) {
@@ -119,10 +116,11 @@ class RealPixoo {
   constructor(host, size = 64) {
     this.host = host;
     this.size = size;
-    this.buf = new Uint8Array(WIDTH * HEIGHT * 3);
+    this.buf = new Uint8Array(size * size * 3);
     this.initialized = false;
     this.picIdCounter = 1; // start counter at 1
     this.lastSuccessfulPush = 0;
+    this.lastPushedFrame = null; // Copy of the last frame the device accepted
   }
 
   async isReady() {
@@ -135,17 +133,25 @@ class RealPixoo {
     this.buf.fill(0);
   }
 
+  _idx(x, y) {
+    return (y * this.size + x) * 3; // RGB
+  }
+
+  _inBounds(x, y) {
+    return x >= 0 && x < this.size && y >= 0 && y < this.size;
+  }
+
   _setPixel(x, y, r, g, b) {
-    if (x < 0 || x >= WIDTH || y < 0 || y >= HEIGHT) return;
-    const i = idx(x, y);
+    if (!this._inBounds(x, y)) return;
+    const i = this._idx(x, y);
     this.buf[i] = r;
     this.buf[i + 1] = g;
     this.buf[i + 2] = b;
   }
 
   _blendPixel(x, y, r, g, b, a = 255) {
-    if (x < 0 || x >= WIDTH || y < 0 || y >= HEIGHT) return;
-    const i = idx(x, y);
+    if (!this._inBounds(x, y)) return;
+    const i = this._idx(x, y);
     const alpha = clamp(a, 0, 255) / 255;
     const dr = this.buf[i];
     const dg = this.buf[i + 1];
@@ -272,7 +278,36 @@ class RealPixoo {
     return w;
   }
 
+  /**
+   * Push the framebuffer to the device.
+   * Identical consecutive frames are skipped (no HTTP call). The frame waits
+   * in the device's command queue; a newer push replaces it while it waits.
+   * @returns {Promise<boolean|symbol>} True if sent, false if skipped as
+   *   unchanged, SUPERSEDED (command queue) if replaced by a newer frame
+   */
   async push() {
+    if (
+      this.lastPushedFrame &&
+      Buffer.compare(this.buf, this.lastPushedFrame) === 0
+    ) {
+      logger.debug(`⏭️ [PUSH SKIP] ${this.host} frame unchanged`);
+      return false;
+    }
+
+    const frame = Uint8Array.from(this.buf);
+    return getCommandQueue(this.host).run(() => this._sendFrame(frame), {
+      priority: 'frame',
+      coalesce: true,
+    });
+  }
+
+  /**
+   * Send one frame (runs inside the command queue)
+   * @private
+   * @param {Uint8Array} frame - RGB snapshot taken by push()
+   * @returns {Promise<boolean>} Always true
+   */
+  async _sendFrame(frame) {
     if (!this.initialized) {
       await tryInit(this.host);
       this.initialized = true;
@@ -288,7 +323,7 @@ class RealPixoo {
       // Don't throw here, try to continue with the push
     }
 
-    const base64 = Buffer.from(this.buf).toString('base64');
+    const base64 = Buffer.from(frame).toString('base64');
 
     // ✅ assign and increment counter safely
     const picId = this.picIdCounter++;
@@ -297,8 +332,8 @@ class RealPixoo {
     const body = {
       Command: 'Draw/SendHttpGif',
       PicNum: 1,
-      PicWidth: WIDTH,
-      PicHeight: HEIGHT,
+      PicWidth: this.size,
+      PicHeight: this.size,
       PicOffset: 0,
       PicID: picId, // ✅ unique ID each push
       PicSpeed: 1000,
@@ -308,11 +343,110 @@ class RealPixoo {
     await httpPost(this.host, body);
 
     // Track successful push
+    this.lastSuccessfulPush = Date.now();
+    this.lastPushedFrame = frame;
+
+    logger.debug(
+      `🟢 [PUSH OK] ${this.host} bytes=${frame.length} (full-frame) PicID=${picId}`,
+    );
+    return true;
+  }
+
+  /**
+   * Forget the last pushed frame so the next push is always sent.
+   * Call after anything else changed what the device shows (reset, channel switch).
+   */
+  invalidateFrame() {
+    this.lastPushedFrame = null;
+  }
+
+  /**
+   * Snapshot the current framebuffer (for building animation sequences)
+   * @returns {Uint8Array} Copy of the RGB buffer
+   */
+  captureFrame() {
+    return Uint8Array.from(this.buf);
+  }
+
+  /**
+   * Upload a multi-frame animation that the device loops on its own.
+   * All frames share one PicID and are sent with PicNum/PicOffset, so the
+   * device only starts playback once the last frame has arrived.
+   * @param {Array<Uint8Array>} frames - RGB buffers (see captureFrame())
+   * @param {number} [speed] - Display time per frame in ms
+   * @returns {Promise<number>} Number of frames uploaded
+   */
+  async pushAnimation(frames, speed = PIXOO_CONSTANTS.DEFAULT_ANIMATION_SPEED) {
+    if (!Array.isArray(frames) || frames.length === 0) {
+      throw new Error('Animation requires at least one frame');
+    }
+    if (frames.length > PIXOO_CONSTANTS.MAX_ANIMATION_FRAMES) {
+      throw new Error(
+        `Animation has ${frames.length} frames, maximum is ${PIXOO_CONSTANTS.MAX_ANIMATION_FRAMES}`,
+      );
+    }
+    for (const frame of frames) {
+      if (!frame || frame.length !== this.buf.length) {
+        throw new Error(
+          `Animation frame must be ${this.buf.length} bytes (RGB ${this.size}x${this.size})`,
+        );
+      }
+    }
+
+    return getCommandQueue(this.host).run(
+      () => this._sendAnimation(frames, speed),
+      { priority: 'frame' },
+    );
+  }
+
+  /**
+   * Upload an animation (runs inside the command queue)
+   * @private
+   * @param {Array<Uint8Array>} frames - Validated RGB buffers
+   * @param {number} speed - Display time per frame in ms
+   * @returns {Promise<number>} Number of frames uploaded
+   */
+  async _sendAnimation(frames, speed) {
+    if (!this.initialized) {
+      await tryInit(this.host);
+      this.initialized = true;
+    }
+
+    // The animation replaces the still frame, so the next push must be sent
+    this.lastPushedFrame = null;
+
+    // Reset GIF ID so the new sequence replaces whatever is playing
+    try {
+      await httpPost(this.host, { Command: 'Draw/ResetHttpGifId' });
+    } catch (error) {
+      logger.warn(
+        `⚠️ [ANIM] Failed to reset GIF ID for ${this.host}: ${error.message}`,
+      );
+    }
+
+    const picId = this.picIdCounter++;
+    if (this.picIdCounter > 9999) this.picIdCounter = 1;
+    const picSpeed = Math.max(1, Math.round(Number(speed) || 0));
+
+    for (let offset = 0; offset < frames.length; offset++) {
+      await httpPost(this.host, {
+        Command: 'Draw/SendHttpGif',
+        PicNum: frames.length,
+        PicWidth: this.size,
+        PicHeight: this.size,
+        PicOffset: offset,
+        PicID: picId,
+        PicSpeed: picSpeed,
+        PicData: Buffer.from(frames[offset]).toString('base64'),
+      });
+    }
+
     this.lastSuccessfulPush = Date.now();
 
     logger.debug(
-      `🟢 [PUSH OK] ${this.host} bytes=${this.buf.length} (full-frame) PicID=${picId}`,
+      `🟢 [ANIM OK] ${this.host} frames=${frames.length} speed=${picSpeed}ms PicID=${picId}`,
     );
+    return frames.length;
   }
 
   /**
@@ -342,7 +476,7 @@ class RealPixoo {
           const dstY = Math.floor(y + srcY * scaleY);
 
           // Skip if outside bounds
-          if (dstX < 0 || dstX >= this.size || dstY < 0 || dstY >= this.size) {
+          if (!this._inBounds(dstX, dstY)) {
             continue;
           }
 
@@ -377,7 +511,7 @@ class RealPixoo {
         for (let dx = 0; dx < targetWidth; dx++) {
           const px = x + dx;
           const py = y + dy;
-          if (px >= 0 && px < this.size && py >= 0 && py < this.size) {
+          if (this._inBounds(px, py)) {
             await this.drawPixelRgba([px, py], placeholderColor);
           }
         }
@@ -0,0 +1,226 @@
+/**
+ * @fileoverview Scene Expressions - Payload bindings for declarative scenes
+ * @description Compiles `{{ ... }}` templates used in declarative scene files.
+ * An expression is a payload path or a literal, optionally piped through
+ * filters:
+ *
+ *   "{{ temperature | round(1) }}°C"
+ *   "{{ sensors.outdoor[0] | default(0) }}"
+ *   "{{ history }}"              (whole string → keeps the array)
+ *
+ * Expressions are parsed, never evaluated as JavaScript.
+ * @author Markus Barta (mba) with assistance from Cursor AI
+ * @license GPL-3.0-or-later
+ */
+
+'use strict';
+
+const TEMPLATE_REGEX = /\{\{([\s\S]*?)\}\}/g;
+const SINGLE_TEMPLATE_REGEX = /^\{\{((?:(?!\{\{|\}\})[\s\S])*)\}\}$/;
+const TOKEN_REGEX =
+  /\s*(?:(-?\d+(?:\.\d+)?)|'([^']*)'|"([^"]*)"|([A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*|\[\d+\])*)|([|(),]))/y;
+
+const toNumber = (value) => {
+  const number = Number(value);
+  return Number.isFinite(number) ? number : 0;
+};
+
+/**
+ * Filters available after `|`; the piped value is the first argument
+ */
+const FILTERS = {
+  round: (value, decimals = 0) => {
+    const factor = 10 ** decimals;
+    return Math.round(toNumber(value) * factor) / factor;
+  },
+  fixed: (value, decimals = 0) => toNumber(value).toFixed(decimals),
+  abs: (value) => Math.abs(toNumber(value)),
+  add: (value, amount) => toNumber(value) + toNumber(amount),
+  mul: (value, factor) => toNumber(value) * toNumber(factor),
+  clamp: (value, min, max) => Math.min(max, Math.max(min, toNumber(value))),
+  default: (value, fallback) =>
+    value === undefined || value === null || value === '' ? fallback : value,
+  upper: (value) => String(value ?? '').toUpperCase(),
+  lower: (value) => String(value ?? '').toLowerCase(),
+  pad: (value, width, char = '0') => String(value ?? '').padStart(width, char),
+  len: (value) => (value == null ? 0 : (value.length ?? 0)),
+  last: (value) => (Array.isArray(value) ? value.at(-1) : value),
+  join: (value, separator = ' ') =>
+    Array.isArray(value) ? value.join(separator) : String(value ?? ''),
+};
+
+/**
+ * Split an expression into tokens
+ * @private
+ */
+function tokenize(source) {
+  const tokens = [];
+  TOKEN_REGEX.lastIndex = 0;
+  while (TOKEN_REGEX.lastIndex < source.length) {
+    if (/^\s*$/.test(source.slice(TOKEN_REGEX.lastIndex))) break;
+    const match = TOKEN_REGEX.exec(source);
+    if (!match) {
+      throw new Error(
+        `unexpected "${source.slice(TOKEN_REGEX.lastIndex).trim()}"`
+      );
+    }
+    const [, number, single, double, path, symbol] = match;
+    if (number !== undefined) tokens.push({ literal: Number(number) });
+    else if (single !== undefined) tokens.push({ literal: single });
+    else if (double !== undefined) tokens.push({ literal: double });
+    else if (path === 'true' || path === 'false') {
+      tokens.push({ literal: path === 'true' });
+    } else if (path === 'null') tokens.push({ literal: null });
+    else if (path !== undefined) tokens.push({ path });
+    else tokens.push({ symbol });
+  }
+  return tokens;
+}
+
+/**
+ * Parse one expression into { operand, filters }
+ * @private
+ */
+function parseExpression(source) {
+  const tokens = tokenize(source);
+  let index = 0;
+  const next = () => tokens[index++];
+  const peek = () => tokens[index];
+  const expectSymbol = (symbol) => {
+    const token = next();
+    if (token?.symbol !== symbol) {
+      throw new Error(`expected "${symbol}"`);
+    }
+  };
+
+  const operand = next();
+  if (!operand || operand.symbol) {
+    throw new Error('expected a field or a value');
+  }
+
+  const filters = [];
+  while (peek()) {
+    expectSymbol('|');
+    const name = next();
+    if (!name?.path || !FILTERS[name.path]) {
+      throw new Error(
+        `unknown filter "${name?.path ?? ''}" (available: ${Object.keys(FILTERS).join(', ')})`
+      );
+    }
+    const args = [];
+    if (peek()?.symbol === '(') {
+      next();
+      while (peek() && peek().symbol !== ')') {
+        const arg = next();
+        if (!('literal' in arg)) {
+          throw new Error(`filter ${name.path} only takes literal arguments`);
+        }
+        args.push(arg.literal);
+        if (peek()?.symbol === ',') next();
+      }
+      expectSymbol(')');
+    }
+    filters.push({ name: name.path, args });
+  }
+
+  return { operand, filters };
+}
+
+/**
+ * Read a dotted path ("a.b[0].c") from the scope
+ * @private
+ */
+function resolvePath(scope, path) {
+  return path
+    .split(/\.|(?=\[)/)
+    .reduce(
+      (value, segment) =>
+        value == null
+          ? undefined
+          : value[
+              segment.startsWith('[') ? Number(segment.slice(1, -1)) : segment
+            ],
+      scope
+    );
+}
+
+/**
+ * Compile a single expression (without braces)
+ * @param {string} source - e.g. "temperature | round(1)"
+ * @returns {Function} (scope) => value
+ * @throws {Error} If the expression is invalid
+ */
+function compileExpression(source) {
+  let parsed;
+  try {
+    parsed = parseExpression(source);
+  } catch (error) {
+    throw new Error(`Invalid expression "${source.trim()}": ${error.message}`);
+  }
+
+  const { operand, filters } = parsed;
+  return (scope) =>
+    filters.reduce(
+      (value, { name, args }) => FILTERS[name](value, ...args),
+      'path' in operand ? resolvePath(scope, operand.path) : operand.literal
+    );
+}
+
+/**
+ * Compile a value that may contain `{{ ... }}` templates. A string that is a
+ * single template keeps the type of the result (number, array, ...); mixed
+ * text is interpolated into a string. Other values are returned unchanged.
+ * @param {*} value - Widget property from the scene file
+ * @returns {Function} (scope) => resolved value
+ * @throws {Error} If an expression is invalid
+ */
+function compileTemplate(value) {
+  if (typeof value !== 'string' || !value.includes('{{')) {
+    return () => value;
+  }
+
+  const single = value.trim().match(SINGLE_TEMPLATE_REGEX);
+  if (single) {
+    return compileExpression(single[1]);
+  }
+
+  const parts = [];
+  let last = 0;
+  for (const match of value.matchAll(TEMPLATE_REGEX)) {
+    parts.push(value.slice(last, match.index));
+    parts.push(compileExpression(match[1]));
+    last = match.index + match[0].length;
+  }
+  parts.push(value.slice(last));
+
+  return (scope) =>
+    parts
+      .map((part) => {
+        if (typeof part === 'string') return part;
+        const result = part(scope);
+        return result === undefined || result === null ? '' : String(result);
+      })
+      .join('');
+}
+
+/**
+ * Payload fields referenced by the templates in a value
+ * @param {*} value - Widget property from the scene file
+ * @returns {Array<string>} Root field names (e.g. "sensors" for sensors.outdoor)
+ */
+function collectBindings(value) {
+  if (typeof value !== 'string') return [];
+  const fields = new Set();
+  for (const match of value.matchAll(TEMPLATE_REGEX)) {
+    const { operand } = parseExpression(match[1]);
+    if (operand.path) fields.add(operand.path.split(/[.[]/)[0]);
+  }
+  return [...fields];
+}
+
+module.exports = {
+  FILTERS,
+  compileExpression,
+  compileTemplate,
+  collectBindings,
+};
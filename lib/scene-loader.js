@@ -21,13 +21,15 @@ const fs = require('fs');
 const Module = require('module');
 const path = require('path');
 
+// Device types of scenes by top-level folder (unless the scene sets
+// `deviceTypes`); scenes needing a minimum size declare `requirements`
 const SUPPORTED_DEVICE_ROOTS = new Map(
   Object.entries({
-    pixoo: ['pixoo64'],
+    pixoo: ['pixoo16', 'pixoo32', 'pixoo64', 'pixoo128'],
     pixoo64: ['pixoo64'],
     pixoo32: ['pixoo32'],
     pixoo16: ['pixoo16'],
-    pixoo128: ['pixoo64'],
+    pixoo128: ['pixoo128'],
     awtrix: ['awtrix'],
     generic: undefined,
   }),
@@ -43,6 +45,15 @@ function isExamplesSegment(segment) {
   return segment.toLowerCase() === EXAMPLES_FOLDER_NAME;
 }
 
+/**
+ * Whether a file name is a loadable scene (`.js` or declarative)
+ * @param {string} file - File name or path
+ * @returns {boolean}
+ */
+function isSceneFile(file) {
+  return file.endsWith('.js') || isDeclarativeSceneFile(file);
+}
+
 function stableHash(str) {
   let hash = 0;
   for (let i = 0; i < str.length; i += 1) {
@@ -51,6 +62,11 @@ function stableHash(str) {
   return hash;
 }
 
+const {
+  DECLARATIVE_SCENE_EXTENSIONS,
+  isDeclarativeSceneFile,
+  loadDeclarativeScene,
+} = require('./declarative-scene');
 const logger = require('./logger');
 
 const originalModuleLoad = Module._load;
@@ -103,7 +119,7 @@ class SceneLoader {
   loadFromDirectory(directory, options = {}) {
     const {
       recursive = false,
-      filter = (file) => file.endsWith('.js'),
+      filter = isSceneFile,
       onSuccess = (name) => logger.ok(`Scene loaded: ${name}`),
       onError = (file, error) =>
         logger.error(`Failed to load scene ${file}: ${error.message}`),
@@ -171,7 +187,8 @@ class SceneLoader {
   }
 
   /**
-   * Load a single scene file
+   * Load a single scene file (JavaScript module, or declarative
+   * `.scene.json` / `.scene.yaml` definition)
    * @param {string} filePath - Absolute path to scene file
    * @returns {Object|null} Scene info {name, module, relativePath} or null on error
    */
@@ -182,8 +199,13 @@ class SceneLoader {
         ? filePath
         : path.resolve(filePath);
 
-      const module = require(absolutePath);
-      const derivedName = path.basename(filePath, '.js');
+      const declarativeExt = DECLARATIVE_SCENE_EXTENSIONS.find((ext) =>
+        absolutePath.endsWith(ext),
+      );
+      const module = declarativeExt
+        ? loadDeclarativeScene(absolutePath)
+        : require(absolutePath);
+      const derivedName = path.basename(filePath, declarativeExt || '.js');
       const sceneName = module.name || derivedName;
       const relativePath = path
         .relative(this.scenesDir, absolutePath)
@@ -220,6 +242,7 @@ class SceneLoader {
       }
 
       module.filePath = relativePath;
+      module.absolutePath = absolutePath;
       module.isDevScene = !!isDevScene;
       module.tags = Array.from(tags);
       if (deviceTags && deviceTags.length > 0) {
@@ -235,6 +258,43 @@ class SceneLoader {
     }
   }
 
+  /**
+   * Load a scene file again after it changed on disk. The scene and the
+   * modules it requires from this scenes directory are dropped from the
+   * require cache first, so helpers next to the scene are re-read too.
+   * @param {string} filePath - Path to scene file
+   * @returns {Object} Scene info {name, module, relativePath}
+   * @throws {Error} If the file cannot be loaded (e.g. syntax error)
+   */
+  reloadSceneFile(filePath) {
+    const absolutePath = path.resolve(filePath);
+    for (const id of this.getModuleTree(absolutePath)) {
+      delete require.cache[id];
+    }
+    return this.loadSceneFile(absolutePath);
+  }
+
+  /**
+   * Cached module ids of a scene file and of everything it requires from
+   * this scenes directory (library modules outside it are never included)
+   * @param {string} filePath - Absolute path to scene file
+   * @returns {Set<string>} Module ids (absolute paths)
+   */
+  getModuleTree(filePath, seen = new Set()) {
+    const cached = require.cache[filePath];
+    if (!cached || seen.has(filePath)) {
+      return seen;
+    }
+    seen.add(filePath);
+    const root = path.resolve(this.scenesDir) + path.sep;
+    for (const child of cached.children) {
+      if (child.id.startsWith(root)) {
+        this.getModuleTree(child.id, seen);
+      }
+    }
+    return seen;
+  }
+
   /**
    * Validate scene interface
    * @param {Object} sceneModule - Scene module to validate
@@ -446,4 +506,5 @@ const SceneRegistration = {
 module.exports = {
   SceneLoader,
   SceneRegistration,
+  isSceneFile,
 };
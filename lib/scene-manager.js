@@ -23,6 +23,7 @@
  * @license GPL-3.0-or-later
  */
 
+const { resolveTransition } = require('./core/scene-transitions');
 const { UNIVERSAL_CONFIG_SCHEMA } = require('./universal-scene-config');
 
 /**
@@ -60,10 +61,12 @@ class SceneManager {
     this.deviceActiveScene = new Map(); // host -> sceneName (fallback)
     this.deviceGeneration = new Map(); // host -> generationId (fallback)
     this.deviceLoopTimers = new Map(); // host -> timeoutId (always used)
-    this.deviceStatus = new Map(); // host -> 'switching'|'running'|'paused'|'stopped'|'stopping' (fallback)
+    this.deviceStatus = new Map(); // host -> 'switching'|'running'|'parked'|'paused'|'stopped'|'stopping' (fallback)
     this.devicePlayState = new Map(); // host -> 'playing'|'paused'|'stopped' (always used)
     this.sceneStates = new Map(); // sceneName -> Map (fallback)
     this.deviceSceneStartTime = new Map(); // host -> timestamp (for timeout tracking)
+    this.deviceSceneConfig = new Map(); // host -> scene config of the last switch (for restarts)
+    this.sceneIsolation = null; // SceneIsolationService (runs scenes in workers)
 
     if (this.stateStore) {
       this.logger.debug(
@@ -145,6 +148,25 @@ class SceneManager {
     return this.sceneStates.get(key);
   }
 
+  /**
+   * Run scene hooks in worker threads (see SceneIsolationService)
+   * @param {Object|null} sceneIsolation - Service, or null for the main thread
+   */
+  setSceneIsolation(sceneIsolation) {
+    this.sceneIsolation = sceneIsolation || null;
+  }
+
+  /**
+   * Call init/render/cleanup of a scene, in its worker if it is isolated
+   * @private
+   */
+  _runSceneHook(scene, hook, sceneContext) {
+    if (this.sceneIsolation?.isIsolated(scene)) {
+      return this.sceneIsolation.run(hook, scene, sceneContext);
+    }
+    return scene[hook](sceneContext);
+  }
+
   // ============================================================================
   // SCENE REGISTRATION
   // ============================================================================
@@ -215,6 +237,8 @@ class SceneManager {
    * @param {Function} context.getState - State getter function
    * @param {Function} context.setState - State setter function
    * @param {Object} context.payload - MQTT payload data
+   * @param {string|Object} [context.transition] - Transition into the scene
+   *   (type or {type, duration}); not part of the scene config
    * @returns {Promise<boolean>} Success status
    * @throws {Error} If scene not found or context missing required properties
    */
@@ -228,6 +252,19 @@ class SceneManager {
       // Mark switching state for device
       this._setDeviceState(host, 'status', 'switching');
 
+      // Arm the transition while the outgoing frame is still the last pushed
+      // one; the device plays it on the incoming scene's first push
+      if (typeof context.device?.setTransition === 'function') {
+        const transition = resolveTransition({
+          transition: context.transition,
+        });
+        if (context.device.setTransition(transition)) {
+          this.logger.info(
+            `🪄 ${transition.type} transition (${transition.duration}ms) into ${sceneName}`
+          );
+        }
+      }
+
       // Stop previous loop for this device and cleanup its scene
       const prevScene = this._getDeviceState(host, 'activeScene');
       if (prevScene) {
@@ -276,6 +313,10 @@ class SceneManager {
       this._setDeviceState(host, 'activeScene', sceneName);
       this._setDeviceState(host, 'generationId', newGen);
       this._setDeviceState(host, 'status', 'running');
+      this.deviceSceneConfig.set(
+        host,
+        context.sceneConfig || context.payload || {}
+      );
 
       // Set play state to 'playing' BEFORE starting loop (critical for stop+play to work)
       this.devicePlayState.set(host, 'playing');
@@ -362,6 +403,11 @@ class SceneManager {
             return;
           }
 
+          // Device loops an uploaded animation on its own - no need to re-render
+          if (this._parkIfAnimationUploaded(host, sceneName, context)) {
+            return;
+          }
+
           // Apply universal timing parameters
           const renderInterval =
             universalParams.renderInterval ||
@@ -408,6 +454,7 @@ class SceneManager {
 
       return true;
     } catch (error) {
+      context?.device?.cancelTransition?.();
       this.logger.error(
         `❌ Failed to switch to scene ${sceneName}:`,
         error.message
@@ -416,6 +463,33 @@ class SceneManager {
     }
   }
 
+  /**
+   * Park the device loop when the last render uploaded a native animation.
+   * The device keeps looping the frames itself, so further renders would only
+   * re-push identical content. Parameter updates or resume restart the loop.
+   * @private
+   * @param {string} host - Device host/IP
+   * @param {string} sceneName - Scene being rendered
+   * @param {Object} context - Scene context (uses context.device)
+   * @returns {boolean} True if the loop was parked
+   */
+  _parkIfAnimationUploaded(host, sceneName, context) {
+    const device = context?.device;
+    if (!device || typeof device.hasActiveAnimation !== 'function') {
+      return false;
+    }
+    if (!device.hasActiveAnimation()) {
+      return false;
+    }
+
+    this.deviceLoopTimers.delete(host);
+    this._setDeviceState(host, 'status', 'parked');
+    this.logger.ok(
+      `🅿️  Loop parked for ${sceneName} (host=${host}) - device is looping uploaded animation`
+    );
+    return true;
+  }
+
   /**
    * Pause the current scene (stops loop but keeps scene loaded)
    * @param {string} host - Device host/IP
@@ -553,6 +627,10 @@ class SceneManager {
           return;
         }
 
+        if (this._parkIfAnimationUploaded(host, activeScene, context)) {
+          return;
+        }
+
         // Apply universal timing parameters
         const renderInterval =
           universalParams.renderInterval ||
@@ -675,12 +753,20 @@ class SceneManager {
 
       // Run cleanup to stop any running timers/loops
       if (typeof scene.cleanup === 'function') {
-        await scene.cleanup({ ...context, state: sameSceneState, sceneName });
+        await this._runSceneHook(scene, 'cleanup', {
+          ...context,
+          state: sameSceneState,
+          sceneName,
+        });
       }
 
       // Re-run init to apply defaults and prepare fresh rendering
       if (typeof scene.init === 'function') {
-        await scene.init({ ...context, state: sameSceneState, sceneName });
+        await this._runSceneHook(scene, 'init', {
+          ...context,
+          state: sameSceneState,
+          sceneName,
+        });
       }
 
       // Render once to apply parameter changes immediately
@@ -758,7 +844,7 @@ class SceneManager {
 
     // Call scene init if it exists
     if (typeof scene.init === 'function') {
-      await scene.init(sceneContext);
+      await this._runSceneHook(scene, 'init', sceneContext);
     }
 
     this.logger.ok(`🚀 Scene initialized: ${sceneName}`);
@@ -773,10 +859,17 @@ class SceneManager {
     const scene = this.getScene(sceneName);
     const state = this.getSceneState(sceneName);
 
-    // Call scene cleanup if it exists
-    if (typeof scene.cleanup === 'function') {
+    // Call scene cleanup if it exists (isolated scenes: also ends the worker)
+    if (
+      typeof scene.cleanup === 'function' ||
+      this.sceneIsolation?.isIsolated(scene)
+    ) {
       try {
-        await scene.cleanup({ ...context, state, sceneName });
+        await this._runSceneHook(scene, 'cleanup', {
+          ...context,
+          state,
+          sceneName,
+        });
       } catch (error) {
         this.logger.warn(
           `⚠️ Scene cleanup failed for ${sceneName}:`,
@@ -823,7 +916,11 @@ class SceneManager {
         device: context.device,
       };
 
-      const nextDelayMs = await scene.render(sceneContext);
+      const nextDelayMs = await this._runSceneHook(
+        scene,
+        'render',
+        sceneContext
+      );
       return nextDelayMs;
     } catch (error) {
       this.logger.error(
@@ -886,6 +983,7 @@ class SceneManager {
         description: scene.description || '',
         category: scene.category || 'Uncategorized',
         deviceTypes: scene.deviceTypes || [],
+        requirements: scene.requirements || null,
         tags: scene.tags || [],
         configSchema: scene.configSchema || null,
         // New metadata fields
@@ -922,7 +1020,11 @@ class SceneManager {
         device: context.device,
       };
 
-      const nextDelayMs = await scene.render(sceneContext);
+      const nextDelayMs = await this._runSceneHook(
+        scene,
+        'render',
+        sceneContext
+      );
       return nextDelayMs;
     } catch (error) {
       this.logger.error(
@@ -973,6 +1075,15 @@ class SceneManager {
     return this._getDeviceState(host, 'activeScene');
   }
 
+  /**
+   * Scene config (merged payload) the active scene of a device was started with
+   * @param {string} host
+   * @returns {Object|undefined}
+   */
+  getSceneConfigForDevice(host) {
+    return this.deviceSceneConfig.get(host);
+  }
+
   /**
    * Get scene state for device (for MQTT observability)
    * @param {string} host
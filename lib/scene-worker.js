@@ -0,0 +1,204 @@
+/**
+ * @fileoverview Scene Worker - Runs one scene in a worker thread
+ * @description Entry point of the workers started by SceneIsolationService.
+ * The worker loads the scene file itself and runs its init/render/cleanup
+ * hooks against a device proxy that forwards all device calls to the main
+ * thread by message passing:
+ *
+ * - Drawing calls (clear, draw*, fill*) are batched and resolve immediately;
+ *   the batch is sent with the next other device call or when the hook
+ *   returns.
+ * - Other calls (push, pushAnimation, showNotification, ...) wait for the
+ *   main thread and resolve with its result.
+ * - getMetrics, getCapabilities and hasActiveAnimation answer from a snapshot
+ *   taken when the hook was called.
+ *
+ * getState/setState work on a copy of the scene state that is kept in sync
+ * with the main thread. Scenes must not rely on other main-thread singletons.
+ * @author Markus Barta (mba) with assistance from Cursor AI
+ * @license GPL-3.0-or-later
+ */
+
+'use strict';
+
+const path = require('path');
+const { parentPort, workerData } = require('worker_threads');
+
+const { SceneLoader } = require('./scene-loader');
+
+const BATCHED_METHODS = new Set([
+  'clear',
+  'drawPixelRgba',
+  'drawLineRgba',
+  'drawRectangleRgba',
+  'fillRectangleRgba',
+  'drawTextRgbaAligned',
+  'drawCustomFloatText',
+  'drawImageWithAlpha',
+  'drawPixel',
+  'drawLine',
+  'fillRect',
+  'drawRect',
+  'drawText',
+  'drawNumber',
+  'drawImage',
+]);
+
+const SNAPSHOT_METHODS = {
+  getMetrics: (snapshot) => ({ ...snapshot.metrics }),
+  getCapabilities: (snapshot) => snapshot.capabilities,
+  hasActiveAnimation: (snapshot) => snapshot.animationActive,
+};
+
+let nextCallId = 1;
+const pendingCalls = new Map(); // id -> { resolve, reject }
+let batch = [];
+
+/**
+ * Functions (e.g. publishOk) cannot cross the thread boundary; the main
+ * thread adds its own publishOk to push(), showFrame() and pushAnimation()
+ * @private
+ */
+function toMessageArgs(args) {
+  return args.map((arg) => {
+    if (typeof arg === 'function') return undefined;
+    if (arg && Object.getPrototypeOf(arg) === Object.prototype) {
+      return Object.fromEntries(
+        Object.entries(arg).filter(([, value]) => typeof value !== 'function')
+      );
+    }
+    return arg;
+  });
+}
+
+/**
+ * Send the batched drawing calls (plus an optional call) to the main thread
+ * @private
+ */
+function callDevice(method, args) {
+  const calls = batch;
+  batch = [];
+  if (method) calls.push({ method, args: toMessageArgs(args) });
+
+  const id = nextCallId++;
+  return new Promise((resolve, reject) => {
+    pendingCalls.set(id, { resolve, reject });
+    parentPort.postMessage({ type: 'device', id, calls });
+  });
+}
+
+/**
+ * Device seen by the scene
+ * @private
+ */
+function createDevice({ host, deviceType, size, currentDriver, methods }) {
+  const snapshot = { metrics: {}, capabilities: null, animationActive: false };
+  const device = { host, deviceType, size, currentDriver };
+
+  for (const method of methods) {
+    if (SNAPSHOT_METHODS[method]) {
+      device[method] = () => SNAPSHOT_METHODS[method](snapshot);
+    } else if (BATCHED_METHODS.has(method)) {
+      device[method] = async (...args) => {
+        batch.push({ method, args: toMessageArgs(args) });
+      };
+    } else {
+      device[method] = (...args) => callDevice(method, args);
+    }
+  }
+
+  return {
+    device,
+    updateSnapshot({ metrics, capabilities, animationActive }) {
+      snapshot.metrics = metrics || {};
+      snapshot.capabilities = capabilities || null;
+      snapshot.animationActive = !!animationActive;
+      device.capabilities = snapshot.capabilities;
+    },
+  };
+}
+
+function main() {
+  const { scenePath, sceneName, state: initialState } = workerData;
+  const scene = new SceneLoader(path.dirname(scenePath)).loadSceneFile(
+    scenePath
+  ).module;
+  const { device, updateSnapshot } = createDevice(workerData.device);
+
+  const local = { ...initialState };
+  const state = new Map();
+
+  const log = (message, level = 'info', meta = {}) => {
+    parentPort.postMessage({ type: 'log', message, level, meta });
+  };
+  const getState = (key, defaultValue) =>
+    key in local ? local[key] : defaultValue;
+  const setState = (key, value) => {
+    local[key] = value;
+    try {
+      parentPort.postMessage({ type: 'state', key, value });
+    } catch {
+      // Not cloneable (timers, functions): stays local to this worker
+    }
+  };
+
+  async function runHook(hook, context) {
+    updateSnapshot(context.device);
+    if (hook === 'init' || state.size === 0) {
+      for (const [key, value] of context.state) state.set(key, value);
+    }
+
+    const sceneContext = {
+      ...context,
+      device,
+      state,
+      sceneName,
+      getState,
+      setState,
+      log,
+      publishOk: () => {},
+    };
+    try {
+      return typeof scene[hook] === 'function'
+        ? await scene[hook](sceneContext)
+        : null;
+    } finally {
+      // Drawing calls that were not followed by another device call yet
+      if (batch.length > 0) await callDevice(null, []);
+    }
+  }
+
+  async function run({ id, hook, context }) {
+    try {
+      const value = await runHook(hook, context);
+      parentPort.postMessage({
+        type: 'done',
+        id,
+        value: typeof value === 'number' ? value : null,
+      });
+    } catch (error) {
+      parentPort.postMessage({
+        type: 'done',
+        id,
+        error: error?.message || String(error),
+      });
+    }
+  }
+
+  parentPort.on('message', (message) => {
+    if (message.type === 'device-result') {
+      const pending = pendingCalls.get(message.id);
+      pendingCalls.delete(message.id);
+      if (!pending) return;
+      if (message.error) pending.reject(new Error(message.error));
+      else pending.resolve(message.value);
+      return;
+    }
+
+    if (message.type === 'run') {
+      run(message);
+    }
+  });
+}
+
+main();
@@ -8,7 +8,20 @@
 
 'use strict';
 
+const { getCommandQueueMetrics } = require('../core/command-queue');
+const { PIXOO_DEVICE_TYPES } = require('../core/constants');
+const { getSceneDeviceTypes } = require('../core/device-capabilities');
+const { getDeviceHttpMetrics } = require('../core/device-http-client');
+const {
+  validateHardwareSettings,
+} = require('../drivers/pixoo/hardware-settings');
+const { validateNativeTool } = require('../drivers/pixoo/native-tools');
 const { ValidationError } = require('../errors');
+const { normalizeMac, readArpTable } = require('../util/network-utils');
+const { encodeRgbPng } = require('../util/png-utils');
+
+// Upper bound for ?scale= on screenshots (128 px * 16 = 2048 px)
+const MAX_SCREENSHOT_SCALE = 16;
 
 /**
  * Service for device-related operations
@@ -122,10 +135,28 @@ class DeviceService {
         );
       }
 
+      // Playlist progress (own playlist or the one of the device's group)
+      let playlist = null;
+      try {
+        const playlistService = this.container?.resolve?.('playlistService');
+        playlist = (await playlistService?.getDeviceStatus(deviceIp)) ?? null;
+      } catch (playlistError) {
+        this.logger.debug(
+          `Playlist status not available for ${deviceIp}:`,
+          playlistError.message
+        );
+      }
+
       return {
+        id: deviceConfig?.id || null,
         ip: deviceIp,
+        mac: deviceConfig?.mac || null,
         name: deviceConfig?.name || null,
         deviceType: deviceConfig?.deviceType || 'unknown',
+        // Scene device types the UI offers for this device
+        sceneDeviceTypes: deviceConfig
+          ? getSceneDeviceTypes(deviceConfig.deviceType)
+          : [],
         driver,
         currentScene: sceneState.currentScene || null,
         status: sceneState.status || 'idle',
@@ -133,6 +164,7 @@ class DeviceService {
         generationId: sceneState.generationId || 0,
         metrics: this._buildMetricsResponse(metrics),
         health: healthSummary, // New field (Phase 3)
+        playlist,
         sceneState: this._buildSceneStateResponse(sceneInternalState),
         hardware: {
           brightness: hardwareState.brightness,
@@ -140,6 +172,7 @@ class DeviceService {
           loggingLevel: hardwareState.loggingLevel,
           ...deviceHardwareInfo, // Add device-specific info (e.g., batteryLevel for Awtrix)
         },
+        capabilities: this._buildCapabilitiesResponse(device),
         config: this._buildDeviceConfigResponse(deviceConfig),
       };
     } catch (error) {
@@ -234,6 +267,21 @@ class DeviceService {
     };
   }
 
+  _buildCapabilitiesResponse(device) {
+    const capabilities = device.getCapabilities?.();
+    if (!capabilities) {
+      return null;
+    }
+
+    // Feature flags the UI uses to show device-specific controls
+    return {
+      supportsAudio: capabilities.supportsAudio,
+      supportsBrightness: capabilities.supportsBrightness,
+      supportsIcons: capabilities.supportsIcons,
+      supportsNativeTools: capabilities.supportsNativeTools,
+    };
+  }
+
   _buildDeviceConfigResponse(deviceConfig) {
     if (!deviceConfig) {
       return null;
@@ -381,6 +429,9 @@ class DeviceService {
           Command: 'Channel/SetIndex',
           SelectIndex: 3,
         });
+
+        // Device no longer shows our last frame - make sure the re-render is sent
+        this.deviceAdapter.getDevice(deviceIp).invalidateFrame();
       }
 
       // Re-render current scene
@@ -453,6 +504,193 @@ class DeviceService {
     }
   }
 
+  /**
+   * Get a Pixoo's hardware settings: the persisted ones and, for real
+   * devices, what the firmware reports
+   * @param {string} deviceIp - Device IP address
+   * @returns {Promise<Object>} { deviceIp, settings, reported }
+   */
+  async getHardwareSettings(deviceIp) {
+    const device = this._getSettingsDevice(deviceIp);
+    const settings =
+      this.deviceConfigStore?.getDevice(deviceIp)?.hardwareSettings || {};
+
+    let reported = null;
+    if (typeof device.impl.getHardwareSettings === 'function') {
+      try {
+        reported = await device.impl.getHardwareSettings();
+      } catch (error) {
+        this.logger.warn(
+          `Failed to read hardware settings from ${deviceIp}: ${error.message}`
+        );
+      }
+    }
+
+    return { deviceIp, settings: { ...settings }, reported };
+  }
+
+  /**
+   * Change Pixoo hardware settings (rotation, mirror, clock format,
+   * temperature unit, white balance, timezone) and persist them in the
+   * device config so they are reapplied on start
+   * @param {string} deviceIp - Device IP address
+   * @param {Object} settings - Settings to change, e.g. { rotation: 180 }
+   * @returns {Promise<Object>} Result with the merged settings
+   */
+  async setHardwareSettings(deviceIp, settings) {
+    try {
+      const errors = validateHardwareSettings(settings);
+      if (errors.length > 0) {
+        throw new ValidationError(errors.join(', '));
+      }
+      if (Object.keys(settings).length === 0) {
+        throw new ValidationError('No hardware settings given');
+      }
+
+      const device = this._getSettingsDevice(deviceIp);
+      const driver = this.deviceAdapter.getDriverForDevice(deviceIp);
+
+      if (driver === 'mock') {
+        this.logger.warn(
+          `[MOCK MODE] ⛔ Settings Command NOT SENT - Would apply ${JSON.stringify(settings)} to ${deviceIp}`
+        );
+      } else {
+        const ok = await device.impl.applyHardwareSettings(settings);
+        if (!ok) {
+          throw new Error('Device did not accept all hardware settings');
+        }
+        this.logger.ok(`Applied hardware settings to ${deviceIp}`, settings);
+      }
+
+      const deviceConfig = this.deviceConfigStore?.getDevice(deviceIp);
+      const merged = { ...deviceConfig?.hardwareSettings, ...settings };
+      if (deviceConfig) {
+        await this.deviceConfigStore.updateDevice(deviceIp, {
+          hardwareSettings: merged,
+        });
+      }
+
+      return {
+        success: true,
+        deviceIp,
+        settings: merged,
+        message: `Hardware settings applied${driver === 'mock' ? ' (mock mode)' : ''}`,
+      };
+    } catch (error) {
+      this.logger.error(`Failed to set hardware settings for ${deviceIp}:`, {
+        error: error.message,
+        settings,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Send the persisted hardware settings to a device (on daemon start and
+   * activation). Failures are logged, not thrown.
+   * @param {string} deviceIp - Device IP address
+   * @returns {Promise<boolean>} True if settings were sent and accepted
+   */
+  async applyConfiguredHardwareSettings(deviceIp) {
+    const settings =
+      this.deviceConfigStore?.getDevice(deviceIp)?.hardwareSettings;
+    if (!settings || Object.keys(settings).length === 0) {
+      return false;
+    }
+
+    const device = this.deviceAdapter.getDevice(deviceIp);
+    if (typeof device?.impl?.applyHardwareSettings !== 'function') {
+      this.logger.debug(
+        `Skipping hardware settings for ${deviceIp} (${this.deviceAdapter.getDriverForDevice(deviceIp)} driver)`
+      );
+      return false;
+    }
+
+    try {
+      const ok = await device.impl.applyHardwareSettings(settings);
+      if (!ok) {
+        this.logger.warn(`Device ${deviceIp} rejected some hardware settings`);
+      }
+      return ok;
+    } catch (error) {
+      this.logger.warn(
+        `Failed to apply hardware settings to ${deviceIp}: ${error.message}`
+      );
+      return false;
+    }
+  }
+
+  /**
+   * Device proxy of a Pixoo that accepts hardware settings
+   * @private
+   * @throws {ValidationError} If the device is unknown or not a Pixoo
+   */
+  _getSettingsDevice(deviceIp) {
+    const device = this._getConfiguredDevice(deviceIp);
+    if (!device) {
+      throw new ValidationError(`Device ${deviceIp} not found`);
+    }
+    if (!PIXOO_DEVICE_TYPES.includes(device.deviceType)) {
+      throw new ValidationError(
+        `Hardware settings are only supported on Pixoo devices (${deviceIp} is ${device.deviceType})`
+      );
+    }
+    return device;
+  }
+
+  /**
+   * Run a tool built into the device firmware (countdown timer, stopwatch,
+   * scoreboard, noise meter, buzzer)
+   * @param {string} deviceIp - Device IP address
+   * @param {string} tool - Tool name
+   * @param {Object} [params] - Tool parameters (see drivers/pixoo/native-tools.js)
+   * @returns {Promise<Object>} Result with success status
+   */
+  async runNativeTool(deviceIp, tool, params = {}) {
+    try {
+      const errors = validateNativeTool(tool, params);
+      if (errors.length > 0) {
+        throw new ValidationError(errors.join(', '));
+      }
+
+      const device = this._getConfiguredDevice(deviceIp);
+      if (!device) {
+        throw new ValidationError(`Device ${deviceIp} not found`);
+      }
+      if (!device.getCapabilities()?.supportsNativeTools) {
+        throw new ValidationError(
+          `Device ${deviceIp} (${device.deviceType}) has no native tools`
+        );
+      }
+
+      const driver = this.deviceAdapter.getDriverForDevice(deviceIp);
+      if (driver === 'mock') {
+        this.logger.warn(
+          `[MOCK MODE] ⛔ Tool Command NOT SENT - Would run ${tool} ${JSON.stringify(params)} on ${deviceIp}`
+        );
+      } else {
+        const ok = await device.impl.runNativeTool(tool, params);
+        if (!ok) {
+          throw new Error(`Device did not accept ${tool} command`);
+        }
+        this.logger.ok(`Ran ${tool} on ${deviceIp}`, params);
+      }
+
+      return {
+        success: true,
+        deviceIp,
+        tool,
+        message: `${tool} command sent${driver === 'mock' ? ' (mock mode)' : ''}`,
+      };
+    } catch (error) {
+      this.logger.error(`Failed to run ${tool} on ${deviceIp}:`, {
+        error: error.message,
+        params,
+      });
+      throw error;
+    }
+  }
+
   /**
    * Switch device driver (real/mock)
    * @param {string} deviceIp - Device IP address
@@ -650,6 +888,8 @@ class DeviceService {
         errorCount: metrics.errors || 0, // Frontend expects errorCount
         frametime: frametime, // Keep as ms
         fps: fps, // Calculated FPS
+        queue: getCommandQueueMetrics(deviceIp), // null until something was sent
+        http: getDeviceHttpMetrics(deviceIp), // Latency histogram, retries, timeouts
         ts: Date.now(),
       };
     } catch (error) {
@@ -665,11 +905,55 @@ class DeviceService {
         errorCount: 0,
         frametime: 0,
         fps: 0,
+        queue: null,
+        http: null,
         ts: Date.now(),
       };
     }
   }
 
+  /**
+   * List the recently pushed frames of a device
+   * @param {string} deviceIp - Device IP address
+   * @returns {Array<Object>|null} [{id, timestamp, sceneName, width, height}]
+   *   oldest first, or null for unknown devices
+   */
+  getFrameHistory(deviceIp) {
+    const device = this._getConfiguredDevice(deviceIp);
+    if (!device) return null;
+
+    return device.getFrameHistory().map((entry) => ({
+      id: entry.id,
+      timestamp: entry.timestamp,
+      sceneName: entry.sceneName,
+      width: entry.width,
+      height: entry.height,
+    }));
+  }
+
+  /**
+   * Render a pushed frame as PNG
+   * @param {string} deviceIp - Device IP address
+   * @param {Object} [options]
+   * @param {number} [options.id] - Frame id from getFrameHistory() (default: latest)
+   * @param {number} [options.scale=1] - Integer upscale factor (nearest-neighbour)
+   * @returns {Buffer|null} PNG, or null if the device or frame doesn't exist
+   * @throws {ValidationError} If scale is out of range
+   */
+  getFramePng(deviceIp, { id, scale = 1 } = {}) {
+    if (!Number.isInteger(scale) || scale < 1 || scale > MAX_SCREENSHOT_SCALE) {
+      throw new ValidationError(
+        `scale must be an integer between 1 and ${MAX_SCREENSHOT_SCALE}`
+      );
+    }
+
+    const device = this._getConfiguredDevice(deviceIp);
+    const frame = device?.getPushedFrame(id);
+    if (!frame) return null;
+
+    return encodeRgbPng(frame.width, frame.height, frame.buf, scale);
+  }
+
   /**
    * Register/activate a device from config
    * Called after adding or updating a device in the config store
@@ -707,6 +991,12 @@ class DeviceService {
         }
       }
 
+      await this.applyConfiguredHardwareSettings(deviceIp);
+
+      if (deviceConfig.driver === 'real' && !deviceConfig.mac) {
+        await this.learnDeviceMac(deviceIp);
+      }
+
       this.logger.ok(
         `✅ [DEVICE] Device activated: ${deviceConfig.name} (${deviceIp})`
       );
@@ -757,6 +1047,64 @@ class DeviceService {
     }
   }
 
+  /**
+   * Move runtime state to a device's new address (after its config moved)
+   * @param {string} oldIp - Previous IP address
+   * @param {string} newIp - New IP address
+   * @returns {Promise<Object>} Result of the move
+   */
+  async moveDevice(oldIp, newIp) {
+    this.logger.info(`🔀 [DEVICE] Moving device ${oldIp} → ${newIp}`);
+
+    try {
+      await this.deactivateDevice(oldIp);
+    } catch (error) {
+      this.logger.warn(
+        `Failed to deactivate ${oldIp} during move: ${error.message}`
+      );
+    }
+    this.stateStore.renameDevice(oldIp, newIp);
+
+    return { success: true, from: oldIp, to: newIp };
+  }
+
+  /**
+   * Learn the MAC address of a device for stable identification. Uses the
+   * driver's hardware info if it reports one, otherwise the ARP cache.
+   * @param {string} deviceIp - Device IP address
+   * @returns {Promise<string|null>} MAC address or null if unknown
+   */
+  async learnDeviceMac(deviceIp) {
+    if (!this.deviceConfigStore) return null;
+
+    try {
+      const device = this.deviceAdapter.getDevice(deviceIp);
+      const info = device
+        ? await this._getDeviceHardwareInfo(deviceIp, device)
+        : {};
+      const mac =
+        normalizeMac(info.mac) || (await readArpTable()).get(deviceIp) || null;
+      if (mac) {
+        await this.deviceConfigStore.setDeviceMac(deviceIp, mac);
+      }
+      return mac;
+    } catch (error) {
+      this.logger.debug(
+        `Failed to learn MAC for ${deviceIp}: ${error.message}`
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Device proxy for a configured device (doesn't create unknown ones)
+   * @private
+   */
+  _getConfiguredDevice(deviceIp) {
+    if (!this.deviceAdapter.deviceDrivers.has(deviceIp)) return null;
+    return this.deviceAdapter.getDevice(deviceIp);
+  }
+
   /**
    * Get device metrics (for watchdog health monitoring)
    * @param {string} deviceIp - Device IP address
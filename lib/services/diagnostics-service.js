@@ -351,6 +351,71 @@ const DEFAULT_TESTS = (logger) => [
       };
     },
   },
+  {
+    id: 'DEV005',
+    name: 'Device Network Latency',
+    description:
+      'Flags devices with slow or unreliable HTTP connections (e.g. weak Wi-Fi).',
+    category: 'device',
+    type: 'diagnostic',
+    runnable: true,
+    run: async ({ deviceService }) => {
+      const devices = await deviceService.listDevices();
+      const realDevices = devices.filter((d) => d.driver === 'real');
+
+      const measured = [];
+      for (const device of realDevices) {
+        const { http } = await deviceService.getDeviceMetrics(device.ip);
+        if (http && http.latency.count > 0) {
+          measured.push({ ip: device.ip, name: device.name, http });
+        }
+      }
+
+      if (measured.length === 0) {
+        return {
+          status: 'yellow',
+          message: 'No HTTP latency measured yet.',
+          details: {},
+        };
+      }
+
+      const slowP95Ms = 1000;
+      const slow = measured
+        .filter(
+          ({ http }) =>
+            http.latency.p95 > slowP95Ms ||
+            http.timeouts > 0 ||
+            http.failures > 0
+        )
+        .map(({ ip, name, http }) => ({
+          ip,
+          name,
+          p95: http.latency.p95,
+          timeouts: http.timeouts,
+          retries: http.retries,
+          failures: http.failures,
+        }));
+
+      if (slow.length === 0) {
+        return {
+          status: 'green',
+          message: `HTTP latency normal for ${measured.length} device(s).`,
+          details: {
+            devices: measured.map(({ ip, http }) => ({
+              ip,
+              p95: http.latency.p95,
+            })),
+          },
+        };
+      }
+
+      return {
+        status: 'yellow',
+        message: `${slow.length} device(s) with slow or failing HTTP requests.`,
+        details: { slow },
+      };
+    },
+  },
 
   // ==================== SCENE DIAGNOSTICS ====================
   {
@@ -0,0 +1,432 @@
+/**
+ * @fileoverview DiscoveryService - Find pixel displays on the local network
+ * @description Probes every address of a subnet for Pixoo (`Channel/GetAllConf`)
+ * and AWTRIX (`/api/stats`) HTTP endpoints and browses mDNS for announced
+ * displays. Returns candidates (type, firmware, MAC) that can be adopted into
+ * the DeviceConfigStore with one click.
+ * @author Markus Barta (mba) with assistance from Cursor AI
+ * @license GPL-3.0-or-later
+ */
+
+'use strict';
+
+const dgram = require('dgram');
+const os = require('os');
+
+const { DEVICE_TYPES } = require('../core/constants');
+const { ValidationError } = require('../errors');
+const {
+  MDNS_ADDRESS,
+  MDNS_PORT,
+  RECORD_TYPES,
+  decodeRecords,
+  encodeQuery,
+} = require('../util/mdns');
+const { normalizeMac, readArpTable } = require('../util/network-utils');
+
+const DEFAULT_PROBE_TIMEOUT_MS = 1000;
+const DEFAULT_CONCURRENCY = 32;
+const DEFAULT_MDNS_TIMEOUT_MS = 2000;
+// /22 - larger ranges take minutes and are almost certainly a typo
+const MAX_SCAN_HOSTS = 1024;
+
+// Service types announced by supported displays
+const MDNS_SERVICES = {
+  '_awtrix._tcp.local': DEVICE_TYPES.AWTRIX,
+  '_http._tcp.local': null, // Type decided by the HTTP probe
+};
+
+/**
+ * Service for scanning the LAN for supported devices
+ */
+class DiscoveryService {
+  /**
+   * Create a DiscoveryService
+   * @param {Object} dependencies - Injected dependencies
+   * @param {Object} dependencies.logger - Logger instance
+   * @param {Object} dependencies.deviceConfigStore - To match already configured devices
+   * @param {number} [dependencies.timeoutMs=1000] - HTTP probe timeout per host
+   * @param {number} [dependencies.concurrency=32] - Parallel host probes
+   * @param {number} [dependencies.mdnsTimeoutMs=2000] - How long to listen for mDNS answers
+   */
+  constructor({
+    logger,
+    deviceConfigStore,
+    timeoutMs = DEFAULT_PROBE_TIMEOUT_MS,
+    concurrency = DEFAULT_CONCURRENCY,
+    mdnsTimeoutMs = DEFAULT_MDNS_TIMEOUT_MS,
+  }) {
+    if (!logger) {
+      throw new ValidationError('logger is required');
+    }
+    if (!deviceConfigStore) {
+      throw new ValidationError('deviceConfigStore is required');
+    }
+
+    this.logger = logger;
+    this.deviceConfigStore = deviceConfigStore;
+    this.timeoutMs = timeoutMs;
+    this.concurrency = concurrency;
+    this.mdnsTimeoutMs = mdnsTimeoutMs;
+    this.scanning = false;
+  }
+
+  /**
+   * Scan the network for devices
+   * @param {Object} [options]
+   * @param {string} [options.subnet] - CIDR range, e.g. '192.168.1.0/24'
+   *   (default: PIDICON_DISCOVERY_SUBNET or the first LAN interface)
+   * @param {number} [options.port] - HTTP port to probe (default: 80)
+   * @param {boolean} [options.mdns=true] - Also browse mDNS announcements
+   * @returns {Promise<Object>} {subnet, scanned, durationMs, devices}
+   * @throws {ValidationError} If the subnet is invalid or too large
+   */
+  async scan({ subnet, port, mdns = true } = {}) {
+    if (this.scanning) {
+      throw new ValidationError('A discovery scan is already running');
+    }
+
+    const range =
+      subnet || process.env.PIDICON_DISCOVERY_SUBNET || defaultSubnet();
+    if (!range) {
+      throw new ValidationError(
+        'No subnet given and no LAN interface found to derive one'
+      );
+    }
+    const hosts = expandSubnet(range);
+
+    this.scanning = true;
+    const started = Date.now();
+    this.logger.info(
+      `🔍 [DISCOVERY] Scanning ${range} (${hosts.length} hosts)${mdns ? ' + mDNS' : ''}`
+    );
+
+    try {
+      const [probed, announced] = await Promise.all([
+        this._probeAll(hosts, port),
+        mdns ? this._browseMdns() : [],
+      ]);
+
+      const candidates = new Map(probed.map((c) => [c.ip, c]));
+      const extraHosts = announced
+        .map((a) => a.ip)
+        .filter((ip) => !candidates.has(ip));
+      for (const candidate of await this._probeAll(extraHosts, port)) {
+        candidates.set(candidate.ip, candidate);
+      }
+      for (const announcement of announced) {
+        this._mergeAnnouncement(candidates, announcement);
+      }
+
+      const devices = await this._finalize([...candidates.values()]);
+      const durationMs = Date.now() - started;
+      this.logger.ok(
+        `🔍 [DISCOVERY] Found ${devices.length} device(s) in ${durationMs}ms`
+      );
+
+      return { subnet: range, scanned: hosts.length, durationMs, devices };
+    } finally {
+      this.scanning = false;
+    }
+  }
+
+  /**
+   * Identify a single host
+   * @param {string} ip - IP address
+   * @param {number} [port] - HTTP port (default: 80)
+   * @returns {Promise<Object|null>} Candidate or null if nothing supported answers
+   */
+  async probeHost(ip, port) {
+    const address = port ? `${ip}:${port}` : ip;
+    const [pixoo, awtrix] = await Promise.all([
+      this._probePixoo(address),
+      this._probeAwtrix(address),
+    ]);
+    const found = awtrix || pixoo;
+    if (!found) return null;
+
+    return {
+      ip,
+      name: null,
+      firmware: null,
+      mac: null,
+      ...found,
+      sources: ['http'],
+    };
+  }
+
+  // ============================================================================
+  // PRIVATE
+  // ============================================================================
+
+  /**
+   * Probe hosts with limited parallelism
+   * @private
+   */
+  async _probeAll(hosts, port) {
+    const found = [];
+    let next = 0;
+
+    const worker = async () => {
+      while (next < hosts.length) {
+        const ip = hosts[next++];
+        const candidate = await this.probeHost(ip, port);
+        if (candidate) found.push(candidate);
+      }
+    };
+
+    const workers = Math.min(this.concurrency, hosts.length);
+    await Promise.all(Array.from({ length: workers }, worker));
+    return found;
+  }
+
+  /**
+   * @private
+   */
+  async _probePixoo(address) {
+    const data = await this._fetchJson(`http://${address}/post`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ Command: 'Channel/GetAllConf' }),
+    });
+    if (!data || data.error_code !== 0 || data.Brightness === undefined) {
+      return null;
+    }
+
+    // GetAllConf doesn't report the panel size; 64x64 is by far the most common
+    return {
+      deviceType: DEVICE_TYPES.PIXOO64,
+      name: data.DeviceName || null,
+      mac: normalizeMac(data.DeviceMac),
+    };
+  }
+
+  /**
+   * @private
+   */
+  async _probeAwtrix(address) {
+    const data = await this._fetchJson(`http://${address}/api/stats`);
+    if (!data || data.version === undefined || data.uid === undefined) {
+      return null;
+    }
+
+    return {
+      deviceType: DEVICE_TYPES.AWTRIX,
+      name: data.uid,
+      firmware: String(data.version),
+    };
+  }
+
+  /**
+   * GET/POST returning parsed JSON, or null on any failure
+   * @private
+   */
+  async _fetchJson(url, options = {}) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+
+    try {
+      const response = await fetch(url, {
+        ...options,
+        signal: controller.signal,
+      });
+      if (!response.ok) return null;
+      return await response.json();
+    } catch {
+      return null;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Ask for known service types and collect the answering hosts
+   * @private
+   * @returns {Promise<Array<{ip: string, name: string, deviceType: string|null}>>}
+   */
+  _browseMdns() {
+    return new Promise((resolve) => {
+      const found = new Map();
+      let socket;
+      let timer;
+
+      const finish = () => {
+        clearTimeout(timer);
+        try {
+          socket?.close();
+        } catch {
+          // Already closed
+        }
+        resolve([...found.values()]);
+      };
+
+      try {
+        socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+      } catch (error) {
+        this.logger.debug(`[DISCOVERY] mDNS unavailable: ${error.message}`);
+        resolve([]);
+        return;
+      }
+
+      socket.on('error', (error) => {
+        this.logger.debug(`[DISCOVERY] mDNS error: ${error.message}`);
+        finish();
+      });
+
+      socket.on('message', (message, rinfo) => {
+        let records;
+        try {
+          records = decodeRecords(message);
+        } catch {
+          return;
+        }
+        for (const record of records) {
+          if (record.type !== RECORD_TYPES.PTR) continue;
+          if (!(record.name in MDNS_SERVICES)) continue;
+          // Responders answer from their own address
+          const previous = found.get(rinfo.address);
+          found.set(rinfo.address, {
+            ip: rinfo.address,
+            name: record.data.split('.')[0],
+            deviceType:
+              MDNS_SERVICES[record.name] || previous?.deviceType || null,
+          });
+        }
+      });
+
+      // Listen on the mDNS port so unsolicited announcements arrive as well
+      socket.bind(MDNS_PORT, () => {
+        try {
+          socket.addMembership(MDNS_ADDRESS);
+          socket.send(
+            encodeQuery(Object.keys(MDNS_SERVICES)),
+            MDNS_PORT,
+            MDNS_ADDRESS
+          );
+        } catch (error) {
+          this.logger.debug(`[DISCOVERY] mDNS query failed: ${error.message}`);
+        }
+      });
+
+      timer = setTimeout(finish, this.mdnsTimeoutMs);
+    });
+  }
+
+  /**
+   * Add mDNS-only devices and note the source on probed ones
+   * @private
+   */
+  _mergeAnnouncement(candidates, announcement) {
+    const existing = candidates.get(announcement.ip);
+    if (existing) {
+      existing.sources.push('mdns');
+      existing.name = existing.name || announcement.name;
+      return;
+    }
+    // Announced, but the HTTP probe failed - only keep known display types
+    if (!announcement.deviceType) return;
+
+    candidates.set(announcement.ip, {
+      ip: announcement.ip,
+      deviceType: announcement.deviceType,
+      name: announcement.name,
+      firmware: null,
+      mac: null,
+      sources: ['mdns'],
+    });
+  }
+
+  /**
+   * Fill in MACs from the ARP cache and match configured devices, by MAC
+   * first so devices that got a new address via DHCP are recognized
+   * @private
+   */
+  async _finalize(candidates) {
+    const arp = await readArpTable();
+
+    return candidates
+      .map((candidate) => {
+        const mac = candidate.mac || arp.get(candidate.ip) || null;
+        const config =
+          (mac && this.deviceConfigStore.findDevice(mac)) ||
+          this.deviceConfigStore.getDevice(candidate.ip);
+        return {
+          ...candidate,
+          mac,
+          configured: Boolean(config),
+          deviceId: config?.id ?? null,
+          // Known device answering on a different address
+          configuredIp: config && config.ip !== candidate.ip ? config.ip : null,
+        };
+      })
+      .sort((a, b) => ipToInt(a.ip) - ipToInt(b.ip));
+  }
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function ipToInt(ip) {
+  return ip.split('.').reduce((acc, octet) => acc * 256 + Number(octet), 0);
+}
+
+function intToIp(value) {
+  return [24, 16, 8, 0].map((shift) => (value >>> shift) & 255).join('.');
+}
+
+/**
+ * List the host addresses of a CIDR range (without network/broadcast)
+ * @param {string} cidr - e.g. '192.168.1.0/24'
+ * @returns {Array<string>}
+ * @throws {ValidationError} If the range is malformed or too large
+ */
+function expandSubnet(cidr) {
+  const match = /^(\d{1,3}(?:\.\d{1,3}){3})(?:\/(\d{1,2}))?$/.exec(
+    String(cidr).trim()
+  );
+  const prefix = match ? Number(match[2] ?? 32) : NaN;
+  if (
+    !match ||
+    prefix > 32 ||
+    match[1].split('.').some((octet) => Number(octet) > 255)
+  ) {
+    throw new ValidationError(`Invalid subnet: ${cidr}`);
+  }
+
+  const size = 2 ** (32 - prefix);
+  if (size > MAX_SCAN_HOSTS) {
+    throw new ValidationError(
+      `Subnet ${cidr} is too large (max ${MAX_SCAN_HOSTS} addresses)`
+    );
+  }
+
+  const network = ipToInt(match[1]) - (ipToInt(match[1]) % size);
+  // /31 and /32 have no network/broadcast address
+  const first = size > 2 ? network + 1 : network;
+  const last = size > 2 ? network + size - 2 : network + size - 1;
+
+  const hosts = [];
+  for (let value = first; value <= last; value++) {
+    hosts.push(intToIp(value));
+  }
+  return hosts;
+}
+
+/**
+ * /24 around the first non-internal IPv4 address
+ * @returns {string|null}
+ */
+function defaultSubnet() {
+  for (const addresses of Object.values(os.networkInterfaces())) {
+    const lan = (addresses || []).find(
+      (a) => a.family === 'IPv4' && !a.internal
+    );
+    if (lan) {
+      return `${lan.address.split('.').slice(0, 3).join('.')}.0/24`;
+    }
+  }
+  return null;
+}
+
+module.exports = DiscoveryService;
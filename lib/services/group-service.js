@@ -0,0 +1,329 @@
+/**
+ * @fileoverview GroupService - Device groups with mirrored scene playback
+ * @description A group plays one scene on all its members: the scene loop
+ * runs once on the first member (the leader) and the device adapter pushes
+ * every frame to the other members. Brightness and power stay per device and
+ * can also be set for the whole group.
+ * @author Markus Barta (mba) with assistance from Cursor AI
+ * @license GPL-3.0-or-later
+ */
+
+'use strict';
+
+const { ValidationError } = require('../errors');
+
+/**
+ * Service for device group operations
+ */
+class GroupService {
+  /**
+   * Create a GroupService
+   * @param {Object} dependencies - Injected dependencies
+   * @param {Object} dependencies.logger - Logger instance
+   * @param {Object} dependencies.deviceConfigStore - Device config store (group definitions)
+   * @param {Object} dependencies.sceneService - Scene service (runs the leader's scene)
+   * @param {Object} dependencies.deviceService - Device service (brightness, power)
+   * @param {Object} dependencies.deviceAdapter - Device adapter with setMirrors/clearMirrors
+   */
+  constructor({
+    logger,
+    deviceConfigStore,
+    sceneService,
+    deviceService,
+    deviceAdapter,
+  }) {
+    if (!logger) {
+      throw new ValidationError('logger is required');
+    }
+    if (!deviceConfigStore) {
+      throw new ValidationError('deviceConfigStore is required');
+    }
+    if (!sceneService) {
+      throw new ValidationError('sceneService is required');
+    }
+    if (!deviceService) {
+      throw new ValidationError('deviceService is required');
+    }
+    if (!deviceAdapter) {
+      throw new ValidationError('deviceAdapter is required');
+    }
+
+    this.logger = logger;
+    this.deviceConfigStore = deviceConfigStore;
+    this.sceneService = sceneService;
+    this.deviceService = deviceService;
+    this.deviceAdapter = deviceAdapter;
+    this.playback = new Map(); // group name -> { leader, sceneName }
+  }
+
+  /**
+   * List all groups with their members and current scene
+   * @returns {Promise<Array<Object>>}
+   */
+  async listGroups() {
+    const groups = [];
+    for (const { name } of this.deviceConfigStore.getGroups()) {
+      groups.push(await this.getGroup(name));
+    }
+    return groups;
+  }
+
+  /**
+   * Get a group with its members and current scene
+   * @param {string} name - Group name
+   * @returns {Promise<Object|null>} Null if the group does not exist
+   */
+  async getGroup(name) {
+    const group = this.deviceConfigStore.getGroup(name);
+    if (!group) return null;
+
+    const playback = await this._getPlayback(name);
+    return {
+      name,
+      members: this.deviceConfigStore.getGroupDevices(name).map((device) => ({
+        id: device.id,
+        ip: device.ip,
+        name: device.name,
+        deviceType: device.deviceType,
+      })),
+      leader: playback?.leader ?? null,
+      currentScene: playback?.sceneName ?? null,
+    };
+  }
+
+  /**
+   * Create or replace a group
+   * @param {string} name - Group name
+   * @param {Array<string>} members - Devices by IP, id or MAC
+   * @returns {Promise<Object>} The saved group
+   */
+  async saveGroup(name, members) {
+    try {
+      await this.deviceConfigStore.setGroup(name, members);
+    } catch (error) {
+      throw new ValidationError(error.message);
+    }
+
+    // Members changed while playing: mirror to the new set (or stop)
+    const playback = await this._getPlayback(name);
+    if (playback) {
+      const ips = this._getMemberIps(name);
+      if (ips.includes(playback.leader)) {
+        await this.deviceAdapter.setMirrors(playback.leader, ips);
+      } else {
+        this.deviceAdapter.clearMirrors(playback.leader);
+        this.playback.delete(name);
+      }
+    }
+
+    return this.getGroup(name);
+  }
+
+  /**
+   * Delete a group (members keep showing their current frame)
+   * @param {string} name - Group name
+   */
+  async deleteGroup(name) {
+    this._requireGroup(name);
+    const playback = this.playback.get(name);
+    if (playback) {
+      this.deviceAdapter.clearMirrors(playback.leader);
+      this.playback.delete(name);
+    }
+    await this.deviceConfigStore.removeGroup(name);
+  }
+
+  /**
+   * Play a scene on all members of a group. The scene renders on the first
+   * member only; the other members stop their own scenes and mirror it.
+   * @param {string} name - Group name
+   * @param {string} sceneName - Scene to play
+   * @param {Object} [options] - Same as SceneService.switchToScene()
+   * @returns {Promise<Object>} Result with leader and member IPs
+   */
+  async switchScene(name, sceneName, options = {}) {
+    const [leader, ...followers] = this._getMemberIps(name);
+
+    for (const ip of followers) {
+      await this._stopOwnScene(ip);
+    }
+
+    this.logger.info(
+      `Group ${name}: playing ${sceneName} on ${leader}, mirrored to ${followers.length} member(s)`
+    );
+    await this.sceneService.switchToScene(leader, sceneName, options);
+    await this.deviceAdapter.setMirrors(leader, followers);
+    this.playback.set(name, { leader, sceneName });
+
+    return {
+      success: true,
+      group: name,
+      sceneName,
+      leader,
+      members: [leader, ...followers],
+      message: `Group ${name} switched to ${sceneName}`,
+    };
+  }
+
+  /**
+   * Stop the group's scene (clears all members) and end mirroring
+   * @param {string} name - Group name
+   * @returns {Promise<Object>} Result with success status
+   */
+  async stopScene(name) {
+    this._requireGroup(name);
+    const playback = await this._getPlayback(name);
+    if (!playback) {
+      throw new ValidationError(`Group ${name} is not playing a scene`);
+    }
+
+    // Stop while still mirrored, so the cleared screen reaches every member
+    await this.sceneService.stopScene(playback.leader);
+    this.deviceAdapter.clearMirrors(playback.leader);
+    this.playback.delete(name);
+
+    return {
+      success: true,
+      group: name,
+      playState: 'stopped',
+      message: `Group ${name} stopped`,
+    };
+  }
+
+  /**
+   * Turn the display of every member on or off
+   * @param {string} name - Group name
+   * @param {boolean} on - True to turn on
+   * @returns {Promise<Object>} Per-member results
+   */
+  async setDisplayPower(name, on) {
+    return this._forEachMember(name, (ip) =>
+      this.deviceService.setDisplayPower(ip, on)
+    );
+  }
+
+  /**
+   * Set the brightness of every member
+   * @param {string} name - Group name
+   * @param {number} brightness - Brightness 0-100
+   * @returns {Promise<Object>} Per-member results
+   */
+  async setDisplayBrightness(name, brightness) {
+    return this._forEachMember(name, (ip) =>
+      this.deviceService.setDisplayBrightness(ip, brightness)
+    );
+  }
+
+  /**
+   * MQTT handler for pixoo/group/<name>/state/upd (payload like a device's
+   * state/upd: `scene` plus scene parameters)
+   * @param {string} name - Group name
+   * @param {string} action - Topic action ('upd')
+   * @param {Object} payload - Scene name and parameters
+   */
+  async handleStateUpdate(name, action, payload = {}) {
+    if (action !== 'upd') {
+      this.logger.warn(`Unknown group state action: ${action}`);
+      return;
+    }
+    if (!payload.scene) {
+      this.logger.warn(`Group ${name} state update without scene`);
+      return;
+    }
+
+    try {
+      await this.switchScene(name, payload.scene, {
+        clear: payload.clear !== false,
+        payload,
+      });
+    } catch (error) {
+      this.logger.error(`Group ${name} state update failed:`, {
+        error: error.message,
+        scene: payload.scene,
+      });
+    }
+  }
+
+  /**
+   * Current playback, if the leader still runs the group's scene (a direct
+   * scene switch on the leader ends the group playback)
+   * @private
+   */
+  async _getPlayback(name) {
+    const playback = this.playback.get(name);
+    if (!playback) return null;
+
+    const { currentScene } = await this.sceneService.getCurrentScene(
+      playback.leader
+    );
+    if (currentScene !== playback.sceneName) {
+      this.playback.delete(name);
+      return null;
+    }
+    return playback;
+  }
+
+  /**
+   * @private
+   */
+  _requireGroup(name) {
+    if (!this.deviceConfigStore.getGroup(name)) {
+      throw new ValidationError(`Group ${name} not found`);
+    }
+  }
+
+  /**
+   * Member IPs in group order
+   * @private
+   */
+  _getMemberIps(name) {
+    this._requireGroup(name);
+    const ips = this.deviceConfigStore
+      .getGroupDevices(name)
+      .map((device) => device.ip);
+    if (ips.length === 0) {
+      throw new ValidationError(`Group ${name} has no members`);
+    }
+    return ips;
+  }
+
+  /**
+   * Stop a member's own scene loop so it doesn't overwrite mirrored frames
+   * @private
+   */
+  async _stopOwnScene(ip) {
+    const { currentScene, playState } =
+      await this.sceneService.getCurrentScene(ip);
+    if (!currentScene || playState === 'stopped') return;
+
+    try {
+      await this.sceneService.stopScene(ip);
+    } catch (error) {
+      this.logger.warn(`Failed to stop scene on group member ${ip}:`, {
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Run an operation on every member; one failing member doesn't stop the rest
+   * @private
+   */
+  async _forEachMember(name, operation) {
+    const ips = this._getMemberIps(name);
+    const settled = await Promise.allSettled(ips.map((ip) => operation(ip)));
+    const results = settled.map((outcome, i) =>
+      outcome.status === 'fulfilled'
+        ? { deviceIp: ips[i], success: true }
+        : { deviceIp: ips[i], success: false, error: outcome.reason.message }
+    );
+
+    return {
+      success: results.every((result) => result.success),
+      group: name,
+      results,
+    };
+  }
+}
+
+module.exports = GroupService;
@@ -0,0 +1,621 @@
+/**
+ * @fileoverview PlaylistService - Scene playlists with timed rotation
+ * @description Plays the entries of a device or group playlist one after the
+ * other, each for its duration. Shuffle reorders the entries every round,
+ * repeat starts over after the last entry, and entries whose scene is made
+ * for other device types can be skipped. The position is kept in the
+ * StateStore, so a playlist resumes where it was after a daemon restart.
+ * Switching or stopping the scene by hand ends the playlist.
+ * @author Markus Barta (mba) with assistance from Cursor AI
+ * @license GPL-3.0-or-later
+ */
+
+'use strict';
+
+const { ValidationError } = require('../errors');
+
+/**
+ * Entry indexes in play order (Fisher-Yates shuffle if requested)
+ * @param {number} length - Number of entries
+ * @param {boolean} shuffle - Random order
+ * @returns {Array<number>}
+ */
+function buildOrder(length, shuffle) {
+  const order = Array.from({ length }, (_, i) => i);
+  if (shuffle) {
+    for (let i = length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [order[i], order[j]] = [order[j], order[i]];
+    }
+  }
+  return order;
+}
+
+/**
+ * Service for playlist definitions and playback
+ *
+ * Playlists belong to a device or a group; both are passed as an owner:
+ * `{ device: '<IP, id or MAC>' }` or `{ group: '<name>' }`.
+ */
+class PlaylistService {
+  /**
+   * Create a PlaylistService
+   * @param {Object} dependencies - Injected dependencies
+   * @param {Object} dependencies.logger - Logger instance
+   * @param {Object} dependencies.deviceConfigStore - Device config store (playlist definitions)
+   * @param {Object} dependencies.sceneService - Scene service (plays device playlists)
+   * @param {Object} dependencies.groupService - Group service (plays group playlists)
+   * @param {Object} dependencies.stateStore - State store (playlist positions)
+   */
+  constructor({
+    logger,
+    deviceConfigStore,
+    sceneService,
+    groupService,
+    stateStore,
+  }) {
+    if (!logger) {
+      throw new ValidationError('logger is required');
+    }
+    if (!deviceConfigStore) {
+      throw new ValidationError('deviceConfigStore is required');
+    }
+    if (!sceneService) {
+      throw new ValidationError('sceneService is required');
+    }
+    if (!groupService) {
+      throw new ValidationError('groupService is required');
+    }
+    if (!stateStore) {
+      throw new ValidationError('stateStore is required');
+    }
+
+    this.logger = logger;
+    this.deviceConfigStore = deviceConfigStore;
+    this.sceneService = sceneService;
+    this.groupService = groupService;
+    this.stateStore = stateStore;
+    this.runs = new Map(); // target key -> running playlist
+  }
+
+  /**
+   * Playlists of a device or group
+   * @param {{device: string}|{group: string}} owner
+   * @returns {Array<Object>}
+   */
+  listPlaylists(owner) {
+    const { owner: resolved } = this._resolve(owner);
+    return this.deviceConfigStore.getPlaylists(resolved);
+  }
+
+  /**
+   * Get a playlist of a device or group
+   * @param {{device: string}|{group: string}} owner
+   * @param {string} name - Playlist name
+   * @returns {Object|null} Null if the playlist does not exist
+   */
+  getPlaylist(owner, name) {
+    const { owner: resolved } = this._resolve(owner);
+    return this.deviceConfigStore.getPlaylist(resolved, name);
+  }
+
+  /**
+   * Create or replace a playlist. A running copy of it plays the new entries
+   * from its next change on.
+   * @param {{device: string}|{group: string}} owner
+   * @param {string} name - Playlist name
+   * @param {Object} playlist - Entries and options
+   * @returns {Promise<Object>} The saved playlist
+   */
+  async savePlaylist(owner, name, playlist) {
+    const target = this._resolve(owner);
+    let saved;
+    try {
+      saved = await this.deviceConfigStore.setPlaylist(
+        target.owner,
+        name,
+        playlist
+      );
+    } catch (error) {
+      throw new ValidationError(error.message);
+    }
+
+    const run = this.runs.get(target.key);
+    if (run?.name === name) {
+      run.playlist = saved;
+      run.order = buildOrder(saved.entries.length, saved.shuffle);
+      run.position = Math.min(run.position, saved.entries.length - 1);
+      this._persist(run);
+    }
+    return saved;
+  }
+
+  /**
+   * Delete a playlist (stops it if it is playing)
+   * @param {{device: string}|{group: string}} owner
+   * @param {string} name - Playlist name
+   */
+  async deletePlaylist(owner, name) {
+    const target = this._resolve(owner);
+    const run = this.runs.get(target.key);
+    if (run?.name === name) {
+      this._end(run);
+    }
+
+    try {
+      await this.deviceConfigStore.removePlaylist(target.owner, name);
+    } catch (error) {
+      throw new ValidationError(error.message);
+    }
+  }
+
+  /**
+   * Start a playlist (replaces a playlist already playing on the owner)
+   * @param {{device: string}|{group: string}} owner
+   * @param {string} name - Playlist name
+   * @param {Object} [options]
+   * @param {number} [options.position=0] - Position to start at
+   * @returns {Promise<Object>} Playback status
+   */
+  async play(owner, name, { position = 0 } = {}) {
+    const target = this._resolve(owner);
+    const playlist = this.deviceConfigStore.getPlaylist(target.owner, name);
+    if (!playlist) {
+      throw new ValidationError(`Playlist ${name} not found`);
+    }
+    const total = playlist.entries.length;
+    if (!Number.isInteger(position) || position < 0 || position >= total) {
+      throw new ValidationError(
+        `Position must be an integer from 0 to ${total - 1}`
+      );
+    }
+
+    this.logger.info(`Playlist ${name}: starting on ${target.label}`);
+    const order = buildOrder(total, playlist.shuffle);
+    const run = await this._start(target, playlist, order, position);
+    if (!run) {
+      throw new ValidationError(
+        `Playlist ${name} has no playable entry for ${target.label}`
+      );
+    }
+    return this._describe(run);
+  }
+
+  /**
+   * Skip to the next entry (ends a playlist without repeat at its last entry)
+   * @param {{device: string}|{group: string}} owner
+   * @returns {Promise<Object|null>} Playback status, null if it ended
+   */
+  async next(owner) {
+    const run = this._requireRun(owner);
+    await this._playFrom(run, this._step(run, run.position, 1), 1);
+    return this._statusOf(run);
+  }
+
+  /**
+   * Go back to the previous entry (the first entry replays without repeat)
+   * @param {{device: string}|{group: string}} owner
+   * @returns {Promise<Object|null>} Playback status, null if it ended
+   */
+  async prev(owner) {
+    const run = this._requireRun(owner);
+    await this._playFrom(run, this._step(run, run.position, -1) ?? 0, -1);
+    return this._statusOf(run);
+  }
+
+  /**
+   * Stop the playlist; the current scene keeps running
+   * @param {{device: string}|{group: string}} owner
+   * @returns {Object} Result with success status
+   */
+  stop(owner) {
+    const run = this._requireRun(owner);
+    this._end(run);
+    this.logger.info(`Playlist ${run.name}: stopped on ${run.label}`);
+    return {
+      success: true,
+      playlist: run.name,
+      message: `Playlist ${run.name} stopped`,
+    };
+  }
+
+  /**
+   * Playback status of a device or group
+   * @param {{device: string}|{group: string}} owner
+   * @returns {Promise<Object|null>} Null if no playlist is playing
+   */
+  async getStatus(owner) {
+    const run = this.runs.get(this._resolve(owner).key);
+    if (!run?.entry) return null;
+
+    // Scene switched or stopped by hand since the entry started
+    if (!run.switching && !(await this._isOnEntry(run))) {
+      this.logger.info(
+        `Playlist ${run.name}: scene changed on ${run.label}, playlist ended`
+      );
+      this._end(run);
+      return null;
+    }
+    return this._describe(run);
+  }
+
+  /**
+   * Playlist shown on a device: its own, or the one of a group it belongs to
+   * @param {string} deviceIp - Device IP address
+   * @returns {Promise<Object|null>}
+   */
+  async getDeviceStatus(deviceIp) {
+    const config = this.deviceConfigStore.getDevice(deviceIp);
+    if (!config) return null;
+
+    const own = await this.getStatus({ device: config.id });
+    if (own) return own;
+
+    for (const { owner } of this.runs.values()) {
+      const group = owner.group && this.deviceConfigStore.getGroup(owner.group);
+      if (group?.members.includes(config.id)) {
+        return this.getStatus(owner);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Resume the playlists that were playing before the daemon restarted, at
+   * the entry they were on
+   * @returns {Promise<number>} Number of resumed playlists
+   */
+  async resume() {
+    let resumed = 0;
+    const saved = Object.entries(this.stateStore.getPlaylistStates());
+
+    for (const [key, state] of saved) {
+      try {
+        const target = this._resolve(state.owner);
+        const playlist = this.deviceConfigStore.getPlaylist(
+          target.owner,
+          state.playlist
+        );
+        if (!playlist) {
+          throw new ValidationError(`Playlist ${state.playlist} not found`);
+        }
+
+        // Edited while the daemon was down: keep the position, new order
+        const total = playlist.entries.length;
+        const order =
+          state.order?.length === total
+            ? state.order
+            : buildOrder(total, playlist.shuffle);
+        const position = Math.min(state.position || 0, total - 1);
+
+        if (await this._start(target, playlist, order, position)) {
+          this.logger.info(
+            `Playlist ${playlist.name}: resumed on ${target.label} at position ${position}`
+          );
+          resumed++;
+        }
+      } catch (error) {
+        this.logger.warn(`Cannot resume playlist ${key}:`, {
+          error: error.message,
+        });
+        this.stateStore.setPlaylistState(key, null);
+      }
+    }
+    return resumed;
+  }
+
+  /**
+   * Playlist command, as sent over MQTT
+   * (pixoo/<device>/playlist/<action>, pixoo/group/<name>/playlist/<action>)
+   * @param {{device: string}|{group: string}} owner
+   * @param {string} action - 'set', 'next', 'prev' or 'stop'
+   * @param {Object} [payload] - For 'set': { playlist, position? }; a null
+   *   playlist stops playback
+   * @returns {Promise<Object|null>} Playback status or stop result
+   */
+  async handleCommand(owner, action, payload) {
+    const params = payload && typeof payload === 'object' ? payload : {};
+    switch (action) {
+      case 'set':
+        if (params.playlist === null) return this.stop(owner);
+        if (typeof params.playlist !== 'string') {
+          throw new ValidationError('Missing required field: playlist');
+        }
+        return this.play(owner, params.playlist, {
+          position: params.position ?? 0,
+        });
+      case 'next':
+        return this.next(owner);
+      case 'prev':
+        return this.prev(owner);
+      case 'stop':
+        return this.stop(owner);
+      default:
+        throw new ValidationError(`Unknown playlist action: ${action}`);
+    }
+  }
+
+  /**
+   * MQTT handler for pixoo/group/<name>/playlist/<action>
+   * @param {string} name - Group name
+   * @param {string} action - Topic action
+   * @param {Object} payload - Command payload
+   */
+  async handleGroupCommand(name, action, payload) {
+    try {
+      await this.handleCommand({ group: name }, action, payload);
+    } catch (error) {
+      this.logger.error(`Group ${name} playlist command failed:`, {
+        action,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Register a run and play from a position
+   * @private
+   * @returns {Promise<Object|null>} The run, null if nothing was playable
+   */
+  async _start(target, playlist, order, position) {
+    const previous = this.runs.get(target.key);
+    if (previous) this._end(previous);
+
+    const run = {
+      key: target.key,
+      owner: target.owner,
+      label: target.label,
+      name: playlist.name,
+      playlist,
+      order,
+      position,
+      entry: null,
+      startedAt: null,
+      timer: null,
+      switching: false,
+    };
+    this.runs.set(run.key, run);
+
+    await this._playFrom(run, position, 1);
+    return this.runs.get(run.key) === run ? run : null;
+  }
+
+  /**
+   * Play the entry at a position, moving on in the given direction past
+   * entries that are skipped or fail to start
+   * @private
+   * @param {Object} run - Running playlist
+   * @param {number|null} position - Position in play order, null = end
+   * @param {number} step - 1 forward, -1 backward
+   */
+  async _playFrom(run, position, step) {
+    clearTimeout(run.timer);
+    run.switching = true;
+    let current = position;
+
+    try {
+      for (let tries = 0; tries < run.order.length; tries++) {
+        if (current === null || this.runs.get(run.key) !== run) break;
+
+        const entry = run.playlist.entries[run.order[current]];
+        if (await this._playEntry(run, entry)) {
+          if (this.runs.get(run.key) !== run) return; // Stopped meanwhile
+
+          run.position = current;
+          run.entry = entry;
+          run.startedAt = Date.now();
+          run.timer = setTimeout(() => {
+            this._onEntryEnd(run).catch((error) => {
+              this.logger.error(`Playlist ${run.name} failed:`, {
+                error: error.message,
+              });
+            });
+          }, entry.duration * 1000);
+          this._persist(run);
+          return;
+        }
+        current = this._step(run, current, step);
+      }
+    } finally {
+      run.switching = false;
+    }
+
+    if (this.runs.get(run.key) !== run) return;
+    if (current === null) {
+      this.logger.info(`Playlist ${run.name}: finished on ${run.label}`);
+    } else {
+      this.logger.warn(
+        `Playlist ${run.name}: no playable entry for ${run.label}, stopping`
+      );
+    }
+    this._end(run);
+  }
+
+  /**
+   * Switch to an entry's scene
+   * @private
+   * @returns {Promise<boolean>} False if skipped or the switch failed
+   */
+  async _playEntry(run, entry) {
+    try {
+      const { ip } = this._resolve(run.owner);
+      if (
+        run.playlist.skipIncompatible &&
+        ip &&
+        !this.sceneService.isSceneCompatible(ip, entry.scene)
+      ) {
+        this.logger.debug(
+          `Playlist ${run.name}: skipping ${entry.scene}, not made for ${ip}`
+        );
+        return false;
+      }
+
+      const options = { clear: true, payload: entry.payload };
+      if (run.owner.group) {
+        await this.groupService.switchScene(
+          run.owner.group,
+          entry.scene,
+          options
+        );
+      } else {
+        await this.sceneService.switchToScene(ip, entry.scene, options);
+      }
+      return true;
+    } catch (error) {
+      this.logger.warn(`Playlist ${run.name}: skipping ${entry.scene}`, {
+        error: error.message,
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Entry duration is over: move on, unless the scene was changed by hand
+   * @private
+   */
+  async _onEntryEnd(run) {
+    run.timer = null;
+    if (this.runs.get(run.key) !== run) return;
+
+    if (!(await this._isOnEntry(run))) {
+      this.logger.info(
+        `Playlist ${run.name}: scene changed on ${run.label}, playlist ended`
+      );
+      this._end(run);
+      return;
+    }
+    await this._playFrom(run, this._step(run, run.position, 1), 1);
+  }
+
+  /**
+   * Whether the owner still shows the scene of the current entry
+   * @private
+   */
+  async _isOnEntry(run) {
+    try {
+      if (run.owner.group) {
+        const group = await this.groupService.getGroup(run.owner.group);
+        return group?.currentScene === run.entry.scene;
+      }
+
+      const { currentScene, playState } =
+        await this.sceneService.getCurrentScene(this._resolve(run.owner).ip);
+      return currentScene === run.entry.scene && playState !== 'stopped';
+    } catch {
+      return false; // Owner removed
+    }
+  }
+
+  /**
+   * Next position in a direction; wraps around with repeat (reshuffling when
+   * a round starts), null past either end without repeat
+   * @private
+   */
+  _step(run, position, step) {
+    const total = run.order.length;
+    const next = position + step;
+    if (next >= 0 && next < total) return next;
+    if (!run.playlist.repeat) return null;
+
+    if (next >= total && run.playlist.shuffle) {
+      run.order = buildOrder(total, true);
+    }
+    return next < 0 ? total - 1 : 0;
+  }
+
+  /**
+   * @private
+   */
+  _end(run) {
+    clearTimeout(run.timer);
+    run.timer = null;
+    if (this.runs.get(run.key) === run) {
+      this.runs.delete(run.key);
+      this.stateStore.setPlaylistState(run.key, null);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _persist(run) {
+    this.stateStore.setPlaylistState(run.key, {
+      owner: run.owner,
+      playlist: run.name,
+      order: run.order,
+      position: run.position,
+    });
+  }
+
+  /**
+   * @private
+   */
+  _requireRun(owner) {
+    const target = this._resolve(owner);
+    const run = this.runs.get(target.key);
+    if (!run) {
+      throw new ValidationError(`No playlist is playing on ${target.label}`);
+    }
+    return run;
+  }
+
+  /**
+   * @private
+   */
+  _statusOf(run) {
+    return this.runs.get(run.key) === run ? this._describe(run) : null;
+  }
+
+  /**
+   * @private
+   */
+  _describe(run) {
+    const { shuffle, repeat, skipIncompatible } = run.playlist;
+    return {
+      playlist: run.name,
+      group: run.owner.group ?? null,
+      position: run.position,
+      total: run.order.length,
+      scene: run.entry.scene,
+      duration: run.entry.duration,
+      startedAt: run.startedAt,
+      endsAt: run.startedAt + run.entry.duration * 1000,
+      shuffle,
+      repeat,
+      skipIncompatible,
+    };
+  }
+
+  /**
+   * Target key, canonical owner (devices by stable id), log label and the IP
+   * that renders (a group's leader)
+   * @private
+   */
+  _resolve(owner) {
+    if (owner?.group !== undefined) {
+      if (!this.deviceConfigStore.getGroup(owner.group)) {
+        throw new ValidationError(`Group ${owner.group} not found`);
+      }
+      const [leader] = this.deviceConfigStore.getGroupDevices(owner.group);
+      return {
+        key: `group:${owner.group}`,
+        owner: { group: owner.group },
+        label: `group ${owner.group}`,
+        ip: leader?.ip ?? null,
+      };
+    }
+
+    const config = this.deviceConfigStore.findDevice(owner?.device);
+    if (!config) {
+      throw new ValidationError(`Device ${owner?.device} not found`);
+    }
+    return {
+      key: `device:${config.id}`,
+      owner: { device: config.id },
+      label: config.ip,
+      ip: config.ip,
+    };
+  }
+}
+
+module.exports = PlaylistService;
@@ -0,0 +1,233 @@
+/**
+ * @fileoverview PreviewService - Live device previews for the Web UI
+ * @description Listens to pushed frames and sends them as PNG `frame`
+ * messages to the WebSocket clients that subscribed to that device. Frames
+ * are only captured and encoded while at least one client watches, and are
+ * rate-limited per device so fast drivers don't flood the browser.
+ * @author Markus Barta (mba) with assistance from Cursor AI
+ * @license GPL-3.0-or-later
+ */
+
+'use strict';
+
+const { ValidationError } = require('../errors');
+const { encodeRgbPng } = require('../util/png-utils');
+
+const DEFAULT_MAX_FPS = 10;
+
+/**
+ * Service for streaming device framebuffers to subscribed clients
+ */
+class PreviewService {
+  /**
+   * Create a PreviewService
+   * @param {Object} dependencies - Injected dependencies
+   * @param {Object} dependencies.logger - Logger instance
+   * @param {Object} dependencies.deviceAdapter - Needs `devices` and `addFrameListener`
+   * @param {number} [dependencies.maxFps=10] - Max preview frames per device and second (0 = unlimited)
+   */
+  constructor({ logger, deviceAdapter, maxFps = DEFAULT_MAX_FPS }) {
+    if (!logger) {
+      throw new ValidationError('logger is required');
+    }
+    if (!deviceAdapter) {
+      throw new ValidationError('deviceAdapter is required');
+    }
+
+    this.logger = logger;
+    this.deviceAdapter = deviceAdapter;
+    this.minIntervalMs = maxFps > 0 ? 1000 / maxFps : 0;
+
+    this.subscribers = new Map(); // deviceIp -> Set<client>
+    this.lastSent = new Map(); // deviceIp -> {buf, timestamp}
+    this.pending = new Map(); // deviceIp -> {timer, frame}
+    this.removeListener = null;
+  }
+
+  /**
+   * Start sending frames of a device to a client
+   * @param {Object} client - Anything with send(string), e.g. a WebSocket
+   * @param {string} deviceIp - Device IP address
+   */
+  subscribe(client, deviceIp) {
+    if (!this.subscribers.has(deviceIp)) {
+      this.subscribers.set(deviceIp, new Set());
+    }
+    this.subscribers.get(deviceIp).add(client);
+    this._updateListener();
+
+    // Show what is on the display right now, not only after the next push
+    const frame = this.deviceAdapter.devices.get(deviceIp)?.getFrame?.();
+    if (frame) {
+      this._send([client], deviceIp, frame, true);
+    }
+  }
+
+  /**
+   * Stop sending frames of a device to a client
+   * @param {Object} client
+   * @param {string} deviceIp
+   */
+  unsubscribe(client, deviceIp) {
+    const clients = this.subscribers.get(deviceIp);
+    if (!clients) return;
+
+    clients.delete(client);
+    if (clients.size === 0) {
+      this._forgetDevice(deviceIp);
+    }
+    this._updateListener();
+  }
+
+  /**
+   * Drop all subscriptions of a client (call when its connection closes)
+   * @param {Object} client
+   */
+  removeClient(client) {
+    for (const deviceIp of [...this.subscribers.keys()]) {
+      this.unsubscribe(client, deviceIp);
+    }
+  }
+
+  /**
+   * Number of clients watching a device
+   * @param {string} deviceIp
+   * @returns {number}
+   */
+  getSubscriberCount(deviceIp) {
+    return this.subscribers.get(deviceIp)?.size || 0;
+  }
+
+  /**
+   * Stop listening and drop all subscriptions
+   */
+  stop() {
+    for (const deviceIp of [...this.subscribers.keys()]) {
+      this._forgetDevice(deviceIp);
+    }
+    this._updateListener();
+  }
+
+  /**
+   * Build a `frame` message
+   * @param {string} deviceIp
+   * @param {{width: number, height: number, buf: Uint8Array}} frame
+   * @returns {Object} WebSocket message
+   */
+  encodeFrame(deviceIp, frame) {
+    return {
+      type: 'frame',
+      deviceIp,
+      width: frame.width,
+      height: frame.height,
+      format: 'png',
+      data: encodeRgbPng(frame.width, frame.height, frame.buf).toString(
+        'base64'
+      ),
+      timestamp: Date.now(),
+    };
+  }
+
+  // ============================================================================
+  // PRIVATE
+  // ============================================================================
+
+  /**
+   * Only listen to pushes while someone is watching
+   * @private
+   */
+  _updateListener() {
+    if (this.subscribers.size > 0 && !this.removeListener) {
+      this.removeListener = this.deviceAdapter.addFrameListener(
+        (deviceIp, frame) => this._onFrame(deviceIp, frame)
+      );
+    } else if (this.subscribers.size === 0 && this.removeListener) {
+      this.removeListener();
+      this.removeListener = null;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _onFrame(deviceIp, frame) {
+    if (!this.subscribers.has(deviceIp)) return;
+
+    const last = this.lastSent.get(deviceIp);
+    const waitMs = last ? last.timestamp + this.minIntervalMs - Date.now() : 0;
+    if (waitMs <= 0) {
+      this._send(this.subscribers.get(deviceIp), deviceIp, frame);
+      return;
+    }
+
+    // Too soon: keep the newest frame and send it when the interval is over
+    const snapshot = { ...frame, buf: Uint8Array.from(frame.buf) };
+    const pending = this.pending.get(deviceIp);
+    if (pending) {
+      pending.frame = snapshot;
+      return;
+    }
+    const timer = setTimeout(() => {
+      const { frame: latest } = this.pending.get(deviceIp);
+      this.pending.delete(deviceIp);
+      const clients = this.subscribers.get(deviceIp);
+      if (clients) this._send(clients, deviceIp, latest);
+    }, waitMs);
+    timer.unref?.();
+    this.pending.set(deviceIp, { timer, frame: snapshot });
+  }
+
+  /**
+   * Encode once and send to all given clients
+   * @private
+   * @param {Iterable<Object>} clients
+   * @param {string} deviceIp
+   * @param {Object} frame
+   * @param {boolean} [force=false] - Send even if it equals the last frame
+   */
+  _send(clients, deviceIp, frame, force = false) {
+    const last = this.lastSent.get(deviceIp);
+    const unchanged =
+      last &&
+      last.buf.length === frame.buf.length &&
+      Buffer.compare(last.buf, frame.buf) === 0;
+    if (unchanged && !force) return;
+
+    let payload;
+    try {
+      payload = JSON.stringify(this.encodeFrame(deviceIp, frame));
+    } catch (error) {
+      this.logger.warn(`Failed to encode preview for ${deviceIp}:`, {
+        error: error.message,
+      });
+      return;
+    }
+
+    this.lastSent.set(deviceIp, {
+      buf: Uint8Array.from(frame.buf),
+      timestamp: Date.now(),
+    });
+    for (const client of clients) {
+      try {
+        client.send(payload);
+      } catch (error) {
+        this.logger.debug(`Failed to send preview for ${deviceIp}:`, {
+          error: error.message,
+        });
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  _forgetDevice(deviceIp) {
+    const pending = this.pending.get(deviceIp);
+    if (pending) clearTimeout(pending.timer);
+    this.pending.delete(deviceIp);
+    this.subscribers.delete(deviceIp);
+    this.lastSent.delete(deviceIp);
+  }
+}
+
+module.exports = PreviewService;
@@ -0,0 +1,540 @@
+/**
+ * @fileoverview SceneIsolationService - Run scenes in worker threads
+ * @description Optional execution mode in which the active scene of each
+ * device runs in its own worker thread (see lib/scene-worker.js), so a scene
+ * with a tight loop, a memory leak or an unhandled rejection cannot stall the
+ * MQTT, web and watchdog services on the main event loop.
+ *
+ * The SceneManager hands init/render/cleanup of isolated scenes to this
+ * service. Each hook gets a CPU budget (time the worker is busy, not time
+ * spent waiting for the device) and each worker a heap limit. A scene that
+ * exceeds them, crashes or hangs is terminated and the device switches to
+ * the fallback scene.
+ *
+ * Disabled by default; PIDICON_SCENE_ISOLATION=true enables it.
+ * @author Markus Barta (mba) with assistance from Cursor AI
+ * @license GPL-3.0-or-later
+ */
+
+'use strict';
+
+const path = require('path');
+const { deserialize, serialize } = require('v8');
+const { Worker } = require('worker_threads');
+
+const { SceneError, ValidationError } = require('../errors');
+
+const WORKER_PATH = path.join(__dirname, '..', 'scene-worker.js');
+
+const DEFAULT_FRAME_BUDGET_MS = 1000;
+const DEFAULT_FRAME_TIMEOUT_MS = 30000;
+const DEFAULT_MEMORY_LIMIT_MB = 128;
+const DEFAULT_FALLBACK_SCENE = 'empty';
+
+// Device methods owned by scene switching, not callable from workers
+const HIDDEN_DEVICE_METHODS = new Set([
+  'constructor',
+  'createImpl',
+  'switchDriver',
+  'setTransition',
+  'cancelTransition',
+]);
+
+// Where the main thread puts publishOk back into forwarded device calls
+const PUBLISH_OK_ARGS = {
+  push: (args, publishOk) => [args[0], publishOk],
+  showFrame: (args, publishOk) => [args[0], args[1], publishOk],
+  pushAnimation: (args, publishOk) => [args[0], { ...args[1], publishOk }],
+};
+
+const FAILURE_REASONS = {
+  cpu: 'frame budget exceeded',
+  memory: 'memory limit exceeded',
+  timeout: 'did not finish in time',
+  crash: 'crashed',
+};
+
+/**
+ * Isolation settings from the environment
+ * @param {Object} [env=process.env]
+ * @returns {{enabled: boolean, frameBudgetMs: number, memoryLimitMb: number, fallbackScene: string}}
+ */
+function getIsolationOptions(env = process.env) {
+  const positive = (value, fallback) => {
+    const number = Number(value);
+    return Number.isFinite(number) && number > 0 ? number : fallback;
+  };
+  return {
+    enabled: env.PIDICON_SCENE_ISOLATION === 'true',
+    frameBudgetMs: positive(
+      env.PIDICON_SCENE_FRAME_BUDGET_MS,
+      DEFAULT_FRAME_BUDGET_MS
+    ),
+    memoryLimitMb: positive(
+      env.PIDICON_SCENE_MEMORY_LIMIT_MB,
+      DEFAULT_MEMORY_LIMIT_MB
+    ),
+    fallbackScene: env.PIDICON_SCENE_FALLBACK ?? DEFAULT_FALLBACK_SCENE,
+  };
+}
+
+/**
+ * Structured clone of a value, or undefined if it cannot be sent to a worker
+ * @private
+ */
+function toCloneable(value) {
+  try {
+    return deserialize(serialize(value));
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Cloneable entries of a Map or plain object (timers etc. are skipped)
+ * @private
+ */
+function cloneableEntries(source) {
+  const entries =
+    source instanceof Map ? [...source] : Object.entries(source || {});
+  return entries
+    .map(([key, value]) => [key, toCloneable(value)])
+    .filter(([, value]) => value !== undefined);
+}
+
+/**
+ * Service that runs scene hooks in per-device worker threads
+ */
+class SceneIsolationService {
+  /**
+   * Create a SceneIsolationService
+   * @param {Object} dependencies - Injected dependencies
+   * @param {Object} dependencies.logger - Logger instance
+   * @param {Object} dependencies.sceneManager - SceneManager instance (fallback switches)
+   * @param {Object} dependencies.deviceAdapter - Needs `getContext` and `getSceneStateValues`
+   * @param {Object} [dependencies.stateStore] - StateStore (records the scene error for the UI)
+   * @param {Function} [dependencies.publishOk] - Frame callback for fallback scenes
+   * @param {boolean} [dependencies.enabled=false] - Run scenes in workers
+   * @param {number} [dependencies.frameBudgetMs=1000] - CPU time per init/render/cleanup call
+   * @param {number} [dependencies.frameTimeoutMs=30000] - Wall time per call (hung promises)
+   * @param {number} [dependencies.memoryLimitMb=128] - Heap limit per worker
+   * @param {string} [dependencies.fallbackScene='empty'] - Scene shown after a failure ('' stops)
+   * @param {string} [dependencies.workerPath] - Worker entry script (for tests)
+   */
+  constructor({
+    logger,
+    sceneManager,
+    deviceAdapter,
+    stateStore = null,
+    publishOk = null,
+    enabled = false,
+    frameBudgetMs = DEFAULT_FRAME_BUDGET_MS,
+    frameTimeoutMs = DEFAULT_FRAME_TIMEOUT_MS,
+    memoryLimitMb = DEFAULT_MEMORY_LIMIT_MB,
+    fallbackScene = DEFAULT_FALLBACK_SCENE,
+    workerPath = WORKER_PATH,
+  }) {
+    if (!logger) {
+      throw new ValidationError('logger is required');
+    }
+    if (!sceneManager) {
+      throw new ValidationError('sceneManager is required');
+    }
+    if (!deviceAdapter) {
+      throw new ValidationError('deviceAdapter is required');
+    }
+
+    this.logger = logger;
+    this.sceneManager = sceneManager;
+    this.deviceAdapter = deviceAdapter;
+    this.stateStore = stateStore;
+    this.publishOk = publishOk;
+    this.enabled = enabled;
+    this.frameBudgetMs = frameBudgetMs;
+    this.frameTimeoutMs = frameTimeoutMs;
+    this.memoryLimitMb = memoryLimitMb;
+    this.fallbackScene = fallbackScene;
+    this.workerPath = workerPath;
+
+    this.workers = new Map(); // host -> worker entry
+    this.nextCallId = 1;
+  }
+
+  /**
+   * Whether a scene runs in a worker. Needs a scene file to load; scenes
+   * can opt out with `isolated: false`.
+   * @param {Object} scene - Scene module
+   * @returns {boolean}
+   */
+  isIsolated(scene) {
+    return this.enabled && !!scene?.absolutePath && scene.isolated !== false;
+  }
+
+  /**
+   * Run a scene hook in the worker of the device. Starts the worker on the
+   * first init/render and ends it after cleanup.
+   * @param {string} hook - 'init', 'render' or 'cleanup'
+   * @param {Object} scene - Scene module (isIsolated)
+   * @param {Object} context - Scene context from the SceneManager
+   * @returns {Promise<number|null>} Result of the hook (render: next delay)
+   * @throws {SceneError} If the worker was terminated during the call
+   */
+  async run(hook, scene, context) {
+    const host = context?.env?.host;
+    if (!host) {
+      throw new ValidationError('Missing host in context.env.host');
+    }
+
+    let entry = this.workers.get(host);
+    if (entry?.scene !== scene) {
+      // Cleanup of a scene (version) that has no worker: nothing to release
+      if (hook === 'cleanup') return null;
+      if (entry) await this._terminate(entry);
+      entry = this._spawn(host, scene, context);
+    }
+
+    entry.context = context;
+    const result = await this._call(entry, hook, context);
+    if (hook === 'cleanup') {
+      await this._terminate(entry);
+    }
+    return result;
+  }
+
+  /**
+   * Terminate all workers
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    await Promise.all(
+      [...this.workers.values()].map((entry) => this._terminate(entry))
+    );
+  }
+
+  /**
+   * Start the worker for a scene on a device
+   * @private
+   */
+  _spawn(host, scene, context) {
+    const { device } = context;
+    const sceneName = context.sceneName || scene.name;
+    const worker = new Worker(this.workerPath, {
+      workerData: {
+        scenePath: scene.absolutePath,
+        sceneName,
+        state: Object.fromEntries(
+          cloneableEntries(
+            this.deviceAdapter.getSceneStateValues?.(host, sceneName)
+          )
+        ),
+        device: {
+          host,
+          deviceType: device.deviceType,
+          size: device.size,
+          currentDriver: device.currentDriver,
+          methods: this._deviceMethods(device),
+        },
+      },
+      resourceLimits: { maxOldGenerationSizeMb: this.memoryLimitMb },
+    });
+
+    const entry = {
+      host,
+      scene,
+      sceneName,
+      worker,
+      context,
+      calls: new Map(), // call id -> pending hook call
+      messages: Promise.resolve(), // device calls run one after the other
+      closed: false,
+    };
+
+    worker.on('message', (message) => {
+      entry.messages = entry.messages.then(() =>
+        this._onMessage(entry, message)
+      );
+    });
+    worker.on('error', (error) => {
+      const reason =
+        error?.code === 'ERR_WORKER_OUT_OF_MEMORY' ? 'memory' : 'crash';
+      this._fail(entry, reason, error?.message || String(error));
+    });
+    worker.on('exit', (code) => {
+      this._fail(entry, 'crash', `worker exited with code ${code}`);
+    });
+
+    this.workers.set(host, entry);
+    this.logger.debug(`🧵 Scene worker started: ${sceneName} (${host})`);
+    return entry;
+  }
+
+  /**
+   * Public device methods forwarded to the worker
+   * @private
+   */
+  _deviceMethods(device) {
+    const methods = new Set();
+    let proto = Object.getPrototypeOf(device);
+    while (proto && proto !== Object.prototype) {
+      for (const name of Object.getOwnPropertyNames(proto)) {
+        if (
+          !name.startsWith('_') &&
+          !HIDDEN_DEVICE_METHODS.has(name) &&
+          typeof device[name] === 'function'
+        ) {
+          methods.add(name);
+        }
+      }
+      proto = Object.getPrototypeOf(proto);
+    }
+    return [...methods];
+  }
+
+  /**
+   * Post a hook call and watch its budget
+   * @private
+   */
+  _call(entry, hook, context) {
+    return new Promise((resolve, reject) => {
+      const call = {
+        id: this.nextCallId++,
+        hook,
+        resolve,
+        reject,
+        startedAt: Date.now(),
+        usage: entry.worker.performance.eventLoopUtilization(),
+        timer: null,
+      };
+      entry.calls.set(call.id, call);
+      this._watchBudget(entry, call);
+      entry.worker.postMessage({
+        type: 'run',
+        id: call.id,
+        hook,
+        context: this._workerContext(context),
+      });
+    });
+  }
+
+  /**
+   * Terminate the worker when a call keeps it busy longer than the budget
+   * @private
+   */
+  _watchBudget(entry, call) {
+    const check = () => {
+      if (!entry.calls.has(call.id)) return;
+      const busyMs = entry.worker.performance.eventLoopUtilization(
+        call.usage
+      ).active;
+      if (busyMs >= this.frameBudgetMs) {
+        this._fail(
+          entry,
+          'cpu',
+          `${call.hook}() used ${Math.round(busyMs)}ms of CPU (budget ${this.frameBudgetMs}ms)`
+        );
+        return;
+      }
+      if (Date.now() - call.startedAt >= this.frameTimeoutMs) {
+        this._fail(
+          entry,
+          'timeout',
+          `${call.hook}() did not finish within ${this.frameTimeoutMs}ms`
+        );
+        return;
+      }
+      call.timer = setTimeout(check, Math.max(10, this.frameBudgetMs - busyMs));
+    };
+    call.timer = setTimeout(check, this.frameBudgetMs);
+  }
+
+  /**
+   * Cloneable part of the scene context (device, state functions and
+   * publishOk are provided by the worker)
+   * @private
+   */
+  _workerContext(context) {
+    const { device } = context;
+    return {
+      payload: toCloneable(context.payload),
+      sceneConfig: toCloneable(context.sceneConfig),
+      env: toCloneable(context.env),
+      metadata: toCloneable(context.metadata),
+      loopDriven: !!context.loopDriven,
+      generationId: context.generationId ?? null,
+      frametime: context.frametime ?? 0,
+      state: new Map(cloneableEntries(context.state)),
+      device: {
+        metrics: toCloneable(device?.getMetrics?.()),
+        capabilities: toCloneable(device?.getCapabilities?.()),
+        animationActive: !!device?.hasActiveAnimation?.(),
+      },
+    };
+  }
+
+  /**
+   * Handle a message from a worker
+   * @private
+   */
+  async _onMessage(entry, message) {
+    if (entry.closed) return;
+
+    switch (message.type) {
+      case 'device': {
+        const reply = { type: 'device-result', id: message.id };
+        try {
+          let value;
+          for (const { method, args } of message.calls) {
+            value = await this._callDevice(entry, method, args);
+          }
+          reply.value = toCloneable(value);
+        } catch (error) {
+          reply.error = error.message;
+        }
+        if (!entry.closed) entry.worker.postMessage(reply);
+        break;
+      }
+      case 'state':
+        entry.context.setState?.(message.key, message.value);
+        break;
+      case 'log':
+        entry.context.log?.(message.message, message.level, message.meta);
+        break;
+      case 'done': {
+        const call = entry.calls.get(message.id);
+        if (!call) return;
+        entry.calls.delete(message.id);
+        clearTimeout(call.timer);
+        if (message.error !== undefined) {
+          call.reject(new Error(message.error));
+        } else {
+          call.resolve(message.value);
+        }
+        break;
+      }
+      default:
+        this.logger.debug(`Unknown scene worker message: ${message.type}`);
+    }
+  }
+
+  /**
+   * Run a device call from a worker on the real device
+   * @private
+   */
+  async _callDevice(entry, method, args) {
+    const { device } = entry.context;
+    if (
+      method.startsWith('_') ||
+      HIDDEN_DEVICE_METHODS.has(method) ||
+      typeof device[method] !== 'function'
+    ) {
+      throw new Error(`device.${method} is not a function`);
+    }
+    const publishOk = entry.context.publishOk || this.publishOk;
+    const forwarded = PUBLISH_OK_ARGS[method]
+      ? PUBLISH_OK_ARGS[method](args, publishOk)
+      : args;
+    return device[method](...forwarded);
+  }
+
+  /**
+   * Terminate a failed worker and show the fallback scene
+   * @private
+   */
+  _fail(entry, reason, detail) {
+    if (entry.closed) return;
+    const hooks = [...entry.calls.values()].map((call) => call.hook);
+    const error = new SceneError(
+      `Scene ${entry.sceneName} ${FAILURE_REASONS[reason]}: ${detail}`,
+      entry.sceneName,
+      { deviceIp: entry.host, reason }
+    );
+    this._close(entry, error);
+
+    this.logger.error(`🧯 ${error.message} (host=${entry.host})`);
+    this.stateStore?.setDeviceState(entry.host, 'sceneError', {
+      message: `Scene "${entry.sceneName}" was stopped: ${FAILURE_REASONS[reason]}`,
+      detail,
+      timestamp: Date.now(),
+    });
+
+    // After the failed call has unwound through the SceneManager
+    setTimeout(() => {
+      this._fallback(entry, hooks).catch((fallbackError) => {
+        this.logger.error(`Fallback scene failed for ${entry.host}:`, {
+          error: fallbackError.message,
+        });
+      });
+    }, 0);
+  }
+
+  /**
+   * Switch the device to the fallback scene (or stop it)
+   * @private
+   */
+  async _fallback(entry, hooks) {
+    const { host, sceneName } = entry;
+    // Failing cleanup: the device is switching to another scene already
+    if (hooks.includes('cleanup')) return;
+    const { currentScene } = this.sceneManager.getDeviceSceneState(host);
+    if (!hooks.includes('init') && currentScene !== sceneName) return;
+
+    const fallback = this.fallbackScene;
+    if (
+      !fallback ||
+      fallback === sceneName ||
+      !this.sceneManager.hasScene(fallback)
+    ) {
+      this.sceneManager.stopScene(host);
+      return;
+    }
+
+    this.logger.warn(`Showing fallback scene ${fallback} on ${host}`);
+    const module = this.sceneManager.getScene(fallback);
+    await this.sceneManager.switchScene(
+      fallback,
+      this.deviceAdapter.getContext(host, fallback, {}, this.publishOk, module)
+    );
+  }
+
+  /**
+   * Stop a worker that is no longer needed
+   * @private
+   */
+  async _terminate(entry) {
+    if (entry.closed) return;
+    await this._close(
+      entry,
+      new SceneError(
+        `Scene worker for ${entry.sceneName} stopped`,
+        entry.sceneName,
+        {
+          deviceIp: entry.host,
+        }
+      )
+    );
+    this.logger.debug(
+      `🧵 Scene worker stopped: ${entry.sceneName} (${entry.host})`
+    );
+  }
+
+  /**
+   * Reject pending calls and terminate the worker thread
+   * @private
+   * @returns {Promise} Resolves when the thread has exited
+   */
+  _close(entry, error) {
+    entry.closed = true;
+    if (this.workers.get(entry.host) === entry) {
+      this.workers.delete(entry.host);
+    }
+    for (const call of entry.calls.values()) {
+      clearTimeout(call.timer);
+      call.reject(error);
+    }
+    entry.calls.clear();
+    return entry.worker.terminate().catch(() => {});
+  }
+}
+
+module.exports = SceneIsolationService;
+module.exports.getIsolationOptions = getIsolationOptions;
@@ -0,0 +1,396 @@
+/**
+ * @fileoverview SceneReloadService - Hot-reload scenes on file change
+ * @description Watches the scene directories and, when a scene file (or a
+ * helper module required by scenes) changes, loads it again with a clean
+ * require cache, re-registers it in the SceneManager and restarts it on every
+ * device where it is active. The scene state (StateStore and getState/
+ * setState values) is kept when the new version is compatible (same loop
+ * mode, config schema keys keep their types), otherwise it is cleared. A
+ * scene that fails to load (e.g. syntax error) keeps running in its previous
+ * version. Listeners receive one result per change, which the Web UI shows
+ * as a toast.
+ *
+ * Enabled by default in dev mode (NODE_ENV !== 'production');
+ * PIDICON_SCENE_HOT_RELOAD=true|false overrides.
+ * @author Markus Barta (mba) with assistance from Cursor AI
+ * @license GPL-3.0-or-later
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const { ValidationError } = require('../errors');
+const { SceneLoader, isSceneFile } = require('../scene-loader');
+
+const DEFAULT_DEBOUNCE_MS = 200;
+
+/**
+ * Whether hot reload is enabled for this process
+ * @param {Object} [env=process.env]
+ * @returns {boolean}
+ */
+function isHotReloadEnabled(env = process.env) {
+  const flag = env.PIDICON_SCENE_HOT_RELOAD;
+  if (flag === 'true') return true;
+  if (flag === 'false') return false;
+  return env.NODE_ENV !== 'production';
+}
+
+/**
+ * Whether a reloaded scene can keep the state of its previous version
+ * @param {Object|null} previous - Previously registered scene module
+ * @param {Object} next - Reloaded scene module
+ * @returns {boolean}
+ */
+function isReloadCompatible(previous, next) {
+  if (!previous || !!previous.wantsLoop !== !!next.wantsLoop) {
+    return false;
+  }
+  const before = previous.configSchema || {};
+  const after = next.configSchema || {};
+  return Object.entries(before).every(
+    ([key, spec]) => after[key] && after[key].type === spec?.type
+  );
+}
+
+/**
+ * Service that reloads scenes when their files change
+ */
+class SceneReloadService {
+  /**
+   * Create a SceneReloadService
+   * @param {Object} dependencies - Injected dependencies
+   * @param {Object} dependencies.logger - Logger instance
+   * @param {Object} dependencies.sceneManager - SceneManager instance
+   * @param {Object} dependencies.deviceAdapter - Needs `devices`, `getContext` and `clearSceneState`
+   * @param {Object} [dependencies.stateStore] - StateStore (scene state reset on incompatible reloads)
+   * @param {Function} [dependencies.publishOk] - Frame callback for restarted scenes
+   * @param {Function} [dependencies.watch=fs.watch] - Directory watcher (for tests)
+   * @param {number} [dependencies.debounceMs=200] - Wait for editors to finish writing
+   */
+  constructor({
+    logger,
+    sceneManager,
+    deviceAdapter,
+    stateStore = null,
+    publishOk = null,
+    watch = fs.watch,
+    debounceMs = DEFAULT_DEBOUNCE_MS,
+  }) {
+    if (!logger) {
+      throw new ValidationError('logger is required');
+    }
+    if (!sceneManager) {
+      throw new ValidationError('sceneManager is required');
+    }
+    if (!deviceAdapter) {
+      throw new ValidationError('deviceAdapter is required');
+    }
+
+    this.logger = logger;
+    this.sceneManager = sceneManager;
+    this.deviceAdapter = deviceAdapter;
+    this.stateStore = stateStore;
+    this.publishOk = publishOk;
+    this.watchFn = watch;
+    this.debounceMs = debounceMs;
+
+    this.roots = new Map(); // directory -> { source, loader, watcher }
+    this.pending = new Map(); // file -> timer
+    this.listeners = new Set();
+  }
+
+  /**
+   * Watch a scenes directory (recursively)
+   * @param {string} directory - Scenes directory
+   * @param {string} source - Scene source of that directory ('core' or 'user')
+   * @returns {boolean} True if the directory is being watched
+   */
+  watch(directory, source) {
+    const root = path.resolve(directory);
+    if (this.roots.has(root)) return true;
+    if (!fs.existsSync(root)) {
+      this.logger.debug(`Scene hot reload: ${root} does not exist`);
+      return false;
+    }
+
+    try {
+      const watcher = this.watchFn(
+        root,
+        { recursive: true },
+        (eventType, filename) => {
+          if (filename) this._schedule(path.join(root, filename.toString()));
+        }
+      );
+      watcher.on?.('error', (error) => {
+        this.logger.warn(`Scene watcher error for ${root}: ${error.message}`);
+      });
+      this.roots.set(root, {
+        source,
+        loader: new SceneLoader(root),
+        watcher,
+      });
+      this.logger.info(`🔥 Scene hot reload watching ${root}`);
+      return true;
+    } catch (error) {
+      this.logger.warn(`Cannot watch ${root} for scene changes:`, {
+        error: error.message,
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Stop all watchers and pending reloads
+   */
+  stop() {
+    for (const timer of this.pending.values()) clearTimeout(timer);
+    this.pending.clear();
+    for (const { watcher } of this.roots.values()) watcher.close?.();
+    this.roots.clear();
+  }
+
+  /**
+   * Receive reload results
+   * @param {Function} listener - (result) => void
+   * @returns {Function} Unsubscribe function
+   */
+  addListener(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Reload the scenes affected by a changed file
+   * @param {string} filePath - Changed file (absolute)
+   * @returns {Promise<Object|null>} Result, or null if no scene is affected
+   */
+  async reloadFile(filePath) {
+    const file = path.resolve(filePath);
+    const entry = this._rootFor(file);
+    if (!entry || !fs.existsSync(file)) {
+      return null;
+    }
+
+    const { root, source, loader } = entry;
+    const sceneFiles = this._affectedSceneFiles(file, root, source, loader);
+    if (sceneFiles.length === 0) {
+      return null;
+    }
+
+    const result = {
+      status: 'reloaded',
+      file: path.relative(root, file).split(path.sep).join('/'),
+      scenes: [],
+      restarted: [],
+      errors: [],
+      timestamp: Date.now(),
+    };
+
+    for (const sceneFile of sceneFiles) {
+      try {
+        // Throws for syntax errors and invalid scenes before the running
+        // version is touched; registerScene() below can't fail after this
+        const { name, module } = loader.reloadSceneFile(sceneFile);
+        module.source = source;
+        const previous = this.sceneManager.getScene(name);
+        const hosts = this._activeHosts(name);
+
+        await this._cleanup(name, hosts);
+        this.sceneManager.registerScene(name, module);
+
+        const stateKept = isReloadCompatible(previous, module);
+        try {
+          for (const host of hosts) {
+            await this._restart(host, name, module, stateKept);
+          }
+        } catch (error) {
+          await this._rollback(name, previous, hosts);
+          error.rolledBack = true;
+          throw error;
+        }
+
+        result.scenes.push(name);
+        for (const host of hosts) {
+          result.restarted.push({ deviceIp: host, scene: name, stateKept });
+        }
+      } catch (error) {
+        result.errors.push({
+          file: path.relative(root, sceneFile).split(path.sep).join('/'),
+          error: error.message,
+          rolledBack: !!error.rolledBack,
+        });
+      }
+    }
+
+    if (result.errors.length > 0) {
+      result.status = 'error';
+      this.logger.warn(`Scene reload failed for ${result.file}:`, {
+        errors: result.errors,
+      });
+    } else {
+      this.logger.ok(
+        `🔥 Reloaded ${result.scenes.join(', ')} (${result.restarted.length} device(s) restarted)`
+      );
+    }
+
+    this._notify(result);
+    return result;
+  }
+
+  /**
+   * Debounce change events per file (editors write several times)
+   * @private
+   */
+  _schedule(file) {
+    if (!isSceneFile(file)) return;
+    clearTimeout(this.pending.get(file));
+    this.pending.set(
+      file,
+      setTimeout(() => {
+        this.pending.delete(file);
+        this.reloadFile(file).catch((error) => {
+          this.logger.error(`Scene reload crashed for ${file}:`, {
+            error: error.message,
+          });
+        });
+      }, this.debounceMs)
+    );
+  }
+
+  /**
+   * Watched root containing a file
+   * @private
+   */
+  _rootFor(file) {
+    for (const [root, entry] of this.roots) {
+      if (file.startsWith(root + path.sep)) return { root, ...entry };
+    }
+    return null;
+  }
+
+  /**
+   * Scene files to reload: the file itself if it is a scene, plus the
+   * registered scenes of this root that require it. A `.js` helper that
+   * scenes require is not loaded as a scene of its own.
+   * @private
+   */
+  _affectedSceneFiles(file, root, source, loader) {
+    const registered = new Set();
+    for (const name of this.sceneManager.getRegisteredScenes()) {
+      const scene = this.sceneManager.getScene(name);
+      if (scene?.source === source && scene.filePath) {
+        registered.add(path.join(root, scene.filePath));
+      }
+    }
+
+    const dependents = [...registered].filter(
+      (sceneFile) =>
+        sceneFile !== file && loader.getModuleTree(sceneFile).has(file)
+    );
+    const isScene =
+      isSceneFile(path.basename(file)) &&
+      (registered.has(file) || dependents.length === 0);
+
+    return isScene ? [file, ...dependents] : dependents;
+  }
+
+  /**
+   * Devices currently showing a scene (stopped devices pick up the new
+   * version on their next play)
+   * @private
+   */
+  _activeHosts(sceneName) {
+    return [...this.deviceAdapter.devices.keys()].filter((host) => {
+      const { currentScene, playState } =
+        this.sceneManager.getDeviceSceneState(host);
+      return currentScene === sceneName && playState !== 'stopped';
+    });
+  }
+
+  /**
+   * Let the registered version of a scene release its timers on the devices
+   * that run it, before it is replaced
+   * @private
+   */
+  async _cleanup(sceneName, hosts) {
+    for (const host of hosts) {
+      await this.sceneManager.cleanupScene(
+        sceneName,
+        this.deviceAdapter.getContext(host, sceneName, {}, this.publishOk)
+      );
+    }
+  }
+
+  /**
+   * The reloaded version failed to start: clean it up and start the previous
+   * version again on every device that ran the scene
+   * @private
+   */
+  async _rollback(sceneName, previous, hosts) {
+    if (!previous) return;
+    try {
+      await this._cleanup(sceneName, hosts);
+      this.sceneManager.registerScene(sceneName, previous);
+      for (const host of hosts) {
+        await this._restart(host, sceneName, previous, true);
+      }
+    } catch (error) {
+      this.logger.error(`Could not restore previous ${sceneName}:`, {
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Start the reloaded scene again with the config it was running with
+   * @private
+   * @throws {Error} If the scene fails to start
+   */
+  async _restart(host, sceneName, module, stateKept) {
+    const { playState } = this.sceneManager.getDeviceSceneState(host);
+    if (!stateKept) {
+      this.stateStore?.clearSceneState(host, sceneName);
+      this.deviceAdapter.clearSceneState?.(host, sceneName);
+    }
+
+    const sceneConfig = this.sceneManager.getSceneConfigForDevice(host) || {};
+    const context = this.deviceAdapter.getContext(
+      host,
+      sceneName,
+      sceneConfig,
+      this.publishOk,
+      module
+    );
+    context.sceneConfig = sceneConfig;
+    context.transition = null; // Same scene again: no transition
+
+    if (!(await this.sceneManager.switchScene(sceneName, context))) {
+      throw new Error(`Scene ${sceneName} failed to start on ${host}`);
+    }
+    if (playState === 'paused') {
+      this.sceneManager.pauseScene(host);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _notify(result) {
+    for (const listener of this.listeners) {
+      try {
+        listener(result);
+      } catch (error) {
+        this.logger.warn('Scene reload listener failed:', {
+          error: error.message,
+        });
+      }
+    }
+  }
+}
+
+module.exports = SceneReloadService;
+module.exports.isHotReloadEnabled = isHotReloadEnabled;
+module.exports.isReloadCompatible = isReloadCompatible;
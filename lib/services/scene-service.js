@@ -9,6 +9,11 @@
 
 'use strict';
 
+const { isSceneDeviceTypeCompatible } = require('../core/device-capabilities');
+const {
+  omitTransition,
+  resolveSwitchTransition,
+} = require('../core/scene-transitions');
 const { ValidationError } = require('../errors');
 const { mergeSchemas } = require('../universal-scene-config');
 
@@ -84,6 +89,7 @@ class SceneService {
       if (!this.sceneManager.hasScene(sceneName)) {
         throw new ValidationError(`Scene '${sceneName}' not found`);
       }
+      this._checkRequirements(deviceIp, sceneName);
 
       this.logger.info(`Switching ${deviceIp} to scene: ${sceneName}`, {
         clear,
@@ -91,15 +97,21 @@ class SceneService {
       });
 
       // Merge device-specific scene defaults with payload
-      // Priority: scene defaults < device overrides < MQTT payload
+      // Priority: device overrides < MQTT payload
       let mergedPayload = { ...payload };
+      let deviceTransition = null;
       if (this.deviceConfigStore) {
         try {
           const deviceConfig = this.deviceConfigStore.getDevice(deviceIp);
+          deviceTransition = deviceConfig?.transition || null;
           if (deviceConfig) {
             const deviceDefaults = deviceConfig.getSceneDefaults(sceneName);
             if (deviceDefaults) {
-              mergedPayload = { ...deviceDefaults, ...payload };
+              mergedPayload = {
+                ...mergedPayload,
+                ...deviceDefaults,
+                ...payload,
+              };
               this.logger.debug(
                 `Applied device-specific defaults for scene ${sceneName}`,
                 {
@@ -118,18 +130,34 @@ class SceneService {
         }
       }
 
+      // The transition belongs to the switch, not to the scene's config or
+      // state. Priority: device transition < device overrides < MQTT payload
+      const sceneConfig = omitTransition(mergedPayload);
+
       // Get device context (pass publishOk for WebSocket broadcasts)
       const sceneModule = this.sceneManager.getScene(sceneName);
       const context = this.deviceAdapter.getContext(
         deviceIp,
         sceneName,
-        mergedPayload,
+        sceneConfig,
         this.publishOk,
         sceneModule
       );
 
       // Add scene config (merged payload) to context for timing/scheduling
-      context.sceneConfig = mergedPayload;
+      context.sceneConfig = sceneConfig;
+      context.transition = resolveSwitchTransition(
+        deviceTransition,
+        mergedPayload
+      );
+
+      // A device switched on its own leaves its group (as leader or member)
+      if (this.deviceAdapter.clearMirrors?.(deviceIp)) {
+        this.logger.info(`${deviceIp} left group playback`);
+      }
+
+      // Video wall tiles show the wall's canvas, not their own scenes
+      await this._stopTileScenes(deviceIp);
 
       // Clear screen if requested
       if (clear) {
@@ -191,6 +219,69 @@ class SceneService {
     }
   }
 
+  /**
+   * Reject scenes whose requirements (e.g. `minWidth` for a scene made for a
+   * video wall) the device's display doesn't meet
+   * @private
+   * @throws {ValidationError}
+   */
+  _checkRequirements(deviceIp, sceneName) {
+    const requirements = this.sceneManager.getScene(sceneName)?.requirements;
+    if (!requirements) return;
+
+    const capabilities = this.deviceAdapter
+      .getDevice(deviceIp)
+      .getCapabilities?.();
+    if (capabilities && !capabilities.isCompatibleWith(requirements)) {
+      throw new ValidationError(
+        `Scene '${sceneName}' is not compatible with ${deviceIp} (${capabilities.width}x${capabilities.height})`
+      );
+    }
+  }
+
+  /**
+   * Whether a scene is made for a device: its device type, or one it is
+   * compatible with (udp/wall play pixoo64 scenes), is among the scene's
+   * `deviceTypes` (if the scene lists any) and the display meets the scene's
+   * requirements
+   * @param {string} deviceIp - Device IP address
+   * @param {string} sceneName - Scene name
+   * @returns {boolean} False for unknown scenes
+   */
+  isSceneCompatible(deviceIp, sceneName) {
+    const scene = this.sceneManager.getScene(sceneName);
+    if (!scene) return false;
+
+    const { deviceType } = this.deviceAdapter.getDevice(deviceIp);
+    if (!isSceneDeviceTypeCompatible(scene.deviceTypes, deviceType)) {
+      return false;
+    }
+
+    try {
+      this._checkRequirements(deviceIp, sceneName);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Stop scenes running on the tiles of a video wall
+   * @private
+   */
+  async _stopTileScenes(deviceIp) {
+    const tileHosts =
+      this.deviceAdapter.getDevice(deviceIp).getTileHosts?.() || [];
+    for (const host of tileHosts) {
+      const { currentScene, playState } =
+        this.sceneManager.getDeviceSceneState(host);
+      if (currentScene && playState !== 'stopped') {
+        this.sceneManager.stopScene(host);
+        this.logger.info(`Stopped own scene on wall tile ${host}`);
+      }
+    }
+  }
+
   /**
    * Get list of all available scenes with metadata
    * @returns {Promise<Array<Object>>} List of scene objects with name, description, wantsLoop, filePath
@@ -218,6 +309,7 @@ class SceneService {
           deviceTypes: Array.isArray(sceneModule.deviceTypes)
             ? sceneModule.deviceTypes
             : ['pixoo64', 'pixoo'],
+          requirements: sceneModule.requirements || null,
           metadataSummary: sceneModule.metadataSummary || null,
         });
       }
@@ -60,9 +60,17 @@ class StateStore {
     // SceneState: Map of scene-specific key-value pairs
     this.sceneStates = new Map();
 
+    // Playlist positions: Map<"device:<id>"|"group:<name>", PlaylistState>
+    // PlaylistState: { playlist, order, position } (persisted, see PlaylistService)
+    this.playlistStates = new Map();
+
     // Subscribers for state changes (optional feature)
     this.subscribers = new Map();
 
+    // Maps runtime keys (IPs) to stable device ids for persistence
+    // (see useDeviceIdentity)
+    this.deviceIdentity = null;
+
     // Persistence configuration
     this.persistFallbackPath = null;
     this.persistPath =
@@ -380,6 +388,76 @@ class StateStore {
     return deleted;
   }
 
+  /**
+   * Move device and scene state to a new key (device got a new IP)
+   * @param {string} oldId - Previous device ID
+   * @param {string} newId - New device ID
+   * @returns {boolean} True if there was state to move
+   */
+  renameDevice(oldId, newId) {
+    if (oldId === newId) return false;
+
+    let moved = false;
+    const deviceState = this.deviceStates.get(oldId);
+    if (deviceState) {
+      this.deviceStates.delete(oldId);
+      this.deviceStates.set(newId, deviceState);
+      moved = true;
+    }
+
+    const prefix = `${oldId}::`;
+    for (const [key, state] of [...this.sceneStates.entries()]) {
+      if (key.startsWith(prefix)) {
+        this.sceneStates.delete(key);
+        this.sceneStates.set(
+          this._sceneKey(newId, key.substring(prefix.length)),
+          state
+        );
+        moved = true;
+      }
+    }
+
+    if (moved) {
+      this.logger.debug(`Device state moved: ${oldId} → ${newId}`);
+      this._notify('device', newId, deviceState);
+      this._markDirty();
+    }
+    return moved;
+  }
+
+  /**
+   * Persist device state under stable ids instead of IPs. Restored state
+   * that is keyed by an id (or by an IP of a device that has since moved) is
+   * re-keyed to the device's current IP, and legacy IP-keyed files are
+   * rewritten with ids on the next persist.
+   * @param {Object} identity - e.g. the DeviceConfigStore
+   * @param {Function} identity.resolveIp - (idOrIp) => current IP
+   * @param {Function} identity.getDeviceId - (ip) => stable id or null
+   * @returns {StateStore} Returns this for chaining
+   */
+  useDeviceIdentity(identity) {
+    this.deviceIdentity = identity;
+
+    let migrated = 0;
+    for (const key of [...this.deviceStates.keys()]) {
+      const ip = identity.resolveIp(key);
+      if (ip !== key) {
+        this.renameDevice(key, ip);
+      }
+      if (identity.getDeviceId(ip) !== key) {
+        migrated++;
+      }
+    }
+
+    if (migrated > 0) {
+      this.logger.info(
+        `🔑 [STATE] Migrating runtime state of ${migrated} device(s) to stable ids`
+      );
+      this._markDirty();
+    }
+    return this;
+  }
+
   /**
    * Get all device IDs
    * @returns {Array<string>} Array of device IDs
@@ -544,13 +622,51 @@ class StateStore {
     return this;
   }
 
+  // ============================================================================
+  // PLAYLIST STATE
+  // ============================================================================
+
+  /**
+   * Set or clear the playlist position of a device or group
+   * @param {string} key - Playlist target key (e.g. 'group:house')
+   * @param {Object|null} state - Position to persist, null to clear
+   * @returns {StateStore} Returns this for chaining
+   */
+  setPlaylistState(key, state) {
+    if (state) {
+      this.playlistStates.set(key, state);
+    } else if (!this.playlistStates.delete(key)) {
+      return this;
+    }
+    this._notify('playlist', key, state);
+    this._markDirty();
+    return this;
+  }
+
+  /**
+   * Get the playlist position of a device or group
+   * @param {string} key - Playlist target key
+   * @returns {Object|null} Playlist state or null
+   */
+  getPlaylistState(key) {
+    return this.playlistStates.get(key) || null;
+  }
+
+  /**
+   * Get all playlist positions (e.g. to resume them after a restart)
+   * @returns {Object} Map of target key -> playlist state
+   */
+  getPlaylistStates() {
+    return Object.fromEntries(this.playlistStates);
+  }
+
   // ============================================================================
   // OBSERVATION / SUBSCRIPTIONS (Optional Feature)
   // ============================================================================
 
   /**
    * Subscribe to state changes
-   * @param {string} type - State type ('global', 'device', 'scene', or '*')
+   * @param {string} type - State type ('global', 'device', 'scene', 'playlist', or '*')
    * @param {Function} callback - Callback function (path, value) => void
    * @returns {Function} Unsubscribe function
    */
@@ -622,6 +738,7 @@ class StateStore {
     this.globalState.clear();
     this.deviceStates.clear();
     this.sceneStates.clear();
+    this.playlistStates.clear();
     this.logger.debug('All state cleared');
     return this;
   }
@@ -708,18 +825,22 @@ class StateStore {
 
       // Only persist critical runtime state (not transient metrics)
       const persistData = {
-        version: 1,
+        version: 2,
         timestamp: new Date().toISOString(),
         daemon: {
           startTime: this.daemonInfo.startTime,
           lastHeartbeat: this.daemonInfo.lastHeartbeat,
         },
         devices: {},
+        playlists: this.getPlaylistStates(),
       };
 
       // For each device, save only stable runtime state
+      // Keyed by stable id when known (v2), so a DHCP change keeps the state
       for (const [deviceId, deviceState] of this.deviceStates.entries()) {
-        persistData.devices[deviceId] = {
+        const key = this.deviceIdentity?.getDeviceId(deviceId) || deviceId;
+        persistData.devices[key] = {
+          ip: deviceId,
           activeScene: deviceState.activeScene,
           playState: deviceState.playState || 'stopped',
           brightness:
@@ -818,6 +939,12 @@ class StateStore {
         restored++;
       }
 
+      for (const [key, playlistState] of Object.entries(
+        persistData.playlists || {}
+      )) {
+        this.playlistStates.set(key, playlistState);
+      }
+
       this.daemonInfo.startTime = persistData.daemon.startTime || null;
       this.daemonInfo.lastHeartbeat = persistData.daemon.lastHeartbeat || null;
 
@@ -1,16 +1,21 @@
 /**
  * @fileoverview Universal Scene Configuration Schema
- * @description Defines universal timing and scheduling parameters that apply to all scenes.
- * These parameters can be overridden per-device via sceneDefaults.
+ * @description Defines universal timing, scheduling and transition parameters
+ * that apply to all scenes. These parameters can be overridden per-device via sceneDefaults.
  * @author Markus Barta (mba) with assistance from Cursor AI
  * @license GPL-3.0-or-later
  */
 
 'use strict';
 
+const {
+  TRANSITION_DURATION,
+  TRANSITION_TYPES,
+} = require('./core/scene-transitions');
+
 /**
  * Universal configuration schema applied to all scenes
- * These parameters control timing, scheduling, and lifecycle behavior
+ * These parameters control timing, scheduling, transitions and lifecycle behavior
  */
 const UNIVERSAL_CONFIG_SCHEMA = {
   renderInterval: {
@@ -53,6 +58,21 @@ const UNIVERSAL_CONFIG_SCHEMA = {
     default: [0, 1, 2, 3, 4, 5, 6],
     description: 'Active weekdays (0=Sunday, 6=Saturday)',
   },
+  transition: {
+    type: 'string',
+    default: null,
+    enum: TRANSITION_TYPES,
+    description:
+      'Transition when switching to this scene (null = device default); applied by the switch, not passed to the scene',
+  },
+  transitionDuration: {
+    type: 'number',
+    default: TRANSITION_DURATION.DEFAULT,
+    min: TRANSITION_DURATION.MIN,
+    max: TRANSITION_DURATION.MAX,
+    description:
+      'Transition length in milliseconds; applied by the switch, not passed to the scene',
+  },
 };
 
 /**
@@ -0,0 +1,81 @@
+'use strict';
+
+// Bucket upper bounds in ms; the last bucket takes everything slower
+const BUCKET_BOUNDS_MS = [25, 50, 100, 250, 500, 1000, 2500, 5000];
+
+// Percentiles are computed over the most recent samples only
+const WINDOW_SIZE = 200;
+
+/**
+ * Request latency histogram with percentiles over a rolling window
+ *
+ * @example
+ * const latency = new LatencyHistogram();
+ * latency.record(42);
+ * latency.percentile(95); // 42
+ */
+class LatencyHistogram {
+  constructor() {
+    this.counts = new Array(BUCKET_BOUNDS_MS.length + 1).fill(0);
+    this.count = 0;
+    this.maxMs = 0;
+    this.window = [];
+    this.next = 0; // Ring buffer position once the window is full
+  }
+
+  /**
+   * @param {number} ms - Measured latency
+   */
+  record(ms) {
+    const bucket = BUCKET_BOUNDS_MS.findIndex((bound) => ms <= bound);
+    this.counts[bucket < 0 ? BUCKET_BOUNDS_MS.length : bucket]++;
+    this.count++;
+    this.maxMs = Math.max(this.maxMs, ms);
+
+    if (this.window.length < WINDOW_SIZE) {
+      this.window.push(ms);
+    } else {
+      this.window[this.next] = ms;
+      this.next = (this.next + 1) % WINDOW_SIZE;
+    }
+  }
+
+  /**
+   * Number of samples in the rolling window
+   * @returns {number}
+   */
+  get sampleCount() {
+    return this.window.length;
+  }
+
+  /**
+   * @param {number} p - Percentile (0-100)
+   * @returns {number|null} Latency in ms (nearest rank), null without samples
+   */
+  percentile(p) {
+    if (this.window.length === 0) return null;
+    const sorted = [...this.window].sort((a, b) => a - b);
+    const rank = Math.ceil((p / 100) * sorted.length);
+    return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1];
+  }
+
+  /**
+   * @returns {Object} {count, p50, p95, p99, maxMs, buckets: [{maxMs, count}]}
+   *   (maxMs null for the open-ended last bucket)
+   */
+  toJSON() {
+    return {
+      count: this.count,
+      p50: this.percentile(50),
+      p95: this.percentile(95),
+      p99: this.percentile(99),
+      maxMs: this.maxMs,
+      buckets: this.counts.map((count, i) => ({
+        maxMs: BUCKET_BOUNDS_MS[i] ?? null,
+        count,
+      })),
+    };
+  }
+}
+
+module.exports = { LatencyHistogram, BUCKET_BOUNDS_MS };
@@ -0,0 +1,151 @@
+'use strict';
+
+// Minimal mDNS/DNS-SD packet handling (RFC 6762/6763): enough to ask for
+// services and read the A/PTR/SRV/TXT records in the answers.
+
+const MDNS_ADDRESS = '224.0.0.251';
+const MDNS_PORT = 5353;
+
+const RECORD_TYPES = {
+  A: 1,
+  PTR: 12,
+  TXT: 16,
+  SRV: 33,
+};
+
+function encodeName(name) {
+  const parts = name.replace(/\.$/, '').split('.');
+  const bytes = [];
+  for (const part of parts) {
+    const label = Buffer.from(part, 'utf8');
+    bytes.push(label.length, ...label);
+  }
+  bytes.push(0);
+  return Buffer.from(bytes);
+}
+
+/**
+ * Build a query packet asking for the given names
+ * @param {Array<string>} names - e.g. ['_awtrix._tcp.local']
+ * @param {number} [type=RECORD_TYPES.PTR]
+ * @returns {Buffer}
+ */
+function encodeQuery(names, type = RECORD_TYPES.PTR) {
+  const header = Buffer.alloc(12);
+  header.writeUInt16BE(names.length, 4); // QDCOUNT
+  const questions = names.map((name) => {
+    const tail = Buffer.alloc(4);
+    tail.writeUInt16BE(type, 0);
+    tail.writeUInt16BE(1, 2); // class IN
+    return Buffer.concat([encodeName(name), tail]);
+  });
+  return Buffer.concat([header, ...questions]);
+}
+
+/**
+ * Read a (possibly compressed) name
+ * @returns {{name: string, next: number}} Name and offset after it
+ */
+function decodeName(buf, offset) {
+  const labels = [];
+  let next = null;
+  let jumps = 0;
+
+  while (offset < buf.length) {
+    const len = buf[offset];
+    if (len === 0) {
+      offset++;
+      break;
+    }
+    if ((len & 0xc0) === 0xc0) {
+      if (++jumps > 16) throw new Error('mDNS name pointer loop');
+      if (next === null) next = offset + 2;
+      offset = ((len & 0x3f) << 8) | buf[offset + 1];
+      continue;
+    }
+    labels.push(buf.toString('utf8', offset + 1, offset + 1 + len));
+    offset += len + 1;
+  }
+
+  return { name: labels.join('.'), next: next ?? offset };
+}
+
+function decodeTxt(buf, start, end) {
+  const txt = {};
+  let offset = start;
+  while (offset < end) {
+    const len = buf[offset];
+    const entry = buf.toString('utf8', offset + 1, offset + 1 + len);
+    const eq = entry.indexOf('=');
+    if (entry) {
+      txt[eq === -1 ? entry : entry.slice(0, eq)] =
+        eq === -1 ? true : entry.slice(eq + 1);
+    }
+    offset += len + 1;
+  }
+  return txt;
+}
+
+/**
+ * Decode all resource records (answers, authority, additional) of a packet
+ * @param {Buffer} buf - Raw packet
+ * @returns {Array<{name: string, type: number, ttl: number, data: *}>}
+ *   data is an IP (A), a name (PTR), {target, port} (SRV), an object (TXT)
+ *   or the raw Buffer for other types
+ */
+function decodeRecords(buf) {
+  if (buf.length < 12) return [];
+
+  const questions = buf.readUInt16BE(4);
+  const records =
+    buf.readUInt16BE(6) + buf.readUInt16BE(8) + buf.readUInt16BE(10);
+  let offset = 12;
+
+  for (let i = 0; i < questions; i++) {
+    offset = decodeName(buf, offset).next + 4;
+  }
+
+  const result = [];
+  for (let i = 0; i < records && offset + 10 <= buf.length; i++) {
+    const { name, next } = decodeName(buf, offset);
+    const type = buf.readUInt16BE(next);
+    const ttl = buf.readUInt32BE(next + 4);
+    const length = buf.readUInt16BE(next + 8);
+    const start = next + 10;
+    const end = start + length;
+
+    let data;
+    switch (type) {
+      case RECORD_TYPES.A:
+        data = Array.from(buf.subarray(start, start + 4)).join('.');
+        break;
+      case RECORD_TYPES.PTR:
+        data = decodeName(buf, start).name;
+        break;
+      case RECORD_TYPES.SRV:
+        data = {
+          port: buf.readUInt16BE(start + 4),
+          target: decodeName(buf, start + 6).name,
+        };
+        break;
+      case RECORD_TYPES.TXT:
+        data = decodeTxt(buf, start, end);
+        break;
+      default:
+        data = buf.subarray(start, end);
+    }
+
+    result.push({ name, type, ttl, data });
+    offset = end;
+  }
+  return result;
+}
+
+module.exports = {
+  MDNS_ADDRESS,
+  MDNS_PORT,
+  RECORD_TYPES,
+  encodeName,
+  encodeQuery,
+  decodeRecords,
+};
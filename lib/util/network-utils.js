@@ -0,0 +1,39 @@
+'use strict';
+
+const fs = require('fs').promises;
+
+/**
+ * Normalize a MAC address to upper-case, colon-separated form
+ * @param {string} mac - e.g. 'a0b765d5a1b0', 'a0-b7-65-d5-a1-b0'
+ * @returns {string|null} 'A0:B7:65:D5:A1:B0', or null if not a MAC
+ */
+function normalizeMac(mac) {
+  if (typeof mac !== 'string') return null;
+  const hex = mac.replace(/[^0-9a-f]/gi, '');
+  if (hex.length !== 12 || /^0+$/.test(hex)) return null;
+  return hex.toUpperCase().match(/../g).join(':');
+}
+
+/**
+ * IP -> MAC from the kernel ARP cache (Linux only, empty elsewhere)
+ * @returns {Promise<Map<string, string>>}
+ */
+async function readArpTable() {
+  const table = new Map();
+  try {
+    const content = await fs.readFile('/proc/net/arp', 'utf8');
+    for (const line of content.split('\n').slice(1)) {
+      const [ip, , , mac] = line.trim().split(/\s+/);
+      const normalized = normalizeMac(mac);
+      if (normalized) table.set(ip, normalized);
+    }
+  } catch {
+    // No ARP cache available
+  }
+  return table;
+}
+
+module.exports = {
+  normalizeMac,
+  readArpTable,
+};
@@ -0,0 +1,29 @@
+'use strict';
+
+const { PNG } = require('pngjs');
+
+/**
+ * Encode raw RGB bytes (3 per pixel, row-major) as an opaque PNG
+ * @param {number} width
+ * @param {number} height
+ * @param {Uint8Array} rgb
+ * @param {number} [scale=1] - Integer upscale factor (nearest-neighbour)
+ * @returns {Buffer} PNG file contents
+ */
+function encodeRgbPng(width, height, rgb, scale = 1) {
+  const png = new PNG({ width: width * scale, height: height * scale });
+  for (let y = 0; y < png.height; y++) {
+    const srcRow = Math.floor(y / scale) * width;
+    for (let x = 0; x < png.width; x++) {
+      const src = (srcRow + Math.floor(x / scale)) * 3;
+      const dst = (y * png.width + x) * 4;
+      png.data[dst] = rgb[src];
+      png.data[dst + 1] = rgb[src + 1];
+      png.data[dst + 2] = rgb[src + 2];
+      png.data[dst + 3] = 255;
+    }
+  }
+  return PNG.sync.write(png);
+}
+
+module.exports = { encodeRgbPng };
@@ -473,7 +473,7 @@ async function render(context) {
 const description =
   'Displays BMAD sprint progress, workflow stage, and current story status on a 64x64 pixel display with color-coded indicators';
 const category = 'Development';
-const deviceTypes = ['pixoo64'];
+const requirements = { minWidth: 64, minHeight: 64 }; // 64x64 layout
 const tags = ['bmad', 'sprint', 'status', 'development', 'workflow'];
 const sceneType = 'development';
 const author = 'Markus Barta (mba)';
@@ -490,7 +490,7 @@ module.exports = {
   wantsLoop: true,
   description,
   category,
-  deviceTypes,
+  requirements,
   tags,
   sceneType,
   author,
@@ -159,7 +159,7 @@ const wantsLoop = false;
 const description =
   'Advanced charting scene with customizable data visualization. Supports power pricing, temperature monitoring, and random data demos. Features dynamic scaling, configurable update intervals, and professional styling. Accepts MQTT payloads for real-time data updates and mode switching. Perfect for displaying time-series data with smooth animations and clear visual hierarchy.';
 const category = 'Data';
-const deviceTypes = ['pixoo64'];
+const requirements = { minWidth: 64, minHeight: 64 }; // 64x64 layout
 const tags = ['dev', 'chart', 'data'];
 const configSchema = null;
 
@@ -179,7 +179,7 @@ module.exports = {
   wantsLoop,
   description,
   category,
-  deviceTypes,
+  requirements,
   tags,
   configSchema,
   sceneType,
@@ -333,7 +333,7 @@ const wantsLoop = true;
 const description =
   'Demonstrates configuration presets and validation using ConfigValidator. Shows how to use presets, validation, and error handling for scene configurations. Tests various config scenarios including valid/invalid parameters and preset loading.';
 const category = 'Development';
-const deviceTypes = ['pixoo64'];
+const requirements = { minWidth: 64, minHeight: 64 }; // 64x64 layout
 const tags = ['dev', 'config'];
 const configSchema = null;
 
@@ -353,7 +353,7 @@ module.exports = {
   wantsLoop,
   description,
   category,
-  deviceTypes,
+  requirements,
   tags,
   configSchema,
   sceneType,
@@ -290,7 +290,7 @@ const wantsLoop = false;
 const description =
   'Comprehensive demonstration of the Pixoo drawing API capabilities. Tests all major functions including rectangles, lines, text rendering, pixel manipulation, gradients, and alpha blending. Perfect for developers testing API functionality and debugging display issues.';
 const category = 'Development';
-const deviceTypes = ['pixoo64'];
+const requirements = { minWidth: 64, minHeight: 64 }; // 64x64 layout
 const tags = ['dev', 'test'];
 const configSchema = null; // No configurable parameters
 
@@ -310,7 +310,7 @@ module.exports = {
   wantsLoop,
   description,
   category,
-  deviceTypes,
+  requirements,
   tags,
   configSchema,
   sceneType,
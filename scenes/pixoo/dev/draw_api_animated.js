@@ -660,7 +660,7 @@ const wantsLoop = true;
 const description =
   'Animated demonstration of advanced drawing techniques with real-time performance monitoring. Features moving shapes, particle systems, sweeping lines, and smooth animations. Displays live FPS and frametime metrics with color-coded performance indicators. Perfect for testing animation smoothness and rendering performance.';
 const category = 'Development';
-const deviceTypes = ['pixoo64'];
+const requirements = { minWidth: 64, minHeight: 64 }; // 64x64 layout
 const tags = ['dev', 'test', 'animation'];
 const configSchema = null; // No configurable parameters
 
@@ -680,7 +680,7 @@ module.exports = {
   wantsLoop,
   description,
   category,
-  deviceTypes,
+  requirements,
   tags,
   configSchema,
   sceneType,
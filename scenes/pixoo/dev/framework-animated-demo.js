@@ -115,7 +115,7 @@ const wantsLoop = true;
 const description =
   'Demonstrates the AnimatedScene base class with smooth animations, frame counting, and completion handling. Shows proper state management and lifecycle methods for animated scenes.';
 const category = 'Framework';
-const deviceTypes = ['pixoo64'];
+const requirements = { minWidth: 64, minHeight: 64 }; // 64x64 layout
 const tags = ['dev', 'framework', 'animation'];
 const configSchema = {
   frames: {
@@ -143,7 +143,7 @@ module.exports = {
   wantsLoop,
   description,
   category,
-  deviceTypes,
+  requirements,
   tags,
   configSchema,
   sceneType,
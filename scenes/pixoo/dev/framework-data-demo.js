@@ -196,7 +196,7 @@ const wantsLoop = true;
 const description =
   'Demonstrates the DataScene base class with simulated sensor data and configurable refresh intervals. Shows how to handle dynamic data updates and state management in data-driven scenes.';
 const category = 'Framework';
-const deviceTypes = ['pixoo64'];
+const requirements = { minWidth: 64, minHeight: 64 }; // 64x64 layout
 const tags = ['dev', 'framework', 'data'];
 const configSchema = {
   temperature: {
@@ -234,7 +234,7 @@ module.exports = {
   wantsLoop,
   description,
   category,
-  deviceTypes,
+  requirements,
   tags,
   configSchema,
   sceneType,
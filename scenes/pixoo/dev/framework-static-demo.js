@@ -71,7 +71,7 @@ const wantsLoop = false;
 const description =
   "Demonstrates the StaticScene base class - renders once and completes. Shows the simplest scene pattern for static content that doesn't need animation or updates.";
 const category = 'Framework';
-const deviceTypes = ['pixoo64'];
+const requirements = { minWidth: 64, minHeight: 64 }; // 64x64 layout
 const tags = ['dev', 'framework'];
 const configSchema = null;
 
@@ -91,7 +91,7 @@ module.exports = {
   wantsLoop,
   description,
   category,
-  deviceTypes,
+  requirements,
   tags,
   configSchema,
   sceneType,
@@ -1022,7 +1022,7 @@ const wantsLoop = true;
 const description =
   "Showcases advanced graphics capabilities with stunning visual effects. Watch text shadows, bouncing animations, rainbow gradients, and smooth transitions. Cycles through 5 different demo phases every 12 seconds - perfect for admiring the display's rendering power and testing visual quality.";
 const category = 'Development';
-const deviceTypes = ['pixoo64'];
+const requirements = { minWidth: 64, minHeight: 64 }; // 64x64 layout
 const tags = ['dev', 'graphics'];
 const configSchema = null;
 
@@ -1042,7 +1042,7 @@ module.exports = {
   wantsLoop,
   description,
   category,
-  deviceTypes,
+  requirements,
   tags,
   configSchema,
   sceneType,
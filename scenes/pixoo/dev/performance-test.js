@@ -669,7 +669,7 @@ async function render(context) {
 const description =
   'Professional performance benchmarking tool. Runs configurable frame counts (default 100) with real-time FPS and frametime monitoring. Shows progress bars, timing accuracy, and completion status. Supports both adaptive timing and fixed intervals. Essential for testing display performance, measuring latency, and ensuring rendering stability.';
 const category = 'Test';
-const deviceTypes = ['pixoo64'];
+const requirements = { minWidth: 64, minHeight: 64 }; // 64x64 layout
 const tags = ['dev', 'test', 'performance'];
 const configSchema = {
   frames: {
@@ -703,7 +703,7 @@ module.exports = {
   wantsLoop: true,
   description,
   category,
-  deviceTypes,
+  requirements,
   tags,
   configSchema,
   sceneType,
@@ -1441,7 +1441,7 @@ const configSchema = {
 };
 
 // Scene metadata
-const deviceTypes = ['pixoo64'];
+const requirements = { minWidth: 64, minHeight: 64 }; // 64x64 layout
 const tags = ['dev', 'dashboard', 'power'];
 const sceneType = 'dev';
 const author = 'PIDICON Team';
@@ -1458,7 +1458,7 @@ module.exports = {
   wantsLoop,
   description,
   category,
-  deviceTypes,
+  requirements,
   tags,
   configSchema,
   sceneType,
@@ -265,7 +265,7 @@ const wantsLoop = false;
 const description =
   'Static startup scene displaying build information and deployment details. Shows daemon version, git commit hash, and deployment status without updating. Perfect for static deployment verification where time updates are not needed.';
 const category = 'System';
-const deviceTypes = ['pixoo64'];
+const requirements = { minWidth: 64, minHeight: 64 }; // 64x64 layout
 const tags = ['dev'];
 const configSchema = null;
 
@@ -285,7 +285,7 @@ module.exports = {
   wantsLoop,
   description,
   category,
-  deviceTypes,
+  requirements,
   tags,
   configSchema,
   sceneType,
@@ -285,7 +285,7 @@ const wantsLoop = true; // Change to false for static scenes
 
 const description = 'Template scene for creating new scenes';
 const category = 'Development';
-const deviceTypes = ['pixoo64'];
+const requirements = { minWidth: 64, minHeight: 64 }; // 64x64 layout
 const tags = ['dev', 'template'];
 
 const configSchema = {
@@ -329,7 +329,7 @@ module.exports = {
   wantsLoop,
   description,
   category,
-  deviceTypes,
+  requirements,
   tags,
   configSchema,
   sceneType,
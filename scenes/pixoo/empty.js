@@ -38,7 +38,15 @@ const wantsLoop = false;
 const description =
   'Clears the display to complete black. Useful for testing, power saving, or as a base scene for custom implementations. No animation or content - just a clean, dark screen.';
 const category = 'Utility';
-const deviceTypes = ['pixoo64'];
+const deviceTypes = [
+  'pixoo16',
+  'pixoo32',
+  'pixoo64',
+  'pixoo128',
+  'awtrix',
+  'wled',
+  'udp',
+];
 const tags = ['fallback'];
 
 // Scene has no configurable parameters
@@ -43,7 +43,7 @@ const version = '1.0.0';
 const thumbnail = null;
 const isHidden = false;
 const sortOrder = 50;
-const deviceTypes = ['pixoo64'];
+const requirements = { minWidth: 64, minHeight: 64 }; // 64x64 layout
 const tags = ['demo', 'showcase'];
 
 module.exports = {
@@ -59,7 +59,7 @@ module.exports = {
   thumbnail,
   isHidden,
   sortOrder,
-  deviceTypes,
+  requirements,
   tags,
 
   async init(context) {
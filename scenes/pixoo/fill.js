@@ -31,7 +31,7 @@ function init() {
 }
 
 async function render(context) {
-  const { device, publishOk, payload, getState } = context;
+  const { device, publishOk, payload, getState, env } = context;
 
   // Get color from MQTT payload, scene state, or generate random
   const defaultColor = getRandomColor();
@@ -49,7 +49,11 @@ async function render(context) {
 
   // Fill entire screen with the specified color
   try {
-    await device.fillRectangleRgba([0, 0], [64, 64], color);
+    await device.fillRectangleRgba(
+      [0, 0],
+      [env?.width || 64, env?.height || 64],
+      color
+    );
   } catch (err) {
     context.log(`Render error: ${err.message}`, 'error');
     return;
@@ -70,9 +74,17 @@ function cleanup() {
 
 const wantsLoop = false;
 const description =
-  'Fills the entire 64x64 screen with a single solid color. Accepts RGBA color parameter via MQTT payload (e.g., [255,0,0,255] for red). If no color specified, generates a random vibrant color each time. Perfect for testing color accuracy, brightness settings, or creating custom colored backgrounds.';
+  'Fills the entire screen with a single solid color. Accepts RGBA color parameter via MQTT payload (e.g., [255,0,0,255] for red). If no color specified, generates a random vibrant color each time. Perfect for testing color accuracy, brightness settings, or creating custom colored backgrounds.';
 const category = 'Test';
-const deviceTypes = ['pixoo64'];
+const deviceTypes = [
+  'pixoo16',
+  'pixoo32',
+  'pixoo64',
+  'pixoo128',
+  'awtrix',
+  'wled',
+  'udp',
+];
 const tags = ['fallback'];
 
 const configSchema = {
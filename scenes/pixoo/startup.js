@@ -244,7 +244,7 @@ const wantsLoop = true;
 const description =
   'Live startup scene with real-time updates every second. Displays build information, daemon version, git commit hash, and continuously updating current date and time. Perfect for monitoring system status and showing the device is actively running.';
 const category = 'System';
-const deviceTypes = ['pixoo64'];
+const requirements = { minWidth: 64, minHeight: 64 }; // 64x64 layout
 const tags = ['system', 'startup'];
 
 // Scene has no user-configurable parameters (uses system version info)
@@ -266,7 +266,7 @@ module.exports = {
   wantsLoop,
   description,
   category,
-  deviceTypes,
+  requirements,
   tags,
   configSchema,
   sceneType,
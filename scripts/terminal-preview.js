@@ -0,0 +1,160 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Terminal Preview CLI
+ * @description Runs a scene against the terminal preview driver and redraws
+ * each pushed frame in place with ANSI truecolor half blocks. Needs no daemon,
+ * MQTT broker or device: handy over SSH and as a quick loop for scene authors.
+ *
+ * Usage:
+ *   node scripts/terminal-preview.js <scene> [payload-json] [options]
+ *   npm run preview -- fill '{"color":[255,0,0,255]}'
+ *
+ * @author Markus Barta (mba) with assistance from Cursor AI
+ * @license GPL-3.0-or-later
+ */
+
+'use strict';
+
+// Log lines would scroll the frame away (set before the modules log on load)
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const path = require('path');
+const { parseArgs } = require('util');
+
+const { DEVICE_TYPES } = require('../lib/core/constants');
+const { getDeviceProfile } = require('../lib/core/device-capabilities');
+const {
+  getContext,
+  getDevice,
+  registerDevicesFromConfig,
+  setDriverFactory,
+} = require('../lib/device-adapter');
+const TerminalDriver = require('../lib/drivers/terminal/terminal-driver');
+const logger = require('../lib/logger');
+const { SceneRegistration } = require('../lib/scene-loader');
+const SceneManager = require('../lib/scene-manager');
+const StateStore = require('../lib/state-store');
+
+const HOST = 'terminal'; // Device key of the preview
+
+const USAGE = `Usage: node scripts/terminal-preview.js <scene> [payload-json] [options]
+
+Options:
+  --type <deviceType>   Device type to emulate (default: ${DEVICE_TYPES.PIXOO64})
+  --scenes <dir>        Also load user scenes (default: $PIDICON_SCENES_PATH)
+  --duration <seconds>  Stop after this many seconds (default: until Ctrl+C)
+  --no-status           Hide the status line below the frame
+  --list                List the available scenes and exit
+  -h, --help            Show this help
+
+Log output is limited to errors unless LOG_LEVEL is set.`;
+
+function fail(message) {
+  console.error(`${message}\n\n${USAGE}`);
+  process.exit(1);
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      type: { type: 'string', default: DEVICE_TYPES.PIXOO64 },
+      scenes: { type: 'string' },
+      duration: { type: 'string' },
+      'no-status': { type: 'boolean', default: false },
+      list: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  // In-memory only: the preview must not touch the daemon's runtime state
+  const stateStore = new StateStore({ logger });
+  stateStore.disablePersistence();
+  const sceneManager = new SceneManager({ logger, stateStore });
+  SceneRegistration.registerFromStructure(
+    sceneManager,
+    path.join(__dirname, '..', 'scenes'),
+    values.scenes || process.env.PIDICON_SCENES_PATH || null,
+    true
+  );
+
+  if (values.list) {
+    console.log(sceneManager.getRegisteredScenes().sort().join('\n'));
+    return;
+  }
+
+  const [sceneName, payloadJson] = positionals;
+  if (!sceneName) fail('Missing scene name');
+  const scene = sceneManager.getScene(sceneName);
+  if (!scene) fail(`Unknown scene: ${sceneName} (see --list)`);
+  if (!getDeviceProfile(values.type)) {
+    fail(`Unknown device type: ${values.type}`);
+  }
+  if (Array.isArray(scene.deviceTypes)) {
+    if (!scene.deviceTypes.includes(values.type)) {
+      logger.warn(`Scene ${sceneName} does not list ${values.type}`);
+    }
+  }
+
+  let payload = {};
+  try {
+    payload = payloadJson ? JSON.parse(payloadJson) : {};
+  } catch (error) {
+    fail(`Invalid payload JSON: ${error.message}`);
+  }
+
+  const duration = values.duration ? Number(values.duration) : null;
+  if (duration !== null && !(duration > 0)) {
+    fail('--duration must be a positive number of seconds');
+  }
+
+  registerDevicesFromConfig([
+    { ip: HOST, deviceType: values.type, driver: 'mock' },
+  ]);
+  setDriverFactory(
+    HOST,
+    (host, options) =>
+      new TerminalDriver(host, { ...options, statusLine: !values['no-status'] })
+  );
+
+  const state = { scene: sceneName, ...payload };
+  const context = getContext(HOST, sceneName, state, () => {}, scene);
+  context.payload = state;
+  context.sceneConfig = state;
+
+  let stopping = false;
+  const stop = async (code = 0) => {
+    if (stopping) return;
+    stopping = true;
+    sceneManager.stopScene(HOST);
+    await getDevice(HOST).impl.close();
+    process.exit(code);
+  };
+
+  process.on('SIGINT', () => stop(0));
+  process.on('SIGTERM', () => stop(0));
+  if (duration !== null) {
+    setTimeout(() => stop(0), duration * 1000);
+  }
+
+  const ok = await sceneManager.switchScene(sceneName, context);
+  if (!ok) {
+    await getDevice(HOST).impl.close();
+    fail(`Scene ${sceneName} failed to start`);
+  }
+
+  // Keep the last frame on screen until Ctrl+C, also after the scene is done
+  if (duration === null) {
+    setInterval(() => {}, 60 * 1000);
+  }
+}
+
+main().catch((error) => {
+  console.error(`Terminal preview failed: ${error.message}`);
+  process.exit(1);
+});
@@ -248,6 +248,65 @@ describe('Command Handlers - Integration Tests', () => {
       const okLogs = logger.logs.filter((l) => l.level === 'ok');
       assert.ok(okLogs.some((l) => l.msg.includes('Cleared screen')));
     });
+
+    it('should pass the transition to the switch, not to the scene', async () => {
+      const contextStates = [];
+      const deviceConfigs = {
+        '192.168.1.100': {
+          transition: { type: 'crossfade', duration: 600 },
+          getSceneDefaults: (sceneName) =>
+            sceneName === 'test-scene' ? { transitionDuration: 1200 } : null,
+        },
+      };
+      const handler = new StateCommandHandler({
+        logger,
+        mqttService,
+        deviceDefaults,
+        lastState,
+        sceneManager,
+        deviceConfigStore: { getDevice: (ip) => deviceConfigs[ip] || null },
+        getContext: (deviceIp, sceneName, state) => {
+          contextStates.push(state);
+          return { deviceIp, env: { host: deviceIp } };
+        },
+        publishMetrics: () => {},
+        getDevice: () => ({ clear: async () => {} }),
+        getDriverForDevice: () => 'mock',
+        versionInfo: {
+          version: '2.0.0',
+          buildNumber: 478,
+          gitCommit: 'd8328a6',
+        },
+      });
+
+      // Payload wins over the scene overrides and the device transition
+      await handler.handle('192.168.1.100', 'upd', {
+        scene: 'test-scene',
+        transition: 'slide',
+        level: 2,
+      });
+      // Device transition with the scene override duration
+      await handler.handle('192.168.1.100', 'upd', { scene: 'test-scene' });
+      // No device config: no transition
+      await handler.handle('192.168.1.101', 'upd', { scene: 'test-scene' });
+
+      assert.deepStrictEqual(
+        switchSceneCalls.map((call) => call.context.transition),
+        [
+          { type: 'slide', duration: 1200 },
+          { type: 'crossfade', duration: 1200 },
+          null,
+        ],
+      );
+      assert.deepStrictEqual(contextStates[0], {
+        scene: 'test-scene',
+        level: 2,
+      });
+      assert.deepStrictEqual(switchSceneCalls[0].context.payload, {
+        scene: 'test-scene',
+        level: 2,
+      });
+    });
   });
 
   describe('SceneCommandHandler - Full Integration', () => {
@@ -0,0 +1,310 @@
+/**
+ * @fileoverview Tests for the AWTRIX driver
+ * @description Verifies the MQTT transport (commands on <prefix>/... topics,
+ * health from the stats topic) and framebuffer rendering via draw commands
+ * @author Markus Barta (mba) with assistance from Cursor AI
+ */
+
+'use strict';
+
+const assert = require('node:assert');
+const { describe, it, beforeEach } = require('node:test');
+
+const { DeviceConfig } = require('../../lib/device-config-store');
+const AwtrixDriver = require('../../lib/drivers/awtrix/awtrix-driver');
+const AWTRIX_CONSTANTS = require('../../lib/drivers/awtrix/constants');
+const {
+  encodeDrawCommands,
+  encodeFrame,
+} = require('../../lib/drivers/awtrix/draw-encoder');
+const MqttService = require('../../lib/mqtt-service');
+
+const silentLogger = {
+  ok: () => {},
+  info: () => {},
+  warn: () => {},
+  error: () => {},
+  debug: () => {},
+};
+
+/**
+ * MqttService with a fake connected client that records publishes
+ */
+function createConnectedService() {
+  const service = new MqttService({ logger: silentLogger });
+  service.published = [];
+  service.subscribed = [];
+  service.client = {
+    publish: (topic, message, _options, callback) => {
+      service.published.push({ topic, message });
+      callback(null);
+    },
+    subscribe: (topics, _options, callback) => {
+      service.subscribed.push(...topics);
+      callback(null);
+    },
+    unsubscribe: (_topics, callback) => callback(null),
+  };
+  service.connected = true;
+  return service;
+}
+
+describe('AwtrixDriver MQTT transport', () => {
+  let mqttService;
+  let driver;
+
+  beforeEach(async () => {
+    mqttService = createConnectedService();
+    driver = new AwtrixDriver('10.0.0.20', {
+      logger: silentLogger,
+      transport: 'mqtt',
+      mqttPrefix: 'awtrix_abc123',
+      mqttService,
+    });
+    await driver.initialize();
+  });
+
+  it('should require a prefix for the MQTT transport', () => {
+    assert.throws(
+      () => new AwtrixDriver('10.0.0.20', { transport: 'mqtt' }),
+      /mqttPrefix/
+    );
+  });
+
+  it('should subscribe to the stats topic on initialize', () => {
+    assert.strictEqual(driver.initialized, true);
+    assert.deepStrictEqual(mqttService.subscribed, ['awtrix_abc123/stats']);
+  });
+
+  it('should publish commands to prefixed topics', async () => {
+    await driver.drawCustom('clock', { text: '12:00' });
+    await driver.showNotification({ text: 'Hi' });
+    await driver.setBrightness(100);
+    await driver.setDisplayPower(false);
+    await driver.playRTTTL('beep:d=4,o=5,b=100:c');
+    await driver.reboot();
+
+    assert.deepStrictEqual(
+      mqttService.published.map((p) => [p.topic, p.message]),
+      [
+        ['awtrix_abc123/custom/clock', '{"text":"12:00"}'],
+        ['awtrix_abc123/switch', '{"name":"clock"}'],
+        ['awtrix_abc123/notify', '{"text":"Hi"}'],
+        ['awtrix_abc123/settings', '{"BRI":255}'],
+        ['awtrix_abc123/power', '{"power":false}'],
+        ['awtrix_abc123/rtttl', 'beep:d=4,o=5,b=100:c'],
+        ['awtrix_abc123/reboot', ''],
+      ]
+    );
+  });
+
+  it('should report failure when the broker is offline', async () => {
+    mqttService.connected = false;
+
+    assert.strictEqual(await driver.showNotification({ text: 'Hi' }), false);
+  });
+
+  it('should take health from the stats topic', async () => {
+    const before = await driver.healthCheck();
+    assert.strictEqual(before.success, false);
+
+    await mqttService._handleMessage(
+      'awtrix_abc123/stats',
+      Buffer.from(JSON.stringify({ bat: 87, lux: 12 }))
+    );
+
+    const after = await driver.healthCheck();
+    assert.strictEqual(after.success, true);
+    assert.deepStrictEqual(await driver.getHardwareInfo(), {
+      batteryLevel: 87,
+      lux: 12,
+    });
+  });
+
+  it('should fail health when stats stop arriving', async () => {
+    await mqttService._handleMessage(
+      'awtrix_abc123/stats',
+      Buffer.from('{"bat":50}')
+    );
+    driver.stats.lastUpdate -= AWTRIX_CONSTANTS.MQTT_STATS_TIMEOUT_MS + 1000;
+
+    const result = await driver.healthCheck();
+
+    assert.strictEqual(result.success, false);
+    assert.match(result.error, /No stats/);
+  });
+
+  it('should stop receiving stats after close()', async () => {
+    await driver.close();
+
+    assert.strictEqual(mqttService.topicHandlers.size, 0);
+  });
+});
+
+describe('MqttService topic subscriptions', () => {
+  it('should re-subscribe topics after reconnecting', () => {
+    const service = createConnectedService();
+    service.connected = false;
+
+    service.subscribeTopic('awtrix_x/stats', () => {});
+    assert.deepStrictEqual(service.subscribed, []);
+
+    service.connected = true;
+    service._resubscribeTopics();
+
+    assert.deepStrictEqual(service.subscribed, ['awtrix_x/stats']);
+  });
+
+  it('should not route exact-topic messages to section handlers', async () => {
+    const service = createConnectedService();
+    const received = [];
+    service.registerHandler('stats', () => received.push('section'));
+    await service.subscribeTopic('awtrix_x/stats', (payload) =>
+      received.push(payload)
+    );
+
+    await service._handleMessage('awtrix_x/stats', Buffer.from('plain'));
+
+    assert.deepStrictEqual(received, ['plain']);
+  });
+});
+
+describe('AWTRIX device config validation', () => {
+  it('should require a prefix when the MQTT transport is selected', () => {
+    const config = new DeviceConfig({
+      ip: '10.0.0.20',
+      deviceType: 'awtrix',
+      options: { transport: 'mqtt' },
+    });
+
+    const { valid, errors } = config.validate();
+
+    assert.strictEqual(valid, false);
+    assert.match(errors[0], /mqttPrefix/);
+  });
+});
+
+describe('AWTRIX draw encoder', () => {
+  function frameOf(width, height, paint) {
+    const buf = new Uint8Array(width * height * 3);
+    paint((x, y, [r, g, b]) => buf.set([r, g, b], (y * width + x) * 3));
+    return { width, height, buf };
+  }
+
+  it('should merge runs into df/dl/dp commands', () => {
+    const frame = frameOf(8, 4, (set) => {
+      for (let y = 0; y < 2; y++) {
+        for (let x = 0; x < 3; x++) set(x, y, [255, 0, 0]);
+      }
+      for (let x = 4; x < 8; x++) set(x, 3, [0, 255, 0]);
+      set(6, 0, [0, 0, 255]);
+    });
+
+    assert.deepStrictEqual(encodeDrawCommands(frame), [
+      { df: [0, 0, 3, 2, '#FF0000'] },
+      { dp: [6, 0, '#0000FF'] },
+      { dl: [4, 3, 7, 3, '#00FF00'] },
+    ]);
+  });
+
+  it('should paint a non-black background with one full-screen fill', () => {
+    const frame = frameOf(4, 2, (set) => {
+      for (let y = 0; y < 2; y++) {
+        for (let x = 0; x < 4; x++) set(x, y, [9, 9, 9]);
+      }
+      set(1, 1, [0, 0, 0]);
+    });
+
+    assert.deepStrictEqual(encodeDrawCommands(frame), [
+      { df: [0, 0, 4, 2, '#090909'] },
+      { dp: [1, 1, '#000000'] },
+    ]);
+  });
+
+  it('should fall back to a bitmap for noisy frames', () => {
+    const frame = frameOf(32, 8, (set) => {
+      for (let y = 0; y < 8; y++) {
+        for (let x = 0; x < 32; x++) set(x, y, [x * 8, y * 32, 7]);
+      }
+    });
+
+    const { draw, mode } = encodeFrame(frame);
+
+    assert.strictEqual(mode, 'bitmap');
+    assert.deepStrictEqual(draw[0].db.slice(0, 4), [0, 0, 32, 8]);
+    assert.strictEqual(draw[0].db[4].length, 256);
+  });
+});
+
+describe('AwtrixDriver framebuffer mode', () => {
+  let mqttService;
+  let driver;
+
+  beforeEach(async () => {
+    mqttService = createConnectedService();
+    driver = new AwtrixDriver('10.0.0.21', {
+      logger: silentLogger,
+      transport: 'mqtt',
+      mqttPrefix: 'awtrix_fb',
+      mqttService,
+    });
+    await driver.initialize();
+  });
+
+  function publishedTopics() {
+    return mqttService.published.map((p) => p.topic);
+  }
+
+  it('should send drawn pixels to the custom app on push', async () => {
+    await driver.fillRectangleRgba([0, 0], [32, 8], [0, 0, 0, 255]);
+    await driver.drawTextRgbaAligned('1', [0, 0], [255, 255, 255, 255]);
+
+    assert.strictEqual(await driver.push(), true);
+
+    assert.deepStrictEqual(publishedTopics(), [
+      'awtrix_fb/custom/pidicon_main',
+      'awtrix_fb/switch',
+    ]);
+    const { draw } = JSON.parse(mqttService.published[0].message);
+    assert.ok(draw.length > 0);
+    assert.ok(draw.every((cmd) => cmd.df || cmd.dl || cmd.dp));
+  });
+
+  it('should skip unchanged frames and not switch apps again', async () => {
+    await driver.drawPixelRgba([3, 3], [255, 0, 0, 255]);
+    await driver.push();
+    await driver.clear();
+    await driver.drawPixelRgba([3, 3], [255, 0, 0, 255]);
+
+    assert.strictEqual(await driver.push(), false);
+    await driver.drawPixelRgba([4, 3], [255, 0, 0, 255]);
+    assert.strictEqual(await driver.push(), true);
+
+    assert.deepStrictEqual(publishedTopics(), [
+      'awtrix_fb/custom/pidicon_main',
+      'awtrix_fb/switch',
+      'awtrix_fb/custom/pidicon_main',
+    ]);
+  });
+
+  it('should not send anything when only custom apps were used', async () => {
+    await driver.drawCustom('clock', { text: '12:00' });
+    mqttService.published = [];
+
+    assert.strictEqual(await driver.push(), false);
+    assert.strictEqual(mqttService.published.length, 0);
+  });
+
+  it('should remove the app on clear() once drawCustom() took over', async () => {
+    await driver.drawPixelRgba([0, 0], [255, 0, 0, 255]);
+    await driver.push();
+    await driver.drawCustom('pidicon_main', { text: 'Hi' });
+    mqttService.published = [];
+
+    await driver.clear();
+
+    assert.deepStrictEqual(mqttService.published, [
+      { topic: 'awtrix_fb/custom/pidicon_main', message: '{}' },
+    ]);
+  });
+});
@@ -0,0 +1,214 @@
+/**
+ * @fileoverview Tests for the per-device command queue
+ * @description Serialization, frame coalescing, control priority, the maxFps
+ * limit, nested calls and the queue metrics reported by DeviceService
+ * @author Markus Barta (mba) with assistance from Cursor AI
+ */
+
+'use strict';
+
+const assert = require('node:assert');
+const { describe, it } = require('node:test');
+
+const {
+  CommandQueue,
+  SUPERSEDED,
+  getCommandQueue,
+} = require('../../lib/core/command-queue');
+const DeviceService = require('../../lib/services/device-service');
+
+const silentLogger = {
+  ok: () => {},
+  info: () => {},
+  warn: () => {},
+  error: () => {},
+  debug: () => {},
+};
+
+/**
+ * Task that only finishes once release() is called
+ */
+function blockingTask() {
+  let release;
+  const done = new Promise((resolve) => (release = resolve));
+  return { task: () => done.then(() => 'blocked'), release };
+}
+
+describe('CommandQueue', () => {
+  it('should run one command at a time', async () => {
+    const queue = new CommandQueue('10.0.5.1');
+    let running = 0;
+    let maxRunning = 0;
+    const task = async () => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      running--;
+      return 'ok';
+    };
+
+    const results = await Promise.all([
+      queue.run(task),
+      queue.run(task),
+      queue.run(task),
+    ]);
+
+    assert.deepStrictEqual(results, ['ok', 'ok', 'ok']);
+    assert.strictEqual(maxRunning, 1);
+  });
+
+  it('should only send the newest pending frame', async () => {
+    const queue = new CommandQueue('10.0.5.2');
+    const sent = [];
+    const frame = (id) => () => {
+      sent.push(id);
+      return true;
+    };
+    const blocker = blockingTask();
+
+    const busy = queue.run(blocker.task);
+    const results = [1, 2, 3].map((id) =>
+      queue.run(frame(id), { priority: 'frame', coalesce: true })
+    );
+    blocker.release();
+    await busy;
+
+    assert.deepStrictEqual(await Promise.all(results), [
+      SUPERSEDED,
+      SUPERSEDED,
+      true,
+    ]);
+    assert.deepStrictEqual(sent, [3]);
+    assert.strictEqual(queue.getMetrics().dropped, 2);
+  });
+
+  it('should not move a frame past an animation queued after it', async () => {
+    const queue = new CommandQueue('10.0.5.3');
+    const sent = [];
+    const blocker = blockingTask();
+
+    const busy = queue.run(blocker.task);
+    const pending = [
+      queue.run(() => sent.push('frame 1'), {
+        priority: 'frame',
+        coalesce: true,
+      }),
+      queue.run(() => sent.push('animation'), { priority: 'frame' }),
+      queue.run(() => sent.push('frame 2'), {
+        priority: 'frame',
+        coalesce: true,
+      }),
+    ];
+    blocker.release();
+    await Promise.all([busy, ...pending]);
+
+    assert.deepStrictEqual(sent, ['frame 1', 'animation', 'frame 2']);
+  });
+
+  it('should run control commands ahead of waiting frames', async () => {
+    const queue = new CommandQueue('10.0.5.4');
+    const sent = [];
+    const blocker = blockingTask();
+
+    const busy = queue.run(blocker.task);
+    const pending = [
+      queue.run(() => sent.push('frame'), { priority: 'frame' }),
+      queue.run(() => sent.push('health'), { priority: 'request' }),
+      queue.run(() => sent.push('brightness'), { priority: 'control' }),
+    ];
+    blocker.release();
+    await Promise.all([busy, ...pending]);
+
+    assert.deepStrictEqual(sent, ['brightness', 'health', 'frame']);
+  });
+
+  it('should space frames by the maxFps limit', async () => {
+    const queue = new CommandQueue('10.0.5.5', { maxFps: 20 });
+    const startedAt = [];
+    const frame = () => startedAt.push(Date.now());
+
+    await queue.run(frame, { priority: 'frame' });
+    await queue.run(frame, { priority: 'frame' });
+
+    assert.ok(
+      startedAt[1] - startedAt[0] >= 45,
+      `frames ${startedAt[1] - startedAt[0]}ms apart`
+    );
+  });
+
+  it('should let nested calls of the running command pass through', async () => {
+    const queue = new CommandQueue('10.0.5.6');
+
+    const result = await queue.run(async () => {
+      const first = await queue.run(async () => 1);
+      const second = await queue.run(async () => 2, { priority: 'control' });
+      return first + second;
+    });
+
+    assert.strictEqual(result, 3);
+    assert.strictEqual(queue.getMetrics().processed, 1);
+  });
+
+  it('should reject with the error of a failed command and continue', async () => {
+    const queue = new CommandQueue('10.0.5.7');
+
+    await assert.rejects(
+      queue.run(async () => {
+        throw new Error('HTTP timeout');
+      }),
+      /HTTP timeout/
+    );
+    assert.strictEqual(await queue.run(async () => 'next'), 'next');
+    assert.throws(() => queue.run(() => {}, { priority: 'urgent' }), {
+      message: 'Unknown command priority: urgent',
+    });
+  });
+
+  it('should report depth and wait times', async () => {
+    const queue = new CommandQueue('10.0.5.8', { maxFps: 5 });
+    const blocker = blockingTask();
+
+    const busy = queue.run(blocker.task);
+    const waiting = queue.run(async () => true);
+    assert.strictEqual(queue.getMetrics().depth, 1);
+
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    blocker.release();
+    await Promise.all([busy, waiting]);
+
+    const metrics = queue.getMetrics();
+    assert.strictEqual(metrics.depth, 0);
+    assert.strictEqual(metrics.maxDepth, 1);
+    assert.strictEqual(metrics.processed, 2);
+    assert.strictEqual(metrics.maxFps, 5);
+    assert.ok(metrics.maxWaitMs >= 15, `waited ${metrics.maxWaitMs}ms`);
+  });
+});
+
+describe('getCommandQueue() and device metrics', () => {
+  it('should share one queue per host and expose it in the metrics', async () => {
+    const queue = getCommandQueue('10.0.5.9', { maxFps: 10 });
+    assert.strictEqual(getCommandQueue('10.0.5.9'), queue);
+    await queue.run(async () => true);
+
+    const service = new DeviceService({
+      logger: silentLogger,
+      deviceAdapter: {
+        getDevice: () => ({
+          getMetrics: () => ({ pushes: 1, lastFrametime: 100 }),
+        }),
+      },
+      sceneManager: {},
+      stateStore: {},
+      softReset: async () => true,
+    });
+
+    const metrics = await service.getDeviceMetrics('10.0.5.9');
+    assert.strictEqual(metrics.queue.processed, 1);
+    assert.strictEqual(metrics.queue.maxFps, 10);
+    assert.strictEqual(
+      (await service.getDeviceMetrics('10.0.5.10')).queue,
+      null
+    );
+  });
+});
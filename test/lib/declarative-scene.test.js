@@ -0,0 +1,378 @@
+/**
+ * @fileoverview Tests for declarative (JSON/YAML) scenes
+ * @description Expression bindings, definition validation, generated config
+ * schema, widget rendering on a mock device and loading through the scene
+ * loader
+ * @author Markus Barta (mba) with assistance from Cursor AI
+ */
+
+'use strict';
+
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { describe, it, before, after, afterEach } = require('node:test');
+
+const {
+  createDeclarativeScene,
+  formatClock,
+  loadDeclarativeScene,
+  parseColor,
+} = require('../../lib/declarative-scene');
+const deviceAdapter = require('../../lib/device-adapter');
+const { ValidationError } = require('../../lib/errors');
+const {
+  collectBindings,
+  compileTemplate,
+} = require('../../lib/scene-expression');
+const { SceneLoader } = require('../../lib/scene-loader');
+
+const silentLogger = {
+  debug: () => {},
+  info: () => {},
+  warn: () => {},
+  error: () => {},
+};
+
+const host = '10.0.3.1';
+
+function renderContext(payload = {}) {
+  return {
+    ...deviceAdapter.getContext(host, 'declarative', {}),
+    payload,
+    log: silentLogger.debug,
+  };
+}
+
+function pixelAt(x, y) {
+  const { buf } = deviceAdapter.getDevice(host).getFrame();
+  const i = (y * 64 + x) * 3;
+  return [buf[i], buf[i + 1], buf[i + 2]];
+}
+
+describe('Declarative Scenes', () => {
+  describe('expressions', () => {
+    const scope = {
+      temperature: 21.46,
+      history: [1, 2, 3],
+      sensors: { outdoor: [{ label: 'garden' }] },
+      empty: null,
+    };
+
+    it('should keep the value type for a single expression', () => {
+      assert.deepStrictEqual(
+        compileTemplate('{{ history }}')(scope),
+        [1, 2, 3]
+      );
+      assert.strictEqual(
+        compileTemplate('{{ temperature | round(1) }}')(scope),
+        21.5
+      );
+    });
+
+    it('should interpolate mixed text and apply filters', () => {
+      assert.strictEqual(
+        compileTemplate(
+          '{{ sensors.outdoor[0].label | upper }}: {{ temperature | fixed(0) }}C'
+        )(scope),
+        'GARDEN: 21C'
+      );
+      assert.strictEqual(
+        compileTemplate('{{ empty | default("--") }}')(scope),
+        '--'
+      );
+      assert.strictEqual(compileTemplate('{{ missing }}!')(scope), '!');
+      assert.strictEqual(compileTemplate(42)(scope), 42);
+    });
+
+    it('should reject unknown filters and malformed expressions', () => {
+      assert.throws(() => compileTemplate('{{ temperature | eval }}'), {
+        message: /unknown filter "eval"/,
+      });
+      assert.throws(() => compileTemplate('{{ a + b }}'), /Invalid expression/);
+      assert.throws(() => compileTemplate('{{ }}'), /Invalid expression/);
+    });
+
+    it('should collect the root fields of bindings', () => {
+      assert.deepStrictEqual(
+        collectBindings(
+          '{{ sensors.outdoor[0].label }} {{ temperature }} {{ 3 }}'
+        ),
+        ['sensors', 'temperature']
+      );
+    });
+  });
+
+  describe('definitions', () => {
+    it('should parse hex and array colors', () => {
+      assert.deepStrictEqual(parseColor('#ff8000'), [255, 128, 0, 255]);
+      assert.deepStrictEqual(parseColor('#f00'), [255, 0, 0, 255]);
+      assert.deepStrictEqual(parseColor([1, 2, 3]), [1, 2, 3, 255]);
+      assert.strictEqual(parseColor('nope', null), null);
+    });
+
+    it('should format clock tokens', () => {
+      const date = new Date(2026, 0, 5, 7, 8, 9);
+      assert.strictEqual(formatClock(date, 'HH:mm:ss'), '07:08:09');
+      assert.strictEqual(formatClock(date, 'dd.MM.yyyy'), '05.01.2026');
+    });
+
+    it('should reject invalid definitions', () => {
+      assert.throws(
+        () => createDeclarativeScene({ name: 'x', widgets: [] }),
+        ValidationError
+      );
+      assert.throws(
+        () =>
+          createDeclarativeScene({ name: 'x', widgets: [{ type: 'video' }] }),
+        /widgets\[0\]\.type/
+      );
+      assert.throws(
+        () =>
+          createDeclarativeScene({
+            name: 'x',
+            widgets: [{ type: 'text', text: '{{ a | nope }}' }],
+          }),
+        /widgets\[0\]\.text/
+      );
+      assert.throws(
+        () => createDeclarativeScene({ widgets: [{ type: 'rect' }] }),
+        /needs a name/
+      );
+    });
+
+    it('should build the config schema from params and bindings', () => {
+      const scene = createDeclarativeScene({
+        name: 'schema',
+        params: { temperature: { type: 'number', default: 20 }, label: 'Hi' },
+        widgets: [
+          { type: 'number', value: '{{ temperature }}' },
+          { type: 'text', text: '{{ label }} {{ city }}' },
+          { type: 'sparkline', values: '{{ history }}' },
+        ],
+      });
+
+      assert.deepStrictEqual(Object.keys(scene.configSchema), [
+        'temperature',
+        'label',
+        'city',
+        'history',
+      ]);
+      assert.strictEqual(scene.configSchema.temperature.default, 20);
+      assert.deepStrictEqual(scene.configSchema.label, {
+        type: 'string',
+        default: 'Hi',
+      });
+      assert.strictEqual(scene.configSchema.history.type, 'array');
+      assert.strictEqual(scene.wantsLoop, false);
+      assert.ok(scene.tags.includes('declarative'));
+    });
+  });
+
+  describe('rendering', () => {
+    afterEach(() => {
+      deviceAdapter.devices.clear();
+    });
+
+    it('should draw widgets with payload values over defaults', async () => {
+      const scene = createDeclarativeScene({
+        name: 'bars',
+        background: '#000000',
+        params: { level: { type: 'number', default: 0 } },
+        widgets: [
+          {
+            type: 'bar',
+            value: '{{ level }}',
+            x: 0,
+            y: 0,
+            width: 10,
+            height: 2,
+            color: '#00ff00',
+            background: '#400000',
+          },
+          { type: 'rect', x: 0, y: 10, width: 4, height: 4, color: '#0000ff' },
+          {
+            type: 'rect',
+            x: 20,
+            y: 10,
+            width: 4,
+            height: 4,
+            color: '#ff0000',
+            visible: '{{ alert | default(false) }}',
+          },
+        ],
+      });
+
+      const result = await scene.render(renderContext({ level: 50 }));
+
+      assert.strictEqual(result, null);
+      assert.deepStrictEqual(pixelAt(4, 1), [0, 255, 0]);
+      assert.deepStrictEqual(pixelAt(5, 1), [64, 0, 0]);
+      assert.deepStrictEqual(pixelAt(2, 12), [0, 0, 255]);
+      assert.deepStrictEqual(pixelAt(21, 11), [0, 0, 0]);
+      assert.strictEqual(
+        deviceAdapter.getDevice(host).getFrameHistory().length,
+        1
+      );
+    });
+
+    it('should draw icons, sparklines and text', async () => {
+      const scene = createDeclarativeScene({
+        name: 'mixed',
+        widgets: [
+          { type: 'icon', icon: 'heart', x: 0, y: 0, color: '#ff0000' },
+          {
+            type: 'sparkline',
+            values: '{{ history }}',
+            x: 0,
+            y: 20,
+            width: 3,
+            height: 3,
+            color: '#ffffff',
+          },
+          { type: 'text', text: '{{ label }}', x: 0, y: 40, color: '#ffffff' },
+        ],
+      });
+
+      await scene.render(renderContext({ history: [0, 1, 2], label: 'OK' }));
+
+      assert.deepStrictEqual(pixelAt(1, 0), [255, 0, 0]);
+      assert.deepStrictEqual(pixelAt(0, 0), [0, 0, 0]);
+      // Rising line from bottom-left to top-right
+      assert.deepStrictEqual(pixelAt(0, 22), [255, 255, 255]);
+      assert.deepStrictEqual(pixelAt(2, 20), [255, 255, 255]);
+      const { buf } = deviceAdapter.getDevice(host).getFrame();
+      const textRows = buf.subarray(40 * 64 * 3, 46 * 64 * 3);
+      assert.ok(
+        textRows.some((v) => v > 0),
+        'text drawn'
+      );
+    });
+
+    it('should only draw images from inside the scene directory', async () => {
+      const root = fs.mkdtempSync(path.join(os.tmpdir(), 'pidicon-image-'));
+      const sceneDir = path.join(root, 'scenes');
+      fs.mkdirSync(sceneDir);
+      const png = path.resolve(__dirname, '../../scenes/media/unit-kwh.png');
+      fs.copyFileSync(png, path.join(sceneDir, 'inside.png'));
+      fs.copyFileSync(png, path.join(root, 'outside.png'));
+      const warnings = [];
+      const scene = createDeclarativeScene(
+        {
+          name: 'picture',
+          widgets: [{ type: 'image', src: '{{ file }}', x: 0, y: 0 }],
+        },
+        { baseDir: sceneDir }
+      );
+      const context = (file) => ({
+        ...renderContext({ file }),
+        log: (message, level) => level === 'warning' && warnings.push(message),
+      });
+
+      try {
+        for (const file of [
+          '../outside.png',
+          path.join(root, 'outside.png'),
+          '.',
+        ]) {
+          await scene.render(context(file));
+        }
+        await scene.render(context('inside.png'));
+      } finally {
+        fs.rmSync(root, { recursive: true, force: true });
+      }
+
+      assert.strictEqual(warnings.length, 3);
+      assert.ok(warnings.every((w) => /outside the scene directory/.test(w)));
+      const { buf } = deviceAdapter.getDevice(host).getFrame();
+      assert.ok(
+        buf.some((v) => v > 0),
+        'image inside the directory drawn'
+      );
+    });
+
+    it('should loop every second for clocks', async () => {
+      const scene = createDeclarativeScene(
+        {
+          name: 'clock',
+          widgets: [{ type: 'clock', format: 'HH:mm', x: 0, y: 0 }],
+        },
+        { now: () => new Date(2026, 0, 1, 12, 34) }
+      );
+
+      assert.strictEqual(scene.wantsLoop, true);
+      assert.strictEqual(await scene.render(renderContext()), 1000);
+    });
+  });
+
+  describe('loading', () => {
+    let dir;
+
+    before(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pidicon-declarative-'));
+      fs.mkdirSync(path.join(dir, 'pixoo'));
+      fs.writeFileSync(
+        path.join(dir, 'pixoo', 'status.scene.yaml'),
+        [
+          'description: Status tile',
+          'refresh: 5000',
+          'params:',
+          '  label: { type: string, default: Home }',
+          'widgets:',
+          "  - { type: text, text: '{{ label }}', x: 0, y: 0 }",
+        ].join('\n')
+      );
+      fs.writeFileSync(
+        path.join(dir, 'pixoo', 'meter.scene.json'),
+        JSON.stringify({
+          name: 'power_meter',
+          widgets: [{ type: 'bar', value: '{{ watts }}', max: 3000 }],
+        })
+      );
+      fs.writeFileSync(
+        path.join(dir, 'pixoo', 'broken.scene.yaml'),
+        'widgets: [ {type: text'
+      );
+    });
+
+    after(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should load JSON and YAML scene files next to JavaScript scenes', () => {
+      const loader = new SceneLoader(dir);
+      const { scenes, errors } = loader.loadFromDirectory(dir, {
+        recursive: true,
+        onSuccess: () => {},
+        onError: () => {},
+      });
+
+      assert.deepStrictEqual([...scenes.keys()].sort(), [
+        'power_meter',
+        'status',
+      ]);
+      const status = scenes.get('status');
+      assert.strictEqual(status.filePath, 'pixoo/status.scene.yaml');
+      assert.deepStrictEqual(status.deviceTypes, [
+        'pixoo16',
+        'pixoo32',
+        'pixoo64',
+        'pixoo128',
+      ]);
+      assert.strictEqual(status.wantsLoop, true);
+      assert.strictEqual(status.configSchema.label.default, 'Home');
+
+      assert.strictEqual(errors.length, 1);
+      assert.match(errors[0].error, /Cannot parse broken\.scene\.yaml/);
+    });
+
+    it('should resolve relative paths against the scene file', () => {
+      const scene = loadDeclarativeScene(
+        path.join(dir, 'pixoo', 'status.scene.yaml')
+      );
+      assert.strictEqual(scene.name, 'status');
+      assert.strictEqual(scene.description, 'Status tile');
+    });
+  });
+});
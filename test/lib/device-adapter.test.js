@@ -8,6 +8,7 @@
 const assert = require('node:assert');
 const { describe, it, beforeEach, afterEach } = require('node:test');
 
+const { SUPERSEDED } = require('../../lib/core/command-queue');
 // Import the module - note: this will use the environment at require time
 const deviceAdapter = require('../../lib/device-adapter');
 
@@ -376,6 +377,343 @@ describe('device-adapter', () => {
     });
   });
 
+  describe('Animation Upload', () => {
+    beforeEach(() => {
+      deviceAdapter.devices.clear();
+    });
+
+    it('should capture frames as RGB buffer copies', () => {
+      const device = deviceAdapter.getDevice('192.168.1.100');
+      const frame = device.captureFrame();
+
+      assert.ok(frame instanceof Uint8Array);
+      assert.strictEqual(frame.length, 64 * 64 * 3);
+      assert.notStrictEqual(frame, device.impl.frame.buf);
+    });
+
+    it('should mark animation active until next regular push', async () => {
+      const device = deviceAdapter.getDevice('192.168.1.100');
+      const frames = [device.captureFrame(), device.captureFrame()];
+
+      const uploaded = await device.pushAnimation(frames, { speed: 50 });
+
+      assert.strictEqual(uploaded, true);
+      assert.strictEqual(device.hasActiveAnimation(), true);
+      assert.strictEqual(device.getMetrics().animationUploads, 1);
+
+      await device.push();
+      assert.strictEqual(device.hasActiveAnimation(), false);
+    });
+
+    it('should return false for drivers without native animations', async () => {
+      const device = deviceAdapter.getDevice('192.168.1.100');
+      device.impl = { push: async () => {} };
+
+      const uploaded = await device.pushAnimation([new Uint8Array(3)]);
+
+      assert.strictEqual(uploaded, false);
+      assert.strictEqual(device.hasActiveAnimation(), false);
+      assert.strictEqual(device.captureFrame(), null);
+    });
+  });
+
+  describe('Pixoo Device Profiles', () => {
+    const sizes = { pixoo16: 16, pixoo32: 32, pixoo64: 64, pixoo128: 128 };
+
+    beforeEach(() => {
+      deviceAdapter.devices.clear();
+      deviceAdapter.registerDevicesFromConfig(
+        Object.entries(sizes).map(([deviceType, size]) => ({
+          ip: `10.0.0.${size}`,
+          driver: 'mock',
+          deviceType,
+        }))
+      );
+    });
+
+    afterEach(() => {
+      deviceAdapter.devices.clear();
+      deviceAdapter.deviceDrivers.clear();
+    });
+
+    it('should size driver buffers from the device type', () => {
+      for (const [deviceType, size] of Object.entries(sizes)) {
+        const device = deviceAdapter.getDevice(`10.0.0.${size}`);
+
+        assert.strictEqual(device.deviceType, deviceType);
+        assert.strictEqual(device.impl.constructor.name, 'RasterDriver');
+        assert.strictEqual(device.impl.frame.buf.length, size * size * 3);
+        assert.strictEqual(device.getCapabilities().width, size);
+      }
+    });
+
+    it('should expose the profile size in the render context', () => {
+      const context = deviceAdapter.getContext('10.0.0.32', 'fill', {});
+
+      assert.strictEqual(context.env.width, 32);
+      assert.strictEqual(context.env.height, 32);
+    });
+
+    it('should validate canvas bounds against the profile', () => {
+      const logger = require('../../lib/logger');
+      const warnings = [];
+      const originalWarn = logger.warn;
+      logger.warn = (msg) => warnings.push(msg);
+      try {
+        const small = deviceAdapter.getDevice('10.0.0.16');
+        small.canvas._validatePosition([20, 5]);
+        assert.match(warnings[0], /\[0,0\]-\[15,15\]/);
+
+        const large = deviceAdapter.getDevice('10.0.0.128');
+        large.canvas._validatePosition([100, 100]);
+        assert.strictEqual(warnings.length, 1);
+      } finally {
+        logger.warn = originalWarn;
+      }
+    });
+
+    it('should offer Pixoo scenes on every size their layout fits', () => {
+      const path = require('node:path');
+      const { SceneLoader } = require('../../lib/scene-loader');
+      const SceneService = require('../../lib/services/scene-service');
+      const scenesDir = path.join(__dirname, '../../scenes');
+      const loader = new SceneLoader(scenesDir);
+      const scenes = {};
+      for (const file of ['pixoo/fill.js', 'pixoo/startup.js']) {
+        const { name, module } = loader.loadSceneFile(
+          path.join(scenesDir, file)
+        );
+        scenes[name] = module;
+      }
+      const sceneService = new SceneService({
+        logger: { debug: () => {}, info: () => {}, warn: () => {} },
+        sceneManager: { getScene: (name) => scenes[name] },
+        deviceAdapter,
+        mqttService: {},
+        versionInfo: {},
+      });
+
+      const compatible = (sceneName) =>
+        Object.values(sizes).filter((size) =>
+          sceneService.isSceneCompatible(`10.0.0.${size}`, sceneName)
+        );
+      assert.deepStrictEqual(compatible('fill'), [16, 32, 64, 128]);
+      // Drawn for 64x64
+      assert.deepStrictEqual(compatible('startup'), [64, 128]);
+    });
+  });
+
+  describe('WLED Devices', () => {
+    afterEach(() => {
+      deviceAdapter.devices.clear();
+      deviceAdapter.deviceDrivers.clear();
+    });
+
+    it('should create a WLED driver sized from device options', () => {
+      deviceAdapter.registerDevicesFromConfig([
+        {
+          ip: '10.0.1.1',
+          driver: 'mock',
+          deviceType: 'wled',
+          options: { width: 32, height: 8 },
+        },
+      ]);
+
+      const device = deviceAdapter.getDevice('10.0.1.1');
+
+      assert.strictEqual(device.impl.constructor.name, 'WledDriver');
+      assert.strictEqual(device.getCapabilities().width, 32);
+      assert.strictEqual(device.getCapabilities().height, 8);
+      assert.strictEqual(
+        deviceAdapter.getContext('10.0.1.1', 'fill', {}).env.height,
+        8
+      );
+    });
+  });
+
+  describe('UDP Pixel Devices', () => {
+    afterEach(() => {
+      deviceAdapter.devices.clear();
+      deviceAdapter.deviceDrivers.clear();
+    });
+
+    it('should create a UDP driver with protocol and size from options', () => {
+      deviceAdapter.registerDevicesFromConfig([
+        {
+          ip: '10.0.2.1',
+          driver: 'mock',
+          deviceType: 'udp',
+          options: { protocol: 'artnet', width: 32, height: 16 },
+        },
+      ]);
+
+      const device = deviceAdapter.getDevice('10.0.2.1');
+
+      assert.strictEqual(device.impl.constructor.name, 'UdpPixelDriver');
+      assert.strictEqual(device.impl.protocol, 'artnet');
+      assert.strictEqual(device.getCapabilities().width, 32);
+      assert.strictEqual(device.getCapabilities().height, 16);
+    });
+  });
+
+  describe('Frame Diffing', () => {
+    beforeEach(() => {
+      deviceAdapter.devices.clear();
+    });
+
+    it('should count skipped pushes separately from sent pushes', async () => {
+      const device = deviceAdapter.getDevice('192.168.1.100');
+      let sent = false;
+      device.impl = { push: async () => (sent = !sent) };
+      const published = [];
+
+      await device.push('clock', (...args) => published.push(args));
+      await device.push('clock', (...args) => published.push(args));
+
+      const metrics = device.getMetrics();
+      assert.strictEqual(metrics.pushes, 1);
+      assert.strictEqual(metrics.skipped, 1);
+      assert.strictEqual(published.length, 2);
+      assert.strictEqual(published[1][3], 0, 'skipped frame has no diff');
+    });
+
+    it('should not count superseded frames as skipped', async () => {
+      const device = deviceAdapter.getDevice('192.168.1.100');
+      device.impl = { push: async () => SUPERSEDED };
+      const published = [];
+
+      const result = await device.push('clock', (...args) =>
+        published.push(args)
+      );
+
+      const metrics = device.getMetrics();
+      assert.strictEqual(result, 0);
+      assert.strictEqual(metrics.pushes, 0);
+      assert.strictEqual(metrics.skipped, 0);
+      assert.strictEqual(published.length, 0, 'the newer frame reports');
+    });
+
+    it('should keep the animation active when a push is skipped', async () => {
+      const device = deviceAdapter.getDevice('192.168.1.100');
+      device.animationActive = true;
+      device.impl = { push: async () => false };
+
+      await device.push();
+
+      assert.strictEqual(device.hasActiveAnimation(), true);
+    });
+  });
+
+  describe('Frame Listeners', () => {
+    beforeEach(() => {
+      deviceAdapter.devices.clear();
+    });
+
+    it('should pass pushed frames to listeners, but not skipped ones', async () => {
+      const device = deviceAdapter.getDevice('192.168.1.100');
+      await device.drawPixelRgba([0, 0], [255, 0, 0, 255]);
+      const frames = [];
+      const remove = deviceAdapter.addFrameListener((host, frame) =>
+        frames.push({ host, frame })
+      );
+
+      try {
+        await device.push();
+        device.impl.push = async () => false;
+        await device.push();
+      } finally {
+        remove();
+      }
+
+      assert.strictEqual(frames.length, 1);
+      assert.strictEqual(frames[0].host, '192.168.1.100');
+      assert.strictEqual(frames[0].frame.width, 64);
+      assert.deepStrictEqual(
+        Array.from(frames[0].frame.buf.subarray(0, 3)),
+        [255, 0, 0]
+      );
+    });
+  });
+
+  describe('Frame History', () => {
+    beforeEach(() => {
+      deviceAdapter.devices.clear();
+    });
+
+    it('should record pushed frames with scene name', async () => {
+      const device = deviceAdapter.getDevice('192.168.1.100');
+      await device.drawPixelRgba([1, 0], [0, 255, 0, 255]);
+      await device.push('clock');
+
+      const [entry] = device.getFrameHistory();
+      assert.strictEqual(entry.sceneName, 'clock');
+      assert.strictEqual(entry.width, 64);
+      assert.deepStrictEqual(Array.from(entry.buf.subarray(3, 6)), [0, 255, 0]);
+      assert.strictEqual(device.getPushedFrame(), entry);
+      assert.strictEqual(device.getPushedFrame(entry.id), entry);
+      assert.strictEqual(device.getPushedFrame(entry.id + 1), null);
+    });
+
+    it('should keep a bounded history', async () => {
+      const device = deviceAdapter.getDevice('192.168.1.100');
+      for (let i = 0; i < 35; i++) {
+        await device.push('counter');
+      }
+
+      const history = device.getFrameHistory();
+      assert.strictEqual(history.length, 30);
+      assert.strictEqual(history[0].id, 6);
+      assert.strictEqual(history.at(-1).id, 35);
+    });
+  });
+
+  describe('Group Mirroring', () => {
+    beforeEach(() => {
+      deviceAdapter.devices.clear();
+      deviceAdapter.registerDevicesFromConfig([
+        { ip: '10.0.1.1', driver: 'mock', deviceType: 'pixoo64' },
+        { ip: '10.0.1.2', driver: 'mock', deviceType: 'pixoo64' },
+        { ip: '10.0.1.3', driver: 'mock', deviceType: 'pixoo32' },
+      ]);
+    });
+
+    afterEach(() => {
+      deviceAdapter.clearMirrors('10.0.1.1');
+      deviceAdapter.devices.clear();
+      deviceAdapter.deviceDrivers.clear();
+    });
+
+    it('should push the leader frame to every follower', async () => {
+      const leader = deviceAdapter.getDevice('10.0.1.1');
+      await deviceAdapter.setMirrors('10.0.1.1', ['10.0.1.2', '10.0.1.3']);
+
+      await leader.fillRectangleRgba([0, 0], [2, 2], [255, 0, 0, 255]);
+      await leader.push('clock');
+
+      const same = deviceAdapter.getDevice('10.0.1.2').getPushedFrame();
+      assert.strictEqual(same.sceneName, 'clock');
+      assert.deepStrictEqual(Array.from(same.buf.subarray(0, 3)), [255, 0, 0]);
+      // Smaller panel gets the frame scaled down
+      const scaled = deviceAdapter.getDevice('10.0.1.3').getPushedFrame();
+      assert.strictEqual(scaled.width, 32);
+      assert.deepStrictEqual(
+        Array.from(scaled.buf.subarray(0, 3)),
+        [255, 0, 0]
+      );
+      assert.deepStrictEqual(Array.from(scaled.buf.subarray(3, 6)), [0, 0, 0]);
+    });
+
+    it('should let a device follow only one leader', async () => {
+      await deviceAdapter.setMirrors('10.0.1.1', ['10.0.1.2']);
+      await deviceAdapter.setMirrors('10.0.1.3', ['10.0.1.2']);
+
+      assert.strictEqual(deviceAdapter.getMirrorLeader('10.0.1.2'), '10.0.1.3');
+      assert.strictEqual(deviceAdapter.clearMirrors('10.0.1.2'), true);
+      assert.strictEqual(deviceAdapter.getMirrorLeader('10.0.1.2'), null);
+      assert.strictEqual(deviceAdapter.clearMirrors('10.0.1.1'), false);
+    });
+  });
+
   describe('Driver Switching', () => {
     beforeEach(() => {
       deviceAdapter.devices.clear();
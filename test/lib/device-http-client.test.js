@@ -0,0 +1,196 @@
+/**
+ * @fileoverview Tests for the shared device HTTP client
+ * @description Keep-alive connection reuse, retries of idempotent requests,
+ * timeouts, adaptive timeouts and the latency histogram (against a stub
+ * HTTP server)
+ * @author Markus Barta (mba) with assistance from Cursor AI
+ */
+
+'use strict';
+
+const assert = require('node:assert');
+const http = require('node:http');
+const { describe, it, before, after, beforeEach } = require('node:test');
+
+const {
+  DeviceHttpClient,
+  getDeviceHttpClient,
+  getDeviceHttpMetrics,
+} = require('../../lib/core/device-http-client');
+const { LatencyHistogram } = require('../../lib/util/latency-histogram');
+
+describe('LatencyHistogram', () => {
+  it('should compute percentiles and bucket counts', () => {
+    const latency = new LatencyHistogram();
+    for (let ms = 1; ms <= 100; ms++) latency.record(ms);
+    latency.record(7000);
+
+    assert.strictEqual(latency.percentile(50), 51);
+    assert.strictEqual(latency.percentile(99), 100);
+    const json = latency.toJSON();
+    assert.strictEqual(json.count, 101);
+    assert.strictEqual(json.maxMs, 7000);
+    assert.deepStrictEqual(json.buckets.slice(0, 3), [
+      { maxMs: 25, count: 25 },
+      { maxMs: 50, count: 25 },
+      { maxMs: 100, count: 50 },
+    ]);
+    assert.deepStrictEqual(json.buckets.at(-1), { maxMs: null, count: 1 });
+  });
+
+  it('should only use the recent samples for percentiles', () => {
+    const latency = new LatencyHistogram();
+    for (let i = 0; i < 200; i++) latency.record(2000);
+    for (let i = 0; i < 200; i++) latency.record(20);
+
+    assert.strictEqual(latency.percentile(99), 20);
+    assert.strictEqual(latency.toJSON().count, 400);
+  });
+});
+
+describe('DeviceHttpClient', () => {
+  let server;
+  let host;
+  let connections;
+  let failuresLeft;
+  let delayMs;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      req.resume();
+      req.on('end', () => {
+        if (failuresLeft > 0) {
+          failuresLeft--;
+          res.statusCode = 503;
+          res.end();
+          return;
+        }
+        setTimeout(() => {
+          res.setHeader('Content-Type', 'application/json');
+          res.end(JSON.stringify({ path: req.url }));
+        }, delayMs);
+      });
+    });
+    server.on('connection', () => connections++);
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    host = `127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => server.close());
+
+  beforeEach(() => {
+    connections = 0;
+    failuresLeft = 0;
+    delayMs = 0;
+  });
+
+  function createClient(options = {}) {
+    return new DeviceHttpClient(host, { retryDelayMs: 1, ...options });
+  }
+
+  it('should reuse one kept-alive connection', async () => {
+    const client = createClient();
+
+    for (const path of ['/a', '/b', '/c']) {
+      const { status, data } = await client.request({ path });
+      assert.strictEqual(status, 200);
+      assert.deepStrictEqual(data, { path });
+    }
+
+    assert.strictEqual(connections, 1);
+    client.close();
+  });
+
+  it('should retry idempotent requests only', async () => {
+    const client = createClient();
+
+    failuresLeft = 2;
+    const { data } = await client.request({
+      method: 'POST',
+      path: '/state',
+      body: '{}',
+      idempotent: true,
+    });
+    assert.deepStrictEqual(data, { path: '/state' });
+    assert.strictEqual(client.stats.retries, 2);
+
+    failuresLeft = 1;
+    await assert.rejects(
+      client.request({ method: 'POST', path: '/gif', body: '{}' }),
+      (error) => error.status === 503 && /HTTP 503/.test(error.message)
+    );
+    assert.strictEqual(client.stats.failures, 1);
+    client.close();
+  });
+
+  it('should give up after the timeout', async () => {
+    const client = createClient({ label: 'Pixoo' });
+    delayMs = 200;
+
+    await assert.rejects(
+      client.request({ path: '/slow', timeoutMs: 50 }),
+      /Pixoo HTTP timeout after 50ms/
+    );
+    assert.strictEqual(client.stats.timeouts, 1);
+    client.close();
+  });
+
+  it('should adapt the timeout to the measured latency', () => {
+    const client = createClient({
+      timeoutMs: 5000,
+      minSamples: 3,
+      timeoutFactor: 4,
+      minTimeoutMs: 100,
+      maxTimeoutMs: 2000,
+    });
+
+    client.latency.record(40);
+    client.latency.record(50);
+    assert.strictEqual(client.getTimeoutMs(), 5000); // Not enough samples
+
+    client.latency.record(60);
+    assert.strictEqual(client.getTimeoutMs(), 240);
+
+    client.latency.record(900);
+    assert.strictEqual(client.getTimeoutMs(), 2000);
+  });
+
+  it('should widen the timeout when latency jumps after warm-up', async () => {
+    const client = createClient({
+      minSamples: 5,
+      timeoutFactor: 4,
+      minTimeoutMs: 50,
+      maxTimeoutMs: 2000,
+    });
+    for (let i = 0; i < 5; i++) {
+      client.latency.record(5);
+    }
+    assert.strictEqual(client.getTimeoutMs(), 50);
+
+    delayMs = 120;
+    await assert.rejects(
+      client.request({ path: '/slow' }),
+      /HTTP timeout after 50ms/
+    );
+    assert.strictEqual(client.getTimeoutMs(), 200);
+
+    const { data } = await client.request({ path: '/slow' });
+    assert.deepStrictEqual(data, { path: '/slow' });
+    assert.strictEqual(client.stats.timeouts, 1);
+    client.close();
+  });
+
+  it('should share one client per host and report its metrics', async () => {
+    const client = getDeviceHttpClient(host);
+    assert.strictEqual(getDeviceHttpClient(host), client);
+
+    await client.request({ path: '/metrics' });
+
+    const metrics = getDeviceHttpMetrics(host);
+    assert.strictEqual(metrics.requests, 1);
+    assert.strictEqual(metrics.latency.count, 1);
+    assert.strictEqual(metrics.timeoutMs, 5000);
+    assert.strictEqual(getDeviceHttpMetrics('10.0.6.1'), null);
+    client.close();
+  });
+});
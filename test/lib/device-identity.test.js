@@ -0,0 +1,223 @@
+/**
+ * @fileoverview Tests for stable device identity
+ * @description Devices keep their id (and with it scene defaults, usage and
+ * persisted runtime state) when their IP changes; legacy IP-keyed configs
+ * and state files are migrated on startup
+ * @author Markus Barta (mba) with assistance from Cursor AI
+ */
+
+'use strict';
+
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { describe, it, beforeEach, afterEach } = require('node:test');
+
+const { DeviceConfigStore } = require('../../lib/device-config-store');
+const StateStore = require('../../lib/state-store');
+
+const silentLogger = {
+  ok: () => {},
+  info: () => {},
+  warn: () => {},
+  error: () => {},
+  debug: () => {},
+};
+
+describe('Stable device identity', () => {
+  let tempDir;
+  let configPath;
+  let statePath;
+  let stores;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pidicon-identity-'));
+    configPath = path.join(tempDir, 'devices.json');
+    statePath = path.join(tempDir, 'runtime-state.json');
+    stores = [];
+  });
+
+  afterEach(() => {
+    for (const store of stores) store.disablePersistence();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  function writeJson(file, data) {
+    fs.writeFileSync(file, JSON.stringify(data));
+  }
+
+  function readJson(file) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  function writeConfig(devices) {
+    writeJson(configPath, {
+      settings: {
+        mediaPath: path.join(tempDir, 'media'),
+        scenesPath: path.join(tempDir, 'scenes'),
+      },
+      devices,
+    });
+  }
+
+  async function loadConfig() {
+    const store = new DeviceConfigStore(configPath, { logger: silentLogger });
+    await store.load();
+    return store;
+  }
+
+  function createStateStore() {
+    const store = new StateStore({
+      logger: silentLogger,
+      persistPath: statePath,
+      debounceMs: 10,
+    });
+    stores.push(store);
+    return store;
+  }
+
+  describe('DeviceConfigStore', () => {
+    it('should assign and save ids for configs without one', async () => {
+      writeConfig([{ ip: '192.168.1.10', deviceType: 'pixoo64' }]);
+
+      const store = await loadConfig();
+
+      const { id } = store.getDevice('192.168.1.10');
+      assert.match(id, /^pidicon-\d+$/);
+      assert.strictEqual(readJson(configPath).devices[0].id, id);
+      // Stable across restarts
+      assert.strictEqual((await loadConfig()).getDevice('192.168.1.10').id, id);
+    });
+
+    it('should find devices by IP, id or MAC', async () => {
+      writeConfig([
+        {
+          id: 'pidicon-1',
+          ip: '192.168.1.10',
+          mac: 'a0-b7-65-d5-a1-b0',
+          deviceType: 'pixoo64',
+        },
+      ]);
+      const store = await loadConfig();
+
+      for (const ref of ['192.168.1.10', 'pidicon-1', 'A0:B7:65:D5:A1:B0']) {
+        assert.strictEqual(store.resolveIp(ref), '192.168.1.10', ref);
+      }
+      assert.strictEqual(store.resolveIp('192.168.1.99'), '192.168.1.99');
+      assert.strictEqual(store.getDeviceId('192.168.1.10'), 'pidicon-1');
+    });
+
+    it('should keep id and scene data when the IP changes', async () => {
+      writeConfig([
+        {
+          id: 'pidicon-1',
+          ip: '192.168.1.10',
+          deviceType: 'pixoo64',
+          sceneDefaults: { clock: { color: 'red' } },
+        },
+        { id: 'pidicon-2', ip: '192.168.1.11', deviceType: 'pixoo64' },
+      ]);
+      const store = await loadConfig();
+
+      const moved = await store.updateDevice('192.168.1.10', {
+        ip: '192.168.1.20',
+        id: 'ignored',
+      });
+
+      assert.strictEqual(moved.id, 'pidicon-1');
+      assert.deepStrictEqual(moved.getSceneDefaults('clock'), {
+        color: 'red',
+      });
+      assert.strictEqual(store.getDevice('192.168.1.10'), undefined);
+      assert.strictEqual(store.resolveIp('pidicon-1'), '192.168.1.20');
+      await assert.rejects(
+        store.updateDevice('192.168.1.20', { ip: '192.168.1.11' }),
+        /already exists/
+      );
+    });
+
+    it('should learn a MAC address once', async () => {
+      writeConfig([{ id: 'pidicon-1', ip: '192.168.1.10' }]);
+      const store = await loadConfig();
+
+      assert.strictEqual(
+        await store.setDeviceMac('192.168.1.10', 'a0b765d5a1b0'),
+        true
+      );
+      assert.strictEqual(
+        await store.setDeviceMac('192.168.1.10', 'A0:B7:65:D5:A1:B0'),
+        false
+      );
+      assert.strictEqual(
+        await store.setDeviceMac('192.168.1.10', 'not-a-mac'),
+        false
+      );
+      assert.strictEqual(
+        readJson(configPath).devices[0].mac,
+        'A0:B7:65:D5:A1:B0'
+      );
+    });
+  });
+
+  describe('StateStore', () => {
+    it('should migrate IP-keyed runtime state to ids', async () => {
+      writeConfig([{ id: 'pidicon-1', ip: '192.168.1.10' }]);
+      writeJson(statePath, {
+        version: 1,
+        devices: { '192.168.1.10': { activeScene: 'clock', brightness: 40 } },
+      });
+      const config = await loadConfig();
+      const stateStore = createStateStore();
+      await stateStore.restore();
+
+      stateStore.useDeviceIdentity(config);
+      await stateStore.flush();
+
+      const persisted = readJson(statePath);
+      assert.strictEqual(persisted.version, 2);
+      assert.deepStrictEqual(Object.keys(persisted.devices), ['pidicon-1']);
+      assert.strictEqual(persisted.devices['pidicon-1'].ip, '192.168.1.10');
+      assert.strictEqual(persisted.devices['pidicon-1'].activeScene, 'clock');
+    });
+
+    it('should restore state of a device that got a new IP', async () => {
+      writeConfig([{ id: 'pidicon-1', ip: '192.168.1.77' }]);
+      writeJson(statePath, {
+        version: 2,
+        devices: {
+          'pidicon-1': { ip: '192.168.1.10', activeScene: 'clock' },
+        },
+      });
+      const config = await loadConfig();
+      const stateStore = createStateStore();
+      await stateStore.restore();
+
+      stateStore.useDeviceIdentity(config);
+
+      assert.strictEqual(
+        stateStore.getDeviceState('192.168.1.77', 'activeScene'),
+        'clock'
+      );
+      assert.strictEqual(stateStore.hasDevice('pidicon-1'), false);
+    });
+
+    it('should move device and scene state on rename', () => {
+      const stateStore = createStateStore();
+      stateStore.setDeviceState('192.168.1.10', 'activeScene', 'clock');
+      stateStore.setSceneState('192.168.1.10', 'clock', 'ticks', 3);
+
+      assert.strictEqual(
+        stateStore.renameDevice('192.168.1.10', '192.168.1.20'),
+        true
+      );
+
+      assert.strictEqual(stateStore.hasDevice('192.168.1.10'), false);
+      assert.strictEqual(
+        stateStore.getSceneState('192.168.1.20', 'clock', 'ticks'),
+        3
+      );
+      assert.deepStrictEqual(stateStore.getDeviceScenes('192.168.1.10'), []);
+    });
+  });
+});
@@ -656,6 +656,69 @@ describe('DeviceService.getMetrics', () => {
   });
 });
 
+// ============================================================================
+// Frame History Tests
+// ============================================================================
+
+describe('DeviceService frame history', () => {
+  function buildService() {
+    const device = createMockDevice('192.168.1.100');
+    const frame = {
+      id: 7,
+      timestamp: 1000,
+      sceneName: 'clock',
+      width: 2,
+      height: 1,
+      buf: new Uint8Array([255, 0, 0, 0, 0, 255]),
+    };
+    device.getFrameHistory = () => [frame];
+    device.getPushedFrame = (id) =>
+      id === undefined || id === frame.id ? frame : null;
+
+    return new DeviceService({
+      logger: createMockLogger(),
+      deviceAdapter: createMockDeviceAdapter([device]),
+      sceneManager: createMockSceneManager(),
+      stateStore: createMockStateStore(),
+      softReset: createMockSoftReset(),
+    });
+  }
+
+  it('should list frames without pixel data', () => {
+    const service = buildService();
+
+    assert.deepStrictEqual(service.getFrameHistory('192.168.1.100'), [
+      { id: 7, timestamp: 1000, sceneName: 'clock', width: 2, height: 1 },
+    ]);
+    assert.strictEqual(service.getFrameHistory('192.168.1.200'), null);
+  });
+
+  it('should encode the latest or a given frame as scaled PNG', () => {
+    const service = buildService();
+
+    const png = service.getFramePng('192.168.1.100', { scale: 3 });
+    assert.ok(png.subarray(1, 4).equals(Buffer.from('PNG')));
+    // IHDR width/height
+    assert.strictEqual(png.readUInt32BE(16), 6);
+    assert.strictEqual(png.readUInt32BE(20), 3);
+
+    assert.ok(service.getFramePng('192.168.1.100', { id: 7 }));
+    assert.strictEqual(service.getFramePng('192.168.1.100', { id: 8 }), null);
+    assert.strictEqual(service.getFramePng('192.168.1.200'), null);
+  });
+
+  it('should reject invalid scale factors', () => {
+    const service = buildService();
+
+    for (const scale of [0, 1.5, 17, NaN]) {
+      assert.throws(
+        () => service.getFramePng('192.168.1.100', { scale }),
+        ValidationError
+      );
+    }
+  });
+});
+
 // ============================================================================
 // resetDevice Tests
 // ============================================================================
@@ -422,6 +422,74 @@ test('DEV004: returns yellow when getAllStatus missing', async () => {
   assert.strictEqual(result.status, 'yellow');
 });
 
+// ============================================================================
+// Test: DEV005 (Device Network Latency)
+// ============================================================================
+
+function createLatencyDeviceService(httpByIp) {
+  const devices = Object.keys(httpByIp).map((ip) => ({
+    ip,
+    name: `Device ${ip}`,
+    driver: 'real',
+  }));
+  return {
+    ...createMockDeviceService(devices),
+    async getDeviceMetrics(ip) {
+      return { deviceIp: ip, http: httpByIp[ip] };
+    },
+  };
+}
+
+function httpMetrics({ p95 = 80, timeouts = 0, failures = 0 } = {}) {
+  return { timeouts, retries: 0, failures, latency: { count: 50, p95 } };
+}
+
+test('DEV005: returns green when device latency is normal', async () => {
+  const service = new DiagnosticsService({
+    logger: createMockLogger(),
+    stateStore: createMockStateStore(),
+    deviceService: createLatencyDeviceService({
+      '192.168.1.100': httpMetrics(),
+      '192.168.1.101': null, // Nothing sent yet
+    }),
+    systemService: createMockSystemService(),
+    sceneService: createMockSceneService(),
+    watchdogService: createMockWatchdogService(),
+    deviceConfigStore: createMockDeviceConfigStore(),
+  });
+
+  const result = await service.runTest('DEV005');
+
+  assert.strictEqual(result.status, 'green');
+  assert.deepStrictEqual(result.details.devices, [
+    { ip: '192.168.1.100', p95: 80 },
+  ]);
+});
+
+test('DEV005: returns yellow for slow or timing out devices', async () => {
+  const service = new DiagnosticsService({
+    logger: createMockLogger(),
+    stateStore: createMockStateStore(),
+    deviceService: createLatencyDeviceService({
+      '192.168.1.100': httpMetrics({ p95: 1800 }),
+      '192.168.1.101': httpMetrics({ timeouts: 2 }),
+      '192.168.1.102': httpMetrics(),
+    }),
+    systemService: createMockSystemService(),
+    sceneService: createMockSceneService(),
+    watchdogService: createMockWatchdogService(),
+    deviceConfigStore: createMockDeviceConfigStore(),
+  });
+
+  const result = await service.runTest('DEV005');
+
+  assert.strictEqual(result.status, 'yellow');
+  assert.deepStrictEqual(
+    result.details.slow.map((d) => d.ip),
+    ['192.168.1.100', '192.168.1.101']
+  );
+});
+
 // ============================================================================
 // Test: SYS001 (Daemon Heartbeat)
 // ============================================================================
@@ -0,0 +1,243 @@
+/**
+ * @fileoverview Tests for DiscoveryService
+ * @description Probes local stub HTTP servers that answer like a Pixoo or an
+ * AWTRIX, checks subnet validation and mDNS record decoding
+ * @author Markus Barta (mba) with assistance from Cursor AI
+ */
+
+'use strict';
+
+const assert = require('node:assert');
+const http = require('node:http');
+const { describe, it, before, after } = require('node:test');
+
+const { ValidationError } = require('../../lib/errors');
+const DiscoveryService = require('../../lib/services/discovery-service');
+const {
+  RECORD_TYPES,
+  decodeRecords,
+  encodeName,
+} = require('../../lib/util/mdns');
+
+const silentLogger = {
+  ok: () => {},
+  info: () => {},
+  warn: () => {},
+  error: () => {},
+  debug: () => {},
+};
+
+/**
+ * HTTP server on a random localhost port with a fixed route table
+ */
+async function startStub(routes) {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      const handler = routes[`${req.method} ${req.url}`];
+      if (!handler) {
+        res.statusCode = 404;
+        res.end();
+        return;
+      }
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(handler(body)));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return server;
+}
+
+function createService(configured = []) {
+  return new DiscoveryService({
+    logger: silentLogger,
+    deviceConfigStore: {
+      getDevice: (ip) => configured.find((c) => c.ip === ip),
+      findDevice: (ref) =>
+        configured.find((c) => [c.ip, c.id, c.mac].includes(ref)),
+    },
+    timeoutMs: 500,
+  });
+}
+
+describe('DiscoveryService', () => {
+  let pixoo;
+  let awtrix;
+  let pixooCommands;
+
+  before(async () => {
+    pixooCommands = [];
+    pixoo = await startStub({
+      'POST /post': (body) => {
+        pixooCommands.push(JSON.parse(body).Command);
+        return {
+          error_code: 0,
+          Brightness: 80,
+          RotationFlag: 0,
+          DeviceMac: 'a0b765d5a1b0',
+        };
+      },
+    });
+    awtrix = await startStub({
+      'GET /api/stats': () => ({
+        version: '0.96',
+        uid: 'awtrix_1a2b3c',
+        bat: 90,
+      }),
+    });
+  });
+
+  after(() => {
+    pixoo.close();
+    awtrix.close();
+  });
+
+  it('should identify a Pixoo via Channel/GetAllConf', async () => {
+    const candidate = await createService().probeHost(
+      '127.0.0.1',
+      pixoo.address().port
+    );
+
+    assert.strictEqual(candidate.deviceType, 'pixoo64');
+    assert.strictEqual(candidate.mac, 'A0:B7:65:D5:A1:B0');
+    assert.deepStrictEqual(candidate.sources, ['http']);
+    assert.ok(pixooCommands.includes('Channel/GetAllConf'));
+  });
+
+  it('should identify an AWTRIX with firmware from /api/stats', async () => {
+    const candidate = await createService().probeHost(
+      '127.0.0.1',
+      awtrix.address().port
+    );
+
+    assert.strictEqual(candidate.deviceType, 'awtrix');
+    assert.strictEqual(candidate.firmware, '0.96');
+    assert.strictEqual(candidate.name, 'awtrix_1a2b3c');
+  });
+
+  it('should return null for hosts without a supported API', async () => {
+    const other = await startStub({});
+    try {
+      assert.strictEqual(
+        await createService().probeHost('127.0.0.1', other.address().port),
+        null
+      );
+    } finally {
+      other.close();
+    }
+  });
+
+  it('should scan a subnet and flag configured devices', async () => {
+    const result = await createService([
+      { id: 'pidicon-1', ip: '127.0.0.1' },
+    ]).scan({
+      subnet: '127.0.0.1/32',
+      port: pixoo.address().port,
+      mdns: false,
+    });
+
+    assert.strictEqual(result.scanned, 1);
+    assert.strictEqual(result.devices.length, 1);
+    assert.strictEqual(result.devices[0].ip, '127.0.0.1');
+    assert.strictEqual(result.devices[0].configured, true);
+    assert.strictEqual(result.devices[0].deviceId, 'pidicon-1');
+    assert.strictEqual(result.devices[0].configuredIp, null);
+  });
+
+  it('should recognize a configured device on a new address by MAC', async () => {
+    const result = await createService([
+      { id: 'pidicon-2', ip: '10.0.0.9', mac: 'A0:B7:65:D5:A1:B0' },
+    ]).scan({
+      subnet: '127.0.0.1/32',
+      port: pixoo.address().port,
+      mdns: false,
+    });
+
+    assert.strictEqual(result.devices[0].deviceId, 'pidicon-2');
+    assert.strictEqual(result.devices[0].configuredIp, '10.0.0.9');
+  });
+
+  it('should reject malformed and oversized subnets', async () => {
+    const service = createService();
+
+    for (const subnet of ['192.168.1.0/33', '300.1.1.1/24', 'lan']) {
+      await assert.rejects(
+        service.scan({ subnet, mdns: false }),
+        ValidationError
+      );
+    }
+    await assert.rejects(
+      service.scan({ subnet: '10.0.0.0/16', mdns: false }),
+      /too large/
+    );
+  });
+});
+
+describe('mDNS record decoding', () => {
+  function record(name, type, rdata) {
+    const fixed = Buffer.alloc(10);
+    fixed.writeUInt16BE(type, 0);
+    fixed.writeUInt16BE(1, 2);
+    fixed.writeUInt32BE(120, 4);
+    fixed.writeUInt16BE(rdata.length, 8);
+    return Buffer.concat([encodeName(name), fixed, rdata]);
+  }
+
+  it('should decode PTR, SRV, TXT and A records', () => {
+    const header = Buffer.alloc(12);
+    header.writeUInt16BE(0x8400, 2);
+    header.writeUInt16BE(4, 6);
+    const srv = Buffer.alloc(6);
+    srv.writeUInt16BE(80, 4);
+    const txtEntry = Buffer.from('version=0.96');
+    const packet = Buffer.concat([
+      header,
+      record(
+        '_awtrix._tcp.local',
+        RECORD_TYPES.PTR,
+        encodeName('awtrix_1a2b3c._awtrix._tcp.local')
+      ),
+      record(
+        'awtrix_1a2b3c._awtrix._tcp.local',
+        RECORD_TYPES.SRV,
+        Buffer.concat([srv, encodeName('awtrix.local')])
+      ),
+      record(
+        'awtrix_1a2b3c._awtrix._tcp.local',
+        RECORD_TYPES.TXT,
+        Buffer.concat([Buffer.from([txtEntry.length]), txtEntry])
+      ),
+      record('awtrix.local', RECORD_TYPES.A, Buffer.from([192, 168, 1, 42])),
+    ]);
+
+    const records = decodeRecords(packet);
+
+    assert.deepStrictEqual(
+      records.map((r) => r.data),
+      [
+        'awtrix_1a2b3c._awtrix._tcp.local',
+        { port: 80, target: 'awtrix.local' },
+        { version: '0.96' },
+        '192.168.1.42',
+      ]
+    );
+  });
+
+  it('should follow compressed names', () => {
+    const header = Buffer.alloc(12);
+    header.writeUInt16BE(1, 6);
+    const name = encodeName('_http._tcp.local');
+    const fixed = Buffer.alloc(10);
+    fixed.writeUInt16BE(RECORD_TYPES.PTR, 0);
+    fixed.writeUInt16BE(8, 8);
+    // "pixoo" + pointer to offset 12 (the record name)
+    const rdata = Buffer.from([5, ...Buffer.from('pixoo'), 0xc0, 12]);
+    const packet = Buffer.concat([header, name, fixed, rdata]);
+
+    const [ptr] = decodeRecords(packet);
+
+    assert.strictEqual(ptr.name, '_http._tcp.local');
+    assert.strictEqual(ptr.data, 'pixoo._http._tcp.local');
+  });
+});
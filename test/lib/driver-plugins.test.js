@@ -0,0 +1,244 @@
+/**
+ * @fileoverview Tests for the driver plugin loader
+ * @description Loading plugins from a directory, validation against the
+ * driver interface, option schemas, device config validation and creating
+ * plugin devices through the device adapter
+ * @author Markus Barta (mba) with assistance from Cursor AI
+ */
+
+'use strict';
+
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { describe, it, before, after, afterEach } = require('node:test');
+
+const { getDeviceProfile } = require('../../lib/core/device-capabilities');
+const DeviceDriver = require('../../lib/core/device-driver');
+const {
+  getDriverPlugin,
+  getDriverPluginErrors,
+  listDriverPlugins,
+  loadDriverPlugins,
+  registerDriverPlugin,
+  unregisterDriverPlugin,
+  validatePluginOptions,
+} = require('../../lib/core/driver-plugins');
+const { DeviceConfig } = require('../../lib/device-config-store');
+const { ValidationError } = require('../../lib/errors');
+
+const silentLogger = {
+  debug: () => {},
+  info: () => {},
+  warn: () => {},
+  error: () => {},
+};
+
+// Plugin source using the factory form (no require of this repository)
+const TICKER_PLUGIN = `
+module.exports = ({ DeviceDriver, FrameBuffer }) => {
+  class TickerDriver extends DeviceDriver {
+    constructor(host, options = {}) {
+      super(host, { width: 32, height: 8, maxFps: 10 });
+      this.options = options;
+      this.buffer = new FrameBuffer(32, 8);
+    }
+    async initialize() {}
+    async clear() { this.buffer.clear(); }
+    async push() { return true; }
+    async drawPixel() {}
+    async drawText() {}
+    async drawLine() {}
+    async fillRect() {}
+    async drawPixelRgba(pos, color) { return this.buffer.drawPixelRgba(pos, color); }
+    async drawLineRgba() {}
+    async drawRectangleRgba() {}
+    async drawTextRgbaAligned() {}
+  }
+  return {
+    deviceType: 'ticker',
+    name: 'LED Ticker',
+    Driver: TickerDriver,
+    capabilities: { width: 32, height: 8, maxFps: 10 },
+    configSchema: {
+      properties: {
+        port: { type: 'integer', minimum: 1, maximum: 65535 },
+        mode: { type: 'string', enum: ['scroll', 'static'] },
+      },
+      required: ['port'],
+    },
+  };
+};
+`;
+
+function createDriverClass(methods) {
+  class TestDriver extends DeviceDriver {}
+  for (const method of methods) {
+    TestDriver.prototype[method] = async () => {};
+  }
+  return TestDriver;
+}
+
+const ALL_METHODS = [
+  ...DeviceDriver.REQUIRED_METHODS,
+  ...DeviceDriver.CANVAS_METHODS,
+];
+
+describe('Driver plugins', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pidicon-drivers-'));
+    fs.writeFileSync(path.join(dir, 'ticker.js'), TICKER_PLUGIN);
+    fs.writeFileSync(
+      path.join(dir, 'broken.js'),
+      `module.exports = { deviceType: 'broken', Driver: class {} };`
+    );
+    fs.writeFileSync(path.join(dir, 'README.md'), '# not a plugin');
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  afterEach(() => {
+    unregisterDriverPlugin('ticker');
+    unregisterDriverPlugin('matrix');
+  });
+
+  it('should load plugins and report the ones that fail', () => {
+    const { loaded, errors } = loadDriverPlugins(dir, {
+      logger: silentLogger,
+    });
+
+    assert.deepStrictEqual(loaded, ['ticker']);
+    assert.strictEqual(errors.length, 1);
+    assert.match(errors[0].file, /broken\.js$/);
+    assert.match(errors[0].error, /Driver must be a class extending/);
+    assert.deepStrictEqual(getDriverPluginErrors(), errors);
+
+    const [plugin] = listDriverPlugins();
+    assert.strictEqual(plugin.name, 'LED Ticker');
+    assert.strictEqual(plugin.Driver, undefined);
+    assert.strictEqual(getDeviceProfile('ticker').width, 32);
+    assert.strictEqual(getDeviceProfile('ticker').protocolType, 'custom');
+  });
+
+  it('should tolerate a missing plugin directory', () => {
+    const result = loadDriverPlugins(path.join(dir, 'missing'), {
+      logger: silentLogger,
+    });
+    assert.deepStrictEqual(result, { loaded: [], errors: [] });
+  });
+
+  it('should reject drivers that miss required methods', () => {
+    const Driver = createDriverClass(['initialize', 'clear', 'push']);
+
+    assert.throws(
+      () =>
+        registerDriverPlugin({
+          deviceType: 'matrix',
+          Driver,
+          capabilities: { width: 16, height: 16 },
+        }),
+      (error) =>
+        error instanceof ValidationError &&
+        /does not implement: drawPixel, drawText, drawLine, fillRect, drawPixelRgba/.test(
+          error.message
+        )
+    );
+    assert.strictEqual(getDriverPlugin('matrix'), null);
+  });
+
+  it('should not replace built-in or already registered device types', () => {
+    const Driver = createDriverClass(ALL_METHODS);
+    const capabilities = { width: 16, height: 16 };
+
+    assert.throws(
+      () => registerDriverPlugin({ deviceType: 'wled', Driver, capabilities }),
+      /built-in device type/
+    );
+
+    registerDriverPlugin(
+      { deviceType: 'matrix', Driver, capabilities },
+      'a.js'
+    );
+    assert.throws(
+      () =>
+        registerDriverPlugin(
+          { deviceType: 'matrix', Driver, capabilities },
+          'b.js'
+        ),
+      /already registered by a\.js/
+    );
+  });
+
+  it('should validate device options against the config schema', () => {
+    loadDriverPlugins(dir, { logger: silentLogger });
+
+    assert.deepStrictEqual(validatePluginOptions('ticker', { port: 8080 }), []);
+    assert.deepStrictEqual(
+      validatePluginOptions('ticker', { port: 70000, mode: 'blink' }),
+      [
+        'Option port must be at most 65535',
+        'Option mode must be one of: scroll, static',
+      ]
+    );
+    assert.deepStrictEqual(validatePluginOptions('ticker', {}), [
+      'Option port is required',
+    ]);
+    assert.deepStrictEqual(validatePluginOptions('pixoo64', {}), []);
+
+    const config = new DeviceConfig({
+      ip: '10.0.9.1',
+      deviceType: 'ticker',
+      options: { port: '80' },
+    });
+    assert.deepStrictEqual(config.validate().errors, [
+      'Option port must be an integer',
+    ]);
+  });
+
+  it('should reject plugin device types once the plugin is gone', () => {
+    const config = new DeviceConfig({
+      ip: '10.0.9.2',
+      deviceType: 'ticker',
+      options: { port: 80 },
+    });
+    assert.deepStrictEqual(config.validate().errors, [
+      'Invalid device type: ticker',
+    ]);
+  });
+
+  it('should create plugin devices through the device adapter', async () => {
+    loadDriverPlugins(dir, { logger: silentLogger });
+    const {
+      getDevice,
+      registerDevicesFromConfig,
+    } = require('../../lib/device-adapter');
+
+    registerDevicesFromConfig([
+      {
+        ip: '10.0.9.3',
+        deviceType: 'ticker',
+        driver: 'real',
+        options: { port: 8080 },
+      },
+      { ip: '10.0.9.4', deviceType: 'ticker', driver: 'mock' },
+    ]);
+
+    const real = getDevice('10.0.9.3');
+    assert.strictEqual(real.impl.constructor.name, 'TickerDriver');
+    assert.strictEqual(real.impl.options.port, 8080);
+    assert.strictEqual(real.impl.options.driverType, 'real');
+    await real.drawPixelRgba([1, 1], [255, 0, 0, 255]);
+
+    const mock = getDevice('10.0.9.4');
+    assert.strictEqual(mock.impl.constructor.name, 'RasterDriver');
+    assert.deepStrictEqual(
+      [mock.impl.capabilities.width, mock.impl.capabilities.height],
+      [32, 8]
+    );
+  });
+});
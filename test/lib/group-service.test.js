@@ -0,0 +1,221 @@
+/**
+ * @fileoverview Tests for device groups
+ * @description Group definitions in DeviceConfigStore and GroupService
+ * playback: one scene loop on the leader, frames mirrored to the members
+ * @author Markus Barta (mba) with assistance from Cursor AI
+ */
+
+'use strict';
+
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { describe, it, beforeEach, afterEach } = require('node:test');
+
+const { DeviceConfigStore } = require('../../lib/device-config-store');
+const { ValidationError } = require('../../lib/errors');
+const GroupService = require('../../lib/services/group-service');
+
+const silentLogger = {
+  ok: () => {},
+  info: () => {},
+  warn: () => {},
+  error: () => {},
+  debug: () => {},
+};
+
+/**
+ * SceneService stand-in that tracks the current scene per device
+ */
+function createSceneService() {
+  const current = new Map(); // ip -> { currentScene, playState }
+  const calls = [];
+  return {
+    calls,
+    current,
+    switchToScene: async (ip, sceneName, options) => {
+      calls.push(['switch', ip, sceneName, options]);
+      current.set(ip, { currentScene: sceneName, playState: 'playing' });
+    },
+    stopScene: async (ip) => {
+      calls.push(['stop', ip]);
+      current.get(ip).playState = 'stopped';
+    },
+    getCurrentScene: async (ip) =>
+      current.get(ip) || { currentScene: null, playState: 'stopped' },
+  };
+}
+
+describe('Device groups', () => {
+  let tempDir;
+  let configPath;
+  let store;
+  let sceneService;
+  let deviceService;
+  let mirrors;
+  let service;
+
+  beforeEach(async () => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pidicon-groups-'));
+    configPath = path.join(tempDir, 'devices.json');
+    fs.writeFileSync(
+      configPath,
+      JSON.stringify({
+        settings: {
+          mediaPath: path.join(tempDir, 'media'),
+          scenesPath: path.join(tempDir, 'scenes'),
+        },
+        devices: [
+          { id: 'pidicon-1', ip: '10.0.0.1', name: 'Kitchen' },
+          { id: 'pidicon-2', ip: '10.0.0.2', name: 'Office' },
+          { id: 'pidicon-3', ip: '10.0.0.3', name: 'Hall' },
+        ],
+        groups: [{ name: 'house', members: ['pidicon-1', 'pidicon-2'] }],
+      })
+    );
+    store = new DeviceConfigStore(configPath, { logger: silentLogger });
+    await store.load();
+
+    sceneService = createSceneService();
+    deviceService = {
+      calls: [],
+      setDisplayBrightness: async (ip, value) => {
+        if (ip === '10.0.0.2') throw new Error('offline');
+        deviceService.calls.push(['brightness', ip, value]);
+      },
+      setDisplayPower: async (ip, on) =>
+        deviceService.calls.push(['power', ip, on]),
+    };
+    mirrors = [];
+    service = new GroupService({
+      logger: silentLogger,
+      deviceConfigStore: store,
+      sceneService,
+      deviceService,
+      deviceAdapter: {
+        setMirrors: async (leader, followers) =>
+          mirrors.push(['set', leader, followers]),
+        clearMirrors: (host) => mirrors.push(['clear', host]),
+      },
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('DeviceConfigStore', () => {
+    it('should store members by id and persist groups', async () => {
+      await store.setGroup('upstairs', ['10.0.0.3', 'pidicon-1', '10.0.0.1']);
+
+      assert.deepStrictEqual(store.getGroup('upstairs').members, [
+        'pidicon-3',
+        'pidicon-1',
+      ]);
+      const saved = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+      assert.deepStrictEqual(
+        saved.groups.map((g) => g.name),
+        ['house', 'upstairs']
+      );
+    });
+
+    it('should reject bad names and unknown members', async () => {
+      await assert.rejects(store.setGroup('a/b', ['10.0.0.1']), /Group name/);
+      await assert.rejects(store.setGroup('x', []), /at least one member/);
+      await assert.rejects(store.setGroup('x', ['10.9.9.9']), /not found/);
+    });
+
+    it('should follow IP changes and drop removed devices', async () => {
+      await store.updateDevice('10.0.0.2', { ip: '10.0.0.22' });
+      assert.deepStrictEqual(
+        store.getGroupDevices('house').map((d) => d.ip),
+        ['10.0.0.1', '10.0.0.22']
+      );
+
+      await store.removeDevice('10.0.0.1');
+      assert.deepStrictEqual(store.getGroup('house').members, ['pidicon-2']);
+    });
+  });
+
+  describe('GroupService', () => {
+    it('should render on the leader and mirror to the other members', async () => {
+      sceneService.current.set('10.0.0.2', {
+        currentScene: 'weather',
+        playState: 'playing',
+      });
+
+      const result = await service.switchScene('house', 'clock', {
+        payload: { color: 'red' },
+      });
+
+      assert.strictEqual(result.leader, '10.0.0.1');
+      assert.deepStrictEqual(sceneService.calls, [
+        ['stop', '10.0.0.2'],
+        ['switch', '10.0.0.1', 'clock', { payload: { color: 'red' } }],
+      ]);
+      assert.deepStrictEqual(mirrors, [['set', '10.0.0.1', ['10.0.0.2']]]);
+      const group = await service.getGroup('house');
+      assert.strictEqual(group.currentScene, 'clock');
+      assert.deepStrictEqual(
+        group.members.map((m) => m.name),
+        ['Kitchen', 'Office']
+      );
+    });
+
+    it('should end playback when the leader switches on its own', async () => {
+      await service.switchScene('house', 'clock');
+      sceneService.current.set('10.0.0.1', {
+        currentScene: 'weather',
+        playState: 'playing',
+      });
+
+      assert.strictEqual((await service.getGroup('house')).currentScene, null);
+      await assert.rejects(service.stopScene('house'), /not playing/);
+    });
+
+    it('should stop the leader before ending mirroring', async () => {
+      await service.switchScene('house', 'clock');
+
+      await service.stopScene('house');
+
+      assert.deepStrictEqual(sceneService.calls.at(-1), ['stop', '10.0.0.1']);
+      assert.deepStrictEqual(mirrors.at(-1), ['clear', '10.0.0.1']);
+    });
+
+    it('should set brightness per member and report failures', async () => {
+      const result = await service.setDisplayBrightness('house', 40);
+
+      assert.strictEqual(result.success, false);
+      assert.deepStrictEqual(result.results, [
+        { deviceIp: '10.0.0.1', success: true },
+        { deviceIp: '10.0.0.2', success: false, error: 'offline' },
+      ]);
+      assert.deepStrictEqual(deviceService.calls, [
+        ['brightness', '10.0.0.1', 40],
+      ]);
+    });
+
+    it('should play scenes from MQTT state updates', async () => {
+      await service.handleStateUpdate('house', 'upd', {
+        scene: 'clock',
+        clear: false,
+      });
+
+      assert.deepStrictEqual(sceneService.calls.at(-1), [
+        'switch',
+        '10.0.0.1',
+        'clock',
+        { clear: false, payload: { scene: 'clock', clear: false } },
+      ]);
+    });
+
+    it('should reject unknown groups', async () => {
+      await assert.rejects(
+        service.switchScene('nope', 'clock'),
+        ValidationError
+      );
+      assert.strictEqual(await service.getGroup('nope'), null);
+    });
+  });
+});
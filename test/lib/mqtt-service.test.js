@@ -128,6 +128,48 @@ describe('MqttService', () => {
       assert.deepStrictEqual(receivedPayload, { scene: 'startup' });
     });
 
+    it('should resolve device ids in topics to IPs', async () => {
+      const service = new MqttService({ logger: createMockLogger() });
+      const received = [];
+      service.registerHandler('scene', async (deviceIp) =>
+        received.push(deviceIp)
+      );
+      service.setDeviceResolver((ref) =>
+        ref === 'pidicon-1' ? '192.168.1.50' : ref
+      );
+
+      await service._handleMessage(
+        'pixoo/pidicon-1/scene/set',
+        Buffer.from('{"scene":"clock"}')
+      );
+      await service._handleMessage(
+        'pixoo/192.168.1.1/scene/set',
+        Buffer.from('{"scene":"clock"}')
+      );
+
+      assert.deepStrictEqual(received, ['192.168.1.50', '192.168.1.1']);
+    });
+
+    it('should route group topics to group handlers', async () => {
+      const service = new MqttService({ logger: createMockLogger() });
+      const received = [];
+      service.registerGroupHandler('state', async (name, action, payload) =>
+        received.push({ name, action, payload })
+      );
+      service.registerHandler('state', async () => {
+        throw new Error('device handler must not be called');
+      });
+
+      await service._handleMessage(
+        'pixoo/group/living/state/upd',
+        Buffer.from('{"scene":"clock"}')
+      );
+
+      assert.deepStrictEqual(received, [
+        { name: 'living', action: 'upd', payload: { scene: 'clock' } },
+      ]);
+    });
+
     it('should handle topics without action', async () => {
       const logger = createMockLogger();
       const service = new MqttService({ logger });
@@ -0,0 +1,192 @@
+/**
+ * @fileoverview Tests for pixoo-http.js
+ * @description Verifies the HTTP payloads RealPixoo sends to the device,
+ * using a stub HTTP server instead of real hardware
+ * @author Markus Barta (mba) with assistance from Cursor AI
+ */
+
+'use strict';
+
+const assert = require('node:assert');
+const http = require('node:http');
+const { describe, it, before, after, beforeEach } = require('node:test');
+
+const { RealPixoo } = require('../../lib/pixoo-http');
+
+const FRAME_BYTES = 64 * 64 * 3;
+
+describe('RealPixoo', () => {
+  let server;
+  let host;
+  let requests;
+  let failing;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => (body += chunk));
+      req.on('end', () => {
+        if (failing) {
+          req.socket.destroy();
+          return;
+        }
+        requests.push({ url: req.url, body: JSON.parse(body) });
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ error_code: 0 }));
+      });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    host = `127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => server.close());
+
+  beforeEach(() => {
+    requests = [];
+    failing = false;
+  });
+
+  function createDevice(size) {
+    const device = new RealPixoo(host, size);
+    device.initialized = true; // Skip tryInit round-trips
+    return device;
+  }
+
+  describe('push()', () => {
+    function gifPosts() {
+      return requests.filter((r) => r.body.Command === 'Draw/SendHttpGif');
+    }
+
+    it('should skip the HTTP call when the frame is unchanged', async () => {
+      const device = createDevice();
+      await device.drawPixelRgba([1, 1], [0, 255, 0, 255]);
+
+      assert.strictEqual(await device.push(), true);
+      const requestsAfterFirst = requests.length;
+      assert.strictEqual(await device.push(), false);
+
+      assert.strictEqual(requests.length, requestsAfterFirst);
+      assert.strictEqual(gifPosts().length, 1);
+    });
+
+    it('should send again once a pixel changes', async () => {
+      const device = createDevice();
+      await device.push();
+
+      await device.drawPixelRgba([63, 63], [0, 0, 1, 255]);
+      assert.strictEqual(await device.push(), true);
+
+      assert.strictEqual(gifPosts().length, 2);
+    });
+
+    it('should not remember frames that failed to send', async () => {
+      const device = createDevice();
+      failing = true;
+
+      await assert.rejects(() => device.push(), /socket hang up|ECONNRESET/);
+
+      assert.strictEqual(device.lastPushedFrame, null);
+    });
+
+    it('should resend after invalidateFrame() or an animation upload', async () => {
+      const device = createDevice();
+      await device.push();
+
+      device.invalidateFrame();
+      assert.strictEqual(await device.push(), true);
+
+      await device.pushAnimation([device.captureFrame()]);
+      assert.strictEqual(await device.push(), true);
+    });
+  });
+
+  describe('pushAnimation()', () => {
+    it('should upload all frames as one GIF sequence', async () => {
+      const device = createDevice();
+      const frames = [
+        new Uint8Array(FRAME_BYTES).fill(10),
+        new Uint8Array(FRAME_BYTES).fill(20),
+        new Uint8Array(FRAME_BYTES).fill(30),
+      ];
+
+      const uploaded = await device.pushAnimation(frames, 120);
+
+      assert.strictEqual(uploaded, 3);
+      const gifs = requests
+        .map((r) => r.body)
+        .filter((b) => b.Command === 'Draw/SendHttpGif');
+      assert.strictEqual(gifs.length, 3);
+      assert.deepStrictEqual(
+        gifs.map((b) => b.PicOffset),
+        [0, 1, 2]
+      );
+      assert.ok(gifs.every((b) => b.PicNum === 3));
+      assert.ok(gifs.every((b) => b.PicSpeed === 120));
+      assert.strictEqual(new Set(gifs.map((b) => b.PicID)).size, 1);
+      assert.strictEqual(
+        Buffer.from(gifs[1].PicData, 'base64')[0],
+        20,
+        'Frame data should be sent in order'
+      );
+    });
+
+    it('should reset the GIF id before uploading', async () => {
+      const device = createDevice();
+
+      await device.pushAnimation([device.captureFrame()]);
+
+      assert.strictEqual(requests[0].body.Command, 'Draw/ResetHttpGifId');
+    });
+
+    it('should reject empty, oversized or malformed sequences', async () => {
+      const device = createDevice();
+
+      await assert.rejects(() => device.pushAnimation([]), /at least one/);
+      await assert.rejects(
+        () =>
+          device.pushAnimation(
+            Array.from({ length: 60 }, () => device.captureFrame())
+          ),
+        /maximum/
+      );
+      await assert.rejects(
+        () => device.pushAnimation([new Uint8Array(10)]),
+        /bytes/
+      );
+      assert.strictEqual(requests.length, 0);
+    });
+  });
+
+  describe('panel sizes', () => {
+    it('should size the buffer and payload from the panel size', async () => {
+      const device = createDevice(32);
+      await device.drawPixelRgba([40, 40], [255, 255, 255, 255]);
+      await device.drawPixelRgba([31, 31], [255, 255, 255, 255]);
+
+      await device.push();
+
+      assert.strictEqual(device.buf.length, 32 * 32 * 3);
+      assert.strictEqual(device.buf[device.buf.length - 1], 255);
+      const gif = requests.find((r) => r.body.Command === 'Draw/SendHttpGif');
+      assert.strictEqual(gif.body.PicWidth, 32);
+      assert.strictEqual(gif.body.PicHeight, 32);
+      assert.strictEqual(
+        Buffer.from(gif.body.PicData, 'base64').length,
+        32 * 32 * 3
+      );
+    });
+  });
+
+  describe('captureFrame()', () => {
+    it('should return an independent copy of the buffer', async () => {
+      const device = createDevice();
+      await device.drawPixelRgba([0, 0], [255, 0, 0, 255]);
+
+      const frame = device.captureFrame();
+      await device.clear();
+
+      assert.strictEqual(frame[0], 255);
+      assert.strictEqual(device.buf[0], 0);
+    });
+  });
+});
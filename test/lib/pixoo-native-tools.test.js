@@ -0,0 +1,215 @@
+/**
+ * @fileoverview Tests for Pixoo native tools
+ * @description Validation, the firmware commands sent by the Pixoo driver
+ * (against a stub HTTP server), DeviceService capability checks and the MQTT
+ * tools/<tool> command
+ * @author Markus Barta (mba) with assistance from Cursor AI
+ */
+
+'use strict';
+
+const assert = require('node:assert');
+const http = require('node:http');
+const { describe, it, before, after, beforeEach } = require('node:test');
+
+const ToolsCommandHandler = require('../../lib/commands/tools-command-handler');
+const { DEVICE_PROFILES } = require('../../lib/core/device-capabilities');
+const { validateNativeTool } = require('../../lib/drivers/pixoo/native-tools');
+const PixooDriver = require('../../lib/drivers/pixoo/pixoo-driver');
+const { ValidationError } = require('../../lib/errors');
+const DeviceService = require('../../lib/services/device-service');
+
+const silentLogger = {
+  ok: () => {},
+  info: () => {},
+  warn: () => {},
+  error: () => {},
+  debug: () => {},
+};
+
+describe('Pixoo native tools', () => {
+  describe('validateNativeTool()', () => {
+    it('should accept valid commands', () => {
+      assert.deepStrictEqual(
+        validateNativeTool('timer', { action: 'start', minutes: 5 }),
+        []
+      );
+      assert.deepStrictEqual(
+        validateNativeTool('stopwatch', { action: 'reset' }),
+        []
+      );
+      assert.deepStrictEqual(validateNativeTool('buzzer'), []);
+    });
+
+    it('should reject unknown tools and bad parameters', () => {
+      assert.match(validateNativeTool('lamp')[0], /Unknown tool: lamp/);
+      assert.deepStrictEqual(
+        validateNativeTool('timer', { action: 'start', seconds: 0 }),
+        ['Timer duration must be greater than zero']
+      );
+      assert.deepStrictEqual(validateNativeTool('noise', {}), [
+        'Action must be one of: start, stop',
+      ]);
+      assert.deepStrictEqual(
+        validateNativeTool('scoreboard', { red: 3, blue: 1000 }),
+        ['Scoreboard red and blue must be integers between 0 and 999']
+      );
+    });
+  });
+
+  describe('PixooDriver', () => {
+    let server;
+    let requests;
+    let driver;
+
+    before(async () => {
+      server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => (body += chunk));
+        req.on('end', () => {
+          requests.push(JSON.parse(body));
+          res.setHeader('Content-Type', 'application/json');
+          res.end(JSON.stringify({ error_code: 0 }));
+        });
+      });
+      await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+      driver = new PixooDriver(`127.0.0.1:${server.address().port}`, 'real');
+    });
+
+    after(() => server.close());
+
+    beforeEach(() => {
+      requests = [];
+    });
+
+    it('should send the firmware command of each tool', async () => {
+      await driver.runNativeTool('timer', {
+        action: 'start',
+        minutes: 2,
+        seconds: 30,
+      });
+      await driver.runNativeTool('stopwatch', { action: 'stop' });
+      await driver.runNativeTool('scoreboard', { red: 3, blue: 1 });
+      await driver.runNativeTool('noise', { action: 'start' });
+      await driver.runNativeTool('buzzer');
+
+      assert.deepStrictEqual(requests, [
+        { Command: 'Tools/SetTimer', Minute: 2, Second: 30, Status: 1 },
+        { Command: 'Tools/SetStopWatch', Status: 2 },
+        { Command: 'Tools/SetScoreBoard', RedScore: 3, BlueScore: 1 },
+        { Command: 'Tools/SetNoiseStatus', NoiseStatus: 1 },
+        {
+          Command: 'Device/PlayBuzzer',
+          ActiveTimeInCycle: 500,
+          OffTimeInCycle: 500,
+          PlayTotalTime: 3000,
+        },
+      ]);
+    });
+
+    it('should play tones through the buzzer', async () => {
+      assert.strictEqual(await driver.playTone(440, 250), true);
+      assert.deepStrictEqual(requests, [
+        {
+          Command: 'Device/PlayBuzzer',
+          ActiveTimeInCycle: 250,
+          OffTimeInCycle: 0,
+          PlayTotalTime: 250,
+        },
+      ]);
+    });
+  });
+
+  describe('DeviceService.runNativeTool and tools/<tool>', () => {
+    let ran;
+    let drivers;
+    let service;
+
+    beforeEach(() => {
+      ran = [];
+      drivers = new Map([
+        ['10.0.4.1', 'real'],
+        ['10.0.4.2', 'real'],
+      ]);
+      const devices = {
+        '10.0.4.1': {
+          deviceType: 'pixoo64',
+          getCapabilities: () => DEVICE_PROFILES.PIXOO64,
+          impl: {
+            runNativeTool: async (tool, params) => {
+              ran.push([tool, params]);
+              return true;
+            },
+          },
+        },
+        '10.0.4.2': {
+          deviceType: 'awtrix',
+          getCapabilities: () => DEVICE_PROFILES.AWTRIX,
+          impl: {},
+        },
+      };
+      service = new DeviceService({
+        logger: silentLogger,
+        deviceAdapter: {
+          deviceDrivers: drivers,
+          getDevice: (ip) => devices[ip],
+          getDriverForDevice: (ip) => drivers.get(ip),
+        },
+        sceneManager: {},
+        stateStore: {},
+        softReset: async () => true,
+      });
+    });
+
+    it('should run tools on devices that support them', async () => {
+      const result = await service.runNativeTool('10.0.4.1', 'scoreboard', {
+        red: 2,
+        blue: 0,
+      });
+
+      assert.strictEqual(result.success, true);
+      assert.deepStrictEqual(ran, [['scoreboard', { red: 2, blue: 0 }]]);
+    });
+
+    it('should reject devices without native tools', async () => {
+      await assert.rejects(
+        service.runNativeTool('10.0.4.2', 'buzzer'),
+        (error) =>
+          error instanceof ValidationError &&
+          /has no native tools/.test(error.message)
+      );
+    });
+
+    it('should not send tool commands to mock devices', async () => {
+      drivers.set('10.0.4.1', 'mock');
+
+      await service.runNativeTool('10.0.4.1', 'buzzer');
+
+      assert.deepStrictEqual(ran, []);
+    });
+
+    it('should take the tool from the MQTT topic action', async () => {
+      const published = [];
+      const handler = new ToolsCommandHandler({
+        logger: silentLogger,
+        mqttService: {
+          publish: (topic, payload) => published.push([topic, payload]),
+        },
+        deviceService: service,
+      });
+
+      await handler.handle('10.0.4.1', 'stopwatch', { action: 'start' });
+      await handler.handle('10.0.4.1', 'buzzer', null);
+      await handler.handle('10.0.4.2', 'buzzer', null);
+
+      assert.deepStrictEqual(ran, [
+        ['stopwatch', { action: 'start' }],
+        ['buzzer', {}],
+      ]);
+      assert.deepStrictEqual(
+        published.map(([topic]) => topic),
+        ['pixoo/10.0.4.1/tools', 'pixoo/10.0.4.1/tools', 'pixoo/10.0.4.2/error']
+      );
+    });
+  });
+});
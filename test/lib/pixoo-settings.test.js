@@ -0,0 +1,311 @@
+/**
+ * @fileoverview Tests for Pixoo hardware settings
+ * @description Validation, the Pixoo driver commands (against a stub HTTP
+ * server), DeviceService persistence and the MQTT settings/set command
+ * @author Markus Barta (mba) with assistance from Cursor AI
+ */
+
+'use strict';
+
+const assert = require('node:assert');
+const fs = require('node:fs');
+const http = require('node:http');
+const os = require('node:os');
+const path = require('node:path');
+const {
+  describe,
+  it,
+  before,
+  after,
+  beforeEach,
+  afterEach,
+} = require('node:test');
+
+const CommandRouter = require('../../lib/commands/command-router');
+const SettingsCommandHandler = require('../../lib/commands/settings-command-handler');
+const { DeviceConfigStore } = require('../../lib/device-config-store');
+const {
+  validateHardwareSettings,
+} = require('../../lib/drivers/pixoo/hardware-settings');
+const PixooDriver = require('../../lib/drivers/pixoo/pixoo-driver');
+const { ValidationError } = require('../../lib/errors');
+const DeviceService = require('../../lib/services/device-service');
+
+const silentLogger = {
+  ok: () => {},
+  info: () => {},
+  warn: () => {},
+  error: () => {},
+  debug: () => {},
+};
+
+describe('Pixoo hardware settings', () => {
+  describe('validateHardwareSettings()', () => {
+    it('should accept a complete set of settings', () => {
+      assert.deepStrictEqual(
+        validateHardwareSettings({
+          rotation: 180,
+          mirror: false,
+          clockFormat: '24h',
+          temperatureUnit: 'celsius',
+          whiteBalance: { r: 100, g: 90, b: 80 },
+          timezone: 'GMT+1',
+        }),
+        []
+      );
+    });
+
+    it('should report each invalid setting', () => {
+      assert.deepStrictEqual(
+        validateHardwareSettings({
+          rotation: 45,
+          mirror: 'yes',
+          whiteBalance: { r: 100, g: 90 },
+          timezone: 'Europe/Vienna',
+          volume: 3,
+        }),
+        [
+          'Unknown hardware setting: volume',
+          'Setting rotation must be one of: 0, 90, 180, 270',
+          'Setting mirror must be a boolean',
+          'Setting whiteBalance needs r, g and b between 0 and 100',
+          'Setting timezone must look like GMT+1 or GMT-5',
+        ]
+      );
+    });
+  });
+
+  describe('PixooDriver', () => {
+    let server;
+    let requests;
+    let host;
+
+    before(async () => {
+      server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => (body += chunk));
+        req.on('end', () => {
+          const command = JSON.parse(body);
+          requests.push(command);
+          res.setHeader('Content-Type', 'application/json');
+          res.end(
+            JSON.stringify(
+              command.Command === 'Channel/GetAllConf'
+                ? {
+                    error_code: 0,
+                    GyrateAngle: 2,
+                    MirrorFlag: 1,
+                    Time24Flag: 1,
+                    TemperatureMode: 0,
+                  }
+                : { error_code: command.Command === 'Sys/TimeZone' ? 1 : 0 }
+            )
+          );
+        });
+      });
+      await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+      host = `127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => server.close());
+
+    beforeEach(() => {
+      requests = [];
+    });
+
+    it('should send one firmware command per setting', async () => {
+      const driver = new PixooDriver(host, 'real');
+
+      const ok = await driver.applyHardwareSettings({
+        rotation: 180,
+        mirror: true,
+        clockFormat: '24h',
+        temperatureUnit: 'fahrenheit',
+        whiteBalance: { r: 100, g: 95, b: 90 },
+      });
+
+      assert.strictEqual(ok, true);
+      assert.deepStrictEqual(requests, [
+        { Command: 'Device/SetScreenRotationAngle', Mode: 2 },
+        { Command: 'Device/SetMirrorMode', Mode: 1 },
+        { Command: 'Device/SetTime24Flag', Mode: 1 },
+        { Command: 'Device/SetDisTempMode', Mode: 1 },
+        {
+          Command: 'Device/SetWhiteBalance',
+          RValue: 100,
+          GValue: 95,
+          BValue: 90,
+        },
+      ]);
+    });
+
+    it('should sync the clock with the timezone and report rejections', async () => {
+      const driver = new PixooDriver(host, 'real');
+
+      assert.strictEqual(
+        await driver.applyHardwareSettings({ timezone: 'GMT+1' }),
+        false
+      );
+      assert.deepStrictEqual(
+        requests.map((r) => r.Command),
+        ['Sys/TimeZone', 'Device/SetUTC']
+      );
+    });
+
+    it('should read the settings the firmware reports', async () => {
+      const driver = new PixooDriver(host, 'real');
+
+      assert.deepStrictEqual(await driver.getHardwareSettings(), {
+        rotation: 180,
+        mirror: true,
+        clockFormat: '24h',
+        temperatureUnit: 'celsius',
+      });
+    });
+  });
+
+  describe('DeviceService and settings/set', () => {
+    let tempDir;
+    let store;
+    let drivers;
+    let applied;
+    let service;
+
+    beforeEach(async () => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pidicon-settings-'));
+      const configPath = path.join(tempDir, 'devices.json');
+      fs.writeFileSync(
+        configPath,
+        JSON.stringify({
+          devices: [
+            {
+              id: 'pidicon-1',
+              ip: '10.0.3.1',
+              deviceType: 'pixoo64',
+              driver: 'real',
+              hardwareSettings: { clockFormat: '24h' },
+            },
+            { id: 'pidicon-2', ip: '10.0.3.2', deviceType: 'wled' },
+          ],
+        })
+      );
+      store = new DeviceConfigStore(configPath, { logger: silentLogger });
+      await store.load();
+
+      applied = [];
+      drivers = new Map([
+        ['10.0.3.1', 'real'],
+        ['10.0.3.2', 'real'],
+      ]);
+      const devices = {
+        '10.0.3.1': {
+          deviceType: 'pixoo64',
+          impl: {
+            applyHardwareSettings: async (settings) => {
+              applied.push(settings);
+              return true;
+            },
+          },
+        },
+        '10.0.3.2': { deviceType: 'wled', impl: {} },
+      };
+      service = new DeviceService({
+        logger: silentLogger,
+        deviceAdapter: {
+          deviceDrivers: drivers,
+          getDevice: (ip) => devices[ip],
+          getDriverForDevice: (ip) => drivers.get(ip),
+        },
+        sceneManager: {},
+        stateStore: {},
+        softReset: async () => true,
+        deviceConfigStore: store,
+      });
+    });
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('should apply settings and persist them in the device config', async () => {
+      const result = await service.setHardwareSettings('10.0.3.1', {
+        rotation: 180,
+      });
+
+      assert.deepStrictEqual(applied, [{ rotation: 180 }]);
+      assert.deepStrictEqual(result.settings, {
+        clockFormat: '24h',
+        rotation: 180,
+      });
+      const saved = JSON.parse(
+        fs.readFileSync(path.join(tempDir, 'devices.json'), 'utf8')
+      ).devices.find((device) => device.id === 'pidicon-1');
+      assert.deepStrictEqual(saved.hardwareSettings, {
+        clockFormat: '24h',
+        rotation: 180,
+      });
+    });
+
+    it('should not send settings to mock devices', async () => {
+      drivers.set('10.0.3.1', 'mock');
+
+      await service.setHardwareSettings('10.0.3.1', { mirror: true });
+
+      assert.deepStrictEqual(applied, []);
+      assert.strictEqual(
+        store.getDevice('10.0.3.1').hardwareSettings.mirror,
+        true
+      );
+    });
+
+    it('should reject invalid settings and other device types', async () => {
+      await assert.rejects(
+        service.setHardwareSettings('10.0.3.1', { rotation: 45 }),
+        ValidationError
+      );
+      await assert.rejects(
+        service.setHardwareSettings('10.0.3.2', { rotation: 90 }),
+        /only supported on Pixoo/
+      );
+      assert.deepStrictEqual(applied, []);
+    });
+
+    it('should reapply the persisted settings', async () => {
+      assert.strictEqual(
+        await service.applyConfiguredHardwareSettings('10.0.3.1'),
+        true
+      );
+      assert.strictEqual(
+        await service.applyConfiguredHardwareSettings('10.0.3.2'),
+        false
+      );
+      assert.deepStrictEqual(applied, [{ clockFormat: '24h' }]);
+    });
+
+    it('should handle settings/set through the command router', async () => {
+      const published = [];
+      const router = new CommandRouter({
+        logger: silentLogger,
+        handlers: {
+          settings: new SettingsCommandHandler({
+            logger: silentLogger,
+            mqttService: {
+              publish: (topic, payload) => published.push([topic, payload]),
+            },
+            deviceService: service,
+          }),
+        },
+      });
+
+      await router.dispatch('settings', '10.0.3.1', 'set', { mirror: true });
+      await router.route('pixoo/10.0.3.1/settings/set', { rotation: 45 });
+
+      assert.deepStrictEqual(
+        published.map(([topic]) => topic),
+        ['pixoo/10.0.3.1/settings', 'pixoo/10.0.3.1/error']
+      );
+      assert.strictEqual(published[0][1].settings.mirror, true);
+      assert.match(published[1][1].error, /rotation must be one of/);
+    });
+  });
+});
@@ -0,0 +1,421 @@
+/**
+ * @fileoverview Tests for scene playlists
+ * @description Playlist definitions in DeviceConfigStore and PlaylistService
+ * playback: timed rotation, shuffle/repeat/skip options, manual skips, group
+ * playlists, MQTT commands and resuming after a restart via the StateStore
+ * @author Markus Barta (mba) with assistance from Cursor AI
+ */
+
+'use strict';
+
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { describe, it, beforeEach, afterEach } = require('node:test');
+
+const PlaylistCommandHandler = require('../../lib/commands/playlist-command-handler');
+const { DeviceConfigStore } = require('../../lib/device-config-store');
+const { ValidationError } = require('../../lib/errors');
+const PlaylistService = require('../../lib/services/playlist-service');
+const SceneService = require('../../lib/services/scene-service');
+const StateStore = require('../../lib/state-store');
+
+const silentLogger = {
+  ok: () => {},
+  info: () => {},
+  warn: () => {},
+  error: () => {},
+  debug: () => {},
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function waitFor(condition, timeoutMs = 2000) {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeoutMs) throw new Error('Timed out');
+    await sleep(5);
+  }
+}
+
+// Entry durations are in seconds: 0.03 s keeps the rotation tests fast
+const SHORT = 0.03;
+const LONG = 60;
+
+/**
+ * SceneService stand-in: tracks the current scene per device, 'broken'
+ * fails to start and scenes in `incompatible` are not made for the device
+ */
+function createSceneService(incompatible = []) {
+  const current = new Map(); // ip -> { currentScene, playState }
+  const calls = [];
+  return {
+    calls,
+    current,
+    switchToScene: async (ip, sceneName, options) => {
+      if (sceneName === 'broken') throw new Error('Scene failed');
+      calls.push([ip, sceneName, options.payload]);
+      current.set(ip, { currentScene: sceneName, playState: 'playing' });
+    },
+    getCurrentScene: async (ip) =>
+      current.get(ip) || { currentScene: null, playState: 'stopped' },
+    isSceneCompatible: (_ip, sceneName) => !incompatible.includes(sceneName),
+  };
+}
+
+function createGroupService() {
+  const calls = [];
+  let currentScene = null;
+  return {
+    calls,
+    switchScene: async (name, sceneName) => {
+      calls.push([name, sceneName]);
+      currentScene = sceneName;
+    },
+    getGroup: async (name) => ({ name, currentScene }),
+  };
+}
+
+describe('Playlists', () => {
+  let tempDir;
+  let configPath;
+  let store;
+  let stateStore;
+  let sceneService;
+  let groupService;
+  let service;
+
+  function createService(overrides = {}) {
+    return new PlaylistService({
+      logger: silentLogger,
+      deviceConfigStore: store,
+      sceneService,
+      groupService,
+      stateStore,
+      ...overrides,
+    });
+  }
+
+  function stopAll(playlistService) {
+    for (const run of [...playlistService.runs.values()]) {
+      playlistService.stop(run.owner);
+    }
+  }
+
+  beforeEach(async () => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pidicon-playlists-'));
+    configPath = path.join(tempDir, 'devices.json');
+    fs.writeFileSync(
+      configPath,
+      JSON.stringify({
+        settings: {
+          mediaPath: path.join(tempDir, 'media'),
+          scenesPath: path.join(tempDir, 'scenes'),
+        },
+        devices: [
+          { id: 'pidicon-1', ip: '10.0.0.1', name: 'Kitchen' },
+          { id: 'pidicon-2', ip: '10.0.0.2', name: 'Office' },
+        ],
+        groups: [{ name: 'house', members: ['pidicon-1', 'pidicon-2'] }],
+      })
+    );
+    store = new DeviceConfigStore(configPath, { logger: silentLogger });
+    await store.load();
+
+    stateStore = new StateStore({
+      logger: silentLogger,
+      persistPath: path.join(tempDir, 'runtime-state.json'),
+    });
+    sceneService = createSceneService(['matrix']);
+    groupService = createGroupService();
+    service = createService();
+  });
+
+  afterEach(async () => {
+    stopAll(service);
+    stateStore.disablePersistence();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('DeviceConfigStore', () => {
+    it('should store playlists per device and per group', async () => {
+      const saved = await store.setPlaylist({ device: 'pidicon-1' }, 'day', {
+        entries: [{ scene: 'clock', duration: 30 }],
+      });
+      assert.deepStrictEqual(saved, {
+        name: 'day',
+        entries: [{ scene: 'clock', payload: {}, duration: 30 }],
+        shuffle: false,
+        repeat: true,
+        skipIncompatible: true,
+      });
+
+      await store.setPlaylist({ group: 'house' }, 'night', {
+        entries: [{ scene: 'moon', payload: { dim: true }, duration: 5 }],
+        shuffle: true,
+      });
+      // Replacing the members keeps the group's playlists
+      await store.setGroup('house', ['10.0.0.2']);
+
+      const json = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+      assert.deepStrictEqual(Object.keys(json.devices[0].playlists), ['day']);
+      assert.strictEqual(json.groups[0].playlists.night.shuffle, true);
+      assert.deepStrictEqual(
+        store.getPlaylists({ device: '10.0.0.1' }).map((p) => p.name),
+        ['day']
+      );
+    });
+
+    it('should reject invalid playlists', async () => {
+      const owner = { device: '10.0.0.1' };
+      const entries = [{ scene: 'clock', duration: 10 }];
+
+      await assert.rejects(
+        store.setPlaylist(owner, 'a b', { entries }),
+        /Playlist name/
+      );
+      await assert.rejects(
+        store.setPlaylist(owner, 'x', { entries: [] }),
+        /at least one entry/
+      );
+      await assert.rejects(
+        store.setPlaylist(owner, 'x', { entries: [{ scene: 'clock' }] }),
+        /Entry 1: duration must be a positive number/
+      );
+      await assert.rejects(
+        store.setPlaylist(owner, 'x', { entries, repeat: 'yes' }),
+        /option repeat must be a boolean/
+      );
+      await assert.rejects(
+        store.setPlaylist({ group: 'attic' }, 'x', { entries }),
+        /Group attic not found/
+      );
+    });
+  });
+
+  describe('PlaylistService', () => {
+    it('should rotate through the entries and start over', async () => {
+      await service.savePlaylist({ device: '10.0.0.1' }, 'day', {
+        entries: [
+          { scene: 'clock', payload: { color: 'red' }, duration: SHORT },
+          { scene: 'weather', duration: SHORT },
+        ],
+      });
+
+      const status = await service.play({ device: '10.0.0.1' }, 'day');
+      assert.strictEqual(status.scene, 'clock');
+      assert.strictEqual(status.position, 0);
+      assert.strictEqual(status.total, 2);
+      assert.strictEqual(status.endsAt - status.startedAt, SHORT * 1000);
+
+      await waitFor(() => sceneService.calls.length >= 3);
+      assert.deepStrictEqual(
+        sceneService.calls.slice(0, 3).map(([, scene]) => scene),
+        ['clock', 'weather', 'clock']
+      );
+      assert.deepStrictEqual(sceneService.calls[0], [
+        '10.0.0.1',
+        'clock',
+        { color: 'red' },
+      ]);
+    });
+
+    it('should skip incompatible and failing entries and finish without repeat', async () => {
+      await service.savePlaylist({ device: '10.0.0.1' }, 'once', {
+        entries: [
+          { scene: 'matrix', duration: SHORT },
+          { scene: 'broken', duration: SHORT },
+          { scene: 'clock', duration: SHORT },
+        ],
+        repeat: false,
+      });
+
+      const status = await service.play({ device: '10.0.0.1' }, 'once');
+      assert.strictEqual(status.position, 2);
+      assert.strictEqual(status.scene, 'clock');
+
+      await waitFor(() => service.runs.size === 0);
+      assert.strictEqual(await service.getStatus({ device: '10.0.0.1' }), null);
+      assert.deepStrictEqual(stateStore.getPlaylistStates(), {});
+
+      await store.setPlaylist({ device: '10.0.0.1' }, 'none', {
+        entries: [{ scene: 'matrix', duration: SHORT }],
+      });
+      await assert.rejects(
+        service.play({ device: '10.0.0.1' }, 'none'),
+        /has no playable entry/
+      );
+    });
+
+    it('should skip forward and back and stop on request', async () => {
+      const owner = { device: 'pidicon-1' };
+      await service.savePlaylist(owner, 'day', {
+        entries: [
+          { scene: 'a', duration: LONG },
+          { scene: 'b', duration: LONG },
+          { scene: 'c', duration: LONG },
+        ],
+      });
+      await service.play(owner, 'day', { position: 1 });
+
+      assert.strictEqual((await service.next(owner)).scene, 'c');
+      assert.strictEqual((await service.next(owner)).scene, 'a'); // Repeat
+      assert.strictEqual((await service.prev(owner)).scene, 'c');
+
+      const result = service.stop(owner);
+      assert.strictEqual(result.success, true);
+      assert.strictEqual(await service.getStatus(owner), null);
+      assert.throws(
+        () => service.stop(owner),
+        (error) =>
+          error instanceof ValidationError &&
+          /No playlist is playing on 10\.0\.0\.1/.test(error.message)
+      );
+    });
+
+    it('should end when the scene is switched by hand', async () => {
+      const owner = { device: '10.0.0.1' };
+      await service.savePlaylist(owner, 'day', {
+        entries: [
+          { scene: 'clock', duration: LONG },
+          { scene: 'weather', duration: LONG },
+        ],
+      });
+      await service.play(owner, 'day');
+      assert.strictEqual(
+        (await service.getDeviceStatus('10.0.0.1')).playlist,
+        'day'
+      );
+
+      sceneService.current.set('10.0.0.1', {
+        currentScene: 'fill',
+        playState: 'playing',
+      });
+      assert.strictEqual(await service.getStatus(owner), null);
+      assert.strictEqual(service.runs.size, 0);
+    });
+
+    it('should play pixoo64 scenes on UDP and wall devices', async () => {
+      const deviceTypes = { '10.0.0.1': 'udp', '10.0.0.2': 'wall' };
+      const scenes = {
+        clock: { deviceTypes: ['pixoo64'] },
+        notifier: { deviceTypes: ['awtrix'] },
+        weather: {},
+      };
+      const realSceneService = new SceneService({
+        logger: silentLogger,
+        sceneManager: { getScene: (name) => scenes[name] },
+        deviceAdapter: {
+          getDevice: (ip) => ({ deviceType: deviceTypes[ip] }),
+        },
+        mqttService: {},
+        versionInfo: {},
+      });
+      sceneService.isSceneCompatible = (ip, sceneName) =>
+        realSceneService.isSceneCompatible(ip, sceneName);
+
+      for (const device of ['10.0.0.1', '10.0.0.2']) {
+        await service.savePlaylist({ device }, 'mixed', {
+          entries: ['notifier', 'clock', 'weather'].map((scene) => ({
+            scene,
+            duration: SHORT,
+          })),
+          repeat: false,
+          skipIncompatible: true,
+        });
+        await service.play({ device }, 'mixed');
+      }
+
+      await waitFor(() => service.runs.size === 0);
+      for (const ip of ['10.0.0.1', '10.0.0.2']) {
+        assert.deepStrictEqual(
+          sceneService.calls
+            .filter(([callIp]) => callIp === ip)
+            .map(([, scene]) => scene),
+          ['clock', 'weather']
+        );
+      }
+    });
+
+    it('should play group playlists through the group service', async () => {
+      await service.savePlaylist({ group: 'house' }, 'party', {
+        entries: [{ scene: 'disco', duration: LONG }],
+      });
+
+      await service.handleGroupCommand('house', 'set', { playlist: 'party' });
+
+      assert.deepStrictEqual(groupService.calls, [['house', 'disco']]);
+      const status = await service.getDeviceStatus('10.0.0.2');
+      assert.strictEqual(status.group, 'house');
+      assert.strictEqual(status.scene, 'disco');
+    });
+
+    it('should handle MQTT playlist commands', async () => {
+      const published = [];
+      const handler = new PlaylistCommandHandler({
+        logger: silentLogger,
+        mqttService: {
+          publish: (topic, payload) => published.push([topic, payload]),
+        },
+        playlistService: service,
+      });
+      await service.savePlaylist({ device: '10.0.0.1' }, 'day', {
+        entries: [
+          { scene: 'clock', duration: LONG },
+          { scene: 'weather', duration: LONG },
+        ],
+      });
+
+      await handler.handle('10.0.0.1', 'set', { playlist: 'day' });
+      await handler.handle('10.0.0.1', 'next', null);
+      await handler.handle('10.0.0.1', 'shuffle', null);
+
+      assert.strictEqual(published[0][0], 'pixoo/10.0.0.1/playlist');
+      assert.strictEqual(published[1][1].status.scene, 'weather');
+      assert.strictEqual(published[2][0], 'pixoo/10.0.0.1/error');
+      assert.match(published[2][1].error, /Unknown playlist action: shuffle/);
+
+      await handler.handle('10.0.0.1', 'set', { playlist: null });
+      assert.strictEqual(published[3][1].status.success, true);
+      assert.strictEqual(service.runs.size, 0);
+    });
+
+    it('should resume at the same entry after a restart', async () => {
+      await service.savePlaylist({ device: '10.0.0.1' }, 'day', {
+        entries: [
+          { scene: 'a', duration: LONG },
+          { scene: 'b', duration: LONG },
+          { scene: 'c', duration: LONG },
+        ],
+        shuffle: true,
+      });
+      await service.play({ device: '10.0.0.1' }, 'day');
+      const before = await service.next({ device: '10.0.0.1' });
+      await stateStore.flush();
+
+      // Daemon goes down: the timers are gone, the state file stays
+      for (const run of service.runs.values()) clearTimeout(run.timer);
+      service.runs.clear();
+
+      // New daemon process: fresh services, state restored from disk
+      const restartedState = new StateStore({
+        logger: silentLogger,
+        persistPath: stateStore.persistPath,
+      });
+      await restartedState.restore();
+      sceneService = createSceneService();
+      const restarted = createService({ stateStore: restartedState });
+
+      try {
+        assert.strictEqual(await restarted.resume(), 1);
+        const after = await restarted.getStatus({ device: '10.0.0.1' });
+        assert.strictEqual(after.position, 1);
+        assert.strictEqual(after.scene, before.scene);
+      } finally {
+        stopAll(restarted);
+        restartedState.disablePersistence();
+      }
+    });
+  });
+});
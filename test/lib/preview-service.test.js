@@ -0,0 +1,132 @@
+/**
+ * @fileoverview Tests for PreviewService
+ * @description Verifies per-device subscriptions, PNG frame messages,
+ * duplicate suppression and rate limiting of live previews
+ * @author Markus Barta (mba) with assistance from Cursor AI
+ */
+
+'use strict';
+
+const assert = require('node:assert');
+const { describe, it, beforeEach } = require('node:test');
+const { PNG } = require('pngjs');
+
+const PreviewService = require('../../lib/services/preview-service');
+
+const silentLogger = {
+  ok: () => {},
+  info: () => {},
+  warn: () => {},
+  error: () => {},
+  debug: () => {},
+};
+
+function createFrame(value = 0) {
+  return { width: 2, height: 2, buf: new Uint8Array(12).fill(value) };
+}
+
+/**
+ * Minimal device adapter with one listener slot, like lib/device-adapter.js
+ */
+function createDeviceAdapter() {
+  const listeners = new Set();
+  return {
+    listeners,
+    devices: new Map([['10.0.0.1', { getFrame: () => createFrame(7) }]]),
+    addFrameListener: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    emit: (host, frame) => listeners.forEach((l) => l(host, frame)),
+  };
+}
+
+function createClient() {
+  const client = { messages: [] };
+  client.send = (payload) => client.messages.push(JSON.parse(payload));
+  return client;
+}
+
+describe('PreviewService', () => {
+  let deviceAdapter;
+  let service;
+
+  beforeEach(() => {
+    deviceAdapter = createDeviceAdapter();
+    service = new PreviewService({
+      logger: silentLogger,
+      deviceAdapter,
+      maxFps: 0,
+    });
+  });
+
+  it('should send the current frame as PNG when subscribing', () => {
+    const client = createClient();
+
+    service.subscribe(client, '10.0.0.1');
+
+    const [message] = client.messages;
+    assert.strictEqual(message.type, 'frame');
+    assert.strictEqual(message.deviceIp, '10.0.0.1');
+    assert.strictEqual(message.format, 'png');
+    const png = PNG.sync.read(Buffer.from(message.data, 'base64'));
+    assert.strictEqual(png.width, 2);
+    assert.deepStrictEqual(Array.from(png.data.subarray(0, 4)), [7, 7, 7, 255]);
+  });
+
+  it('should only listen to pushes while someone is subscribed', () => {
+    const client = createClient();
+
+    service.subscribe(client, '10.0.0.1');
+    assert.strictEqual(deviceAdapter.listeners.size, 1);
+
+    service.removeClient(client);
+    assert.strictEqual(deviceAdapter.listeners.size, 0);
+    assert.strictEqual(service.getSubscriberCount('10.0.0.1'), 0);
+  });
+
+  it('should route frames to subscribers of that device only', () => {
+    const watching = createClient();
+    const other = createClient();
+    service.subscribe(watching, '10.0.0.2');
+    service.subscribe(other, '10.0.0.3');
+
+    deviceAdapter.emit('10.0.0.2', createFrame(1));
+
+    assert.strictEqual(watching.messages.length, 1);
+    assert.strictEqual(other.messages.length, 0);
+  });
+
+  it('should skip frames identical to the last one sent', () => {
+    const client = createClient();
+    service.subscribe(client, '10.0.0.2');
+
+    deviceAdapter.emit('10.0.0.2', createFrame(1));
+    deviceAdapter.emit('10.0.0.2', createFrame(1));
+    deviceAdapter.emit('10.0.0.2', createFrame(2));
+
+    assert.strictEqual(client.messages.length, 2);
+  });
+
+  it('should send only the newest frame when pushes come too fast', async () => {
+    const throttled = new PreviewService({
+      logger: silentLogger,
+      deviceAdapter,
+      maxFps: 20,
+    });
+    const client = createClient();
+    throttled.subscribe(client, '10.0.0.2');
+
+    deviceAdapter.emit('10.0.0.2', createFrame(1));
+    deviceAdapter.emit('10.0.0.2', createFrame(2));
+    deviceAdapter.emit('10.0.0.2', createFrame(3));
+    assert.strictEqual(client.messages.length, 1);
+
+    await new Promise((resolve) => setTimeout(resolve, 80));
+    throttled.stop();
+
+    assert.strictEqual(client.messages.length, 2);
+    const png = PNG.sync.read(Buffer.from(client.messages[1].data, 'base64'));
+    assert.strictEqual(png.data[0], 3);
+  });
+});
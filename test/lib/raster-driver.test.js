@@ -0,0 +1,119 @@
+/**
+ * @fileoverview Tests for the headless raster driver
+ * @description Checks that mock rendering produces real pixels, keeps a
+ * bounded frame history and encodes frames as PNG
+ * @author Markus Barta (mba) with assistance from Cursor AI
+ */
+
+'use strict';
+
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { describe, it } = require('node:test');
+const { PNG } = require('pngjs');
+
+const RasterDriver = require('../../lib/drivers/raster/raster-driver');
+
+const silentLogger = {
+  info: () => {},
+  warn: () => {},
+  debug: () => {},
+};
+
+function createDriver(options = {}) {
+  return new RasterDriver('192.168.1.100', {
+    logger: silentLogger,
+    ...options,
+  });
+}
+
+describe('RasterDriver', () => {
+  it('should size the frame from the device profile', () => {
+    const driver = createDriver({ deviceType: 'pixoo32' });
+
+    assert.strictEqual(driver.frame.width, 32);
+    assert.strictEqual(driver.capabilities.height, 32);
+    assert.strictEqual(driver.driverType, 'mock');
+  });
+
+  it('should render text, shapes and alpha like the Pixoo buffer', async () => {
+    const driver = createDriver({ deviceType: 'pixoo16' });
+
+    await driver.fillRectangleRgba([0, 0], [16, 16], [0, 0, 200, 255]);
+    await driver.drawLineRgba([0, 15], [15, 15], [255, 0, 0, 255]);
+    await driver.drawPixelRgba([5, 5], [255, 255, 255, 128]);
+    await driver.drawTextRgbaAligned('1', [8, 0], [0, 255, 0, 255]);
+
+    assert.deepStrictEqual(driver.frame.getPixel(3, 15), [255, 0, 0]);
+    assert.deepStrictEqual(driver.frame.getPixel(5, 5), [128, 128, 228]);
+    const lit = [];
+    for (let y = 0; y < 5; y++) {
+      for (let x = 8; x < 11; x++) {
+        const [r, g, b] = driver.frame.getPixel(x, y);
+        if (r === 0 && g === 255 && b === 0) lit.push([x, y]);
+      }
+    }
+    assert.ok(lit.length > 0, 'glyph pixels should be drawn');
+  });
+
+  it('should keep only the last N pushed frames', async () => {
+    const driver = createDriver({ deviceType: 'pixoo16', historySize: 2 });
+
+    for (let i = 1; i <= 3; i++) {
+      await driver.drawPixelRgba([i, 0], [255, 0, 0, 255]);
+      assert.strictEqual(await driver.push(), true);
+    }
+
+    const frames = driver.getFrames();
+    assert.strictEqual(frames.length, 2);
+    assert.strictEqual(driver.frameCount, 3);
+    assert.strictEqual(driver.getLastFrame(), frames[1]);
+    // Oldest kept frame is the second push (pixels 1 and 2 lit)
+    assert.strictEqual(frames[0].buf[2 * 3], 255);
+    assert.strictEqual(frames[0].buf[3 * 3], 0);
+  });
+
+  it('should not change recorded frames when drawing continues', async () => {
+    const driver = createDriver({ deviceType: 'pixoo16' });
+    await driver.push();
+
+    await driver.drawPixelRgba([0, 0], [255, 255, 255, 255]);
+
+    assert.strictEqual(driver.getLastFrame().buf[0], 0);
+  });
+
+  it('should dump pushed frames as PNG', async () => {
+    const driver = createDriver({ deviceType: 'pixoo16' });
+    assert.strictEqual(driver.toPng(), null);
+
+    await driver.drawPixelRgba([2, 1], [10, 20, 30, 255]);
+    await driver.push();
+
+    const png = PNG.sync.read(driver.toPng());
+    assert.strictEqual(png.width, 16);
+    assert.strictEqual(png.height, 16);
+    const i = (16 * 1 + 2) * 4;
+    assert.deepStrictEqual(
+      Array.from(png.data.subarray(i, i + 4)),
+      [10, 20, 30, 255]
+    );
+
+    const file = path.join(os.tmpdir(), `raster-driver-${process.pid}.png`);
+    try {
+      assert.strictEqual(driver.savePng(file), true);
+      assert.ok(fs.readFileSync(file).equals(driver.toPng()));
+    } finally {
+      fs.rmSync(file, { force: true });
+    }
+  });
+
+  it('should record uploaded animation frames', async () => {
+    const driver = createDriver({ deviceType: 'pixoo16' });
+    const frames = [driver.captureFrame(), driver.captureFrame()];
+
+    assert.strictEqual(await driver.pushAnimation(frames, 100), 2);
+    assert.strictEqual(driver.getFrames().length, 2);
+  });
+});
@@ -14,6 +14,7 @@ const { describe, it, beforeEach } = require('node:test');
 
 const SceneService = require('../../lib/services/scene-service');
 const SceneManager = require('../../lib/scene-manager');
+const StateStore = require('../../lib/state-store');
 const { ValidationError } = require('../../lib/errors');
 
 // ============================================================================
@@ -411,6 +412,41 @@ describe('SceneManager Control Tests', () => {
       'Static scene should not have timer after resume'
     );
   });
+
+  it('should park loop when device is looping an uploaded animation', async () => {
+    const host = '192.168.1.100';
+    const stateStore = new StateStore({ logger: createMockLogger() });
+    stateStore.disablePersistence();
+    const manager = new SceneManager({
+      logger: createMockLogger(),
+      stateStore,
+    });
+    let renders = 0;
+    manager.registerScene('animated_scene', {
+      name: 'animated_scene',
+      wantsLoop: true,
+      render: async () => {
+        renders++;
+        return 100;
+      },
+    });
+    const context = {
+      device: { ...mockDevice, hasActiveAnimation: () => true },
+      env: { host, width: 64, height: 64 },
+      state: new Map(),
+      payload: {},
+    };
+
+    await manager.switchScene('animated_scene', context);
+
+    assert.strictEqual(renders, 1, 'Scene should render once before parking');
+    assert.strictEqual(
+      manager.deviceLoopTimers.has(host),
+      false,
+      'Parked scene should not schedule another render'
+    );
+    assert.strictEqual(manager.getDeviceSceneState(host).status, 'parked');
+  });
 });
 
 // ============================================================================
@@ -0,0 +1,260 @@
+/**
+ * @fileoverview Tests for SceneIsolationService
+ * @description Scenes running in worker threads: drawing through the device
+ * proxy, state sync, CPU budget, memory limit, crashes from unhandled
+ * rejections, fallback scene and the environment switches
+ * @author Markus Barta (mba) with assistance from Cursor AI
+ */
+
+'use strict';
+
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { describe, it, beforeEach, afterEach } = require('node:test');
+
+const deviceAdapter = require('../../lib/device-adapter');
+const { SceneLoader } = require('../../lib/scene-loader');
+const SceneManager = require('../../lib/scene-manager');
+const SceneIsolationService = require('../../lib/services/scene-isolation-service');
+const StateStore = require('../../lib/state-store');
+
+const silentLogger = {
+  debug: () => {},
+  info: () => {},
+  ok: () => {},
+  warn: () => {},
+  error: () => {},
+};
+
+const host = '10.0.5.1';
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function waitFor(condition, timeoutMs = 5000) {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeoutMs) throw new Error('Timed out');
+    await sleep(10);
+  }
+}
+
+// Renders `body` after filling the screen; returns `result`
+const scene = (name, body, result = 'null', extra = '') => `
+const { isMainThread } = require('node:worker_threads');
+module.exports = {
+  name: '${name}',
+  wantsLoop: ${result !== 'null'},
+  ${extra}
+  async render({ device, getState, setState, log, payload }) {
+    setState('renders', getState('renders', 0) + 1);
+    setState('mainThread', isMainThread);
+    await device.fillRectangleRgba([0, 0], [64, 64], [payload?.red ?? 10, 0, 0, 255]);
+    ${body}
+    await device.push('${name}');
+    log('rendered');
+    return ${result};
+  },
+};
+`;
+
+// Stays in the main thread (no scene file)
+const FALLBACK = {
+  name: 'empty',
+  async render({ device, publishOk }) {
+    await device.clear();
+    await device.push('empty', publishOk);
+    return null;
+  },
+};
+
+describe('SceneIsolationService', () => {
+  let dir;
+  let stateStore;
+  let sceneManager;
+  let service;
+  let logs;
+
+  const createService = (options = {}) => {
+    const isolation = new SceneIsolationService({
+      logger: silentLogger,
+      sceneManager,
+      deviceAdapter,
+      stateStore,
+      enabled: true,
+      frameBudgetMs: 300,
+      memoryLimitMb: 16,
+      ...options,
+    });
+    sceneManager.setSceneIsolation(isolation);
+    return isolation;
+  };
+
+  const play = (sceneName, payload = {}) =>
+    sceneManager.switchScene(sceneName, {
+      ...deviceAdapter.getContext(host, sceneName, {}),
+      payload,
+      log: (message) => logs.push(message),
+    });
+
+  const pixel = () => deviceAdapter.getDevice(host).getFrame().buf[0];
+
+  beforeEach(() => {
+    deviceAdapter.devices.clear();
+    logs = [];
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pidicon-isolation-'));
+    const write = (file, source) =>
+      fs.writeFileSync(path.join(dir, file), source);
+
+    write('painter.js', scene('painter', ''));
+    write('ticker.js', scene('ticker', '', '20'));
+    write('spinner.js', scene('spinner', 'while (true) {}'));
+    write(
+      'leaker.js',
+      scene(
+        'leaker',
+        'const keep = []; for (;;) keep.push(new Array(1e5).fill(payload));'
+      )
+    );
+    write(
+      'rejecter.js',
+      scene('rejecter', "Promise.reject(new Error('lost'));", '1000')
+    );
+    write('thrower.js', scene('thrower', "throw new Error('bad data');"));
+    write('main_only.js', scene('main_only', '', 'null', 'isolated: false,'));
+
+    stateStore = new StateStore({ logger: silentLogger });
+    sceneManager = new SceneManager({ logger: silentLogger, stateStore });
+    sceneManager.registerScene('empty', FALLBACK);
+    new SceneLoader(dir).loadFromDirectory(dir, {
+      onSuccess: (name, module) => sceneManager.registerScene(name, module),
+      onError: () => {},
+    });
+    service = createService();
+  });
+
+  afterEach(async () => {
+    await service.stop();
+    for (const name of ['painter', 'ticker', 'main_only']) {
+      deviceAdapter.clearSceneState(host, name);
+    }
+    deviceAdapter.devices.clear();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should draw through the device proxy and sync state', async () => {
+    assert.strictEqual(await play('painter', { red: 120 }), true);
+
+    assert.strictEqual(pixel(), 120);
+    assert.strictEqual(
+      deviceAdapter.getDevice(host).getFrameHistory().length,
+      1
+    );
+    assert.deepStrictEqual(deviceAdapter.getSceneStateValues(host, 'painter'), {
+      renders: 1,
+      mainThread: false,
+    });
+    assert.deepStrictEqual(logs, ['rendered']);
+    assert.ok(service.workers.has(host));
+  });
+
+  it('should keep looping in the worker and end it on cleanup', async () => {
+    await play('ticker');
+    await waitFor(
+      () => deviceAdapter.getSceneStateValues(host, 'ticker').renders >= 3
+    );
+
+    await play('main_only');
+    assert.strictEqual(service.workers.has(host), false);
+    assert.strictEqual(
+      deviceAdapter.getSceneStateValues(host, 'main_only').mainThread,
+      true
+    );
+  });
+
+  it('should stop a scene over its CPU budget and show the fallback', async () => {
+    let timerDelay = null;
+    const start = Date.now();
+    setTimeout(() => {
+      timerDelay = Date.now() - start;
+    }, 20);
+
+    await play('spinner');
+    await waitFor(() => sceneManager.getActiveSceneForDevice(host) === 'empty');
+
+    // The main event loop kept running while the scene was spinning
+    assert.ok(timerDelay !== null && timerDelay < 250, `timer ${timerDelay}`);
+    assert.strictEqual(service.workers.has(host), false);
+    assert.match(
+      stateStore.getDeviceState(host, 'sceneError').message,
+      /spinner.*frame budget exceeded/
+    );
+  });
+
+  it('should stop a scene over its memory limit', async () => {
+    await service.stop();
+    service = createService({ frameBudgetMs: 20000 });
+
+    await play('leaker');
+    await waitFor(() => sceneManager.getActiveSceneForDevice(host) === 'empty');
+
+    assert.match(
+      stateStore.getDeviceState(host, 'sceneError').message,
+      /memory limit exceeded/
+    );
+  });
+
+  it('should stop a scene with an unhandled rejection', async () => {
+    await play('rejecter');
+    await waitFor(() => sceneManager.getActiveSceneForDevice(host) === 'empty');
+
+    const { message, detail } = stateStore.getDeviceState(host, 'sceneError');
+    assert.match(message, /rejecter.*crashed/);
+    assert.match(detail, /lost/);
+  });
+
+  it('should report render errors like main-thread scenes', async () => {
+    assert.strictEqual(await play('thrower'), true);
+    await sleep(50);
+
+    assert.strictEqual(sceneManager.getActiveSceneForDevice(host), 'thrower');
+    assert.ok(service.workers.has(host), 'worker survives a render error');
+    assert.strictEqual(pixel(), 10, 'draws before the error are applied');
+  });
+
+  it('should stop the device when there is no fallback scene', async () => {
+    await service.stop();
+    service = createService({ fallbackScene: '' });
+
+    await play('spinner');
+    await waitFor(
+      () => sceneManager.getDeviceSceneState(host).playState === 'stopped'
+    );
+    assert.strictEqual(sceneManager.getActiveSceneForDevice(host), 'spinner');
+  });
+
+  it('should read its settings from the environment', () => {
+    const { getIsolationOptions } = SceneIsolationService;
+    assert.deepStrictEqual(getIsolationOptions({}), {
+      enabled: false,
+      frameBudgetMs: 1000,
+      memoryLimitMb: 128,
+      fallbackScene: 'empty',
+    });
+    assert.deepStrictEqual(
+      getIsolationOptions({
+        PIDICON_SCENE_ISOLATION: 'true',
+        PIDICON_SCENE_FRAME_BUDGET_MS: '250',
+        PIDICON_SCENE_MEMORY_LIMIT_MB: 'lots',
+        PIDICON_SCENE_FALLBACK: 'fill',
+      }),
+      {
+        enabled: true,
+        frameBudgetMs: 250,
+        memoryLimitMb: 128,
+        fallbackScene: 'fill',
+      }
+    );
+  });
+});
@@ -0,0 +1,295 @@
+/**
+ * @fileoverview Tests for SceneReloadService
+ * @description Reloading changed scene files with a clean require cache,
+ * restarting active scenes with or without their state, syntax errors,
+ * helper modules, debounced file watching and the dev mode switch
+ * @author Markus Barta (mba) with assistance from Cursor AI
+ */
+
+'use strict';
+
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { describe, it, beforeEach, afterEach } = require('node:test');
+
+const deviceAdapter = require('../../lib/device-adapter');
+const { SceneLoader } = require('../../lib/scene-loader');
+const SceneManager = require('../../lib/scene-manager');
+const SceneReloadService = require('../../lib/services/scene-reload-service');
+const StateStore = require('../../lib/state-store');
+
+const silentLogger = {
+  debug: () => {},
+  info: () => {},
+  ok: () => {},
+  warn: () => {},
+  error: () => {},
+};
+
+const host = '10.0.4.1';
+
+// Static scene: fills the screen with `red`, counts renders in its state
+// (getState/setState) and records the config it was started with
+function counterScene({ red, levelType = 'number', extra = '' }) {
+  return `
+let color = [${red}, 0, 0, 255];
+${extra}
+module.exports = {
+  name: 'counter',
+  version: ${red},
+  configSchema: { level: { type: '${levelType}', default: 1 } },
+  async render(context) {
+    const { device, getState, setState } = context;
+    setState('renders', getState('renders', 0) + 1);
+    setState('level', context.sceneConfig?.level);
+    await device.fillRectangleRgba([0, 0], [64, 64], color);
+    await device.push('counter');
+    return null;
+  },
+};
+`;
+}
+
+const HELPER = (green) => `module.exports = { green: ${green} };`;
+
+const USES_HELPER = `
+const { green } = require('./lib/helper');
+module.exports = {
+  name: 'uses_helper',
+  async render({ device }) {
+    await device.fillRectangleRgba([0, 0], [64, 64], [0, green, 0, 255]);
+    await device.push('uses_helper');
+    return null;
+  },
+};
+`;
+
+describe('SceneReloadService', () => {
+  let dir;
+  let stateStore;
+  let sceneManager;
+  let service;
+
+  const write = (file, source) =>
+    fs.writeFileSync(path.join(dir, file), source);
+
+  const play = (sceneName) =>
+    sceneManager.switchScene(sceneName, {
+      ...deviceAdapter.getContext(host, sceneName, {}),
+      sceneConfig: { level: 3 },
+    });
+
+  const pixel = () => deviceAdapter.getDevice(host).getFrame().buf[0];
+  const greenPixel = () => deviceAdapter.getDevice(host).getFrame().buf[1];
+  const sceneValue = (key) =>
+    deviceAdapter.getContext(host, 'counter', {}).getState(key);
+
+  beforeEach(() => {
+    deviceAdapter.devices.clear();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pidicon-reload-'));
+    fs.mkdirSync(path.join(dir, 'lib'));
+    write('counter.js', counterScene({ red: 100 }));
+    write('lib/helper.js', HELPER(50));
+    write('uses_helper.js', USES_HELPER);
+
+    stateStore = new StateStore({ logger: silentLogger });
+    sceneManager = new SceneManager({ logger: silentLogger, stateStore });
+    new SceneLoader(dir).loadFromDirectory(dir, {
+      onSuccess: (name, module) => {
+        module.source = 'user';
+        sceneManager.registerScene(name, module);
+      },
+      onError: () => {},
+    });
+
+    service = new SceneReloadService({
+      logger: silentLogger,
+      sceneManager,
+      deviceAdapter,
+      stateStore,
+      watch: () => ({ close: () => {} }),
+      debounceMs: 10,
+    });
+    service.watch(dir, 'user');
+  });
+
+  afterEach(() => {
+    service.stop();
+    deviceAdapter.clearSceneState(host, 'counter');
+    deviceAdapter.devices.clear();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should re-register a changed scene and restart it keeping state', async () => {
+    await play('counter');
+    assert.strictEqual(pixel(), 100);
+
+    write('counter.js', counterScene({ red: 200 }));
+    const result = await service.reloadFile(path.join(dir, 'counter.js'));
+
+    assert.strictEqual(result.status, 'reloaded');
+    assert.strictEqual(result.file, 'counter.js');
+    assert.deepStrictEqual(result.scenes, ['counter']);
+    assert.deepStrictEqual(result.restarted, [
+      { deviceIp: host, scene: 'counter', stateKept: true },
+    ]);
+    assert.strictEqual(sceneManager.getScene('counter').version, 200);
+    assert.strictEqual(pixel(), 200);
+    assert.strictEqual(sceneValue('renders'), 2);
+    assert.strictEqual(sceneValue('level'), 3);
+    assert.strictEqual(sceneManager.getActiveSceneForDevice(host), 'counter');
+  });
+
+  it('should reset the state when the config schema changed', async () => {
+    await play('counter');
+
+    write('counter.js', counterScene({ red: 150, levelType: 'string' }));
+    const result = await service.reloadFile(path.join(dir, 'counter.js'));
+
+    assert.strictEqual(result.restarted[0].stateKept, false);
+    assert.strictEqual(sceneValue('renders'), 1);
+  });
+
+  it('should keep the previous version running on syntax errors', async () => {
+    await play('counter');
+    const previous = sceneManager.getScene('counter');
+
+    write('counter.js', counterScene({ red: 120, extra: 'let broken = ;' }));
+    const result = await service.reloadFile(path.join(dir, 'counter.js'));
+
+    assert.strictEqual(result.status, 'error');
+    assert.strictEqual(result.errors[0].file, 'counter.js');
+    assert.match(result.errors[0].error, /Unexpected token/);
+    assert.strictEqual(sceneManager.getScene('counter'), previous);
+    assert.strictEqual(pixel(), 100);
+    assert.deepStrictEqual(result.restarted, []);
+  });
+
+  it('should not clean up the running version for an invalid scene', async () => {
+    await play('counter');
+    const cleanups = [];
+    const cleanupScene = sceneManager.cleanupScene.bind(sceneManager);
+    sceneManager.cleanupScene = (name, context) => {
+      cleanups.push(name);
+      return cleanupScene(name, context);
+    };
+
+    write('counter.js', "module.exports = { name: 'counter' };");
+    const result = await service.reloadFile(path.join(dir, 'counter.js'));
+
+    assert.match(result.errors[0].error, /required interface/);
+    assert.deepStrictEqual(cleanups, []);
+    assert.strictEqual(sceneManager.getScene('counter').version, 100);
+  });
+
+  it('should restart the previous version when the new one fails', async () => {
+    await play('counter');
+
+    write(
+      'counter.js',
+      counterScene({ red: 130 }).replace(
+        'async render(context) {',
+        "init() { throw new Error('init failed'); },\n  async render(context) {"
+      )
+    );
+    const result = await service.reloadFile(path.join(dir, 'counter.js'));
+
+    assert.strictEqual(result.status, 'error');
+    assert.strictEqual(result.errors[0].rolledBack, true);
+    assert.match(result.errors[0].error, /failed to start/);
+    assert.deepStrictEqual(result.restarted, []);
+    assert.strictEqual(sceneManager.getScene('counter').version, 100);
+    assert.strictEqual(sceneManager.getActiveSceneForDevice(host), 'counter');
+    assert.strictEqual(pixel(), 100);
+    assert.strictEqual(sceneValue('renders'), 2);
+  });
+
+  it('should reload scenes that require a changed helper', async () => {
+    await play('uses_helper');
+    assert.strictEqual(greenPixel(), 50);
+
+    write('lib/helper.js', HELPER(90));
+    const result = await service.reloadFile(path.join(dir, 'lib/helper.js'));
+
+    assert.deepStrictEqual(result.scenes, ['uses_helper']);
+    assert.strictEqual(greenPixel(), 90);
+    assert.ok(!sceneManager.hasScene('helper'));
+  });
+
+  it('should load new scene files and ignore unrelated ones', async () => {
+    write(
+      'fresh.scene.json',
+      JSON.stringify({ widgets: [{ type: 'rect', width: 2, height: 2 }] })
+    );
+    const result = await service.reloadFile(path.join(dir, 'fresh.scene.json'));
+
+    assert.deepStrictEqual(result.scenes, ['fresh']);
+    assert.deepStrictEqual(result.restarted, []);
+    assert.strictEqual(sceneManager.getScene('fresh').source, 'user');
+
+    write('notes.txt', 'hello');
+    assert.strictEqual(
+      await service.reloadFile(path.join(dir, 'notes.txt')),
+      null
+    );
+    assert.strictEqual(
+      await service.reloadFile(path.join(dir, 'missing.js')),
+      null
+    );
+  });
+
+  it('should debounce watch events and notify listeners', async () => {
+    let onChange;
+    const watched = new SceneReloadService({
+      logger: silentLogger,
+      sceneManager,
+      deviceAdapter,
+      stateStore,
+      watch: (root, options, listener) => {
+        assert.deepStrictEqual(options, { recursive: true });
+        onChange = listener;
+        return { close: () => {} };
+      },
+      debounceMs: 10,
+    });
+    assert.strictEqual(watched.watch(dir, 'user'), true);
+
+    const results = [];
+    const done = new Promise((resolve) => {
+      watched.addListener((result) => {
+        results.push(result);
+        resolve();
+      });
+    });
+
+    write('counter.js', counterScene({ red: 180 }));
+    onChange('change', 'counter.js');
+    onChange('change', 'counter.js');
+    onChange('rename', 'notes.txt');
+    await done;
+    await new Promise((resolve) => setTimeout(resolve, 30));
+    watched.stop();
+
+    assert.strictEqual(results.length, 1);
+    assert.deepStrictEqual(results[0].scenes, ['counter']);
+  });
+
+  it('should be enabled by default only in dev mode', () => {
+    const { isHotReloadEnabled } = SceneReloadService;
+    assert.strictEqual(isHotReloadEnabled({}), true);
+    assert.strictEqual(isHotReloadEnabled({ NODE_ENV: 'production' }), false);
+    assert.strictEqual(
+      isHotReloadEnabled({
+        NODE_ENV: 'production',
+        PIDICON_SCENE_HOT_RELOAD: 'true',
+      }),
+      true
+    );
+    assert.strictEqual(
+      isHotReloadEnabled({ PIDICON_SCENE_HOT_RELOAD: 'false' }),
+      false
+    );
+  });
+});
@@ -619,3 +619,77 @@ describe.skip('SceneService Options Handling', () => {
   });
 });
 
+
+// ============================================================================
+// Transition Tests
+// ============================================================================
+
+describe('SceneService Transitions', () => {
+  function createService(deviceConfig) {
+    const scenes = new Map();
+    scenes.set('clock', { filePath: 'clock.js' });
+
+    const sceneManager = createMockSceneManager(scenes);
+    sceneManager.getScene = (name) => scenes.get(name);
+    const received = {};
+    sceneManager.switchScene = async (scene, context) => {
+      received.sceneConfig = context.sceneConfig;
+      received.transition = context.transition;
+      return true;
+    };
+
+    const service = new SceneService({
+      logger: createMockLogger(),
+      sceneManager,
+      deviceAdapter: createMockDeviceAdapter(),
+      mqttService: createMockMqttService(),
+      versionInfo: createMockVersionInfo(),
+      deviceConfigStore: {
+        getDevice: () => deviceConfig,
+        saveConfig: async () => {},
+      },
+    });
+    return { service, received };
+  }
+
+  it('should apply the device transition to every scene', async () => {
+    const { service, received } = createService({
+      transition: { type: 'crossfade', duration: 600 },
+      getSceneDefaults: () => null,
+      trackSceneUsage: () => {},
+    });
+
+    await service.switchToScene('192.168.1.100', 'clock', {
+      clear: false,
+      payload: { color: 'red' },
+    });
+
+    assert.deepStrictEqual(received.transition, {
+      type: 'crossfade',
+      duration: 600,
+    });
+    // Kept out of the config the scene renders with
+    assert.deepStrictEqual(received.sceneConfig, { color: 'red' });
+  });
+
+  it('should let scene defaults and the request override it', async () => {
+    const { service, received } = createService({
+      transition: { type: 'crossfade', duration: 600 },
+      getSceneDefaults: () => ({ transition: 'wipe' }),
+      trackSceneUsage: () => {},
+    });
+
+    await service.switchToScene('192.168.1.100', 'clock', { clear: false });
+    assert.deepStrictEqual(received.transition, {
+      type: 'wipe',
+      duration: 600,
+    });
+    assert.deepStrictEqual(received.sceneConfig, {});
+
+    await service.switchToScene('192.168.1.100', 'clock', {
+      clear: false,
+      payload: { transition: 'none' },
+    });
+    assert.strictEqual(received.transition, null);
+  });
+});
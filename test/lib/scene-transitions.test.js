@@ -0,0 +1,280 @@
+/**
+ * @fileoverview Tests for scene transitions
+ * @description Transition frame math, config resolution, playback on the
+ * device proxy and arming on scene switches
+ * @author Markus Barta (mba) with assistance from Cursor AI
+ */
+
+'use strict';
+
+const assert = require('node:assert');
+const { describe, it, beforeEach, afterEach } = require('node:test');
+
+const {
+  omitTransition,
+  renderTransition,
+  resolveSwitchTransition,
+  resolveTransition,
+  validateTransition,
+} = require('../../lib/core/scene-transitions');
+const deviceAdapter = require('../../lib/device-adapter');
+const { DeviceConfig } = require('../../lib/device-config-store');
+const SceneManager = require('../../lib/scene-manager');
+
+const silentLogger = {
+  debug: () => {},
+  info: () => {},
+  ok: () => {},
+  warn: () => {},
+  error: () => {},
+};
+
+// 4x1 frames: all black → all white
+const WIDTH = 4;
+const black = () => new Uint8Array(WIDTH * 3);
+const white = () => new Uint8Array(WIDTH * 3).fill(255);
+const pixels = (buf) =>
+  Array.from({ length: buf.length / 3 }, (_, i) => buf[i * 3]);
+
+describe('Scene Transitions', () => {
+  describe('renderTransition', () => {
+    it('should show the outgoing frame at 0 and the incoming frame at 1', () => {
+      for (const type of ['crossfade', 'slide', 'wipe', 'dissolve']) {
+        const out = black();
+        renderTransition(type, black(), white(), 0, out, WIDTH, 1);
+        assert.deepStrictEqual(pixels(out), [0, 0, 0, 0], type);
+        renderTransition(type, black(), white(), 1, out, WIDTH, 1);
+        assert.deepStrictEqual(pixels(out), [255, 255, 255, 255], type);
+      }
+    });
+
+    it('should blend colors for crossfade', () => {
+      const out = black();
+      renderTransition('crossfade', black(), white(), 0.5, out, WIDTH, 1);
+      assert.deepStrictEqual(pixels(out), [128, 128, 128, 128]);
+    });
+
+    it('should move columns for wipe and slide', () => {
+      const from = Uint8Array.from([1, 1, 1, 2, 2, 2, 3, 3, 3, 4, 4, 4]);
+      const to = Uint8Array.from([5, 5, 5, 6, 6, 6, 7, 7, 7, 8, 8, 8]);
+      const out = black();
+
+      renderTransition('wipe', from, to, 0.5, out, WIDTH, 1);
+      assert.deepStrictEqual(pixels(out), [5, 6, 3, 4]);
+
+      renderTransition('slide', from, to, 0.5, out, WIDTH, 1);
+      assert.deepStrictEqual(pixels(out), [3, 4, 5, 6]);
+    });
+
+    it('should only ever add incoming pixels while dissolving', () => {
+      const size = 16;
+      const from = new Uint8Array(size * 3);
+      const to = new Uint8Array(size * 3).fill(255);
+      const out = new Uint8Array(size * 3);
+      let previous = 0;
+      for (const progress of [0.25, 0.5, 0.75]) {
+        renderTransition('dissolve', from, to, progress, out, size, 1);
+        const shown = pixels(out).filter((v) => v === 255).length;
+        assert.ok(shown >= previous, `${shown} >= ${previous}`);
+        previous = shown;
+      }
+      assert.ok(previous > 0 && previous < size);
+    });
+
+    it('should sort rows by brightness for pixel-sort', () => {
+      const from = Uint8Array.from([9, 9, 9, 1, 1, 1, 5, 5, 5, 3, 3, 3]);
+      const out = black();
+
+      renderTransition('pixel-sort', from, white(), 0.5, out, WIDTH, 1);
+      assert.deepStrictEqual(pixels(out), [255, 255, 255, 255]);
+
+      renderTransition('pixel-sort', from, white(), 0.45, out, WIDTH, 1);
+      assert.deepStrictEqual(pixels(out), [1, 3, 5, 9]);
+
+      renderTransition('pixel-sort', from, white(), 0, out, WIDTH, 1);
+      assert.deepStrictEqual(pixels(out), [9, 1, 5, 3]);
+    });
+  });
+
+  describe('resolveTransition', () => {
+    it('should read type and duration from the scene config', () => {
+      assert.deepStrictEqual(
+        resolveTransition({ transition: 'wipe', transitionDuration: 400 }),
+        { type: 'wipe', duration: 400 }
+      );
+      assert.deepStrictEqual(resolveTransition({ transition: 'slide' }), {
+        type: 'slide',
+        duration: 800,
+      });
+    });
+
+    it('should accept an object and clamp the duration', () => {
+      assert.deepStrictEqual(
+        resolveTransition({ transition: { type: 'dissolve', duration: 50 } }),
+        { type: 'dissolve', duration: 200 }
+      );
+    });
+
+    it('should return null for none, unknown or missing transitions', () => {
+      assert.strictEqual(resolveTransition({ transition: 'none' }), null);
+      assert.strictEqual(resolveTransition({ transition: 'spin' }), null);
+      assert.strictEqual(resolveTransition({}), null);
+      assert.strictEqual(resolveTransition(undefined), null);
+    });
+
+    it('should layer device, scene override and payload settings', () => {
+      const device = { type: 'crossfade', duration: 600 };
+
+      assert.deepStrictEqual(
+        resolveSwitchTransition(device, { transitionDuration: 1000 }, null),
+        { type: 'crossfade', duration: 1000 }
+      );
+      assert.deepStrictEqual(
+        resolveSwitchTransition(
+          device,
+          { transition: 'wipe' },
+          { transition: { type: 'slide', duration: 300 } }
+        ),
+        { type: 'slide', duration: 300 }
+      );
+      assert.strictEqual(
+        resolveSwitchTransition(device, { transition: 'none' }),
+        null
+      );
+      assert.strictEqual(resolveSwitchTransition(null, {}), null);
+    });
+
+    it('should strip transition settings from a scene config', () => {
+      const config = { transition: 'wipe', transitionDuration: 400, level: 2 };
+
+      assert.deepStrictEqual(omitTransition(config), { level: 2 });
+      assert.strictEqual(config.transition, 'wipe');
+      assert.deepStrictEqual(omitTransition(undefined), {});
+    });
+
+    it('should validate device transition settings', () => {
+      assert.deepStrictEqual(
+        validateTransition({ type: 'crossfade', duration: 1000 }),
+        []
+      );
+      assert.strictEqual(validateTransition({ type: 'spin' }).length, 1);
+      assert.strictEqual(
+        validateTransition({ type: 'wipe', duration: 10 }).length,
+        1
+      );
+
+      const config = new DeviceConfig({
+        ip: '10.0.2.1',
+        transition: { type: 'spin', duration: 500 },
+      });
+      assert.strictEqual(config.validate().valid, false);
+    });
+  });
+
+  describe('DeviceProxy playback', () => {
+    const host = '10.0.2.10';
+    let device;
+
+    beforeEach(async () => {
+      deviceAdapter.devices.clear();
+      device = deviceAdapter.getDevice(host);
+      await device.fillRectangleRgba([0, 0], [64, 64], [0, 0, 0, 255]);
+      await device.push('black');
+    });
+
+    afterEach(() => {
+      deviceAdapter.devices.clear();
+    });
+
+    it('should push in-between frames before the incoming frame', async () => {
+      assert.strictEqual(
+        device.setTransition({ type: 'crossfade', duration: 400 }),
+        true
+      );
+
+      await device.fillRectangleRgba([0, 0], [64, 64], [200, 200, 200, 255]);
+      await device.push('grey');
+
+      const frames = device
+        .getFrameHistory()
+        .filter((frame) => frame.sceneName === 'grey');
+      assert.ok(frames.length >= 2, `got ${frames.length} frames`);
+      const values = frames.map((frame) => frame.buf[0]);
+      assert.ok(
+        values.slice(0, -1).every((v) => v < 200),
+        `blended: ${values}`
+      );
+      assert.strictEqual(values.at(-1), 200);
+      assert.strictEqual(device.getFrame().buf[0], 200);
+    });
+
+    it('should not arm without a transition or a pushed frame', () => {
+      assert.strictEqual(device.setTransition(null), false);
+      const fresh = deviceAdapter.getDevice('10.0.2.11');
+      assert.strictEqual(
+        fresh.setTransition({ type: 'wipe', duration: 400 }),
+        false
+      );
+    });
+
+    it('should push the incoming frame directly once cancelled', async () => {
+      device.setTransition({ type: 'wipe', duration: 400 });
+      device.cancelTransition();
+
+      await device.fillRectangleRgba([0, 0], [64, 64], [200, 0, 0, 255]);
+      await device.push('red');
+
+      const frames = device
+        .getFrameHistory()
+        .filter((frame) => frame.sceneName === 'red');
+      assert.strictEqual(frames.length, 1);
+    });
+  });
+
+  describe('SceneManager', () => {
+    const host = '10.0.2.20';
+
+    afterEach(() => {
+      deviceAdapter.devices.clear();
+    });
+
+    it('should arm the configured transition when switching scenes', async () => {
+      deviceAdapter.devices.clear();
+      const sceneManager = new SceneManager({ logger: silentLogger });
+      const fill = (color) => ({
+        name: `fill-${color}`,
+        render: async ({ device }) => {
+          await device.fillRectangleRgba([0, 0], [64, 64], [color, 0, 0, 255]);
+          await device.push(`fill-${color}`);
+          return null;
+        },
+      });
+      sceneManager.registerScene('dark', fill(10));
+      sceneManager.registerScene('bright', fill(250));
+
+      const contextFor = (sceneName, transition) => ({
+        ...deviceAdapter.getContext(host, sceneName, {}),
+        sceneConfig: { level: 2 },
+        transition,
+      });
+
+      await sceneManager.switchScene('dark', contextFor('dark', null));
+      const device = deviceAdapter.getDevice(host);
+      assert.strictEqual(device.getFrameHistory().length, 1);
+
+      const switched = await sceneManager.switchScene(
+        'bright',
+        contextFor('bright', { type: 'dissolve', duration: 400 })
+      );
+
+      assert.strictEqual(switched, true);
+      const history = device.getFrameHistory();
+      assert.ok(history.length > 2, `got ${history.length} frames`);
+      assert.strictEqual(history.at(-1).buf[0], 250);
+      // The transition is not part of the config kept for restarts
+      assert.deepStrictEqual(sceneManager.getSceneConfigForDevice(host), {
+        level: 2,
+      });
+    });
+  });
+});
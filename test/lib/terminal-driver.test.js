@@ -0,0 +1,127 @@
+/**
+ * @fileoverview Tests for the terminal preview driver
+ * @description ANSI half-block rendering, in-place redraws, cursor handling
+ * and driver factories in the device adapter
+ * @author Markus Barta (mba) with assistance from Cursor AI
+ */
+
+'use strict';
+
+const assert = require('node:assert');
+const { describe, it } = require('node:test');
+
+const {
+  getDevice,
+  registerDevicesFromConfig,
+  setDriverFactory,
+} = require('../../lib/device-adapter');
+const {
+  ANSI,
+  renderAnsiFrame,
+} = require('../../lib/drivers/terminal/ansi-renderer');
+const TerminalDriver = require('../../lib/drivers/terminal/terminal-driver');
+
+const silentLogger = {
+  debug: () => {},
+  info: () => {},
+  warn: () => {},
+  error: () => {},
+};
+
+function createOutput() {
+  const chunks = [];
+  return {
+    chunks,
+    write: (text) => chunks.push(text),
+    text: () => chunks.join(''),
+  };
+}
+
+describe('renderAnsiFrame', () => {
+  it('should draw two pixels per cell with truecolor escapes', () => {
+    // 2x2: red/green on top, blue/blue below
+    const buf = Uint8Array.from([255, 0, 0, 0, 255, 0, 0, 0, 255, 0, 0, 255]);
+
+    assert.deepStrictEqual(renderAnsiFrame(buf, 2, 2), [
+      '\x1b[38;2;255;0;0m\x1b[48;2;0;0;255m▀' +
+        '\x1b[38;2;0;255;0m▀' + // Background unchanged, not repeated
+        ANSI.RESET,
+    ]);
+  });
+
+  it('should leave the bottom half empty for odd heights', () => {
+    const buf = Uint8Array.from([1, 2, 3, 4, 5, 6, 7, 8, 9]);
+    const lines = renderAnsiFrame(buf, 1, 3);
+
+    assert.strictEqual(lines.length, 2);
+    assert.strictEqual(lines[1], `\x1b[38;2;7;8;9m\x1b[49m▀${ANSI.RESET}`);
+  });
+});
+
+describe('TerminalDriver', () => {
+  it('should clear the screen once and then redraw in place', async () => {
+    const output = createOutput();
+    const driver = new TerminalDriver('preview', {
+      deviceType: 'awtrix',
+      output,
+      logger: silentLogger,
+    });
+
+    await driver.fillRect([0, 0], [31, 7], [255, 0, 0, 255]);
+    await driver.push('fill');
+    await driver.push('fill');
+
+    const [first, second] = output.chunks;
+    assert.ok(first.startsWith(ANSI.HIDE_CURSOR + ANSI.CLEAR_SCREEN));
+    assert.ok(second.startsWith(ANSI.HOME));
+    assert.ok(!second.includes(ANSI.CLEAR_SCREEN));
+    assert.strictEqual(second.split('\n').length, 4 + 1); // 8 px rows + status
+    assert.match(second, /fill · 32x8 · frame 2 · \d+ms/);
+    assert.ok(second.includes('\x1b[38;2;255;0;0m'));
+
+    await driver.close();
+    assert.strictEqual(
+      output.chunks.at(-1),
+      `${ANSI.RESET}${ANSI.SHOW_CURSOR}\n`
+    );
+    assert.strictEqual(driver.getFrames().length, 1); // Only the latest frame
+  });
+
+  it('should not touch the terminal before the first frame', async () => {
+    const output = createOutput();
+    const driver = new TerminalDriver('preview', {
+      output,
+      statusLine: false,
+      logger: silentLogger,
+    });
+
+    await driver.close();
+    assert.strictEqual(output.text(), '');
+
+    await driver.push();
+    assert.strictEqual(output.text().split('\n').length, 32); // 64x64 panel
+  });
+
+  it('should be used for a device through a driver factory', async () => {
+    const output = createOutput();
+    registerDevicesFromConfig([
+      { ip: '10.0.8.1', deviceType: 'pixoo32', driver: 'mock' },
+    ]);
+    const device = getDevice('10.0.8.1');
+    assert.strictEqual(device.impl.constructor.name, 'RasterDriver');
+
+    setDriverFactory(
+      '10.0.8.1',
+      (host, options) => new TerminalDriver(host, { ...options, output })
+    );
+    assert.strictEqual(device.impl.constructor.name, 'TerminalDriver');
+    assert.strictEqual(device.impl.capabilities.width, 32);
+
+    await device.drawPixelRgba([0, 0], [0, 255, 0, 255]);
+    await device.push('test');
+    assert.match(output.text(), /test · 32x32 · frame 1/);
+
+    setDriverFactory('10.0.8.1', null);
+    assert.strictEqual(device.impl.constructor.name, 'RasterDriver');
+  });
+});
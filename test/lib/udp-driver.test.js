@@ -0,0 +1,334 @@
+/**
+ * @fileoverview Tests for the UDP pixel driver
+ * @description Checks wiring layouts, DDP/E1.31/Art-Net packet layout and runs
+ * the driver against a local UDP socket
+ * @author Markus Barta (mba) with assistance from Cursor AI
+ */
+
+'use strict';
+
+const assert = require('node:assert');
+const dgram = require('node:dgram');
+const { describe, it, before, after, beforeEach } = require('node:test');
+
+const { DeviceConfig } = require('../../lib/device-config-store');
+const {
+  createLayoutMap,
+  remapFrame,
+} = require('../../lib/drivers/udp/pixel-layout');
+const {
+  buildArtDmxPacket,
+  buildDdpPackets,
+  buildE131Packet,
+  splitIntoUniverses,
+} = require('../../lib/drivers/udp/protocols');
+const UdpPixelDriver = require('../../lib/drivers/udp/udp-driver');
+
+const silentLogger = {
+  info: () => {},
+  warn: () => {},
+  debug: () => {},
+};
+
+describe('UDP pixel output', () => {
+  describe('createLayoutMap()', () => {
+    it('should keep row-major order for progressive wiring', () => {
+      assert.deepStrictEqual(
+        Array.from(createLayoutMap(3, 2)),
+        [0, 1, 2, 3, 4, 5]
+      );
+    });
+
+    it('should reverse every second row for serpentine wiring', () => {
+      assert.deepStrictEqual(
+        Array.from(createLayoutMap(3, 2, { layout: 'serpentine' })),
+        [0, 1, 2, 5, 4, 3]
+      );
+    });
+
+    it('should support column wiring from the bottom-right corner', () => {
+      const map = createLayoutMap(2, 3, {
+        layout: 'serpentine',
+        orientation: 'vertical',
+        startCorner: 'bottom-right',
+      });
+
+      // Up the right column, then down the left one
+      assert.deepStrictEqual(Array.from(map), [5, 3, 1, 0, 2, 4]);
+    });
+
+    it('should reject unknown layouts', () => {
+      assert.throws(() => createLayoutMap(2, 2, { layout: 'spiral' }));
+    });
+
+    it('should reorder RGB bytes into strip order', () => {
+      const buf = Uint8Array.from([1, 1, 1, 2, 2, 2, 3, 3, 3, 4, 4, 4]);
+      const map = createLayoutMap(2, 2, { layout: 'serpentine' });
+
+      assert.deepStrictEqual(
+        Array.from(remapFrame(buf, map)),
+        [1, 1, 1, 2, 2, 2, 4, 4, 4, 3, 3, 3]
+      );
+    });
+  });
+
+  describe('protocols', () => {
+    it('should split DDP frames and set push only on the last packet', () => {
+      const data = Buffer.alloc(64 * 64 * 3, 7);
+
+      const packets = buildDdpPackets(data, { offset: 30, sequence: 3 });
+
+      assert.strictEqual(packets.length, Math.ceil(data.length / 1440));
+      assert.strictEqual(packets[0][0], 0x40);
+      assert.strictEqual(packets.at(-1)[0], 0x41);
+      assert.strictEqual(packets[0][1], 3);
+      assert.strictEqual(packets[0][2], 0x0b); // RGB, 8 bit
+      assert.strictEqual(packets[1].readUInt32BE(4), 30 + 1440);
+      assert.strictEqual(packets[0].readUInt16BE(8), 1440);
+    });
+
+    it('should map channels onto universes with an offset', () => {
+      const data = Buffer.alloc(12, 9);
+
+      const universes = splitIntoUniverses(data, {
+        universe: 5,
+        offset: 3,
+        channelsPerUniverse: 9,
+      });
+
+      assert.deepStrictEqual(
+        universes.map((u) => [u.universe, u.data.length]),
+        [
+          [5, 9],
+          [6, 6],
+        ]
+      );
+      assert.deepStrictEqual(
+        Array.from(universes[0].data.subarray(0, 4)),
+        [0, 0, 0, 9]
+      );
+    });
+
+    it('should build E1.31 data packets', () => {
+      const cid = Buffer.alloc(16, 0xab);
+
+      const packet = buildE131Packet(7, Buffer.from([10, 20, 30]), {
+        cid,
+        sequence: 42,
+      });
+
+      assert.strictEqual(packet.length, 126 + 3);
+      assert.strictEqual(packet.toString('ascii', 4, 13), 'ASC-E1.17');
+      assert.strictEqual(packet.readUInt16BE(16), 0x7000 | (129 - 16));
+      assert.ok(packet.subarray(22, 38).equals(cid));
+      assert.strictEqual(packet[108], 100);
+      assert.strictEqual(packet[111], 42);
+      assert.strictEqual(packet.readUInt16BE(113), 7);
+      assert.strictEqual(packet.readUInt16BE(123), 4);
+      assert.deepStrictEqual(Array.from(packet.subarray(125)), [0, 10, 20, 30]);
+    });
+
+    it('should build Art-Net ArtDmx packets with even length', () => {
+      const packet = buildArtDmxPacket(0x123, Buffer.from([1, 2, 3]), {
+        sequence: 9,
+      });
+
+      assert.strictEqual(packet.toString('ascii', 0, 7), 'Art-Net');
+      assert.strictEqual(packet.readUInt16LE(8), 0x5000);
+      assert.strictEqual(packet.readUInt16BE(10), 14);
+      assert.strictEqual(packet[12], 9);
+      assert.strictEqual(packet[14], 0x23); // SubUni
+      assert.strictEqual(packet[15], 0x01); // Net
+      assert.strictEqual(packet.readUInt16BE(16), 4);
+      assert.deepStrictEqual(Array.from(packet.subarray(18)), [1, 2, 3, 0]);
+    });
+  });
+
+  describe('UdpPixelDriver', () => {
+    let receiver;
+    let port;
+    let received;
+
+    before(async () => {
+      receiver = dgram.createSocket('udp4');
+      receiver.on('message', (msg) => received.push(msg));
+      await new Promise((resolve) => receiver.bind(0, '127.0.0.1', resolve));
+      port = receiver.address().port;
+    });
+
+    after(async () => {
+      await new Promise((resolve) => receiver.close(resolve));
+    });
+
+    beforeEach(() => {
+      received = [];
+    });
+
+    function createDriver(options = {}) {
+      return new UdpPixelDriver('127.0.0.1', {
+        logger: silentLogger,
+        port,
+        width: 2,
+        height: 2,
+        ...options,
+      });
+    }
+
+    async function waitForPackets(count) {
+      for (let i = 0; i < 100 && received.length < count; i++) {
+        await new Promise((resolve) => setTimeout(resolve, 5));
+      }
+      return received;
+    }
+
+    it('should stream DDP frames in wiring order', async () => {
+      const driver = createDriver({ layout: 'serpentine' });
+      await driver.initialize();
+      await driver.drawPixelRgba([0, 1], [255, 0, 0, 255]); // bottom-left
+
+      assert.strictEqual(await driver.push(), true);
+
+      const [packet] = await waitForPackets(1);
+      await driver.close();
+      assert.strictEqual(packet[0], 0x41);
+      // Second row is reversed, so bottom-left is the last LED
+      assert.deepStrictEqual(
+        Array.from(packet.subarray(10)),
+        [0, 0, 0, 0, 0, 0, 0, 0, 0, 255, 0, 0]
+      );
+    });
+
+    it('should send one E1.31 packet per universe', async () => {
+      const driver = createDriver({
+        protocol: 'e131',
+        width: 4,
+        height: 4,
+        channelsPerUniverse: 24,
+      });
+      await driver.initialize();
+
+      await driver.push();
+
+      const packets = await waitForPackets(2);
+      await driver.close();
+      assert.deepStrictEqual(
+        packets.map((p) => p.readUInt16BE(113)),
+        [1, 2]
+      );
+    });
+
+    it('should skip unchanged frames', async () => {
+      const driver = createDriver();
+      await driver.initialize();
+
+      await driver.push();
+      const sent = await driver.push();
+
+      await waitForPackets(1);
+      await driver.close();
+      assert.strictEqual(sent, false);
+      assert.strictEqual(received.length, 1);
+    });
+
+    it('should resend the last frame while idle', async () => {
+      const driver = createDriver({ protocol: 'e131', keepaliveMs: 20 });
+      await driver.initialize();
+      await driver.drawPixelRgba([1, 1], [0, 0, 255, 255]);
+
+      await driver.push();
+      const packets = await waitForPackets(3);
+      await driver.close();
+      const count = received.length;
+      await new Promise((resolve) => setTimeout(resolve, 60));
+
+      // Same pixels with a new sequence number each time (byte 111)
+      assert.deepStrictEqual(
+        packets.slice(0, 3).map((p) => p[111]),
+        [1, 2, 3]
+      );
+      for (const packet of packets.slice(1, 3)) {
+        assert.deepStrictEqual(packet.subarray(126), packets[0].subarray(126));
+      }
+      assert.strictEqual(received.length, count, 'close() stops the keepalive');
+    });
+
+    it('should send brightness and power changes right away', async () => {
+      const driver = createDriver({ keepaliveMs: 0 });
+      await driver.initialize();
+      await driver.fillRectangleRgba([0, 0], [2, 2], [200, 100, 50, 255]);
+      await driver.push();
+      await waitForPackets(1);
+
+      await driver.setBrightness(50);
+      await driver.setDisplayPower(false);
+      const [, dimmed, off] = await waitForPackets(3);
+      await driver.close();
+
+      assert.strictEqual(received.length, 3);
+      assert.deepStrictEqual(
+        Array.from(dimmed.subarray(10, 13)),
+        [100, 50, 25]
+      );
+      assert.ok(off.subarray(10).every((v) => v === 0));
+    });
+
+    it('should scale pixel values by brightness and black out when off', async () => {
+      const driver = createDriver({ driverType: 'mock' });
+      await driver.fillRectangleRgba([0, 0], [2, 2], [200, 100, 50, 255]);
+
+      await driver.setBrightness(50);
+      const [dimmed] = driver.buildPackets();
+      await driver.setDisplayPower(false);
+      const [off] = driver.buildPackets();
+
+      assert.deepStrictEqual(
+        Array.from(dimmed.subarray(10, 13)),
+        [100, 50, 25]
+      );
+      assert.ok(off.subarray(10).every((v) => v === 0));
+    });
+
+    it('should not touch the network in mock mode', async () => {
+      const driver = createDriver({ driverType: 'mock' });
+
+      await driver.initialize();
+      assert.strictEqual(await driver.push(), true);
+
+      await new Promise((resolve) => setTimeout(resolve, 20));
+      assert.strictEqual(driver.socket, null);
+      assert.strictEqual(received.length, 0);
+    });
+  });
+
+  describe('device config validation', () => {
+    it('should accept a complete UDP configuration', () => {
+      const config = new DeviceConfig({
+        ip: '10.0.0.5',
+        deviceType: 'udp',
+        options: {
+          protocol: 'artnet',
+          width: 64,
+          height: 32,
+          layout: 'serpentine',
+          universe: 0,
+          offset: 3,
+        },
+      });
+
+      assert.deepStrictEqual(config.validate().errors, []);
+    });
+
+    it('should reject unknown protocols and negative universes', () => {
+      const config = new DeviceConfig({
+        ip: '10.0.0.5',
+        deviceType: 'udp',
+        options: { protocol: 'sacn2', universe: -1 },
+      });
+
+      const { valid, errors } = config.validate();
+
+      assert.strictEqual(valid, false);
+      assert.strictEqual(errors.length, 2);
+    });
+  });
+});
@@ -0,0 +1,249 @@
+/**
+ * @fileoverview Tests for the video wall driver
+ * @description Checks tile placement and rotation, slicing of the wall
+ * canvas onto mock tiles through the device adapter, config validation and
+ * scene requirements checked against the wall's capabilities
+ * @author Markus Barta (mba) with assistance from Cursor AI
+ */
+
+'use strict';
+
+const assert = require('node:assert');
+const { describe, it, beforeEach, afterEach } = require('node:test');
+
+const { DisplayCapabilities } = require('../../lib/core/device-capabilities');
+const deviceAdapter = require('../../lib/device-adapter');
+const { DeviceConfig } = require('../../lib/device-config-store');
+const {
+  createTileMap,
+  createWallLayout,
+} = require('../../lib/drivers/wall/wall-layout');
+const { ValidationError } = require('../../lib/errors');
+const SceneService = require('../../lib/services/scene-service');
+
+const silentLogger = {
+  ok: () => {},
+  info: () => {},
+  warn: () => {},
+  error: () => {},
+  debug: () => {},
+};
+
+function pixelAt(frame, x, y) {
+  const i = (y * frame.width + x) * 3;
+  return Array.from(frame.buf.subarray(i, i + 3));
+}
+
+describe('Video wall', () => {
+  describe('createTileMap()', () => {
+    it('should map an unrotated tile straight onto its canvas area', () => {
+      assert.deepStrictEqual(
+        Array.from(createTileMap(4, { x: 2, y: 1, width: 2, height: 1 })),
+        [6, 7]
+      );
+    });
+
+    it('should turn the canvas area for rotated panels', () => {
+      const tile = { x: 0, y: 0, width: 3, height: 2 };
+
+      // Canvas area is 2 wide, 3 high; panel's top-left sits top-right
+      assert.deepStrictEqual(
+        Array.from(createTileMap(2, { ...tile, rotation: 90 })),
+        [1, 3, 5, 0, 2, 4]
+      );
+      assert.deepStrictEqual(
+        Array.from(createTileMap(3, { ...tile, rotation: 180 })),
+        [5, 4, 3, 2, 1, 0]
+      );
+      assert.deepStrictEqual(
+        Array.from(createTileMap(2, { ...tile, rotation: 270 })),
+        [4, 2, 0, 5, 3, 1]
+      );
+    });
+
+    it('should reject other rotations', () => {
+      assert.throws(
+        () =>
+          createTileMap(2, { x: 0, y: 0, width: 2, height: 2, rotation: 45 }),
+        /Unknown tile rotation/
+      );
+    });
+  });
+
+  describe('createWallLayout()', () => {
+    it('should size the canvas to the bounding box of all tiles', () => {
+      const layout = createWallLayout([
+        { x: 0, y: 0, width: 64, height: 64 },
+        { x: 64, y: 0, width: 32, height: 64, rotation: 90 },
+      ]);
+
+      assert.strictEqual(layout.width, 128);
+      assert.strictEqual(layout.height, 64);
+      assert.strictEqual(layout.tiles[1].map.length, 32 * 64);
+    });
+  });
+
+  describe('WallDriver via device adapter', () => {
+    beforeEach(() => {
+      deviceAdapter.devices.clear();
+      deviceAdapter.registerDevicesFromConfig([
+        {
+          id: 'pidicon-1',
+          ip: '10.0.2.1',
+          driver: 'mock',
+          deviceType: 'pixoo64',
+        },
+        {
+          id: 'pidicon-2',
+          ip: '10.0.2.2',
+          driver: 'mock',
+          deviceType: 'pixoo64',
+        },
+        {
+          id: 'pidicon-3',
+          ip: 'wall-test',
+          driver: 'mock',
+          deviceType: 'wall',
+          options: {
+            tiles: [
+              { device: 'pidicon-1', x: 0, y: 0 },
+              { device: '10.0.2.2', x: 64, y: 0, rotation: 180 },
+              { device: '10.9.9.9', x: 128, y: 0 },
+            ],
+          },
+        },
+      ]);
+    });
+
+    afterEach(() => {
+      deviceAdapter.devices.clear();
+      deviceAdapter.deviceDrivers.clear();
+    });
+
+    it('should derive the canvas size from the layout', () => {
+      const wall = deviceAdapter.getDevice('wall-test');
+      const capabilities = wall.getCapabilities();
+
+      assert.strictEqual(capabilities.width, 128);
+      assert.strictEqual(capabilities.height, 64);
+      assert.strictEqual(
+        capabilities.isCompatibleWith({ minWidth: 128 }),
+        true
+      );
+      assert.strictEqual(
+        capabilities.isCompatibleWith({ minWidth: 192 }),
+        false
+      );
+      // Unconfigured tile device is skipped
+      assert.deepStrictEqual(wall.getTileHosts(), ['10.0.2.1', '10.0.2.2']);
+      assert.strictEqual(
+        deviceAdapter.getContext('wall-test', 'clock', {}).env.width,
+        128
+      );
+    });
+
+    it('should push each tile its part of the canvas', async () => {
+      const wall = deviceAdapter.getDevice('wall-test');
+
+      await wall.fillRectangleRgba([0, 0], [1, 1], [255, 0, 0, 255]);
+      await wall.fillRectangleRgba([64, 0], [1, 1], [0, 255, 0, 255]);
+      await wall.push('banner');
+
+      const left = deviceAdapter.getDevice('10.0.2.1').getPushedFrame();
+      const right = deviceAdapter.getDevice('10.0.2.2').getPushedFrame();
+      assert.strictEqual(left.sceneName, 'banner');
+      assert.deepStrictEqual(pixelAt(left, 0, 0), [255, 0, 0]);
+      assert.deepStrictEqual(pixelAt(left, 63, 0), [0, 0, 0]);
+      // Upside-down panel: the canvas' top-left corner is its bottom-right
+      assert.deepStrictEqual(pixelAt(right, 63, 63), [0, 255, 0]);
+      assert.deepStrictEqual(pixelAt(right, 0, 0), [0, 0, 0]);
+      assert.strictEqual(wall.getPushedFrame().width, 128);
+    });
+
+    it('should skip the push when no tile changed', async () => {
+      const wall = deviceAdapter.getDevice('wall-test');
+      await wall.push('banner');
+
+      assert.strictEqual(await wall.push('banner'), 0);
+      assert.strictEqual(wall.metrics.skipped, 1);
+    });
+  });
+
+  describe('DeviceConfig', () => {
+    it('should validate wall tiles', () => {
+      const config = (tiles) =>
+        new DeviceConfig({
+          id: 'pidicon-9',
+          ip: 'wall-office',
+          deviceType: 'wall',
+          options: { tiles },
+        }).validate();
+
+      assert.strictEqual(
+        config([{ device: 'pidicon-1' }, { device: 'pidicon-2', x: 64 }]).valid,
+        true
+      );
+      assert.deepStrictEqual(config([]).errors, [
+        'Option tiles must list at least one tile',
+      ]);
+      assert.deepStrictEqual(
+        config([{ device: 'wall-office', x: -1, rotation: 45 }]).errors,
+        [
+          'Tile 1: a wall cannot be its own tile',
+          'Tile 1: x and y must be non-negative integers',
+          'Tile 1: rotation must be one of: 0, 90, 180, 270',
+        ]
+      );
+    });
+  });
+
+  describe('Scene requirements', () => {
+    function createService(width) {
+      const stopped = [];
+      const service = new SceneService({
+        logger: silentLogger,
+        sceneManager: {
+          hasScene: () => true,
+          getScene: () => ({ name: 'banner', requirements: { minWidth: 128 } }),
+          getDeviceSceneState: () => ({
+            currentScene: 'clock',
+            playState: 'playing',
+          }),
+          stopScene: (host) => stopped.push(host),
+          switchScene: async () => true,
+        },
+        deviceAdapter: {
+          getDevice: () => ({
+            clear: async () => {},
+            getCapabilities: () =>
+              new DisplayCapabilities({ width, height: 64 }),
+            getTileHosts: () => ['10.0.2.1', '10.0.2.2'],
+          }),
+          getContext: () => ({}),
+        },
+        mqttService: { publish: async () => {} },
+        versionInfo: { version: '3.0.0' },
+      });
+      return { service, stopped };
+    }
+
+    it('should reject scenes that need a wider canvas', async () => {
+      const { service } = createService(64);
+
+      await assert.rejects(
+        service.switchToScene('10.0.2.1', 'banner'),
+        (error) =>
+          error instanceof ValidationError &&
+          /not compatible/.test(error.message)
+      );
+    });
+
+    it('should stop scenes running on the tiles when the wall plays', async () => {
+      const { service, stopped } = createService(128);
+
+      await service.switchToScene('wall-test', 'banner');
+
+      assert.deepStrictEqual(stopped, ['10.0.2.1', '10.0.2.2']);
+    });
+  });
+});
@@ -0,0 +1,202 @@
+/**
+ * @fileoverview Tests for the WLED driver
+ * @description Runs the driver against a local stub of the WLED JSON API and
+ * checks segment encoding, matrix detection and brightness/power mapping
+ * @author Markus Barta (mba) with assistance from Cursor AI
+ */
+
+'use strict';
+
+const assert = require('node:assert');
+const http = require('node:http');
+const { describe, it, before, after, beforeEach } = require('node:test');
+
+const WledDriver = require('../../lib/drivers/wled/wled-driver');
+
+const { encodeSegmentPixels } = WledDriver;
+
+const silentLogger = {
+  info: () => {},
+  warn: () => {},
+  debug: () => {},
+};
+
+describe('WledDriver', () => {
+  let server;
+  let port;
+  let requests;
+  let info;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => (body += chunk));
+      req.on('end', () => {
+        requests.push({
+          method: req.method,
+          url: req.url,
+          body: body ? JSON.parse(body) : null,
+        });
+        res.setHeader('Content-Type', 'application/json');
+        res.end(
+          JSON.stringify(req.url === '/json/info' ? info : { success: true })
+        );
+      });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    port = server.address().port;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    requests = [];
+    info = { ver: '0.14.0', leds: { count: 256, matrix: { w: 32, h: 8 } } };
+  });
+
+  function createDriver(options = {}) {
+    return new WledDriver('127.0.0.1', {
+      logger: silentLogger,
+      port,
+      ...options,
+    });
+  }
+
+  function stateBodies() {
+    return requests
+      .filter((r) => r.method === 'POST' && r.url === '/json/state')
+      .map((r) => r.body);
+  }
+
+  describe('encodeSegmentPixels()', () => {
+    it('should send runs as ranges and the rest as indexed colors', () => {
+      const buf = new Uint8Array(6 * 3);
+      buf.set([255, 0, 0], 0); // red, then 4x black, then blue
+      buf.set([0, 0, 255], 15);
+
+      const [pixels, ...rest] = encodeSegmentPixels(buf);
+
+      assert.strictEqual(rest.length, 0);
+      assert.deepStrictEqual(pixels, [
+        0,
+        'FF0000',
+        1,
+        5,
+        '000000',
+        5,
+        '0000FF',
+      ]);
+    });
+
+    it('should split large frames into independently indexed chunks', () => {
+      const buf = new Uint8Array(10 * 3);
+      for (let i = 0; i < 10; i++) buf[i * 3] = i; // every pixel different
+
+      const chunks = encodeSegmentPixels(buf, 4);
+
+      assert.strictEqual(chunks.length, 3);
+      assert.deepStrictEqual(
+        chunks.map((c) => c[0]),
+        [0, 4, 8]
+      );
+      assert.strictEqual(chunks[2].length, 3); // index + 2 colors
+    });
+  });
+
+  describe('matrix size', () => {
+    it('should read the 2D matrix size from /json/info', async () => {
+      const driver = createDriver();
+
+      await driver.initialize();
+
+      assert.strictEqual(driver.capabilities.width, 32);
+      assert.strictEqual(driver.capabilities.height, 8);
+      assert.strictEqual(driver.frame.buf.length, 32 * 8 * 3);
+      assert.deepStrictEqual(stateBodies()[0], { seg: { id: 0, fx: 0 } });
+    });
+
+    it('should keep an explicitly configured size', async () => {
+      const driver = createDriver({ width: 16, height: 16, segment: 2 });
+
+      await driver.initialize();
+
+      assert.strictEqual(driver.capabilities.width, 16);
+      assert.strictEqual(driver.capabilities.height, 16);
+      assert.strictEqual(stateBodies()[0].seg.id, 2);
+    });
+  });
+
+  describe('push()', () => {
+    it('should send the frame as per-pixel segment data', async () => {
+      const driver = createDriver({ width: 4, height: 2 });
+      driver.initialized = true;
+      await driver.drawPixelRgba([1, 0], [0, 255, 0, 255]);
+
+      const sent = await driver.push();
+
+      assert.strictEqual(sent, true);
+      const [body] = stateBodies();
+      assert.strictEqual(body.tt, 0);
+      assert.deepStrictEqual(body.seg, {
+        id: 0,
+        i: [0, '000000', '00FF00', 2, 8, '000000'],
+      });
+    });
+
+    it('should skip unchanged frames', async () => {
+      const driver = createDriver({ width: 4, height: 2 });
+      driver.initialized = true;
+
+      await driver.push();
+      const sent = await driver.push();
+
+      assert.strictEqual(sent, false);
+      assert.strictEqual(stateBodies().length, 1);
+    });
+
+    it('should not touch the network in mock mode', async () => {
+      const driver = createDriver({ driverType: 'mock' });
+
+      await driver.initialize();
+      await driver.fillRectangleRgba([0, 0], [4, 4], [255, 255, 255, 255]);
+      assert.strictEqual(await driver.push(), true);
+
+      assert.strictEqual(requests.length, 0);
+    });
+  });
+
+  describe('settings', () => {
+    it('should map brightness 0-100 onto WLED bri 0-255', async () => {
+      const driver = createDriver({ width: 4, height: 2 });
+
+      assert.strictEqual(await driver.setBrightness(50), true);
+
+      assert.deepStrictEqual(stateBodies()[0], { bri: 128 });
+      assert.strictEqual(driver.getHardwareState().brightness, 50);
+    });
+
+    it('should map display power onto WLED on/off', async () => {
+      const driver = createDriver({ width: 4, height: 2 });
+
+      assert.strictEqual(await driver.setDisplayPower(false), true);
+
+      assert.deepStrictEqual(stateBodies()[0], { on: false });
+      assert.strictEqual(driver.getHardwareState().displayOn, false);
+    });
+
+    it('should report failures instead of throwing', async () => {
+      const driver = new WledDriver('127.0.0.1', {
+        logger: silentLogger,
+        port: 1, // nothing listens here
+        width: 4,
+        height: 2,
+      });
+
+      assert.strictEqual(await driver.setBrightness(10), false);
+      const health = await driver.healthCheck();
+      assert.strictEqual(health.success, false);
+    });
+  });
+});
@@ -115,6 +115,48 @@ export function useApi() {
     });
   }
 
+  async function runNativeTool(ip, tool, params = {}) {
+    return await request(`/devices/${ip}/tools/${tool}`, {
+      method: 'POST',
+      body: JSON.stringify(params),
+    });
+  }
+
+  // Playlist APIs (group playlists: pass the group name)
+  function playlistBase(ip, group = null) {
+    return group ? `/groups/${group}` : `/devices/${ip}`;
+  }
+
+  async function getPlaylists(ip) {
+    return await request(`/devices/${ip}/playlists`);
+  }
+
+  async function savePlaylist(ip, name, playlist) {
+    return await request(`/devices/${ip}/playlists/${name}`, {
+      method: 'PUT',
+      body: JSON.stringify(playlist),
+    });
+  }
+
+  async function deletePlaylist(ip, name) {
+    return await request(`/devices/${ip}/playlists/${name}`, {
+      method: 'DELETE',
+    });
+  }
+
+  async function startPlaylist(ip, playlist, position = 0) {
+    return await request(`/devices/${ip}/playlist`, {
+      method: 'POST',
+      body: JSON.stringify({ playlist, position }),
+    });
+  }
+
+  async function controlPlaylist(ip, action, group = null) {
+    return await request(`${playlistBase(ip, group)}/playlist/${action}`, {
+      method: 'POST',
+    });
+  }
+
   async function switchDriver(ip, driver) {
     return await request(`/devices/${ip}/driver`, {
       method: 'POST',
@@ -173,6 +215,13 @@ export function useApi() {
     rebootDevice,
     setDeviceLogging,
     switchDriver,
+    runNativeTool,
+    // Playlist methods
+    getPlaylists,
+    savePlaylist,
+    deletePlaylist,
+    startPlaylist,
+    controlPlaylist,
     // Scene methods
     getScenes,
     // System methods
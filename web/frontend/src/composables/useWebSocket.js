@@ -6,12 +6,49 @@
 import { ref, onMounted, onUnmounted } from 'vue';
 import { useDeviceStore } from '../store/devices';
 import { useSceneStore } from '../store/scenes';
+import { useToast } from './useToast';
 
 let ws = null;
 let reconnectTimeout = null;
 let reconnectAttempts = 0;
 const MAX_RECONNECT_ATTEMPTS = 10;
 const RECONNECT_DELAY_MS = 5000;
+const previewSubscriptions = new Map(); // deviceIp -> number of subscribers
+
+function sendPreviewMessage(type, deviceIp) {
+  if (ws && ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify({ type, deviceIp }));
+  }
+}
+
+/**
+ * Receive live `frame` messages for a device (reference-counted, so several
+ * components can watch the same device). Survives reconnects.
+ * @param {string} deviceIp
+ */
+export function subscribePreview(deviceIp) {
+  const count = previewSubscriptions.get(deviceIp) || 0;
+  previewSubscriptions.set(deviceIp, count + 1);
+  if (count === 0) {
+    sendPreviewMessage('preview_subscribe', deviceIp);
+  }
+}
+
+/**
+ * Stop receiving frames for a device once the last subscriber is gone
+ * @param {string} deviceIp
+ */
+export function unsubscribePreview(deviceIp) {
+  const count = previewSubscriptions.get(deviceIp) || 0;
+  if (count <= 1) {
+    previewSubscriptions.delete(deviceIp);
+    if (count === 1) {
+      sendPreviewMessage('preview_unsubscribe', deviceIp);
+    }
+  } else {
+    previewSubscriptions.set(deviceIp, count - 1);
+  }
+}
 
 export function useWebSocket() {
   const connected = ref(false);
@@ -20,6 +57,7 @@ export function useWebSocket() {
 
   const deviceStore = useDeviceStore();
   const sceneStore = useSceneStore();
+  const toast = useToast();
 
   function connect() {
     if (connecting.value || (ws && ws.readyState === WebSocket.OPEN)) {
@@ -51,6 +89,11 @@ export function useWebSocket() {
 
         // Send initial ping
         ws.send(JSON.stringify({ type: 'ping' }));
+
+        // Restore preview subscriptions (server forgets them on disconnect)
+        for (const deviceIp of previewSubscriptions.keys()) {
+          sendPreviewMessage('preview_subscribe', deviceIp);
+        }
       };
 
       ws.onmessage = (event) => {
@@ -121,6 +164,19 @@ export function useWebSocket() {
   }
 
   function handleMessage(message) {
+    // Preview frames arrive several times per second, don't log them
+    if (message.type === 'frame') {
+      if (message.deviceIp && previewSubscriptions.has(message.deviceIp)) {
+        deviceStore.setPreview(message.deviceIp, {
+          src: `data:image/${message.format};base64,${message.data}`,
+          width: message.width,
+          height: message.height,
+          timestamp: message.timestamp,
+        });
+      }
+      return;
+    }
+
     console.log('[WebSocket] Message received:', message.type);
 
     switch (message.type) {
@@ -173,6 +229,23 @@ export function useWebSocket() {
         }
         break;
 
+      case 'scene_reload':
+        // Scene file changed on disk (hot reload in dev mode)
+        if (message.scenes) {
+          sceneStore.setScenes(message.scenes);
+        }
+        if (message.data?.status === 'error') {
+          const [first] = message.data.errors;
+          toast.error(`Scene reload failed (${first.file}): ${first.error}`);
+        } else if (message.data) {
+          const restarted = message.data.restarted.length;
+          toast.success(
+            `Reloaded ${message.data.scenes.join(', ')}` +
+              (restarted > 0 ? ` (restarted on ${restarted} device(s))` : ''),
+          );
+        }
+        break;
+
       case 'pong':
         // Keepalive response
         console.log('[WebSocket] Pong received');
@@ -10,6 +10,7 @@ export const useDeviceStore = defineStore('devices', () => {
   const devices = ref([]);
   const loading = ref(false);
   const error = ref(null);
+  const previews = ref({}); // ip -> { src, width, height, timestamp }
 
   // Getters
   const realDevices = computed(() =>
@@ -32,6 +33,15 @@ export const useDeviceStore = defineStore('devices', () => {
     }
   }
 
+  function setPreview(deviceIp, preview) {
+    previews.value = { ...previews.value, [deviceIp]: preview };
+  }
+
+  function clearPreview(deviceIp) {
+    const { [deviceIp]: _removed, ...rest } = previews.value;
+    previews.value = rest;
+  }
+
   function setLoading(value) {
     loading.value = value;
   }
@@ -48,11 +58,14 @@ export const useDeviceStore = defineStore('devices', () => {
     devices,
     loading,
     error,
+    previews,
     realDevices,
     mockDevices,
     deviceCount,
     setDevices,
     updateDevice,
+    setPreview,
+    clearPreview,
     setLoading,
     setError,
     clearError,
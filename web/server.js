@@ -11,6 +11,13 @@ const express = require('express');
 const path = require('path');
 const WebSocket = require('ws');
 
+const { DEVICE_TYPES } = require('../lib/core/constants');
+const {
+  getDriverPluginErrors,
+  listDriverPlugins,
+} = require('../lib/core/driver-plugins');
+const { ValidationError } = require('../lib/errors');
+
 const WEB_UI_PORT = parseInt(process.env.PIXOO_WEB_PORT || '10829', 10);
 const WEB_UI_AUTH = process.env.PIXOO_WEB_AUTH; // format: "user:password"
 
@@ -58,6 +65,11 @@ function startWebServer(container, logger) {
   const deviceService = container.resolve('deviceService');
   const systemService = container.resolve('systemService');
   const mqttConfigService = container.resolve('mqttConfigService');
+  const previewService = container.resolve('previewService');
+  const discoveryService = container.resolve('discoveryService');
+  const groupService = container.resolve('groupService');
+  const playlistService = container.resolve('playlistService');
+  const sceneReloadService = container.resolve('sceneReloadService');
   const watchdogService = container.resolve('watchdogService');
   const deviceConfigStore = container.resolve('deviceConfigStore'); // Use shared instance from DI container
   const diagnosticsService = container.resolve('diagnosticsService');
@@ -71,6 +83,12 @@ function startWebServer(container, logger) {
   // API ENDPOINTS
   // =========================================================================
 
+  // Every :ip route also accepts the stable device id (or MAC)
+  app.param('ip', (req, _res, next, value) => {
+    req.params.ip = deviceConfigStore.resolveIp(value);
+    next();
+  });
+
   // GET /api/status - Daemon status
   app.get('/api/status', async (_req, res) => {
     try {
@@ -261,6 +279,72 @@ function startWebServer(container, logger) {
     }
   });
 
+  // GET /api/devices/:ip/settings - Pixoo hardware settings
+  app.get('/api/devices/:ip/settings', async (req, res) => {
+    try {
+      const result = await deviceService.getHardwareSettings(req.params.ip);
+      res.json(result);
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return res.status(400).json({ error: error.message });
+      }
+      logger.error(`API /api/devices/${req.params.ip}/settings error:`, {
+        error: error.message,
+      });
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // PUT /api/devices/:ip/settings - Change (and persist) hardware settings
+  app.put('/api/devices/:ip/settings', async (req, res) => {
+    try {
+      logger.ok(`[WEB UI] Hardware settings for ${req.params.ip}`, {
+        source: 'web-ui',
+        settings: req.body,
+      });
+
+      const result = await deviceService.setHardwareSettings(
+        req.params.ip,
+        req.body
+      );
+      res.json(result);
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return res.status(400).json({ error: error.message });
+      }
+      logger.error(`[WEB UI] Failed to apply settings on ${req.params.ip}:`, {
+        error: error.message,
+      });
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // POST /api/devices/:ip/tools/:tool - Run a native tool (timer, buzzer, ...)
+  app.post('/api/devices/:ip/tools/:tool', async (req, res) => {
+    try {
+      logger.ok(`[WEB UI] Tool ${req.params.tool} on ${req.params.ip}`, {
+        source: 'web-ui',
+        params: req.body,
+      });
+
+      const result = await deviceService.runNativeTool(
+        req.params.ip,
+        req.params.tool,
+        req.body || {}
+      );
+      res.json(result);
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return res.status(400).json({ error: error.message });
+      }
+      logger.error(
+        `[WEB UI] Failed to run ${req.params.tool} on ${req.params.ip}:`,
+        { error: error.message }
+      );
+      res.status(500).json({ error: error.message });
+    }
+  });
+
   // POST /api/devices/:ip/reset - Reset device
   app.post('/api/devices/:ip/reset', async (req, res) => {
     try {
@@ -406,6 +490,52 @@ function startWebServer(container, logger) {
     }
   });
 
+  // GET /api/devices/:ip/frame.png - Most recently pushed frame as PNG
+  // (?scale=N upscales nearest-neighbour, ?id=N picks a frame from /frames)
+  app.get('/api/devices/:ip/frame.png', async (req, res) => {
+    try {
+      const png = deviceService.getFramePng(req.params.ip, {
+        id: req.query.id !== undefined ? Number(req.query.id) : undefined,
+        scale: req.query.scale !== undefined ? Number(req.query.scale) : 1,
+      });
+      if (!png) {
+        return res.status(404).json({ error: 'No frame available' });
+      }
+      res.set('Cache-Control', 'no-store');
+      res.type('png').send(png);
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return res.status(400).json({ error: error.message });
+      }
+      logger.error(`API /api/devices/${req.params.ip}/frame.png error:`, {
+        error: error.message,
+      });
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // GET /api/devices/:ip/frames - Rolling history of pushed frames
+  app.get('/api/devices/:ip/frames', async (req, res) => {
+    try {
+      const frames = deviceService.getFrameHistory(req.params.ip);
+      if (!frames) {
+        return res.status(404).json({ error: 'Device not found' });
+      }
+      res.json({
+        deviceIp: req.params.ip,
+        frames: frames.map((frame) => ({
+          ...frame,
+          url: `/api/devices/${req.params.ip}/frame.png?id=${frame.id}`,
+        })),
+      });
+    } catch (error) {
+      logger.error(`API /api/devices/${req.params.ip}/frames error:`, {
+        error: error.message,
+      });
+      res.status(500).json({ error: error.message });
+    }
+  });
+
   // GET /api/devices/:ip/frametime - Get current frametime/FPS
   app.get('/api/devices/:ip/frametime', async (req, res) => {
     try {
@@ -429,6 +559,15 @@ function startWebServer(container, logger) {
   // DEVICE CONFIGURATION API
   // =========================================================================
 
+  // GET /api/config/device-types - Built-in and plugin device types
+  app.get('/api/config/device-types', (req, res) => {
+    res.json({
+      builtIn: Object.values(DEVICE_TYPES),
+      plugins: listDriverPlugins(),
+      errors: getDriverPluginErrors(),
+    });
+  });
+
   // GET /api/config/devices - List all configured devices
   app.get('/api/config/devices', async (req, res) => {
     try {
@@ -498,6 +637,11 @@ function startWebServer(container, logger) {
         `[WEB UI] Updated device config: ${device.ip} (${device.name})`
       );
 
+      // New address (e.g. after a DHCP change): move runtime state along
+      if (device.ip !== req.params.ip) {
+        await deviceService.moveDevice(req.params.ip, device.ip);
+      }
+
       // Re-activate device with updated config
       try {
         await deviceService.activateDevice(device.ip);
@@ -850,6 +994,7 @@ function startWebServer(container, logger) {
           watchdog: settings.defaults.watchdog,
           mediaPath: settings.mediaPath,
           scenesPath: settings.scenesPath,
+          driversPath: settings.driversPath,
         },
       });
     } catch (error) {
@@ -868,6 +1013,7 @@ function startWebServer(container, logger) {
         watchdog,
         mediaPath,
         scenesPath,
+        driversPath,
       } = payload;
 
       const defaults = await deviceConfigStore.updateDefaults({
@@ -879,6 +1025,7 @@ function startWebServer(container, logger) {
       const mergedSettings = {
         mediaPath,
         scenesPath,
+        driversPath,
         defaults,
       };
 
@@ -895,6 +1042,9 @@ function startWebServer(container, logger) {
           scenesPath:
             mergedSettings.scenesPath ||
             deviceConfigStore.getSettings().scenesPath,
+          driversPath:
+            mergedSettings.driversPath ||
+            deviceConfigStore.getSettings().driversPath,
         },
       });
     } catch (error) {
@@ -982,6 +1132,266 @@ function startWebServer(container, logger) {
     }
   });
 
+  // POST /api/discovery/scan - Scan the LAN for Pixoo/AWTRIX devices
+  // Body: { subnet?: '192.168.1.0/24', mdns?: true }
+  app.post('/api/discovery/scan', async (req, res) => {
+    try {
+      const { subnet, mdns } = req.body || {};
+      const result = await discoveryService.scan({
+        subnet: subnet || undefined,
+        mdns: mdns !== false,
+      });
+      res.json(result);
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return res.status(400).json({ error: error.message });
+      }
+      logger.error('API /api/discovery/scan error:', { error: error.message });
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // =========================================================================
+  // DEVICE GROUPS
+  // =========================================================================
+
+  // Errors of group routes: unknown group 404, bad input 400
+  function sendGroupError(req, res, error) {
+    if (error instanceof ValidationError) {
+      const exists =
+        req.method === 'PUT' || deviceConfigStore.getGroup(req.params.name);
+      return res.status(exists ? 400 : 404).json({ error: error.message });
+    }
+    logger.error(`API ${req.method} ${req.path} error:`, {
+      error: error.message,
+    });
+    res.status(500).json({ error: error.message });
+  }
+
+  // GET /api/groups - All device groups with members and current scene
+  app.get('/api/groups', async (req, res) => {
+    try {
+      res.json({ groups: await groupService.listGroups() });
+    } catch (error) {
+      sendGroupError(req, res, error);
+    }
+  });
+
+  // GET /api/groups/:name - One group
+  app.get('/api/groups/:name', async (req, res) => {
+    try {
+      const group = await groupService.getGroup(req.params.name);
+      if (!group) {
+        return res.status(404).json({ error: 'Group not found' });
+      }
+      res.json(group);
+    } catch (error) {
+      sendGroupError(req, res, error);
+    }
+  });
+
+  // PUT /api/groups/:name - Create or replace a group
+  // Body: { members: ['<device id, IP or MAC>', ...] } (first member renders)
+  app.put('/api/groups/:name', async (req, res) => {
+    try {
+      const group = await groupService.saveGroup(
+        req.params.name,
+        req.body?.members
+      );
+      logger.ok(`[WEB UI] Saved group ${req.params.name}`);
+      res.json(group);
+    } catch (error) {
+      sendGroupError(req, res, error);
+    }
+  });
+
+  // DELETE /api/groups/:name - Remove a group (devices stay configured)
+  app.delete('/api/groups/:name', async (req, res) => {
+    try {
+      await groupService.deleteGroup(req.params.name);
+      logger.ok(`[WEB UI] Removed group ${req.params.name}`);
+      res.json({ success: true });
+    } catch (error) {
+      sendGroupError(req, res, error);
+    }
+  });
+
+  // POST /api/groups/:name/scene - Play a scene mirrored on all members
+  app.post('/api/groups/:name/scene', async (req, res) => {
+    try {
+      const { scene, clear = true, payload = {} } = req.body;
+
+      if (!scene) {
+        return res.status(400).json({ error: 'Scene name is required' });
+      }
+
+      logger.ok(`[WEB UI] Switching group ${req.params.name} to: ${scene}`, {
+        clear,
+        source: 'web-ui',
+      });
+
+      const result = await groupService.switchScene(req.params.name, scene, {
+        clear,
+        payload,
+      });
+      res.json(result);
+    } catch (error) {
+      sendGroupError(req, res, error);
+    }
+  });
+
+  // POST /api/groups/:name/scene/stop - Stop the group scene
+  app.post('/api/groups/:name/scene/stop', async (req, res) => {
+    try {
+      res.json(await groupService.stopScene(req.params.name));
+    } catch (error) {
+      sendGroupError(req, res, error);
+    }
+  });
+
+  // POST /api/groups/:name/display - Turn all member displays on/off
+  // (single members: POST /api/devices/:ip/display)
+  app.post('/api/groups/:name/display', async (req, res) => {
+    try {
+      const { on } = req.body;
+
+      if (typeof on !== 'boolean') {
+        return res.status(400).json({ error: '"on" must be a boolean' });
+      }
+
+      res.json(await groupService.setDisplayPower(req.params.name, on));
+    } catch (error) {
+      sendGroupError(req, res, error);
+    }
+  });
+
+  // POST /api/groups/:name/brightness - Set brightness of all members
+  // (single members: POST /api/devices/:ip/brightness)
+  app.post('/api/groups/:name/brightness', async (req, res) => {
+    try {
+      const { brightness } = req.body;
+
+      if (typeof brightness !== 'number') {
+        return res
+          .status(400)
+          .json({ error: '"brightness" must be a number (0-100)' });
+      }
+
+      res.json(
+        await groupService.setDisplayBrightness(req.params.name, brightness)
+      );
+    } catch (error) {
+      sendGroupError(req, res, error);
+    }
+  });
+
+  // =========================================================================
+  // PLAYLISTS (per device and per group, same routes under both)
+  // =========================================================================
+
+  // Errors of playlist routes: unknown device/group/playlist 404, bad input 400
+  function sendPlaylistError(req, res, error) {
+    if (error instanceof ValidationError) {
+      const status = / not found$/.test(error.message) ? 404 : 400;
+      return res.status(status).json({ error: error.message });
+    }
+    logger.error(`API ${req.method} ${req.path} error:`, {
+      error: error.message,
+    });
+    res.status(500).json({ error: error.message });
+  }
+
+  const playlistOwners = [
+    { base: '/api/devices/:ip', owner: (req) => ({ device: req.params.ip }) },
+    { base: '/api/groups/:name', owner: (req) => ({ group: req.params.name }) },
+  ];
+
+  for (const { base, owner } of playlistOwners) {
+    // GET <base>/playlists - Playlists and playback status
+    app.get(`${base}/playlists`, async (req, res) => {
+      try {
+        res.json({
+          playlists: playlistService.listPlaylists(owner(req)),
+          status: await playlistService.getStatus(owner(req)),
+        });
+      } catch (error) {
+        sendPlaylistError(req, res, error);
+      }
+    });
+
+    // PUT <base>/playlists/:playlist - Create or replace a playlist
+    // Body: { entries: [{ scene, payload, duration }], shuffle, repeat, skipIncompatible }
+    app.put(`${base}/playlists/:playlist`, async (req, res) => {
+      try {
+        const playlist = await playlistService.savePlaylist(
+          owner(req),
+          req.params.playlist,
+          req.body
+        );
+        logger.ok(`[WEB UI] Saved playlist ${req.params.playlist}`);
+        res.json(playlist);
+      } catch (error) {
+        sendPlaylistError(req, res, error);
+      }
+    });
+
+    // DELETE <base>/playlists/:playlist - Remove a playlist
+    app.delete(`${base}/playlists/:playlist`, async (req, res) => {
+      try {
+        await playlistService.deletePlaylist(owner(req), req.params.playlist);
+        logger.ok(`[WEB UI] Removed playlist ${req.params.playlist}`);
+        res.json({ success: true });
+      } catch (error) {
+        sendPlaylistError(req, res, error);
+      }
+    });
+
+    // GET <base>/playlist - Playback status (null if none is playing)
+    app.get(`${base}/playlist`, async (req, res) => {
+      try {
+        res.json({ status: await playlistService.getStatus(owner(req)) });
+      } catch (error) {
+        sendPlaylistError(req, res, error);
+      }
+    });
+
+    // POST <base>/playlist - Start a playlist
+    // Body: { playlist: 'morning', position: 0 }
+    app.post(`${base}/playlist`, async (req, res) => {
+      try {
+        const { playlist, position = 0 } = req.body || {};
+        if (!playlist) {
+          return res.status(400).json({ error: 'Playlist name is required' });
+        }
+
+        logger.ok(`[WEB UI] Starting playlist ${playlist}`, {
+          source: 'web-ui',
+        });
+        const status = await playlistService.play(owner(req), playlist, {
+          position,
+        });
+        res.json({ success: true, status });
+      } catch (error) {
+        sendPlaylistError(req, res, error);
+      }
+    });
+
+    // POST <base>/playlist/next|prev|stop - Skip or stop the playlist
+    for (const action of ['next', 'prev', 'stop']) {
+      app.post(`${base}/playlist/${action}`, async (req, res) => {
+        try {
+          const status = await playlistService.handleCommand(
+            owner(req),
+            action
+          );
+          res.json(action === 'stop' ? status : { success: true, status });
+        } catch (error) {
+          sendPlaylistError(req, res, error);
+        }
+      });
+    }
+  }
+
   // =========================================================================
   // DAEMON MANAGEMENT
   // =========================================================================
@@ -1484,6 +1894,16 @@ function startWebServer(container, logger) {
         const data = JSON.parse(message.toString());
         if (data.type === 'ping') {
           ws.send(JSON.stringify({ type: 'pong', timestamp: Date.now() }));
+        } else if (data.type === 'preview_subscribe' && data.deviceIp) {
+          previewService.subscribe(
+            ws,
+            deviceConfigStore.resolveIp(data.deviceIp)
+          );
+        } else if (data.type === 'preview_unsubscribe' && data.deviceIp) {
+          previewService.unsubscribe(
+            ws,
+            deviceConfigStore.resolveIp(data.deviceIp)
+          );
         }
       } catch (error) {
         logger.error('Invalid WebSocket message:', { error: error.message });
@@ -1493,12 +1913,14 @@ function startWebServer(container, logger) {
     ws.on('close', () => {
       logger.info(`🔌 WebSocket client disconnected from ${clientIp}`);
       clients.delete(ws);
+      previewService.removeClient(ws);
       clearInterval(pingInterval);
     });
 
     ws.on('error', (error) => {
       logger.error('WebSocket error:', { error: error.message, clientIp });
       clients.delete(ws);
+      previewService.removeClient(ws);
       clearInterval(pingInterval);
     });
   });
@@ -1523,6 +1945,22 @@ function startWebServer(container, logger) {
   // Attach broadcast function to server for external use
   server.wsBroadcast = broadcast;
 
+  // Scene hot reload results show up as toasts; the scene list may have changed
+  sceneReloadService.addListener(async (result) => {
+    try {
+      broadcast({
+        type: 'scene_reload',
+        data: result,
+        scenes: await sceneService.listScenes(),
+        timestamp: Date.now(),
+      });
+    } catch (error) {
+      logger.error('Failed to broadcast scene reload:', {
+        error: error.message,
+      });
+    }
+  });
+
   // Setup periodic state broadcasts (only for slow-changing data)
   // Event-driven updates handle frame metrics via publishOk callback
   setInterval(async () => {